@@ -0,0 +1,101 @@
+const { exportUserData, anonymizeUser } = require('./utils/accountData');
+const { fakePool, changed } = require('./test/fakePool');
+
+const booking = { id: 'b1', ride_id: 'other-ride', user_id: 'amina', seats: 1, driver_id: 'dan', origin: 'Thika', destination: 'Nairobi', date: '2025-03-10' };
+const ride = { id: 'r1', user_id: 'amina', origin: 'Nairobi', destination: 'Nakuru', date: '2025-03-11' };
+
+// Pool answering the SELECTs below (anything else with no rows); `failOn` makes a write throw
+const accountPool = (failOn = /^$/) => fakePool([
+  [/FROM bookings b JOIN rides r/, () => [booking]],
+  [/SELECT id FROM rides WHERE user_id/, () => [{ id: 'r1' }]],
+  [/SELECT id, user_id, origin, destination, date FROM rides/, () => [ride]],
+  [/SELECT ride_id, user_id FROM bookings/, () => [{ ride_id: 'r1', user_id: 'brian' }]],
+  [/^\s*SELECT/, () => []],
+  [failOn, () => { throw new Error('Lock wait timeout exceeded'); }],
+  [/./, () => changed()]
+]);
+
+const deletedTables = (statements) => statements
+  .map(({ sql }) => sql.match(/^DELETE FROM (\w+)/))
+  .filter(Boolean)
+  .map((match) => match[1]);
+
+describe('Account deletion', () => {
+  it('scrubs the profile and drops private data, keeping what other people share', async () => {
+    const pool = accountPool();
+
+    await anonymizeUser(pool, 'amina');
+
+    const { statements } = pool;
+    expect(deletedTables(statements).sort()).toEqual([
+      'notification_preferences', 'notifications', 'password_resets', 'refresh_tokens', 'saved_searches', 'verification_codes'
+    ]);
+    expect(statements.find(({ sql }) => /^UPDATE vehicles/.test(sql)).sql).toMatch(/SET plate = CONCAT\('deleted-', id\)/);
+    expect(statements.some(({ sql }) => /ride_messages/.test(sql))).toBe(false);
+
+    const profile = statements.find(({ sql }) => /^UPDATE users/.test(sql));
+    expect(profile.sql).toMatch(/name = 'Deleted user'/);
+    expect(profile.sql).toMatch(/phone = NULL/);
+    expect(profile.sql).toMatch(/token_version = token_version \+ 1/);
+    expect(profile.params[1]).toBe('amina');
+    const driver = statements.find(({ sql }) => /^UPDATE drivers/.test(sql)).sql;
+    expect(driver).toMatch(/license_number = CONCAT\('deleted-', id\)/);
+    expect(driver).toMatch(/verification_status = 'rejected', verification_reason = 'Account deleted'/);
+
+    expect(pool.ended).toBe('commit');
+    expect(pool.released).toBe(true);
+  });
+
+  it('cancels their bookings and rides and returns them to announce', async () => {
+    const pool = accountPool();
+
+    const { canceledRides, cancelledBookings } = await anonymizeUser(pool, 'amina');
+
+    expect(cancelledBookings).toEqual([{ ...booking, promoted: [] }]);
+    expect(canceledRides).toEqual([{ ...ride, passengers: ['brian'] }]);
+
+    const cancellations = pool.statements.filter(({ sql }) => /INSERT INTO booking_events/.test(sql));
+    expect(cancellations.map(({ params }) => params.slice(0, 3))).toEqual([
+      ['cancelled', 'amina', 'Account deleted'],
+      ['cancelled', 'amina', 'Driver account deleted']
+    ]);
+  });
+
+  it('rolls everything back when a step fails', async () => {
+    const pool = accountPool(/^\s*UPDATE users/);
+
+    await expect(anonymizeUser(pool, 'amina')).rejects.toThrow('Lock wait timeout exceeded');
+
+    expect(pool.ended).toBe('rollback');
+    expect(pool.released).toBe(true);
+  });
+});
+
+describe('Data export', () => {
+  // Answers each query with the rows of the first table it reads
+  const exportPool = (rows) => fakePool([
+    [/./, (params, sql) => {
+      const match = Object.keys(rows).find((table) => new RegExp(`FROM ${table}\\b`).test(sql));
+      return match ? rows[match] : [];
+    }]
+  ]);
+
+  it('returns nothing for an unknown user', async () => {
+    await expect(exportUserData(exportPool({}), 'nobody')).resolves.toBeNull();
+  });
+
+  it('collects the profile, driver details and activity, without the password', async () => {
+    const pool = exportPool({
+      users: [{ id: 'amina', name: 'Amina', email: 'amina@example.com' }],
+      drivers: [{ license_number: 'DL-1', license_expiry: '2027-01-01' }],
+      ride_messages: [{ id: 'm1', ride_id: 'r1', body: 'At the gate' }]
+    });
+    const data = await exportUserData(pool, 'amina');
+
+    expect(data.profile).toEqual({ id: 'amina', name: 'Amina', email: 'amina@example.com', driver: { license_number: 'DL-1', license_expiry: '2027-01-01' } });
+    expect(data.messages).toEqual([{ id: 'm1', ride_id: 'r1', body: 'At the gate' }]);
+    expect(data.notification_preferences).toBeNull();
+    expect(Object.keys(data)).toEqual(expect.arrayContaining(['vehicles', 'rides', 'bookings', 'reviews', 'saved_searches', 'notifications']));
+    expect(pool.statements.find(({ sql }) => /FROM users/.test(sql)).sql).not.toMatch(/password/);
+  });
+});
@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+const createPolicy = require('./middleware/policy');
+const { fakePool, changed } = require('./test/fakePool');
+
+/**
+ * Users, driver applications and the admin action log kept in memory
+ * behind the statements the admin routes run. Cancelling rides finds r1
+ * upcoming for Dan, with Amina booked on it.
+ */
+const adminPool = () => {
+  const users = {
+    root: { id: 'root', role: 'admin', status: 'active' },
+    amina: { id: 'amina', name: 'Amina', email: 'amina@example.com', role: 'passenger', status: 'active' },
+    dan: { id: 'dan', name: 'Dan', email: 'dan@example.com', role: 'driver', status: 'active' },
+    gone: { id: 'gone', role: 'passenger', status: 'deleted' }
+  };
+  const drivers = {
+    dan: { verification_status: 'approved', expired: 0 },
+    amina: { verification_status: 'pending', expired: 0 }
+  };
+  const actions = [];
+  return Object.assign(fakePool([
+    [/SELECT id, role, status FROM users WHERE id = \?/, ([id]) => (users[id] ? [{ ...users[id] }] : [])],
+    [/UPDATE users SET (status|role) = \? WHERE id = \?/, ([value, id], sql) => {
+      users[id][sql.match(/SET (\w+)/)[1]] = value;
+      return changed();
+    }],
+    [/SELECT id FROM drivers WHERE user_id = \?/, ([id]) => (drivers[id] ? [{ id: `driver-${id}` }] : [])],
+    [/FROM drivers d\s+JOIN users u/, ([id]) => (drivers[id]
+      ? [{ ...drivers[id], name: users[id].name, email: users[id].email, role: users[id].role }]
+      : [])],
+    [/UPDATE drivers SET verification_status = \?/, ([status, reason, reviewer, id]) => {
+      Object.assign(drivers[id], { verification_status: status, verification_reason: reason, reviewed_by: reviewer });
+      return changed();
+    }],
+    [/INSERT INTO admin_actions/, ([, adminId, targetUserId, action, reason, details]) => {
+      actions.push({ admin_id: adminId, target_user_id: targetUserId, action, reason, details: JSON.parse(details) });
+      return changed();
+    }],
+    [/SELECT id FROM rides WHERE user_id = \?/, () => [{ id: 'r1' }]],
+    [/SELECT id, user_id, origin, destination, date FROM rides/, () =>
+      [{ id: 'r1', user_id: 'dan', origin: 'Thika', destination: 'Nairobi', date: '2025-03-10' }]],
+    [/SELECT ride_id, user_id FROM bookings/, () => [{ ride_id: 'r1', user_id: 'amina' }]],
+    [/^\s*(UPDATE|INSERT)/, () => changed()]
+  ]), { users, drivers, actions });
+};
+
+describe('Admin actions', () => {
+  const revoked = [];
+  const mail = [];
+  const announced = [];
+  const denials = [];
+
+  // The caller is named by the X-User header and takes that user's role
+  let pool;
+  const proxy = { execute: (...args) => pool.execute(...args), query: (...args) => pool.query(...args), getConnection: () => pool.getConnection() };
+  const authenticateToken = (req, res, next) => {
+    const caller = pool.users[req.header('X-User')];
+    req.user = { id: caller.id, role: caller.role };
+    next();
+  };
+  const logger = { info: () => {}, warn: (message, meta) => denials.push(meta) };
+  const tokens = { revokeAllSessions: async (userId) => { revoked.push(userId); } };
+  const mailer = { send: async (message) => { mail.push(message); } };
+  const cancellations = { ridesCanceled: (rides, options) => announced.push({ rides, options }) };
+
+  // Routers are module singletons, so the routes are mounted once on a pool each test swaps in
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', require('./routes/adminRoutes')(proxy, authenticateToken, createPolicy(proxy, logger), tokens, logger, mailer, cancellations));
+
+  beforeEach(() => {
+    pool = adminPool();
+    [revoked, mail, announced, denials].forEach((list) => { list.length = 0; });
+  });
+
+  const as = (userId, method, path, body = {}) => request(app)[method](`/admin${path}`).set('X-User', userId).send(body);
+
+  it('turns away anyone but admins, and logs it', async () => {
+    const res = await as('dan', 'post', '/users/amina/suspend', { reason: 'Spam' });
+
+    expect(res.statusCode).toBe(403);
+    expect(pool.users.amina.status).toBe('active');
+    expect(denials).toMatchObject([{ userId: 'dan', role: 'driver', url: '/admin/users/amina/suspend' }]);
+  });
+
+  it('suspends a user, ends their sessions and records why', async () => {
+    const res = await as('root', 'post', '/users/amina/suspend', { reason: 'Spam' });
+
+    expect(res.body).toEqual({ message: 'User suspended', status: 'suspended' });
+    expect(pool.users.amina.status).toBe('suspended');
+    expect(revoked).toEqual(['amina']);
+    expect(pool.actions).toEqual([{
+      admin_id: 'root', target_user_id: 'amina', action: 'suspend', reason: 'Spam', details: { from: 'active', to: 'suspended' }
+    }]);
+  });
+
+  it('reactivates a user without touching their sessions', async () => {
+    pool.users.amina.status = 'banned';
+
+    const res = await as('root', 'post', '/users/amina/reactivate', { reason: 'Appeal upheld' });
+
+    expect(res.body.status).toBe('active');
+    expect(pool.users.amina.status).toBe('active');
+    expect(revoked).toEqual([]);
+  });
+
+  it("refuses to change an admin's own status or a deleted account, and answers 404 for unknown users", async () => {
+    expect((await as('root', 'post', '/users/root/ban', { reason: 'Oops' })).statusCode).toBe(400);
+    expect((await as('root', 'post', '/users/gone/reactivate', { reason: 'Undo' })).body.error).toBe('Account has been deleted');
+    expect((await as('root', 'post', '/users/nobody/ban', { reason: 'Spam' })).statusCode).toBe(404);
+    expect(pool.actions).toEqual([]);
+  });
+
+  it('changes a role, signing the user out and recording the change', async () => {
+    const res = await as('root', 'put', '/users/dan/role', { role: 'passenger', reason: 'Complaints' });
+
+    expect(res.body).toEqual({ message: 'Role updated', role: 'passenger' });
+    expect(pool.users.dan.role).toBe('passenger');
+    expect(revoked).toEqual(['dan']);
+    expect(pool.actions).toMatchObject([{ target_user_id: 'dan', action: 'change_role', details: { from: 'driver', to: 'passenger' } }]);
+  });
+
+  it('only makes drivers of users who applied to drive', async () => {
+    delete pool.drivers.amina;
+
+    const res = await as('root', 'put', '/users/amina/role', { role: 'driver', reason: 'Asked to drive' });
+
+    expect(res.statusCode).toBe(400);
+    expect(pool.users.amina.role).toBe('passenger');
+    expect(revoked).toEqual([]);
+  });
+
+  it('approves a pending driver application, gives the driver role and emails the applicant', async () => {
+    const res = await as('root', 'post', '/drivers/amina/approve', { reason: 'Licence checked' });
+
+    expect(res.body).toEqual({ message: 'Driver application approved', status: 'approved' });
+    expect(pool.drivers.amina).toMatchObject({ verification_status: 'approved', verification_reason: 'Licence checked', reviewed_by: 'root' });
+    expect(pool.users.amina.role).toBe('driver');
+    expect(revoked).toEqual(['amina']);
+    expect(mail.map((message) => [message.to, message.subject])).toEqual([['amina@example.com', 'You are now a Ride Pool driver']]);
+  });
+
+  it('only decides pending applications, and never approves an expired licence', async () => {
+    pool.drivers.amina.expired = 1;
+
+    expect((await as('root', 'post', '/drivers/amina/approve', { reason: 'Looks fine' })).body.error).toBe('Cannot approve an expired licence');
+    expect((await as('root', 'post', '/drivers/dan/reject', { reason: 'Again' })).body.error).toBe('Driver application is approved, not pending');
+    expect((await as('root', 'post', '/drivers/nobody/approve', { reason: 'Who' })).statusCode).toBe(404);
+    expect(pool.drivers.amina.verification_status).toBe('pending');
+    expect(mail).toEqual([]);
+  });
+
+  it("cancels a driver's upcoming rides and recurring rides, and announces them as the admin's", async () => {
+    const res = await as('root', 'post', '/users/dan/cancel-rides', { reason: 'Licence revoked' });
+
+    expect(res.body.canceled).toBe(1);
+    expect(pool.statements.some(({ sql }) => /UPDATE ride_series SET status = 'canceled' WHERE user_id = \?/.test(sql))).toBe(true);
+    expect(pool.ended).toBe('commit');
+    expect(announced).toEqual([{
+      rides: [{ id: 'r1', user_id: 'dan', origin: 'Thika', destination: 'Nairobi', date: '2025-03-10', passengers: ['amina'] }],
+      options: { actorId: 'root', reason: 'Licence revoked', by: 'An administrator' }
+    }]);
+    expect(pool.actions).toMatchObject([{ action: 'cancel_rides', details: { canceled: 1 } }]);
+  });
+});
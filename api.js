@@ -4,13 +4,11 @@ const bodyParser = require('body-parser');
 const mysql = require('mysql2/promise');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const winston = require('winston');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const swaggerSetup = require('./swaggerConfig');
-const cron = require('node-cron');
 
 require('dotenv').config();
 
@@ -36,31 +34,17 @@ app.use(cors({
   origin: ['https://rides.api.smartryuga.com', 'http://localhost:'], // ✅ Add your frontend URL
   methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
   credentials: true, // ✅ Allow cookies if needed
-  allowedHeaders: ['Content-Type', 'Authorization'] // ✅ Ensure required headers are allowed
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID'] // ✅ Ensure required headers are allowed
 }));
 
 app.use(bodyParser.json());
 
 // Logger setup (Winston)
-const logger = winston.createLogger({
-    level: 'info',
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    ),
-    transports: [
-      new winston.transports.Console(),
-      new winston.transports.File({ filename: 'server.log', fsync: true }) // 🔥 Forces immediate file write
-    ]
-  });
-  
-  // Ensure logs are flushed when the process exits
-  process.on('exit', () => {
-    logger.end();
-  });
+const logger = require('./utils/logger');
 
   app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.url} - ${req.ip}`);
+    // Stream URLs may carry an access token; keep it out of the logs
+    logger.info(`${req.method} ${req.url.replace(/access_token=[^&]*/, 'access_token=[redacted]')} - ${req.ip}`);
     next();
   });  
 
@@ -87,31 +71,52 @@ const pool = mysql.createPool({
   }
 })();
 
-// Run every 10 minutes
-cron.schedule('*/10 * * * *', async () => {
-  try {
-      console.log('🚀 Running ride status update...');
-
-      // Mark completed rides (past date and time)
-      await pool.execute(
-          `UPDATE rides SET status = 'completed' 
-           WHERE CONCAT(date, ' ', time) < NOW() 
-           AND status NOT IN ('completed', 'canceled')`
-      );
-
-      console.log('✅ Ride statuses updated');
-  } catch (error) {
-      console.error('❌ Error updating ride statuses:', error.message);
-  }
-});
+// Token issuing, rotation and revocation
+const tokens = require('./utils/tokens')(pool, jwt);
+
+// Outgoing mail and SMS (console or file transports, see utils/mailer.js and utils/sms.js)
+const mailer = require('./utils/mailer').createMailer();
+const sms = require('./utils/sms').createSmsSender();
+
+// Place name to coordinates for ride search (offline gazetteer by default, see utils/geocoder.js)
+const geocoder = require('./utils/geocoder').createGeocoder();
+
+// Email and phone verification codes
+const verification = require('./utils/verification')(pool, { email: mailer, phone: sms });
+
+// Live ride and account updates for /api/stream (see utils/realtime.js)
+const realtime = require('./utils/realtime').createRealtime(pool, logger);
+
+// In-app notifications, delivered by email, SMS and push as each user prefers (see utils/notifications.js)
+const { createNotifier, adapters } = require('./utils/notifications');
+const notifier = createNotifier(pool, { email: adapters.email(mailer), sms: adapters.sms(sms), push: adapters.push() }, logger, realtime);
+
+// Signed event deliveries to partner systems (see utils/webhooks.js)
+const { createWebhooks, transports: webhookTransports } = require('./utils/webhooks');
+const webhooks = createWebhooks(pool, webhookTransports.http(), logger);
+
+// Tells passengers, drivers, ride subscribers and webhooks about canceled rides and bookings (see utils/cancellations.js)
+const cancellations = require('./utils/cancellations').createCancellations(notifier, realtime, webhooks);
+
+// Scheduled jobs (ride status, token cleanup, licence expiry)
+const jobs = require('./jobs')({ pool, tokens, mailer, notifier, realtime, webhooks, cancellations, logger });
 
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
   const token = req.header('Authorization')?.split(' ')[1]; // Extract token
   if (!token) return res.status(403).json({ error: 'Access denied' });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ error: 'Invalid token' });
+
+    try {
+      // Reject tokens revoked by logout or a password change, and suspended or banned accounts
+      const reason = await tokens.getRejectionReason(user);
+      if (reason) return res.status(403).json({ error: reason });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
     req.user = user; // Attach user to request
     next();
   });
@@ -120,7 +125,7 @@ const authenticateToken = (req, res, next) => {
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*'); // 🔥 Change * to specific origins if needed
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200); // ✅ Allow preflight requests
@@ -129,16 +134,40 @@ app.use((req, res, next) => {
   next();
 });
 
+// Only verified users may offer, book or request rides
+const requireVerified = require('./middleware/requireVerified')(pool);
+
+// Only approved drivers with a valid licence may offer rides
+const requireApprovedDriver = require('./middleware/requireApprovedDriver')(pool);
+
+// Shared ownership and role policies for every router
+const policy = require('./middleware/policy')(pool, logger);
+
 // Routes (Modularized)
-const userRoutes = require('./routes/userRoutes')(pool, bcrypt, jwt, authenticateToken);
-const rideRoutes = require('./routes/rideRoutes')(pool, authenticateToken);
-const vehicleRoutes = require('./routes/vehicleRoutes')(pool, authenticateToken);
-const rideAgreements = require('./routes/rideAgreements')(pool, authenticateToken);
+const userRoutes = require('./routes/userRoutes')(pool, bcrypt, jwt, authenticateToken, tokens, mailer, verification, policy, cancellations);
+const rideRoutes = require('./routes/rideRoutes')(pool, authenticateToken, requireVerified, policy, requireApprovedDriver, geocoder, notifier, realtime, webhooks, cancellations, logger);
+const savedSearchRoutes = require('./routes/savedSearchRoutes')(pool, authenticateToken, policy, geocoder);
+const rideSeriesRoutes = require('./routes/rideSeriesRoutes')(pool, authenticateToken, requireVerified, policy, requireApprovedDriver, geocoder, notifier, cancellations, logger);
+const vehicleRoutes = require('./routes/vehicleRoutes')(pool, authenticateToken, policy, cancellations);
+const rideAgreements = require('./routes/rideAgreements')(pool, authenticateToken, requireVerified, policy, notifier, webhooks);
+const notificationRoutes = require('./routes/notificationRoutes')(pool, authenticateToken);
+const streamRoutes = require('./routes/streamRoutes')(pool, authenticateToken, policy, realtime, tokens);
+const { moderators } = require('./utils/messages');
+const messageRoutes = require('./routes/messageRoutes')(pool, authenticateToken, policy, realtime, [moderators.blocklist()], logger);
+const webhookRoutes = require('./routes/webhookRoutes')(pool, authenticateToken, policy, webhooks);
+const adminRoutes = require('./routes/adminRoutes')(pool, authenticateToken, policy, tokens, logger, mailer, cancellations);
 
 app.use('/api/users', userRoutes);
 app.use('/api/rides', rideRoutes);
+app.use('/api/rides', messageRoutes);
+app.use('/api/ride-series', rideSeriesRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/agreements', rideAgreements);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
 
 // Swagger API Docs
@@ -169,4 +198,4 @@ const server = app.listen(PORT,() => {
 // });
 
 // module.exports = app; // Export app for testing
-module.exports = { app, server }; // Export both app and server
\ No newline at end of file
+module.exports = { app, server, jobs }; // Export app, server and scheduled jobs
\ No newline at end of file
@@ -1,7 +1,8 @@
 const request = require('supertest');
-const { app, server } = require('./api'); // Import the express app and server
+const { app, server, jobs } = require('./api'); // Import the express app, server and scheduled jobs
 
 afterAll((done) => {
+  jobs.forEach((task) => task.stop()); // Stop cron jobs so Jest can exit
   server.close(done); // Properly close the server
 });
 
@@ -11,3 +12,55 @@ describe('Basic API Tests', () => {
     expect(res.statusCode).toBe(404);
   });
 });
+
+describe('Request Validation Tests', () => {
+  it('should list every invalid field in one 400 response', async () => {
+    const res = await request(app).post('/api/users/register').send({
+      name: 'Eve', email: 'not-an-email', password: 'short'
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details.map((d) => d.field).sort()).toEqual(['body.email', 'body.password', 'body.phone']);
+  });
+});
+
+describe('Registration Tests', () => {
+  it('should reject self-registration as admin', async () => {
+    const res = await request(app).post('/api/users/register').send({
+      name: 'Eve', email: 'eve@example.com', phone: '+123456789', password: 'secretpassword', role: 'admin'
+    });
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Auth Token Tests', () => {
+  it('should require a refresh token', async () => {
+    const res = await request(app).post('/api/users/refresh').send({});
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should deny logout without an access token', async () => {
+    const res = await request(app).post('/api/users/logout').send({});
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Real-time Stream Tests', () => {
+  it('should deny the stream without an access token', async () => {
+    const res = await request(app).get('/api/stream');
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should check the access token passed in the query', async () => {
+    const res = await request(app).get('/api/stream?access_token=not-a-jwt');
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Invalid token');
+  });
+});
+
+describe('Admin API Tests', () => {
+  it('should deny admin routes without a token', async () => {
+    const res = await request(app).get('/api/admin/users');
+    expect(res.statusCode).toBe(403);
+  });
+});
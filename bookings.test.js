@@ -0,0 +1,454 @@
+const { bookRide, changeBookingStatus } = require('./utils/bookings');
+const HttpError = require('./utils/httpError');
+
+/**
+ * In-memory stand-in for the MySQL pool, just enough for bookRide,
+ * changeBookingStatus and waitlist promotion. Rides carry a stop count
+ * instead of ride_stops rows, and optionally their `points` ({ lat, lng }
+ * in route order) for fares between stops. It models InnoDB row locking: SELECT ... FOR
+ * UPDATE waits until no other transaction holds the row, and locks are
+ * released on commit/rollback.
+ * Every statement yields to the event loop so concurrent bookings
+ * interleave the way they would against a real server. Statements are
+ * applied directly (no undo log); bookRide only writes after its checks.
+ */
+const fakePool = (rides, waitlist = []) => {
+  const bookings = [];
+  const events = [];
+  const locks = new Map(); // ride id -> { owner, waiters }
+
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  const lock = async (rideId, owner) => {
+    let entry = locks.get(rideId);
+    while (entry && entry.owner !== owner) {
+      await new Promise((resolve) => entry.waiters.push(resolve));
+      entry = locks.get(rideId);
+    }
+    locks.set(rideId, { owner, waiters: entry ? entry.waiters : [] });
+  };
+
+  const releaseAll = (owner) => {
+    for (const [rideId, entry] of locks) {
+      if (entry.owner !== owner) continue;
+      locks.delete(rideId);
+      entry.waiters.forEach((wake) => wake());
+    }
+  };
+
+  const getConnection = async () => {
+    const owner = Symbol('transaction');
+
+    const execute = async (sql, params) => {
+      await tick();
+
+      if (/FROM rides\s+WHERE id = \?.* FOR UPDATE/s.test(sql)) {
+        await lock(params[0], owner);
+        const ride = rides[params[0]];
+        const statuses = /status = 'scheduled'/.test(sql) ? ['scheduled'] : /status IN/.test(sql) ? ['scheduled', 'boarding'] : null;
+        return [ride && (!statuses || statuses.includes(ride.status)) ? [{ ...ride }] : []];
+      }
+
+      if (/SELECT COUNT\(\*\) AS stops FROM ride_stops WHERE ride_id = \?/.test(sql)) {
+        return [[{ stops: rides[params[0]].stops }]];
+      }
+
+      if (/FROM ride_stops\s+WHERE ride_id IN \(\?\)/.test(sql)) {
+        const { stops, points = [] } = rides[params[0]];
+        return [Array.from({ length: stops }, (_, position) => ({ ride_id: params[0], position, lat: null, lng: null, ...points[position] }))];
+      }
+
+      if (/SELECT from_stop, to_stop, seats FROM bookings WHERE ride_id = \?/.test(sql)) {
+        return [bookings.filter((b) => b.ride_id === params[0] && ['pending', 'confirmed'].includes(b.status))];
+      }
+
+      if (/UPDATE rides SET seats_available = GREATEST\(seats_total - \?, 0\) WHERE id = \?/.test(sql)) {
+        const [taken, rideId] = params;
+        rides[rideId].seats_available = Math.max(rides[rideId].seats_total - taken, 0);
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/SELECT id FROM bookings WHERE ride_id = \? AND user_id = \?/.test(sql)) {
+        const [rideId, userId] = params;
+        return [bookings.filter((b) => b.ride_id === rideId && b.user_id === userId && b.status !== 'cancelled')];
+      }
+
+      if (/FROM bookings b JOIN rides r ON r.id = b.ride_id\s+WHERE b.id = \? FOR UPDATE/.test(sql)) {
+        const booking = bookings.find((b) => b.id === params[0]);
+        if (!booking) return [[]];
+        await lock(booking.ride_id, owner);
+        const { user_id: driverId, status: rideStatus } = rides[booking.ride_id];
+        return [[{ ...booking, driver_id: driverId, ride_status: rideStatus }]];
+      }
+
+      if (/FROM ride_waitlist\s+WHERE ride_id = \? AND status = 'waiting'/.test(sql)) {
+        return [waitlist.filter((w) => w.ride_id === params[0] && w.status === 'waiting')];
+      }
+
+      if (/UPDATE ride_waitlist SET status = 'offered', booking_id = \?/.test(sql)) {
+        Object.assign(waitlist.find((w) => w.id === params[1]), { status: 'offered', booking_id: params[0] });
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/UPDATE ride_waitlist SET status = 'declined' WHERE booking_id = \? AND status = 'offered'/.test(sql)) {
+        const entry = waitlist.find((w) => w.booking_id === params[0] && w.status === 'offered');
+        if (entry) entry.status = 'declined';
+        return [{ affectedRows: entry ? 1 : 0 }];
+      }
+
+      if (/UPDATE ride_waitlist SET status = 'left' WHERE ride_id = \? AND user_id = \?/.test(sql)) {
+        const entry = waitlist.find((w) => w.ride_id === params[0] && w.user_id === params[1] && w.status === 'waiting');
+        if (entry) entry.status = 'left';
+        return [{ affectedRows: entry ? 1 : 0 }];
+      }
+
+      if (/UPDATE bookings SET accept_by = NOW\(\) \+ INTERVAL \? MINUTE WHERE id = \?/.test(sql)) {
+        bookings.find((b) => b.id === params[1]).accept_by = new Date(Date.now() + params[0] * 60000);
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/SELECT accept_by FROM bookings WHERE id = \?/.test(sql)) {
+        return [bookings.filter((b) => b.id === params[0]).map((b) => ({ accept_by: b.accept_by }))];
+      }
+
+      if (/INSERT INTO booking_events .* VALUES/s.test(sql)) {
+        const [, bookingId, actorId] = params;
+        events.push({ booking_id: bookingId, from_status: null, to_status: 'pending', actor_id: actorId });
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/INSERT INTO booking_events .* FROM bookings WHERE id = \?/s.test(sql)) {
+        const [to, actorId, reason, bookingId] = params;
+        const booking = bookings.find((b) => b.id === bookingId);
+        events.push({ booking_id: bookingId, from_status: booking.status, to_status: to, actor_id: actorId, reason });
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/UPDATE bookings SET status = \? WHERE id = \?/.test(sql)) {
+        bookings.find((b) => b.id === params[1]).status = params[0];
+        return [{ affectedRows: 1 }];
+      }
+
+      if (/INSERT INTO bookings/.test(sql)) {
+        const [id, userId, rideId, fromStop, toStop, seats, amount, currency, seriesBookingId] = params;
+        bookings.push({
+          id, user_id: userId, ride_id: rideId, from_stop: fromStop, to_stop: toStop, seats, amount, currency,
+          status: 'pending', series_booking_id: seriesBookingId, accept_by: null
+        });
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected statement: ${sql}`);
+    };
+
+    return {
+      execute,
+      beginTransaction: tick,
+      commit: async () => { await tick(); releaseAll(owner); },
+      rollback: async () => { await tick(); releaseAll(owner); },
+      release: () => {}
+    };
+  };
+
+  return { getConnection, rides, bookings, events, waitlist };
+};
+
+// A scheduled ride offering `seats` seats over `stops` stops (origin and destination by default)
+const ride = (seats, stops = 2) => ({
+  user_id: 'driver', seats_total: seats, seats_available: seats, stops, status: 'scheduled',
+  pricing_mode: 'per_seat', price_per_seat: '100.00', total_cost: null, currency: 'KES'
+});
+
+// Run every booking at once and sort the outcomes
+const bookConcurrently = async (pool, requests) => {
+  const results = await Promise.allSettled(requests.map((request) => bookRide(pool, request)));
+  return {
+    booked: results.filter((r) => r.status === 'fulfilled'),
+    rejected: results.filter((r) => r.status === 'rejected').map((r) => r.reason)
+  };
+};
+
+describe('Concurrent seat booking', () => {
+  it('never sells more seats than the ride has', async () => {
+    const pool = fakePool({ r1: ride(3) });
+    const requests = Array.from({ length: 20 }, (_, i) => ({ rideId: 'r1', userId: `passenger-${i}`, seats: 1 }));
+
+    const { booked, rejected } = await bookConcurrently(pool, requests);
+
+    expect(booked).toHaveLength(3);
+    expect(rejected).toHaveLength(17);
+    expect(pool.rides.r1.seats_available).toBe(0);
+    expect(pool.bookings.reduce((sum, b) => sum + b.seats, 0)).toBe(3);
+  });
+
+  it('answers every losing request with a 409', async () => {
+    const pool = fakePool({ r1: ride(2) });
+    const requests = Array.from({ length: 5 }, (_, i) => ({ rideId: 'r1', userId: `passenger-${i}`, seats: 2 }));
+
+    const { booked, rejected } = await bookConcurrently(pool, requests);
+
+    expect(booked).toHaveLength(1);
+    rejected.forEach((err) => {
+      expect(err).toBeInstanceOf(HttpError);
+      expect(err.status).toBe(409);
+    });
+  });
+
+  it('fills the ride exactly with mixed seat counts', async () => {
+    const pool = fakePool({ r1: ride(5) });
+    const requests = [3, 2, 2, 1, 1, 3, 1].map((seats, i) => ({ rideId: 'r1', userId: `passenger-${i}`, seats }));
+
+    await bookConcurrently(pool, requests);
+
+    const sold = pool.bookings.reduce((sum, b) => sum + b.seats, 0);
+    expect(sold + pool.rides.r1.seats_available).toBe(5);
+    expect(pool.rides.r1.seats_available).toBeGreaterThanOrEqual(0);
+  });
+
+  it('books a passenger only once when they double-submit', async () => {
+    const pool = fakePool({ r1: ride(4) });
+    const requests = Array.from({ length: 5 }, () => ({ rideId: 'r1', userId: 'passenger-1', seats: 1 }));
+
+    const { booked, rejected } = await bookConcurrently(pool, requests);
+
+    expect(booked).toHaveLength(1);
+    expect(rejected.every((err) => err.status === 409)).toBe(true);
+    expect(pool.rides.r1.seats_available).toBe(3);
+  });
+
+  it('keeps bookings on different rides independent', async () => {
+    const pool = fakePool({ r1: ride(1), r2: ride(1) });
+    const requests = ['r1', 'r2', 'r1', 'r2'].map((rideId, i) => ({ rideId, userId: `passenger-${i}`, seats: 1 }));
+
+    const { booked } = await bookConcurrently(pool, requests);
+
+    expect(booked).toHaveLength(2);
+    expect(pool.rides.r1.seats_available).toBe(0);
+    expect(pool.rides.r2.seats_available).toBe(0);
+  });
+
+  it('stores the fare charged at booking time', async () => {
+    const pool = fakePool({ r1: ride(3) });
+
+    const { fare } = await bookRide(pool, { rideId: 'r1', userId: 'passenger-1', seats: 2 });
+
+    expect(fare.amount).toBe(200);
+    expect(fare.currency).toBe('KES');
+    expect(pool.bookings[0]).toMatchObject({ amount: 200, currency: 'KES' });
+  });
+
+  it('rejects missing rides, rides no longer scheduled and the driver booking their own ride', async () => {
+    const pool = fakePool({ closed: { ...ride(3), status: 'canceled' }, boarding: { ...ride(3), status: 'boarding' }, r1: ride(3) });
+
+    await expect(bookRide(pool, { rideId: 'nope', userId: 'p', seats: 1 })).rejects.toMatchObject({ status: 404 });
+    await expect(bookRide(pool, { rideId: 'closed', userId: 'p', seats: 1 })).rejects.toMatchObject({ status: 409 });
+    await expect(bookRide(pool, { rideId: 'boarding', userId: 'p', seats: 1 })).rejects.toMatchObject({ status: 409 });
+    await expect(bookRide(pool, { rideId: 'r1', userId: 'driver', seats: 1 })).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('Booking between stops', () => {
+  // One seat over Nairobi (0), Nakuru (1), Eldoret (2) and Kitale (3)
+  const pool = () => fakePool({ r1: ride(1, 4) });
+
+  it('sells a seat again once its passenger gets off', async () => {
+    const rides = pool();
+
+    await bookRide(rides, { rideId: 'r1', userId: 'to-nakuru', seats: 1, fromStop: 0, toStop: 1 });
+    await bookRide(rides, { rideId: 'r1', userId: 'nakuru-to-kitale', seats: 1, fromStop: 1, toStop: 3 });
+
+    expect(rides.bookings.map((b) => [b.from_stop, b.to_stop])).toEqual([[0, 1], [1, 3]]);
+    expect(rides.rides.r1.seats_available).toBe(0);
+  });
+
+  it('refuses ranges overlapping a segment that is full', async () => {
+    const rides = pool();
+    await bookRide(rides, { rideId: 'r1', userId: 'to-eldoret', seats: 1, fromStop: 0, toStop: 2 });
+
+    await expect(bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1, fromStop: 1, toStop: 3 })).rejects.toMatchObject({ status: 409 });
+    await expect(bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1 })).rejects.toMatchObject({ status: 409 });
+    await expect(bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1, fromStop: 2 })).resolves.toHaveProperty('bookingId');
+  });
+
+  it('gives a cancelled segment back to the waitlist', async () => {
+    const rides = fakePool({ r1: ride(1, 4) }, [
+      { id: 'w1', ride_id: 'r1', user_id: 'whole-way', seats: 1, from_stop: 0, to_stop: 3, status: 'waiting' },
+      { id: 'w2', ride_id: 'r1', user_id: 'first-leg', seats: 1, from_stop: 0, to_stop: 1, status: 'waiting' }
+    ]);
+    await bookRide(rides, { rideId: 'r1', userId: 'rest-of-way', seats: 1, fromStop: 1, toStop: 3 });
+    const { bookingId } = await bookRide(rides, { rideId: 'r1', userId: 'first-leg-booked', seats: 1, fromStop: 0, toStop: 1 });
+
+    await changeBookingStatus(rides, { bookingId, action: 'cancel', actorId: 'first-leg-booked' });
+
+    // Only the first leg came free, so the whole-way passenger keeps waiting
+    expect(rides.waitlist.map((w) => w.status)).toEqual(['waiting', 'offered']);
+  });
+
+  it("charges a part of the trip its share of the route's distance", async () => {
+    // Evenly spaced along a meridian, so every leg is a third of the route
+    const points = [0, 1, 2, 3].map((i) => ({ lat: i * 0.5, lng: 36.8 }));
+    const rides = fakePool({ r1: { ...ride(3, 4), points } });
+
+    const { fare } = await bookRide(rides, { rideId: 'r1', userId: 'first-leg', seats: 2, fromStop: 0, toStop: 1 });
+    await bookRide(rides, { rideId: 'r1', userId: 'whole-way', seats: 1 });
+
+    expect(fare).toMatchObject({ price_per_seat: 33.34, amount: 66.68, route_share: 0.333 });
+    expect(rides.bookings.map((b) => b.amount)).toEqual([66.68, 100]);
+  });
+
+  it('charges the full fare when a stop has no coordinates', async () => {
+    const rides = pool();
+
+    const { fare } = await bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1, fromStop: 1, toStop: 2 });
+
+    expect(fare.amount).toBe(100);
+    expect(fare).not.toHaveProperty('route_share');
+  });
+
+  it('rejects stops outside the route or out of order', async () => {
+    const rides = pool();
+
+    await expect(bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1, fromStop: 2, toStop: 1 })).rejects.toMatchObject({ status: 400 });
+    await expect(bookRide(rides, { rideId: 'r1', userId: 'p', seats: 1, toStop: 4 })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('Booking lifecycle', () => {
+  const booked = async (seats = 2) => {
+    const pool = fakePool({ r1: ride(seats) });
+    const { bookingId } = await bookRide(pool, { rideId: 'r1', userId: 'passenger-1', seats });
+    return { pool, bookingId };
+  };
+
+  it('lets the driver confirm a pending booking and records the transition', async () => {
+    const { pool, bookingId } = await booked();
+
+    const booking = await changeBookingStatus(pool, { bookingId, action: 'confirm', actorId: 'driver' });
+
+    expect(booking.status).toBe('confirmed');
+    expect(pool.rides.r1.seats_available).toBe(0);
+    expect(pool.events.map((e) => [e.from_status, e.to_status, e.actor_id])).toEqual([
+      [null, 'pending', 'passenger-1'],
+      ['pending', 'confirmed', 'driver']
+    ]);
+  });
+
+  it('returns seats to a full ride when the driver rejects', async () => {
+    const { pool, bookingId } = await booked();
+    expect(pool.rides.r1.seats_available).toBe(0);
+
+    await changeBookingStatus(pool, { bookingId, action: 'reject', actorId: 'driver', reason: 'Car is full' });
+
+    expect(pool.rides.r1.seats_available).toBe(2);
+    expect(pool.events[1]).toMatchObject({ to_status: 'rejected', reason: 'Car is full' });
+  });
+
+  it('lets the passenger cancel a confirmed booking', async () => {
+    const { pool, bookingId } = await booked();
+    await changeBookingStatus(pool, { bookingId, action: 'confirm', actorId: 'driver' });
+
+    await changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' });
+
+    expect(pool.bookings[0].status).toBe('cancelled');
+    expect(pool.rides.r1.seats_available).toBe(2);
+    expect(pool.events.map((e) => e.to_status)).toEqual(['pending', 'confirmed', 'cancelled']);
+  });
+
+  it('only lets the right party act', async () => {
+    const { pool, bookingId } = await booked();
+
+    await expect(changeBookingStatus(pool, { bookingId, action: 'confirm', actorId: 'passenger-1' })).rejects.toMatchObject({ status: 403 });
+    await expect(changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'driver' })).rejects.toMatchObject({ status: 403 });
+    await expect(changeBookingStatus(pool, { bookingId: 'nope', action: 'cancel', actorId: 'passenger-1' })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('refuses transitions out of a final status', async () => {
+    const { pool, bookingId } = await booked();
+    await changeBookingStatus(pool, { bookingId, action: 'reject', actorId: 'driver' });
+
+    await expect(changeBookingStatus(pool, { bookingId, action: 'confirm', actorId: 'driver' })).rejects.toMatchObject({ status: 409 });
+    await expect(changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' })).rejects.toMatchObject({ status: 409 });
+    expect(pool.rides.r1.seats_available).toBe(2);
+  });
+
+  it('gives seats back once when the driver rejects while the passenger cancels', async () => {
+    const { pool, bookingId } = await booked();
+
+    const results = await Promise.allSettled([
+      changeBookingStatus(pool, { bookingId, action: 'reject', actorId: 'driver' }),
+      changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' })
+    ]);
+
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+    expect(pool.rides.r1.seats_available).toBe(2);
+  });
+
+  it('freezes bookings once the ride has started', async () => {
+    const { pool, bookingId } = await booked();
+    pool.rides.r1.status = 'in_progress';
+
+    await expect(changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' })).rejects.toMatchObject({ status: 409 });
+    expect(pool.rides.r1.seats_available).toBe(0);
+  });
+});
+
+describe('Waitlist promotion', () => {
+  // A full two-seat ride and a queue of passengers needing 3, 1, 1 and 1 seats
+  const fullRide = async () => {
+    const queue = [3, 1, 1, 1].map((seats, i) => ({ id: `w${i + 1}`, ride_id: 'r1', user_id: `waiting-${i + 1}`, seats, status: 'waiting' }));
+    const pool = fakePool({ r1: ride(2) }, queue);
+    const { bookingId } = await bookRide(pool, { rideId: 'r1', userId: 'passenger-1', seats: 2 });
+    return { pool, bookingId };
+  };
+
+  const statuses = (pool) => pool.waitlist.map((w) => w.status);
+
+  it('offers freed seats to the first passengers who fit', async () => {
+    const { pool, bookingId } = await fullRide();
+
+    const { promoted } = await changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' });
+
+    // w1 needs 3 seats and is skipped without blocking w2 and w3
+    expect(statuses(pool)).toEqual(['waiting', 'offered', 'offered', 'waiting']);
+    expect(pool.rides.r1.seats_available).toBe(0);
+
+    const offered = pool.bookings.filter((b) => b.user_id !== 'passenger-1');
+    expect(offered.map((b) => b.user_id)).toEqual(['waiting-2', 'waiting-3']);
+    offered.forEach((b) => {
+      expect(b.status).toBe('pending');
+      expect(b.accept_by).toBeInstanceOf(Date);
+    });
+
+    // Returned for the caller to announce once committed
+    expect(promoted.map((entry) => [entry.user_id, entry.ride_id, entry.booking_id, entry.accept_by]))
+      .toEqual(offered.map((b) => [b.user_id, 'r1', b.id, b.accept_by]));
+  });
+
+  it('holds promoted bookings from the driver until the passenger accepts', async () => {
+    const { pool, bookingId } = await fullRide();
+    await changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' });
+
+    const offer = pool.bookings.find((b) => b.user_id === 'waiting-2');
+    await expect(changeBookingStatus(pool, { bookingId: offer.id, action: 'confirm', actorId: 'driver' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('passes declined seats to the next in line', async () => {
+    const { pool, bookingId } = await fullRide();
+    await changeBookingStatus(pool, { bookingId, action: 'cancel', actorId: 'passenger-1' });
+
+    const offer = pool.bookings.find((b) => b.user_id === 'waiting-2');
+    await changeBookingStatus(pool, { bookingId: offer.id, action: 'cancel', actorId: 'waiting-2' });
+
+    expect(statuses(pool)).toEqual(['waiting', 'declined', 'offered', 'offered']);
+    expect(pool.rides.r1.seats_available).toBe(0);
+  });
+
+  it('takes passengers who book directly off the waitlist', async () => {
+    const pool = fakePool({ r1: ride(1) }, [{ id: 'w1', ride_id: 'r1', user_id: 'waiting-1', seats: 1, status: 'waiting' }]);
+
+    await bookRide(pool, { rideId: 'r1', userId: 'waiting-1', seats: 1 });
+
+    expect(statuses(pool)).toEqual(['left']);
+  });
+});
@@ -0,0 +1,144 @@
+const requireApprovedDriver = require('./middleware/requireApprovedDriver');
+const licenseExpiry = require('./jobs/licenseExpiry');
+const { fakePool, changed } = require('./test/fakePool');
+
+const today = new Date().toISOString().slice(0, 10);
+
+// The date `days` from today, as stored in drivers.license_expiry
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Keeps drivers (keyed by user id, each with its user's name, email and
+ * role) in memory behind the statements of requireApprovedDriver and the
+ * licence expiry job, with CURDATE() as today.
+ */
+const driverPool = (drivers) => Object.assign(fakePool([
+  [/license_expiry < CURDATE\(\) AS expired\s+FROM drivers d JOIN users u ON u.id = d.user_id\s+WHERE d.user_id = \? AND u.role = 'driver'/, ([userId]) => {
+    const driver = drivers[userId];
+    return driver && driver.role === 'driver'
+      ? [{ verification_status: driver.verification_status, expired: driver.license_expiry < today ? 1 : 0 }]
+      : [];
+  }],
+  [/BETWEEN CURDATE\(\) AND DATE_ADD\(CURDATE\(\), INTERVAL \? DAY\)/, ([days]) => Object.entries(drivers)
+    .filter(([, d]) => d.verification_status === 'approved' && !d.expiry_warning_sent_at &&
+      d.license_expiry >= today && d.license_expiry <= inDays(days))
+    .map(([userId, d]) => ({ user_id: userId, license_expiry: d.license_expiry, name: d.name, email: d.email }))],
+  [/WHERE d.verification_status = 'approved'\s+AND d.license_expiry < CURDATE\(\)/, () => Object.entries(drivers)
+    .filter(([, d]) => d.verification_status === 'approved' && d.license_expiry < today)
+    .map(([userId, d]) => ({ user_id: userId, name: d.name, email: d.email }))],
+  [/UPDATE drivers SET expiry_warning_sent_at = NOW\(\) WHERE user_id = \?/, ([userId]) => {
+    drivers[userId].expiry_warning_sent_at = new Date();
+    return changed();
+  }],
+  [/UPDATE drivers SET verification_status = 'expired'/, ([userId]) => {
+    Object.assign(drivers[userId], { verification_status: 'expired', verification_reason: 'Licence expired' });
+    return changed();
+  }]
+]), { drivers });
+
+// Records the status and body a middleware answers with
+const response = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const driver = (verificationStatus, licenseExpiry, name = 'Dan') => ({
+  verification_status: verificationStatus, license_expiry: licenseExpiry, expiry_warning_sent_at: null,
+  name, email: `${name.toLowerCase()}@example.com`, role: 'driver'
+});
+
+describe('Approved driver gate', () => {
+  // Run the middleware for `user` and report whether it let the request through, or what it answered
+  const check = async (drivers, user, params = {}) => {
+    const res = response();
+    let passed = false;
+    await requireApprovedDriver(driverPool(drivers))({ params, user: { id: user } }, res, () => { passed = true; });
+    return { passed, status: res.statusCode, error: res.body && res.body.error };
+  };
+
+  it('lets approved drivers with a valid licence through', async () => {
+    await expect(check({ dan: driver('approved', inDays(90)) }, 'dan')).resolves.toEqual({ passed: true, status: undefined, error: undefined });
+  });
+
+  it('turns away users who never applied to drive', async () => {
+    await expect(check({}, 'amina')).resolves.toEqual({ passed: false, status: 403, error: 'Only approved drivers can offer rides' });
+  });
+
+  it('turns away drivers still pending or rejected', async () => {
+    const drivers = { pending: driver('pending', inDays(90)), rejected: driver('rejected', inDays(90)) };
+
+    await expect(check(drivers, 'pending')).resolves.toMatchObject({ passed: false, status: 403, error: 'Driver verification is pending' });
+    await expect(check(drivers, 'rejected')).resolves.toMatchObject({ passed: false, status: 403, error: 'Driver verification is rejected' });
+  });
+
+  it('turns away approved drivers an admin has demoted to passenger', async () => {
+    await expect(check({ dan: { ...driver('approved', inDays(90)), role: 'passenger' } }, 'dan'))
+      .resolves.toEqual({ passed: false, status: 403, error: 'Only approved drivers can offer rides' });
+  });
+
+  it('turns away approved drivers whose licence has run out before the job catches up', async () => {
+    await expect(check({ dan: driver('approved', inDays(-1)) }, 'dan'))
+      .resolves.toEqual({ passed: false, status: 403, error: 'Driver licence has expired' });
+  });
+
+  it('checks the driver named in the path rather than the caller', async () => {
+    const drivers = { admin: driver('approved', inDays(90)), dan: driver('expired', inDays(-10)) };
+
+    await expect(check(drivers, 'admin', { user: 'dan' })).resolves.toMatchObject({ passed: false, status: 403 });
+  });
+
+  it('answers a 500 when the lookup fails', async () => {
+    const res = response();
+    const pool = { execute: async () => { throw new Error('Connection lost'); } };
+
+    await requireApprovedDriver(pool)({ params: {}, user: { id: 'dan' } }, res, () => {});
+
+    expect(res.statusCode).toBe(500);
+  });
+});
+
+describe('Licence expiry job', () => {
+  const run = async (drivers) => {
+    const pool = driverPool(drivers);
+    const sent = [];
+    const mailer = { send: async (message) => { sent.push(message); } };
+    await licenseExpiry({ pool, mailer, logger: { info: () => {} } })();
+    return { drivers: pool.drivers, sent };
+  };
+
+  it('warns approved drivers once as their licence nears expiry', async () => {
+    const drivers = { dan: driver('approved', inDays(10)), eve: driver('approved', inDays(90), 'Eve') };
+
+    const first = await run(drivers);
+    const second = await run(first.drivers);
+
+    expect(first.sent.map((mail) => [mail.to, mail.subject])).toEqual([['dan@example.com', 'Your driving licence is about to expire']]);
+    expect(first.sent[0].text).toContain(inDays(10));
+    expect(second.sent).toEqual([]);
+  });
+
+  it('suspends approved drivers whose licence has expired and tells them', async () => {
+    const { drivers, sent } = await run({ dan: driver('approved', inDays(-1)) });
+
+    expect(drivers.dan).toMatchObject({ verification_status: 'expired', verification_reason: 'Licence expired' });
+    expect(sent.map((mail) => mail.subject)).toEqual(['Your driving privileges have been suspended']);
+  });
+
+  it('leaves pending, rejected and already expired drivers alone', async () => {
+    const { drivers, sent } = await run({
+      pending: driver('pending', inDays(-1)), rejected: driver('rejected', inDays(5)), expired: driver('expired', inDays(-30))
+    });
+
+    expect(Object.values(drivers).map((d) => d.verification_status)).toEqual(['pending', 'rejected', 'expired']);
+    expect(sent).toEqual([]);
+  });
+
+  it('keeps a suspended driver from offering rides', async () => {
+    const { drivers } = await run({ dan: driver('approved', inDays(-1)) });
+    const res = response();
+
+    await requireApprovedDriver(driverPool(drivers))({ params: {}, user: { id: 'dan' } }, res, () => {});
+
+    expect(res.statusCode).toBe(403);
+  });
+});
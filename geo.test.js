@@ -0,0 +1,48 @@
+const { distanceKm, rankByProximity } = require('./utils/geo');
+const { createGeocoder } = require('./utils/geocoder');
+
+const CBD = { lat: -1.2841, lng: 36.8233 };
+const WESTLANDS = { lat: -1.2676, lng: 36.8108 };
+
+describe('Geo helpers', () => {
+  it('measures great-circle distance in km', () => {
+    expect(distanceKm(CBD, CBD)).toBe(0);
+    expect(distanceKm(CBD, WESTLANDS)).toBeCloseTo(2.3, 1);
+  });
+
+  it('keeps rides within the radius at both ends, nearest first', () => {
+    const ride = (id, from, to) => ({
+      id, origin_lat: String(from.lat), origin_lng: String(from.lng),
+      destination_lat: String(to.lat), destination_lng: String(to.lng)
+    });
+    const rides = [
+      ride('far', { lat: -1.30, lng: 36.83 }, WESTLANDS),
+      ride('exact', CBD, WESTLANDS),
+      ride('out', { lat: -4.04, lng: 39.67 }, WESTLANDS),
+      { id: 'legacy', origin_lat: null, origin_lng: null, destination_lat: null, destination_lng: null }
+    ];
+
+    const ranked = rankByProximity(rides, CBD, WESTLANDS, 5);
+
+    expect(ranked.map((r) => r.id)).toEqual(['exact', 'far', 'legacy']);
+    expect(ranked[0].pickup_distance_km).toBe(0);
+    expect(ranked[2].pickup_distance_km).toBeNull();
+  });
+});
+
+describe('Gazetteer geocoder', () => {
+  const geocoder = createGeocoder('gazetteer');
+
+  it('matches places regardless of word order and punctuation', async () => {
+    expect((await geocoder.geocode('Nairobi CBD')).name).toBe('Nairobi CBD');
+    expect((await geocoder.geocode('CBD, Nairobi')).name).toBe('Nairobi CBD');
+  });
+
+  it('prefers the most specific place mentioned', async () => {
+    expect((await geocoder.geocode('Westlands, Nairobi, Kenya')).name).toBe('Westlands, Nairobi');
+  });
+
+  it('returns null for unknown places', async () => {
+    expect(await geocoder.geocode('Atlantis')).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+const cron = require('node-cron');
+
+/**
+ * Scheduled background jobs. Each job module exports a factory taking the
+ * shared dependencies and returning an async run function. Returns the
+ * node-cron tasks so callers (and tests) can stop them.
+ */
+module.exports = (deps) => {
+  const jobs = [
+    { name: 'abandoned ride cleanup', schedule: '*/10 * * * *', run: require('./rideStatus')(deps) }, // Run every 10 minutes
+    { name: 'expired token purge', schedule: '0 3 * * *', run: require('./purgeExpired')(deps) }, // Daily at 03:00
+    { name: 'licence expiry check', schedule: '0 6 * * *', run: require('./licenseExpiry')(deps) }, // Daily at 06:00
+    { name: 'recurring ride scheduling', schedule: '0 1 * * *', run: require('./rideSeries')(deps) }, // Daily at 01:00
+    { name: 'waitlist offer expiry', schedule: '* * * * *', run: require('./waitlistOffers')(deps) }, // Every minute
+    { name: 'webhook retries', schedule: '* * * * *', run: require('./webhookRetries')(deps) } // Every minute
+  ];
+
+  return jobs.map((job) => cron.schedule(job.schedule, async () => {
+    try {
+      await job.run();
+    } catch (error) {
+      deps.logger.error(`❌ Error in ${job.name}: ${error.message}`);
+    }
+  }));
+};
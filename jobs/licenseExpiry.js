@@ -0,0 +1,53 @@
+const WARNING_DAYS = parseInt(process.env.LICENSE_EXPIRY_WARNING_DAYS) || 30;
+
+/**
+ * Warn approved drivers once when their licence is about to expire, and
+ * suspend driving privileges (status `expired`) once it has. Drivers get
+ * back on the road by resubmitting a licence through /users/become-driver.
+ */
+module.exports = ({ pool, mailer, logger }) => async () => {
+  const [expiring] = await pool.execute(
+    `SELECT d.user_id, d.license_expiry, u.name, u.email
+     FROM drivers d
+     JOIN users u ON u.id = d.user_id
+     WHERE d.verification_status = 'approved'
+     AND d.expiry_warning_sent_at IS NULL
+     AND d.license_expiry BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)`,
+    [WARNING_DAYS]
+  );
+
+  for (const driver of expiring) {
+    await mailer.send({
+      to: driver.email,
+      subject: 'Your driving licence is about to expire',
+      text: `Hi ${driver.name},\n\nThe licence on your Ride Pool driver account expires on ` +
+        `${new Date(driver.license_expiry).toISOString().slice(0, 10)}. Submit your renewed licence ` +
+        `before then to keep offering rides.`
+    });
+    await pool.execute(`UPDATE drivers SET expiry_warning_sent_at = NOW() WHERE user_id = ?`, [driver.user_id]);
+  }
+
+  const [expired] = await pool.execute(
+    `SELECT d.user_id, u.name, u.email
+     FROM drivers d
+     JOIN users u ON u.id = d.user_id
+     WHERE d.verification_status = 'approved'
+     AND d.license_expiry < CURDATE()`
+  );
+
+  for (const driver of expired) {
+    await pool.execute(
+      `UPDATE drivers SET verification_status = 'expired', verification_reason = 'Licence expired', reviewed_at = NOW()
+       WHERE user_id = ?`,
+      [driver.user_id]
+    );
+    await mailer.send({
+      to: driver.email,
+      subject: 'Your driving privileges have been suspended',
+      text: `Hi ${driver.name},\n\nYour driving licence has expired, so you can no longer offer rides. ` +
+        `Submit your renewed licence to be verified again.`
+    });
+  }
+
+  logger.info('Licence expiry check', { warned: expiring.length, suspended: expired.length });
+};
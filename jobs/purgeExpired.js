@@ -0,0 +1,16 @@
+const { purgeExpiredSearches } = require('../utils/savedSearches');
+const { purgeEvents } = require('../utils/realtime');
+const { purgeDeliveries } = require('../utils/webhooks');
+
+// Purge expired refresh tokens, revoked access tokens, reset tokens, verification codes, lapsed saved searches,
+// real-time events too old to resume from and old webhook delivery logs
+module.exports = ({ pool, tokens, logger }) => async () => {
+  await tokens.purgeExpired();
+  await pool.execute(`DELETE FROM password_resets WHERE expires_at < NOW()`);
+  await pool.execute(`DELETE FROM verification_codes WHERE expires_at < NOW()`);
+  await purgeExpiredSearches(pool);
+  await purgeEvents(pool);
+  await purgeDeliveries(pool);
+
+  logger.info('Expired tokens, codes, saved searches, real-time events and webhook logs purged');
+};
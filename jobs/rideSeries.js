@@ -0,0 +1,7 @@
+const { generateOccurrences } = require('../utils/rideSeries');
+
+// Create upcoming occurrences of recurring rides (SERIES_HORIZON_DAYS ahead) and alert matching saved searches
+module.exports = ({ pool, notifier, logger }) => async () => {
+  const created = await generateOccurrences(pool, { notifier, logger });
+  logger.info('Recurring rides scheduled', { created });
+};
@@ -0,0 +1,67 @@
+const withTransaction = require('../utils/transaction');
+const { cancelRides } = require('../utils/bookings');
+const { LIVE, expectedArrival } = require('../utils/rideState');
+const { describeRide } = require('../utils/notifications');
+
+// How long past its expected arrival a ride is left alone before it is closed
+const ABANDON_AFTER_HOURS = parseInt(process.env.RIDE_ABANDON_HOURS) || 6;
+
+/**
+ * Close rides the driver walked away from, long after they should have
+ * arrived. Rides still in progress are completed (the trip happened, the
+ * driver just never pressed finish); rides that never started are canceled
+ * along with their bookings. Drivers move rides along themselves, so this
+ * never touches a ride near its departure. With a notifier and realtime,
+ * drivers of completed rides hear about it and ride subscribers get the new
+ * status; canceled rides are announced through `cancellations`
+ * (utils/cancellations.js) like any other cancellation.
+ */
+const closeAbandonedRides = async (pool, now = new Date(), { notifier = null, realtime = null, cancellations = null } = {}) => {
+  // A day of slack covers every timezone; the exact cut-off is checked per ride
+  const tomorrow = new Date(now.getTime() + 24 * 3600000).toISOString().slice(0, 10);
+  const [rides] = await pool.execute(
+    `SELECT id, user_id, origin, destination, status, DATE_FORMAT(date, '%Y-%m-%d') AS date, time, timezone,
+            origin_lat, origin_lng, destination_lat, destination_lng
+     FROM rides WHERE status IN ${LIVE} AND date <= ?`,
+    [tomorrow]
+  );
+
+  const cutoff = now.getTime() - ABANDON_AFTER_HOURS * 3600000;
+  const abandoned = rides.filter((ride) => expectedArrival(ride).getTime() < cutoff);
+  const unfinished = abandoned.filter((ride) => ride.status === 'in_progress').map((ride) => ride.id);
+  const neverStarted = abandoned.filter((ride) => ride.status !== 'in_progress').map((ride) => ride.id);
+
+  const canceled = await withTransaction(pool, async (db) => {
+    if (unfinished.length > 0) {
+      await db.execute(
+        `UPDATE rides SET status = 'completed', finished_at = NOW()
+         WHERE id IN (${unfinished.map(() => '?').join(', ')}) AND status = 'in_progress'`,
+        unfinished
+      );
+    }
+    return cancelRides(db, neverStarted, { reason: 'Ride never started' });
+  });
+
+  if (cancellations) cancellations.ridesCanceled(canceled, { reason: 'Ride never started', by: 'Automatic cleanup' });
+
+  for (const ride of abandoned.filter((r) => r.status === 'in_progress')) {
+    if (realtime) await realtime.rideChanged(ride.id);
+    if (notifier) {
+      await notifier.notify(ride.user_id, {
+        type: 'ride.completed',
+        title: 'Ride marked completed',
+        body: `Your ride ${describeRide(ride)} was never finished, so it was closed as completed.`,
+        data: { rideId: ride.id }
+      });
+    }
+  }
+
+  return { completed: unfinished.length, canceled: neverStarted.length };
+};
+
+module.exports = ({ pool, notifier, realtime, cancellations, logger }) => async () => {
+  const closed = await closeAbandonedRides(pool, new Date(), { notifier, realtime, cancellations });
+  logger.info('Abandoned rides closed', closed);
+};
+
+module.exports.closeAbandonedRides = closeAbandonedRides;
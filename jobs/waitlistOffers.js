@@ -0,0 +1,8 @@
+const { expireOffers } = require('../utils/waitlist');
+
+// Pass seats from unaccepted waitlist offers to the next passengers in line, and tell them
+module.exports = ({ pool, cancellations, logger }) => async () => {
+  const { expired, promoted } = await expireOffers(pool);
+  if (expired > 0) logger.info('Waitlist offers expired', { expired });
+  cancellations.offersMade(promoted);
+};
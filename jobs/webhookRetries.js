@@ -0,0 +1,5 @@
+// Retry webhook deliveries whose backoff is over
+module.exports = ({ webhooks, logger }) => async () => {
+  const retried = await webhooks.retryDue();
+  if (retried > 0) logger.info('Webhook deliveries retried', { retried });
+};
@@ -0,0 +1,62 @@
+const { moderators, openThread, listMessages, postMessage } = require('./utils/messages');
+const { fakePool, changed } = require('./test/fakePool');
+
+const participants = [
+  { user_id: 'driver', name: 'Dan', role: 'driver', read_at: new Date('2025-03-10T06:10:00Z') },
+  { user_id: 'amina', name: 'Amina', role: 'passenger', read_at: null }
+];
+
+// Answers the thread queries from a ride, its participants and stored messages
+const threadPool = (status = 'scheduled', stored = []) => Object.assign(fakePool([
+  [/FROM rides WHERE id = \?$/, () => [{ id: 'r1', user_id: 'driver', status }]],
+  [/UNION/, () => participants],
+  [/INSERT INTO ride_messages/, ([id, , senderId, body, hiddenReason]) => {
+    stored.push({ id, sender_id: senderId, body, hidden_reason: hiddenReason });
+    return changed();
+  }],
+  [/COUNT\(\*\) AS unread/, () => [{ unread: 1 }]],
+  [/FROM ride_messages m/, () => stored]
+]), { stored });
+
+describe('Ride message threads', () => {
+  // Who may open it at all is the rideParticipant policies' job (policy.test.js)
+  it('tells the driver and booked passengers from admins reading along', async () => {
+    await expect(openThread(threadPool(), 'r1', { id: 'amina', role: 'passenger' })).resolves.toMatchObject({ member: true, locked: false });
+    await expect(openThread(threadPool(), 'r1', { id: 'admin', role: 'admin' })).resolves.toMatchObject({ member: false });
+  });
+
+  it('locks once the ride is completed', async () => {
+    const db = threadPool('completed');
+    const thread = await openThread(db, 'r1', { id: 'amina', role: 'passenger' });
+
+    await expect(postMessage(db, thread, 'amina', 'Thanks for the ride!')).rejects.toMatchObject({ status: 409 });
+    expect(db.stored).toHaveLength(0);
+  });
+
+  it('runs the moderation hooks before storing a message', async () => {
+    const db = threadPool();
+    const thread = await openThread(db, 'r1', { id: 'amina', role: 'passenger' });
+    const hooks = [moderators.blocklist('idiot, scam'), ({ body }) => (/\d{7,}/.test(body) ? { action: 'hide', reason: 'Phone number' } : null)];
+
+    await expect(postMessage(db, thread, 'amina', 'This is a SCAM', hooks)).rejects.toMatchObject({ status: 400 });
+    await expect(postMessage(db, thread, 'amina', 'Call me on 0712345678', hooks)).resolves.toMatchObject({ hidden: true });
+    await expect(postMessage(db, thread, 'amina', 'At the gate', hooks)).resolves.toMatchObject({ hidden: false });
+    expect(db.stored.map((m) => m.hidden_reason)).toEqual(['Phone number', null]);
+  });
+
+  it('shows who has read each message and hides the text of hidden ones', async () => {
+    const db = threadPool('scheduled', [
+      { id: 'm2', sender_id: 'amina', body: 'Running late', hidden_at: null, created_at: new Date('2025-03-10T06:20:00Z') },
+      { id: 'm1', sender_id: 'amina', body: 'Call me on 0712345678', hidden_at: new Date(), hidden_reason: 'Phone number', created_at: new Date('2025-03-10T06:00:00Z') }
+    ]);
+    const user = { id: 'amina', role: 'passenger' };
+    const page = await listMessages(db, await openThread(db, 'r1', user), user, { limit: 2 });
+
+    expect(page.unread).toBe(1);
+    expect(page.next_before).toBe('m1');
+    expect(page.messages.map(({ id, body, read_by }) => ({ id, body, read_by }))).toEqual([
+      { id: 'm2', body: 'Running late', read_by: [] },
+      { id: 'm1', body: null, read_by: ['driver'] }
+    ]);
+  });
+});
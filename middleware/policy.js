@@ -0,0 +1,135 @@
+const { ACTIVE } = require('../utils/bookings');
+
+/**
+ * Shared authorization policies. Every router gets the same instance from
+ * api.js, so "who may do what" lives in one place. Each policy is Express
+ * middleware that runs after authenticateToken; denials answer 403 and are
+ * logged with the caller, the route and the reason.
+ */
+module.exports = (pool, logger) => {
+
+  const deny = (req, res, reason) => {
+    logger.warn('Access denied', {
+      userId: req.user && req.user.id,
+      role: req.user && req.user.role,
+      method: req.method,
+      url: req.originalUrl,
+      reason
+    });
+    return res.status(403).json({ error: 'Access denied' });
+  };
+
+  const isAdmin = (req) => req.user.role === 'admin';
+
+  // Caller must hold one of the given roles
+  const authorize = (roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return deny(req, res, `role ${req.user.role} not in [${roles.join(', ')}]`);
+    }
+    next();
+  };
+
+  // Path parameter must be the caller's own id (admins pass too when allowed)
+  const matchSelf = (param, allowAdmin) => (req, res, next) => {
+    const target = (req.params[param] || '').trim();
+    if (target !== req.user.id && !(allowAdmin && isAdmin(req))) {
+      return deny(req, res, `${param} ${target} is not the caller`);
+    }
+    next();
+  };
+
+  const selfOrAdmin = (param = 'user') => matchSelf(param, true);
+
+  const self = (param = 'user') => matchSelf(param, false);
+
+  /**
+   * Build a policy that loads a resource's owner column and compares it to
+   * the caller. `getId` pulls the resource id out of the request; `table`
+   * may join the table holding the owner, with `idColumn` naming the id.
+   */
+  const ownerOf = ({ table, ownerColumn, label, allowAdmin, idColumn = 'id' }) => (getId) => async (req, res, next) => {
+    const id = getId(req);
+    if (!id) return res.status(400).json({ error: `${label} ID is required` });
+
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${ownerColumn} AS owner_id FROM ${table} WHERE ${idColumn} = ?`,
+        [id]
+      );
+
+      if (rows.length === 0) return res.status(404).json({ error: `${label} not found` });
+
+      if (rows[0].owner_id !== req.user.id && !(allowAdmin && isAdmin(req))) {
+        return deny(req, res, `not the owner of ${table} ${id}`);
+      }
+
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  /**
+   * Build a policy that lets through a ride's driver and the passengers
+   * holding a pending or confirmed booking on it. `getId` pulls the ride id
+   * out of the request.
+   */
+  const participantOf = (allowAdmin) => (getId) => async (req, res, next) => {
+    const rideId = getId(req);
+    if (!rideId) return res.status(400).json({ error: 'Ride ID is required' });
+
+    try {
+      const [rides] = await pool.execute(
+        `SELECT r.user_id AS driver_id,
+                EXISTS (SELECT 1 FROM bookings b WHERE b.ride_id = r.id AND b.user_id = ? AND b.status IN ${ACTIVE}) AS booked
+         FROM rides r WHERE r.id = ?`,
+        [req.user.id, rideId]
+      );
+
+      if (rides.length === 0) return res.status(404).json({ error: 'Ride not found' });
+
+      const participant = rides[0].driver_id === req.user.id || Number(rides[0].booked) === 1;
+      if (!participant && !(allowAdmin && isAdmin(req))) {
+        return deny(req, res, `not a participant of ride ${rideId}`);
+      }
+
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  // Caller must be the ride's driver or one of its booked passengers
+  const rideParticipant = participantOf(false);
+
+  // Same, but admins pass too
+  const rideParticipantOrAdmin = participantOf(true);
+
+  // Caller must be the driver who offered the ride
+  const rideDriver = ownerOf({ table: 'rides', ownerColumn: 'user_id', label: 'Ride', allowAdmin: false });
+
+  // Caller must be the driver who offers the recurring ride
+  const seriesDriver = ownerOf({ table: 'ride_series', ownerColumn: 'user_id', label: 'Series', allowAdmin: false });
+
+  // Caller must be the passenger who made the booking
+  const bookingPassenger = ownerOf({ table: 'bookings', ownerColumn: 'user_id', label: 'Booking', allowAdmin: false });
+
+  // Caller must be the driver of the booked ride
+  const bookingDriver = ownerOf({
+    table: 'bookings b JOIN rides r ON r.id = b.ride_id', ownerColumn: 'r.user_id', idColumn: 'b.id', label: 'Booking', allowAdmin: false
+  });
+
+  // Caller must be the driver a ride request was sent to
+  const requestDriver = ownerOf({ table: 'ride_requests', ownerColumn: 'driver_id', label: 'Ride request', allowAdmin: false });
+
+  // Caller must have saved the search
+  const searchOwner = ownerOf({ table: 'saved_searches', ownerColumn: 'user_id', label: 'Saved search', allowAdmin: false });
+
+  // Caller must own the vehicle, unless the caller is an admin
+  const vehicleOwner = ownerOf({ table: 'vehicles', ownerColumn: 'user_id', label: 'Vehicle', allowAdmin: true });
+
+  return {
+    deny, authorize, selfOrAdmin, self, rideParticipant, rideParticipantOrAdmin, rideDriver, seriesDriver,
+    bookingPassenger, bookingDriver, requestDriver, searchOwner, vehicleOwner
+  };
+};
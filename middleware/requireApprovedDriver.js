@@ -0,0 +1,26 @@
+// Block rides from users who are not approved drivers (including drivers an admin demoted) or whose licence has expired
+module.exports = (pool) => async (req, res, next) => {
+  try {
+    const driverId = req.params.user || req.user.id;
+    const [drivers] = await pool.execute(
+      `SELECT d.verification_status, d.license_expiry < CURDATE() AS expired
+       FROM drivers d JOIN users u ON u.id = d.user_id
+       WHERE d.user_id = ? AND u.role = 'driver'`,
+      [driverId]
+    );
+
+    if (drivers.length === 0) {
+      return res.status(403).json({ error: 'Only approved drivers can offer rides' });
+    }
+    if (drivers[0].expired) {
+      return res.status(403).json({ error: 'Driver licence has expired' });
+    }
+    if (drivers[0].verification_status !== 'approved') {
+      return res.status(403).json({ error: `Driver verification is ${drivers[0].verification_status}` });
+    }
+
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
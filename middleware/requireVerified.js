@@ -0,0 +1,17 @@
+// Block users who have not verified both their email and phone number
+module.exports = (pool) => async (req, res, next) => {
+  try {
+    const [users] = await pool.execute(
+      `SELECT email_verified_at, phone_verified_at FROM users WHERE id = ?`,
+      [req.user.id]
+    );
+
+    if (users.length === 0 || !users[0].email_verified_at || !users[0].phone_verified_at) {
+      return res.status(403).json({ error: 'Verify your email and phone number first' });
+    }
+
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
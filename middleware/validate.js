@@ -0,0 +1,100 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { zonedInstant, zonedDate } = require('../utils/rideState');
+
+/**
+ * Schema-based request validation. Schemas are plain JSON Schema objects
+ * (see schemas/), so the same definitions are published to Swagger as
+ * components. Query and path values arrive as strings and are coerced to
+ * the declared types; declared defaults are filled in.
+ */
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+addFormats(ajv);
+
+// Swagger-only annotation, ignored by validation
+ajv.addKeyword('example');
+
+// 24-hour clock time, "HH:MM" or "HH:MM:SS"
+ajv.addFormat('time-hm', /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/);
+
+// IANA timezone name the runtime knows, e.g. "Africa/Nairobi"
+ajv.addFormat('timezone', {
+  type: 'string',
+  validate: (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+});
+
+// Calendar date (YYYY-MM-DD) that is today or later somewhere: still today at UTC-12, the last zone to leave a day
+const isFutureDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) return false;
+  return value >= zonedDate('Etc/GMT+12');
+};
+ajv.addFormat('future-date', { type: 'string', validate: isFutureDate });
+
+/**
+ * Object keyword for rides: their date and time, read in their timezone
+ * (DEFAULT_TIMEZONE when omitted), must not have passed. Malformed values
+ * are left to the property formats to report.
+ */
+const futureDeparture = (enabled, ride, parentSchema, { instancePath }) => {
+  if (!enabled || !isFutureDate(ride.date) || typeof ride.time !== 'string') return true;
+
+  let departure;
+  try {
+    departure = zonedInstant(ride.date, ride.time, ride.timezone);
+  } catch (err) {
+    return true;
+  }
+  if (isNaN(departure) || departure > new Date()) return true;
+
+  futureDeparture.errors = [{
+    keyword: 'x-future-departure', instancePath: `${instancePath}/time`, message: 'must be later than now in the ride\'s timezone', params: {}
+  }];
+  return false;
+};
+ajv.addKeyword({ keyword: 'x-future-departure', type: 'object', schemaType: 'boolean', errors: true, validate: futureDeparture });
+
+// Turn an Ajv error into { field, message }, e.g. body.seats_available
+const toDetail = (part, error) => {
+  const path = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+
+  return {
+    field: [part, ...path].join('.'),
+    message: error.message
+  };
+};
+
+/**
+ * Build middleware validating any of `body`, `params` and `query` against
+ * the given schemas. Every failure answers 400 with one shape:
+ * { error: 'Validation failed', details: [{ field, message }] }.
+ */
+const validate = (schemas) => {
+  const validators = Object.entries(schemas).map(([part, schema]) => [part, ajv.compile(schema)]);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const [part, check] of validators) {
+      if (req[part] === undefined) req[part] = {};
+      if (!check(req[part])) {
+        details.push(...check.errors.map((error) => toDetail(part, error)));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    next();
+  };
+};
+
+module.exports = validate;
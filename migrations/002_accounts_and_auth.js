@@ -0,0 +1,101 @@
+// Account lifecycle, sessions, verification and driver vetting
+module.exports = {
+  up: [
+    `ALTER TABLE users
+      ADD COLUMN status ENUM('active', 'suspended', 'banned', 'deleted') NOT NULL DEFAULT 'active' AFTER role,
+      ADD COLUMN token_version INT NOT NULL DEFAULT 0 AFTER status,
+      ADD COLUMN email_verified_at DATETIME NULL AFTER token_version,
+      ADD COLUMN phone_verified_at DATETIME NULL AFTER email_verified_at,
+      ADD COLUMN deleted_at DATETIME NULL AFTER phone_verified_at`,
+
+    // Accounts that existed before verification was introduced keep working
+    `UPDATE users SET email_verified_at = created_at, phone_verified_at = created_at`,
+
+    `ALTER TABLE drivers
+      ADD COLUMN verification_status ENUM('pending', 'approved', 'rejected', 'expired') NOT NULL DEFAULT 'pending' AFTER license_expiry,
+      ADD COLUMN verification_reason TEXT NULL AFTER verification_status,
+      ADD COLUMN reviewed_by VARCHAR(36) NULL AFTER verification_reason,
+      ADD COLUMN reviewed_at DATETIME NULL AFTER reviewed_by,
+      ADD COLUMN expiry_warning_sent_at DATETIME NULL AFTER reviewed_at`,
+
+    // Drivers promoted before admin vetting existed stay approved
+    `UPDATE drivers
+     SET verification_status = 'approved', verification_reason = 'Approved before driver verification was introduced'`,
+
+    // Audit trail of every admin action (no foreign keys, so it outlives the users it mentions)
+    `CREATE TABLE IF NOT EXISTS admin_actions (
+      id VARCHAR(36) PRIMARY KEY,
+      admin_id VARCHAR(36) NOT NULL,
+      target_user_id VARCHAR(36) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      reason TEXT NOT NULL,
+      details JSON NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX (target_user_id)
+    )`,
+
+    // Rotating refresh tokens, stored as SHA-256 hashes
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      replaced_by VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Access tokens ended by logout, kept until they would have expired
+    `CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Single-use, expiring password reset tokens, stored as SHA-256 hashes
+    `CREATE TABLE IF NOT EXISTS password_resets (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    // Email and phone verification codes, stored as SHA-256 hashes
+    `CREATE TABLE IF NOT EXISTS verification_codes (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      channel ENUM('email', 'phone') NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS verification_codes',
+    'DROP TABLE IF EXISTS password_resets',
+    'DROP TABLE IF EXISTS revoked_tokens',
+    'DROP TABLE IF EXISTS refresh_tokens',
+    'DROP TABLE IF EXISTS admin_actions',
+    `ALTER TABLE drivers
+      DROP COLUMN expiry_warning_sent_at,
+      DROP COLUMN reviewed_at,
+      DROP COLUMN reviewed_by,
+      DROP COLUMN verification_reason,
+      DROP COLUMN verification_status`,
+    `ALTER TABLE users
+      DROP COLUMN deleted_at,
+      DROP COLUMN phone_verified_at,
+      DROP COLUMN email_verified_at,
+      DROP COLUMN token_version,
+      DROP COLUMN status`
+  ]
+};
@@ -0,0 +1,120 @@
+// Bring the schema in line with the queries the routes already run.
+
+// IDs default to UUID(), which is 36 characters; VARCHAR(10) truncated them
+const WIDEN = {
+  users: ['id VARCHAR(36) NOT NULL DEFAULT (UUID())'],
+  drivers: [
+    'id VARCHAR(36) NOT NULL DEFAULT (UUID())',
+    'user_id VARCHAR(36) NOT NULL',
+    'reviewed_by VARCHAR(36) NULL'
+  ],
+  vehicles: ['id VARCHAR(36) NOT NULL DEFAULT (UUID())', 'user_id VARCHAR(36) NOT NULL'],
+  rides: ['id VARCHAR(36) NOT NULL DEFAULT (UUID())', 'user_id VARCHAR(36) NOT NULL'],
+  bookings: [
+    'id VARCHAR(36) NOT NULL DEFAULT (UUID())',
+    'user_id VARCHAR(36) NOT NULL',
+    'ride_id VARCHAR(36) NOT NULL'
+  ],
+  agreements: [
+    'id VARCHAR(36) NOT NULL DEFAULT (UUID())',
+    'user_id VARCHAR(36) NOT NULL',
+    'ride_id VARCHAR(36) NOT NULL'
+  ],
+  ride_requests: [
+    'id VARCHAR(36) NOT NULL DEFAULT (UUID())',
+    'user_id VARCHAR(36) NOT NULL',
+    'ride_id VARCHAR(36) NOT NULL'
+  ],
+  reviews: [
+    'id VARCHAR(36) NOT NULL DEFAULT (UUID())',
+    'user_id VARCHAR(36) NOT NULL',
+    'ride_id VARCHAR(36) NOT NULL'
+  ]
+};
+
+// Constraint names were generated by MySQL, so look them up
+const dropForeignKey = async (db, table, column) => {
+  const [rows] = await db.query(
+    `SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+       AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  for (const { name } of rows) {
+    await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY \`${name}\``);
+  }
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query('SET FOREIGN_KEY_CHECKS = 0');
+    try {
+      for (const [table, columns] of Object.entries(WIDEN)) {
+        await db.query(`ALTER TABLE ${table} ${columns.map((c) => `MODIFY ${c}`).join(', ')}`);
+      }
+    } finally {
+      await db.query('SET FOREIGN_KEY_CHECKS = 1');
+    }
+
+    // Agreements are between a passenger and the ride's driver
+    await db.query(
+      `ALTER TABLE agreements
+        ADD COLUMN passenger_id VARCHAR(36) NULL AFTER id,
+        ADD COLUMN driver_id VARCHAR(36) NULL AFTER passenger_id`
+    );
+    await db.query(
+      `UPDATE agreements a JOIN rides r ON r.id = a.ride_id
+       SET a.passenger_id = a.user_id, a.driver_id = r.user_id`
+    );
+    await dropForeignKey(db, 'agreements', 'user_id');
+    await db.query(
+      `ALTER TABLE agreements
+        DROP COLUMN user_id,
+        MODIFY passenger_id VARCHAR(36) NOT NULL,
+        MODIFY driver_id VARCHAR(36) NOT NULL,
+        ADD FOREIGN KEY (passenger_id) REFERENCES users(id) ON DELETE CASCADE,
+        ADD FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE CASCADE`
+    );
+
+    // Ride requests also record which of the driver's vehicles was asked for
+    await db.query(
+      `ALTER TABLE ride_requests
+        ADD COLUMN passenger_id VARCHAR(36) NULL AFTER id,
+        ADD COLUMN driver_id VARCHAR(36) NULL AFTER passenger_id,
+        ADD COLUMN vehicle_id VARCHAR(36) NULL AFTER ride_id`
+    );
+    await db.query(
+      `UPDATE ride_requests q JOIN rides r ON r.id = q.ride_id
+       SET q.passenger_id = q.user_id, q.driver_id = r.user_id`
+    );
+    await dropForeignKey(db, 'ride_requests', 'user_id');
+    await db.query(
+      `ALTER TABLE ride_requests
+        DROP COLUMN user_id,
+        MODIFY passenger_id VARCHAR(36) NOT NULL,
+        MODIFY driver_id VARCHAR(36) NOT NULL,
+        ADD FOREIGN KEY (passenger_id) REFERENCES users(id) ON DELETE CASCADE,
+        ADD FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE CASCADE,
+        ADD FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL`
+    );
+  },
+
+  // IDs stay 36 characters wide: narrowing them again would truncate data
+  down: async (db) => {
+    for (const table of ['ride_requests', 'agreements']) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN user_id VARCHAR(36) NULL AFTER id`);
+      await db.query(`UPDATE ${table} SET user_id = passenger_id`);
+      for (const column of ['passenger_id', 'driver_id', 'vehicle_id']) {
+        await dropForeignKey(db, table, column);
+      }
+      await db.query(
+        `ALTER TABLE ${table}
+          ${table === 'ride_requests' ? 'DROP COLUMN vehicle_id,' : ''}
+          DROP COLUMN driver_id,
+          DROP COLUMN passenger_id,
+          MODIFY user_id VARCHAR(36) NOT NULL,
+          ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE`
+      );
+    }
+  }
+};
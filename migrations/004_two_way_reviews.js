@@ -0,0 +1,36 @@
+// Reviews go both ways: passengers rate the driver, drivers rate passengers.
+// user_id stays the reviewer; reviewee_role says which side was rated.
+module.exports = {
+  up: [
+    `ALTER TABLE reviews
+      ADD COLUMN reviewee_id VARCHAR(36) NULL AFTER user_id,
+      ADD COLUMN reviewee_role ENUM('driver', 'passenger') NOT NULL DEFAULT 'driver' AFTER reviewee_id`,
+
+    // Existing reviews were written by passengers about the ride's driver
+    `UPDATE reviews v JOIN rides r ON r.id = v.ride_id SET v.reviewee_id = r.user_id`,
+
+    `ALTER TABLE reviews
+      MODIFY reviewee_id VARCHAR(36) NOT NULL,
+      ADD FOREIGN KEY (reviewee_id) REFERENCES users(id) ON DELETE CASCADE,
+      ADD UNIQUE KEY uniq_review_per_ride (ride_id, user_id, reviewee_id),
+      ADD INDEX idx_reviewee (reviewee_id, reviewee_role)`
+  ],
+
+  down: async (db) => {
+    const [rows] = await db.query(
+      `SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'reviews' AND COLUMN_NAME = 'reviewee_id'
+         AND REFERENCED_TABLE_NAME IS NOT NULL`
+    );
+    for (const { name } of rows) {
+      await db.query(`ALTER TABLE reviews DROP FOREIGN KEY \`${name}\``);
+    }
+    await db.query(
+      `ALTER TABLE reviews
+        DROP INDEX idx_reviewee,
+        DROP INDEX uniq_review_per_ride,
+        DROP COLUMN reviewee_role,
+        DROP COLUMN reviewee_id`
+    );
+  }
+};
@@ -0,0 +1,21 @@
+// Pickup and drop-off coordinates for proximity search. Rides offered before
+// this stay NULL; search still finds them by exact origin and destination.
+module.exports = {
+  up: [
+    `ALTER TABLE rides
+      ADD COLUMN origin_lat DECIMAL(9, 6) NULL AFTER destination,
+      ADD COLUMN origin_lng DECIMAL(9, 6) NULL AFTER origin_lat,
+      ADD COLUMN destination_lat DECIMAL(9, 6) NULL AFTER origin_lng,
+      ADD COLUMN destination_lng DECIMAL(9, 6) NULL AFTER destination_lat,
+      ADD INDEX idx_rides_date_origin (date, origin_lat, origin_lng)`
+  ],
+
+  down: [
+    `ALTER TABLE rides
+      DROP INDEX idx_rides_date_origin,
+      DROP COLUMN destination_lng,
+      DROP COLUMN destination_lat,
+      DROP COLUMN origin_lng,
+      DROP COLUMN origin_lat`
+  ]
+};
@@ -0,0 +1,65 @@
+// Recurring rides: a schedule per series, skipped dates, and passengers
+// booked onto the whole series. Occurrences are ordinary rides with series_id.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ride_series (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      user_id VARCHAR(36) NOT NULL,
+      origin VARCHAR(255) NOT NULL,
+      destination VARCHAR(255) NOT NULL,
+      origin_lat DECIMAL(9, 6) NULL,
+      origin_lng DECIMAL(9, 6) NULL,
+      destination_lat DECIMAL(9, 6) NULL,
+      destination_lng DECIMAL(9, 6) NULL,
+      time TIME NOT NULL,
+      seats_available INT NOT NULL,
+      days_of_week SET('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun') NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NULL,
+      status ENUM('active', 'canceled') NOT NULL DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES drivers(user_id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS ride_series_exceptions (
+      series_id VARCHAR(36) NOT NULL,
+      date DATE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (series_id, date),
+      FOREIGN KEY (series_id) REFERENCES ride_series(id) ON DELETE CASCADE
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS series_bookings (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      series_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      seats INT NOT NULL,
+      status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (series_id) REFERENCES ride_series(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+
+    `ALTER TABLE rides
+      ADD COLUMN series_id VARCHAR(36) NULL AFTER user_id,
+      ADD UNIQUE KEY uniq_series_date (series_id, date),
+      ADD CONSTRAINT fk_rides_series FOREIGN KEY (series_id) REFERENCES ride_series(id) ON DELETE SET NULL`,
+
+    `ALTER TABLE bookings
+      ADD COLUMN series_booking_id VARCHAR(36) NULL AFTER ride_id,
+      ADD CONSTRAINT fk_bookings_series_booking FOREIGN KEY (series_booking_id) REFERENCES series_bookings(id) ON DELETE SET NULL`
+  ],
+
+  down: [
+    `ALTER TABLE bookings
+      DROP FOREIGN KEY fk_bookings_series_booking,
+      DROP COLUMN series_booking_id`,
+    `ALTER TABLE rides
+      DROP FOREIGN KEY fk_rides_series,
+      DROP INDEX uniq_series_date,
+      DROP COLUMN series_id`,
+    'DROP TABLE IF EXISTS series_bookings',
+    'DROP TABLE IF EXISTS ride_series_exceptions',
+    'DROP TABLE IF EXISTS ride_series'
+  ]
+};
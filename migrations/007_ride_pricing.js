@@ -0,0 +1,31 @@
+// Seat prices on rides and series, and the fare each booking was charged.
+// Rides offered before pricing existed are free.
+const PRICING_COLUMNS = `
+      ADD COLUMN pricing_mode ENUM('per_seat', 'split') NOT NULL DEFAULT 'per_seat' AFTER seats_available,
+      ADD COLUMN price_per_seat DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER pricing_mode,
+      ADD COLUMN total_cost DECIMAL(10, 2) NULL AFTER price_per_seat,
+      ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'KES' AFTER total_cost`;
+
+const DROP_PRICING_COLUMNS = `
+      DROP COLUMN currency,
+      DROP COLUMN total_cost,
+      DROP COLUMN price_per_seat,
+      DROP COLUMN pricing_mode`;
+
+module.exports = {
+  up: [
+    `ALTER TABLE rides ${PRICING_COLUMNS}`,
+    `ALTER TABLE ride_series ${PRICING_COLUMNS}`,
+    `ALTER TABLE bookings
+      ADD COLUMN amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER seats,
+      ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'KES' AFTER amount`
+  ],
+
+  down: [
+    `ALTER TABLE bookings
+      DROP COLUMN currency,
+      DROP COLUMN amount`,
+    `ALTER TABLE ride_series ${DROP_PRICING_COLUMNS}`,
+    `ALTER TABLE rides ${DROP_PRICING_COLUMNS}`
+  ]
+};
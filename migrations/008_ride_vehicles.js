@@ -0,0 +1,21 @@
+// Link rides and recurring rides to the vehicle they are driven in.
+// Rides offered before this keep a NULL vehicle.
+module.exports = {
+  up: [
+    `ALTER TABLE rides
+      ADD COLUMN vehicle_id VARCHAR(36) NULL AFTER series_id,
+      ADD CONSTRAINT fk_rides_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL`,
+    `ALTER TABLE ride_series
+      ADD COLUMN vehicle_id VARCHAR(36) NULL AFTER user_id,
+      ADD CONSTRAINT fk_ride_series_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL`
+  ],
+
+  down: [
+    `ALTER TABLE ride_series
+      DROP FOREIGN KEY fk_ride_series_vehicle,
+      DROP COLUMN vehicle_id`,
+    `ALTER TABLE rides
+      DROP FOREIGN KEY fk_rides_vehicle,
+      DROP COLUMN vehicle_id`
+  ]
+};
@@ -0,0 +1,35 @@
+// Drivers can reject bookings, and every status change is kept in
+// booking_events. Existing bookings get a creation event, plus one for their
+// current status when it isn't pending; the real time of that change was
+// never stored, so it is dated at creation.
+const STATUSES = `'pending', 'confirmed', 'rejected', 'cancelled'`;
+
+module.exports = {
+  up: [
+    `ALTER TABLE bookings MODIFY status ENUM(${STATUSES}) DEFAULT 'pending'`,
+
+    `CREATE TABLE IF NOT EXISTS booking_events (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      booking_id VARCHAR(36) NOT NULL,
+      from_status ENUM(${STATUSES}) NULL,
+      to_status ENUM(${STATUSES}) NOT NULL,
+      actor_id VARCHAR(36) NULL,
+      reason VARCHAR(255) NULL,
+      created_at TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6),
+      INDEX idx_booking_events_booking (booking_id, created_at),
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+
+    `INSERT INTO booking_events (id, booking_id, from_status, to_status, actor_id, created_at)
+     SELECT UUID(), id, NULL, 'pending', user_id, created_at FROM bookings`,
+    `INSERT INTO booking_events (id, booking_id, from_status, to_status, created_at)
+     SELECT UUID(), id, 'pending', status, created_at FROM bookings WHERE status <> 'pending'`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS booking_events',
+    `UPDATE bookings SET status = 'cancelled' WHERE status = 'rejected'`,
+    `ALTER TABLE bookings MODIFY status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending'`
+  ]
+};
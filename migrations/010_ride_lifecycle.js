@@ -0,0 +1,35 @@
+// Rides move through scheduled -> boarding -> in_progress -> completed (or
+// canceled) at the driver's command instead of a clock. "Full" is no longer
+// a status; it is seats_available = 0. Each ride keeps the timezone its
+// date and time are in, so departure doesn't depend on the server's clock.
+// Rides that already exist were offered in Nairobi time. The default is fixed
+// here so the schema doesn't depend on where the migration ran; new rides
+// always store their timezone, DEFAULT_TIMEZONE being applied by the routes.
+const LEGACY_TIMEZONE = 'Africa/Nairobi';
+
+module.exports = {
+  up: [
+    `ALTER TABLE rides
+      MODIFY status ENUM('open', 'full', 'scheduled', 'boarding', 'in_progress', 'completed', 'canceled') NOT NULL DEFAULT 'scheduled'`,
+    `UPDATE rides SET status = 'scheduled' WHERE status IN ('open', 'full')`,
+    `ALTER TABLE rides
+      MODIFY status ENUM('scheduled', 'boarding', 'in_progress', 'completed', 'canceled') NOT NULL DEFAULT 'scheduled',
+      ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT '${LEGACY_TIMEZONE}' AFTER time,
+      ADD COLUMN started_at TIMESTAMP NULL AFTER status,
+      ADD COLUMN finished_at TIMESTAMP NULL AFTER started_at`,
+    `ALTER TABLE ride_series
+      ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT '${LEGACY_TIMEZONE}' AFTER time`
+  ],
+
+  down: [
+    'ALTER TABLE ride_series DROP COLUMN timezone',
+    `ALTER TABLE rides
+      DROP COLUMN finished_at,
+      DROP COLUMN started_at,
+      DROP COLUMN timezone,
+      MODIFY status ENUM('open', 'full', 'scheduled', 'boarding', 'in_progress', 'completed', 'canceled') DEFAULT 'open'`,
+    `UPDATE rides SET status = IF(seats_available = 0, 'full', 'open')
+     WHERE status IN ('scheduled', 'boarding', 'in_progress')`,
+    `ALTER TABLE rides MODIFY status ENUM('open', 'full', 'completed', 'canceled') DEFAULT 'open'`
+  ]
+};
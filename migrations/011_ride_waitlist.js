@@ -0,0 +1,30 @@
+// Waitlists for rides without enough free seats. A promoted passenger gets
+// a pending booking with accept_by set until they accept the offer.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ride_waitlist (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      ride_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      seats INT NOT NULL,
+      status ENUM('waiting', 'offered', 'accepted', 'declined', 'expired', 'left', 'cancelled') NOT NULL DEFAULT 'waiting',
+      booking_id VARCHAR(36) NULL,
+      offered_at TIMESTAMP NULL,
+      created_at TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6),
+      INDEX idx_ride_waitlist_queue (ride_id, status, created_at),
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+    )`,
+    `ALTER TABLE bookings
+      ADD COLUMN accept_by TIMESTAMP NULL AFTER status,
+      ADD INDEX idx_bookings_accept_by (accept_by)`
+  ],
+
+  down: [
+    `ALTER TABLE bookings
+      DROP INDEX idx_bookings_accept_by,
+      DROP COLUMN accept_by`,
+    'DROP TABLE IF EXISTS ride_waitlist'
+  ]
+};
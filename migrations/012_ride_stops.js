@@ -0,0 +1,47 @@
+// Rides get an ordered list of stops; the origin is position 0 and the
+// destination the last one. Bookings and waitlist entries cover a range of
+// stops, so seats are counted per segment against rides.seats_total and
+// seats_available becomes the seats free for the whole trip.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ride_stops (
+      ride_id VARCHAR(36) NOT NULL,
+      position INT NOT NULL,
+      place VARCHAR(255) NOT NULL,
+      lat DECIMAL(9, 6) NULL,
+      lng DECIMAL(9, 6) NULL,
+      time TIME NULL,
+      PRIMARY KEY (ride_id, position),
+      INDEX idx_ride_stops_location (lat, lng),
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE
+    )`,
+    `INSERT INTO ride_stops (ride_id, position, place, lat, lng, time)
+     SELECT id, 0, origin, origin_lat, origin_lng, time FROM rides`,
+    `INSERT INTO ride_stops (ride_id, position, place, lat, lng, time)
+     SELECT id, 1, destination, destination_lat, destination_lng, NULL FROM rides`,
+    `ALTER TABLE rides ADD COLUMN seats_total INT NULL AFTER seats_available`,
+    `UPDATE rides r
+     SET r.seats_total = r.seats_available + (
+       SELECT COALESCE(SUM(b.seats), 0) FROM bookings b
+       WHERE b.ride_id = r.id AND b.status IN ('pending', 'confirmed')
+     )`,
+    `ALTER TABLE rides MODIFY seats_total INT NOT NULL`,
+    `ALTER TABLE bookings
+      ADD COLUMN from_stop INT NOT NULL DEFAULT 0 AFTER seats,
+      ADD COLUMN to_stop INT NOT NULL DEFAULT 1 AFTER from_stop`,
+    `ALTER TABLE ride_waitlist
+      ADD COLUMN from_stop INT NOT NULL DEFAULT 0 AFTER seats,
+      ADD COLUMN to_stop INT NOT NULL DEFAULT 1 AFTER from_stop`
+  ],
+
+  down: [
+    `ALTER TABLE ride_waitlist
+      DROP COLUMN to_stop,
+      DROP COLUMN from_stop`,
+    `ALTER TABLE bookings
+      DROP COLUMN to_stop,
+      DROP COLUMN from_stop`,
+    'ALTER TABLE rides DROP COLUMN seats_total',
+    'DROP TABLE IF EXISTS ride_stops'
+  ]
+};
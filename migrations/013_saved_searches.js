@@ -0,0 +1,41 @@
+// Searches passengers save to be alerted when a matching ride is offered.
+// A search lapses once date_to has passed; each ride alerts a search once.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS saved_searches (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      user_id VARCHAR(36) NOT NULL,
+      origin VARCHAR(255) NULL,
+      destination VARCHAR(255) NULL,
+      pickup_lat DECIMAL(9, 6) NOT NULL,
+      pickup_lng DECIMAL(9, 6) NOT NULL,
+      dropoff_lat DECIMAL(9, 6) NOT NULL,
+      dropoff_lng DECIMAL(9, 6) NOT NULL,
+      radius_km DECIMAL(5, 2) NOT NULL,
+      date_from DATE NOT NULL,
+      date_to DATE NOT NULL,
+      time_from TIME NULL,
+      time_to TIME NULL,
+      seats INT NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_saved_searches_dates (date_from, date_to),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS saved_search_alerts (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      search_id VARCHAR(36) NOT NULL,
+      ride_id VARCHAR(36) NOT NULL,
+      pickup_stop INT NOT NULL,
+      dropoff_stop INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_saved_search_alerts (search_id, ride_id),
+      FOREIGN KEY (search_id) REFERENCES saved_searches(id) ON DELETE CASCADE,
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS saved_search_alerts',
+    'DROP TABLE IF EXISTS saved_searches'
+  ]
+};
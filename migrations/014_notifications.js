@@ -0,0 +1,32 @@
+// In-app notifications, plus each user's choice of extra delivery channels.
+// Users without a preferences row get email only.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS notifications (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      user_id VARCHAR(36) NOT NULL,
+      type VARCHAR(64) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      data JSON NULL,
+      read_at TIMESTAMP NULL,
+      created_at TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6),
+      INDEX idx_notifications_inbox (user_id, read_at, created_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id VARCHAR(36) PRIMARY KEY,
+      email BOOLEAN NOT NULL DEFAULT TRUE,
+      sms BOOLEAN NOT NULL DEFAULT FALSE,
+      push BOOLEAN NOT NULL DEFAULT FALSE,
+      push_token VARCHAR(255) NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS notification_preferences',
+    'DROP TABLE IF EXISTS notifications'
+  ]
+};
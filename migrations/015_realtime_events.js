@@ -0,0 +1,20 @@
+// Events pushed to real-time subscribers, kept for a while so reconnecting
+// clients can resume after the last event they saw. Each row goes to one
+// topic: a ride ("ride:<id>") or a user's own feed ("user:<id>").
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS realtime_events (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      topic VARCHAR(64) NOT NULL,
+      type VARCHAR(64) NOT NULL,
+      data JSON NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_realtime_events_topic (topic, id),
+      INDEX idx_realtime_events_created (created_at)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS realtime_events'
+  ]
+};
@@ -0,0 +1,44 @@
+// A message thread per ride between its driver and booked passengers, how
+// far each participant has read, and messages reported to the admins.
+// Hidden messages keep their text for the admins but are shown to nobody else.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS ride_messages (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      ride_id VARCHAR(36) NOT NULL,
+      sender_id VARCHAR(36) NOT NULL,
+      body TEXT NOT NULL,
+      hidden_at TIMESTAMP NULL,
+      hidden_reason VARCHAR(255) NULL,
+      created_at TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6),
+      INDEX idx_ride_messages_thread (ride_id, created_at),
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ride_message_reads (
+      ride_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      read_at TIMESTAMP(6) NOT NULL,
+      PRIMARY KEY (ride_id, user_id),
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`,
+    `CREATE TABLE IF NOT EXISTS ride_message_reports (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      message_id VARCHAR(36) NOT NULL,
+      reporter_id VARCHAR(36) NOT NULL,
+      reason VARCHAR(1000) NOT NULL,
+      resolved_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_ride_message_reports (message_id, reporter_id),
+      FOREIGN KEY (message_id) REFERENCES ride_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS ride_message_reports',
+    'DROP TABLE IF EXISTS ride_message_reads',
+    'DROP TABLE IF EXISTS ride_messages'
+  ]
+};
@@ -0,0 +1,39 @@
+// Outbound webhooks: endpoints integrators registered for some event types,
+// and one delivery row per event and endpoint, retried with backoff until it
+// succeeds or runs out of attempts. Failed deliveries can be replayed.
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      url VARCHAR(2048) NOT NULL,
+      events JSON NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      description VARCHAR(255) NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by VARCHAR(36) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+      endpoint_id VARCHAR(36) NOT NULL,
+      event VARCHAR(64) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      response_status INT NULL,
+      last_error VARCHAR(1000) NULL,
+      delivered_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+      INDEX idx_webhook_deliveries_endpoint (endpoint_id, created_at),
+      FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_deliveries',
+    'DROP TABLE IF EXISTS webhook_endpoints'
+  ]
+};
@@ -0,0 +1,58 @@
+const createMigrator = require('./utils/migrator');
+
+// Minimal stand-in for a mysql2 connection: records statements and keeps schema_migrations in memory
+const fakeDb = () => {
+  const applied = new Map();
+  const log = [];
+
+  return {
+    log,
+    query: async (sql, params = []) => {
+      if (sql.startsWith('SELECT GET_LOCK')) return [[{ acquired: 1 }]];
+      if (sql.startsWith('SELECT version FROM schema_migrations')) {
+        return [[...applied.keys()].sort((a, b) => a - b).map((version) => ({ version }))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) applied.set(params[0], params[1]);
+      else if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+      else if (!/schema_migrations|RELEASE_LOCK/.test(sql)) log.push(sql);
+      return [[]];
+    }
+  };
+};
+
+const migrations = [
+  { version: 2, name: '002_second', up: ['UP 2'], down: ['DOWN 2'] },
+  { version: 1, name: '001_first', up: ['UP 1'], down: ['DOWN 1'] },
+  { version: 3, name: '003_third', up: async (db) => db.query('UP 3'), down: async (db) => db.query('DOWN 3') }
+].sort((a, b) => a.version - b.version);
+
+describe('Migrator', () => {
+  it('applies pending migrations in version order, once', async () => {
+    const db = fakeDb();
+    const migrator = createMigrator(db, { migrations });
+
+    expect(await migrator.migrate()).toEqual(['001_first', '002_second', '003_third']);
+    expect(await migrator.migrate()).toEqual([]);
+    expect(db.log).toEqual(['UP 1', 'UP 2', 'UP 3']);
+  });
+
+  it('rolls back the most recent migrations', async () => {
+    const db = fakeDb();
+    const migrator = createMigrator(db, { migrations });
+    await migrator.migrate();
+
+    expect(await migrator.rollback(2)).toEqual(['003_third', '002_second']);
+    expect(db.log.slice(3)).toEqual(['DOWN 3', 'DOWN 2']);
+    expect((await migrator.status()).map((m) => m.applied)).toEqual([true, false, false]);
+  });
+
+  it('ships migration files with up and down steps', () => {
+    const files = createMigrator.loadMigrations();
+
+    expect(files.length).toBeGreaterThan(0);
+    files.forEach((m) => {
+      expect(m.up).toBeDefined();
+      expect(m.down).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { adapters, createNotifier, updatePreferences } = require('./utils/notifications');
+const { createCancellations } = require('./utils/cancellations');
+const { fakePool, changed } = require('./test/fakePool');
+
+// Users as the notifier's preference join returns them
+const users = {
+  amina: { id: 'amina', name: 'Amina', email: 'amina@example.com', phone: '+254700000001', email_on: 1, sms_on: 1, push_on: 0, push_token: null },
+  brian: { id: 'brian', name: 'Brian', email: 'brian@example.com', phone: null, email_on: 0, sms_on: 0, push_on: 1, push_token: 'device-1' }
+};
+
+// Pool storing inbox entries and answering the preference join from `users`
+const inboxPool = () => {
+  const stored = [];
+  return Object.assign(fakePool([
+    [/INSERT INTO notifications/, (params) => {
+      for (let i = 0; i < params.length; i += 6) stored.push({ id: params[i], user_id: params[i + 1], type: params[i + 2] });
+      return changed(params.length / 6);
+    }],
+    [/FROM users u LEFT JOIN notification_preferences/, (ids) => ids.map((id) => users[id]).filter(Boolean)]
+  ]), { stored });
+};
+
+describe('Notifier', () => {
+  it('keeps one inbox entry per recipient and delivers on the channels each has on', async () => {
+    const pool = inboxPool();
+    const channels = { email: adapters.memory(), sms: adapters.memory(), push: adapters.memory() };
+    const notifier = createNotifier(pool, channels);
+
+    const notifications = await notifier.notify(['amina', 'brian', 'amina', null], {
+      type: 'ride.canceled', title: 'Ride canceled', body: 'The driver canceled the ride.', data: { rideId: 'r1' }
+    });
+
+    expect(notifications.map((n) => n.user_id)).toEqual(['amina', 'brian']);
+    expect(pool.stored.map((n) => n.user_id)).toEqual(['amina', 'brian']);
+    expect(channels.email.sent.map((d) => d.user.id)).toEqual(['amina']);
+    expect(channels.sms.sent.map((d) => d.user.id)).toEqual(['amina']);
+    expect(channels.push.sent.map((d) => d.user.id)).toEqual(['brian']);
+    expect(channels.push.sent[0].notification).toMatchObject({ type: 'ride.canceled', data: { rideId: 'r1' } });
+  });
+
+  it('logs a failed channel and still delivers on the others', async () => {
+    const errors = [];
+    const logger = { error: (message) => errors.push(message) };
+    const sms = adapters.memory();
+    const notifier = createNotifier(inboxPool(), { email: { send: async () => { throw new Error('SMTP down'); } }, sms }, logger);
+
+    await expect(notifier.notify('amina', { type: 'booking.created', title: 'New booking', body: '' })).resolves.toHaveLength(1);
+
+    expect(sms.sent).toHaveLength(1);
+    expect(errors).toEqual(['❌ email notification to amina failed: SMTP down']);
+  });
+});
+
+describe('Cancellation notices', () => {
+  const ride = { id: 'r1', user_id: 'driver', origin: 'Thika', destination: 'Nairobi', date: '2025-03-10', passengers: ['amina', 'brian'] };
+
+  const recorder = () => {
+    const sent = [];
+    const changed = [];
+    const emitted = [];
+    return {
+      sent,
+      changed,
+      emitted,
+      notifier: { notifyLater: (userIds, message) => sent.push({ to: [].concat(userIds), ...message }) },
+      realtime: { rideChangedLater: (rideId) => changed.push(rideId) },
+      webhooks: { emitLater: (event, data) => emitted.push({ event, data }) }
+    };
+  };
+
+  it('tells the passengers, and the driver when someone else canceled', () => {
+    const { sent, changed, emitted, notifier, realtime, webhooks } = recorder();
+    createCancellations(notifier, realtime, webhooks).ridesCanceled([ride], { actorId: 'admin', reason: 'Licence revoked', by: 'An administrator' });
+
+    expect(changed).toEqual(['r1']);
+    expect(emitted).toEqual([{
+      event: 'ride.canceled',
+      data: { rideId: 'r1', driverId: 'driver', reason: 'Licence revoked', passengerIds: ['amina', 'brian'] }
+    }]);
+    expect(sent.map(({ to, body }) => ({ to, body }))).toEqual([
+      { to: ['amina', 'brian'], body: 'An administrator canceled the ride Thika to Nairobi on 2025-03-10 (Licence revoked). Your booking was cancelled.' },
+      { to: ['driver'], body: 'An administrator canceled your ride Thika to Nairobi on 2025-03-10 (Licence revoked).' }
+    ]);
+  });
+
+  it('leaves the driver out when they canceled themselves', () => {
+    const { sent, notifier, realtime, webhooks } = recorder();
+    createCancellations(notifier, realtime, webhooks).ridesCanceled([ride], { actorId: 'driver' });
+
+    expect(sent.map((notice) => notice.to)).toEqual([['amina', 'brian']]);
+  });
+
+  it('tells the driver and webhook endpoints about cancelled bookings', () => {
+    const { sent, emitted, notifier, realtime, webhooks } = recorder();
+    const booking = { id: 'b1', ride_id: 'r1', user_id: 'amina', driver_id: 'driver', seats: 2, origin: 'Thika', destination: 'Nairobi', date: '2025-03-10' };
+    createCancellations(notifier, realtime, webhooks).bookingsCanceled([booking], { reason: 'Account deleted' });
+
+    expect(emitted).toEqual([{
+      event: 'booking.cancelled',
+      data: { bookingId: 'b1', rideId: 'r1', passengerId: 'amina', driverId: 'driver', seats: 2, reason: 'Account deleted' }
+    }]);
+    expect(sent[0]).toMatchObject({ to: ['driver'], type: 'booking.cancelled', data: { rideId: 'r1', bookingId: 'b1' } });
+  });
+
+  it('tells waitlisted passengers the freed seats are held for them, and until when', () => {
+    const { sent, notifier, realtime, webhooks } = recorder();
+    const acceptBy = new Date('2025-03-10T06:30:00Z');
+    const booking = {
+      id: 'b1', ride_id: 'r1', user_id: 'amina', driver_id: 'driver', seats: 2, origin: 'Thika', destination: 'Nairobi', date: '2025-03-10',
+      promoted: [{ id: 'w1', ride_id: 'r1', user_id: 'brian', seats: 1, booking_id: 'b2', accept_by: acceptBy }]
+    };
+    createCancellations(notifier, realtime, webhooks).bookingsCanceled([booking]);
+
+    expect(sent[1]).toMatchObject({
+      to: ['brian'],
+      type: 'waitlist.offered',
+      data: { rideId: 'r1', bookingId: 'b2', acceptBy: '2025-03-10T06:30:00.000Z' }
+    });
+    expect(sent[1].body).toContain('until 2025-03-10T06:30:00.000Z');
+  });
+});
+
+describe('Notification preferences', () => {
+  it('refuses push without a device token', async () => {
+    const db = fakePool([
+      [/FROM notification_preferences/, () => []],
+      [/INSERT INTO notification_preferences/, () => changed()]
+    ]);
+
+    await expect(updatePreferences(db, 'amina', { push: true })).rejects.toMatchObject({ status: 400 });
+    await expect(updatePreferences(db, 'amina', { push: true, push_token: 'device-2' }))
+      .resolves.toEqual({ email: true, sms: false, push: true, push_token: 'device-2' });
+  });
+});
@@ -0,0 +1,149 @@
+const createPolicy = require('./middleware/policy');
+const { fakePool } = require('./test/fakePool');
+
+// Dan drives r1; Amina holds a confirmed booking on it and Brian's was cancelled
+const rides = { r1: { driver_id: 'dan', booked: ['amina'] } };
+
+// Owner of each resource, keyed by the FROM clause of the policy's lookup
+const owners = {
+  vehicles: { v1: 'dan' },
+  rides: { r1: 'dan' },
+  'bookings b JOIN rides r ON r.id = b.ride_id': { b1: 'dan' },
+  ride_requests: { q1: 'dan' }
+};
+
+/**
+ * Answers the policy lookups from `rides` and `owners` and records every
+ * logged denial.
+ */
+const policyFor = () => {
+  const denials = [];
+  const pool = fakePool([
+    [/EXISTS \(SELECT 1 FROM bookings b/, ([userId, rideId]) => {
+      const ride = rides[rideId];
+      return ride ? [{ driver_id: ride.driver_id, booked: ride.booked.includes(userId) ? 1 : 0 }] : [];
+    }],
+    [/AS owner_id FROM (.+) WHERE \S+ = \?/, ([id], sql) => {
+      if (id === 'broken') throw new Error('Connection lost');
+      const owner = owners[sql.match(/FROM (.+) WHERE/)[1]][id];
+      return owner ? [{ owner_id: owner }] : [];
+    }]
+  ]);
+  const logger = { warn: (message, meta) => denials.push({ message, ...meta }) };
+  return { policy: createPolicy(pool, logger), denials };
+};
+
+// Run a policy for `user` ({ id, role }) and report whether it let the request through, or what it answered
+const check = async (middleware, user, params = {}, originalUrl = '/api/rides/r1/messages') => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await middleware({ method: 'POST', originalUrl, params, user }, res, () => { passed = true; });
+  return { passed, status: res.statusCode, error: res.body && res.body.error };
+};
+
+const allowed = { passed: true, status: undefined, error: undefined };
+const denied = { passed: false, status: 403, error: 'Access denied' };
+
+const dan = { id: 'dan', role: 'driver' };
+const amina = { id: 'amina', role: 'passenger' };
+const admin = { id: 'root', role: 'admin' };
+
+describe('Role and self policies', () => {
+  it('lets through only the roles listed, and logs the others', async () => {
+    const { policy, denials } = policyFor();
+
+    await expect(check(policy.authorize(['driver', 'admin']), dan)).resolves.toEqual(allowed);
+    await expect(check(policy.authorize(['driver', 'admin']), amina)).resolves.toEqual(denied);
+    expect(denials).toMatchObject([{ userId: 'amina', role: 'passenger', reason: 'role passenger not in [driver, admin]' }]);
+  });
+
+  it('lets a user act on their own id, and admins on anyone with selfOrAdmin only', async () => {
+    const { policy, denials } = policyFor();
+
+    await expect(check(policy.self(), amina, { user: 'amina' })).resolves.toEqual(allowed);
+    await expect(check(policy.self(), amina, { user: 'dan' })).resolves.toEqual(denied);
+    await expect(check(policy.selfOrAdmin(), admin, { user: 'dan' })).resolves.toEqual(allowed);
+    await expect(check(policy.self(), admin, { user: 'dan' })).resolves.toEqual(denied);
+    await expect(check(policy.selfOrAdmin('owner'), amina, { owner: ' amina ' })).resolves.toEqual(allowed);
+
+    expect(denials.map((denial) => denial.reason)).toEqual(['user dan is not the caller', 'user dan is not the caller']);
+  });
+});
+
+describe('Owner policies', () => {
+  it('lets the owner through, and admins only where the policy allows them', async () => {
+    const { policy } = policyFor();
+
+    await expect(check(policy.vehicleOwner(() => 'v1'), dan)).resolves.toEqual(allowed);
+    await expect(check(policy.vehicleOwner(() => 'v1'), admin)).resolves.toEqual(allowed);
+    await expect(check(policy.rideDriver(() => 'r1'), admin)).resolves.toEqual(denied);
+  });
+
+  it('checks bookings against the driver of the booked ride and ride requests against their driver', async () => {
+    const { policy } = policyFor();
+
+    await expect(check(policy.bookingDriver(() => 'b1'), dan)).resolves.toEqual(allowed);
+    await expect(check(policy.bookingDriver(() => 'b1'), amina)).resolves.toEqual(denied);
+    await expect(check(policy.requestDriver(() => 'q1'), dan)).resolves.toEqual(allowed);
+    await expect(check(policy.requestDriver(() => 'q1'), amina)).resolves.toEqual(denied);
+  });
+
+  it('logs who was denied, where and why', async () => {
+    const { policy, denials } = policyFor();
+
+    await check(policy.vehicleOwner((req) => req.params.vehicle_id), amina, { vehicle_id: 'v1' }, '/api/vehicles/update-vehicle/v1');
+
+    expect(denials).toEqual([{
+      message: 'Access denied', userId: 'amina', role: 'passenger', method: 'POST', url: '/api/vehicles/update-vehicle/v1',
+      reason: 'not the owner of vehicles v1'
+    }]);
+  });
+
+  it('answers 400 without an id, 404 for unknown resources and 500 when the lookup fails, none of them logged', async () => {
+    const { policy, denials } = policyFor();
+
+    await expect(check(policy.vehicleOwner(() => undefined), dan)).resolves.toEqual({ passed: false, status: 400, error: 'Vehicle ID is required' });
+    await expect(check(policy.vehicleOwner(() => 'v9'), dan)).resolves.toEqual({ passed: false, status: 404, error: 'Vehicle not found' });
+    await expect(check(policy.vehicleOwner(() => 'broken'), dan)).resolves.toEqual({ passed: false, status: 500, error: 'Connection lost' });
+    expect(denials).toEqual([]);
+  });
+});
+
+describe('Ride participant policy', () => {
+  const rideId = (req) => req.params.rideId;
+
+  it("lets the ride's driver and booked passengers through", async () => {
+    const { policy } = policyFor();
+
+    await expect(check(policy.rideParticipant(rideId), dan, { rideId: 'r1' })).resolves.toEqual(allowed);
+    await expect(check(policy.rideParticipant(rideId), amina, { rideId: 'r1' })).resolves.toEqual(allowed);
+  });
+
+  it('turns away everyone else, and logs who was denied where', async () => {
+    const { policy, denials } = policyFor();
+
+    await expect(check(policy.rideParticipant(rideId), { id: 'brian', role: 'passenger' }, { rideId: 'r1' })).resolves.toEqual(denied);
+    expect(denials).toEqual([{
+      message: 'Access denied', userId: 'brian', role: 'passenger', method: 'POST', url: '/api/rides/r1/messages',
+      reason: 'not a participant of ride r1'
+    }]);
+  });
+
+  it('lets admins through only where they may read along', async () => {
+    const { policy } = policyFor();
+
+    await expect(check(policy.rideParticipantOrAdmin(rideId), admin, { rideId: 'r1' })).resolves.toEqual(allowed);
+    await expect(check(policy.rideParticipant(rideId), admin, { rideId: 'r1' })).resolves.toEqual(denied);
+  });
+
+  it('answers a 404 for unknown rides without logging a denial', async () => {
+    const { policy, denials } = policyFor();
+
+    await expect(check(policy.rideParticipant(rideId), dan, { rideId: 'r9' }))
+      .resolves.toEqual({ passed: false, status: 404, error: 'Ride not found' });
+    expect(denials).toEqual([]);
+  });
+});
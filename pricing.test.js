@@ -0,0 +1,67 @@
+const { ridePricing, segmentShare, quoteFare } = require('./utils/pricing');
+
+describe('Seat pricing', () => {
+  it('keeps a per-seat price as given', () => {
+    expect(ridePricing({ price_per_seat: 250, currency: 'KES' }, 3)).toEqual({
+      pricing_mode: 'per_seat', price_per_seat: 250, total_cost: null, currency: 'KES'
+    });
+  });
+
+  it('splits a total cost between the driver and every seat offered, rounding up to the cent', () => {
+    const price = ridePricing({ total_cost: 1000, currency: 'USD' }, 2);
+
+    expect(price.pricing_mode).toBe('split');
+    expect(price.price_per_seat).toBe(333.34);
+    expect(price.total_cost).toBe(1000);
+  });
+
+  it('charges every passenger the same split fare however many seats sell', () => {
+    const ride = { ...ridePricing({ total_cost: 1200, currency: 'KES' }, 3), currency: 'KES' };
+
+    // The driver's share and any unsold seat's stay with the driver
+    expect(quoteFare(ride, 1).amount).toBe(300);
+    expect(quoteFare(ride, 3)).toMatchObject({ price_per_seat: 300, amount: 900, total_cost: 1200 });
+  });
+
+  it('treats a ride without a price as free', () => {
+    expect(ridePricing({}, 3).price_per_seat).toBe(0);
+  });
+
+  it('quotes fares from stored DECIMAL strings without float drift', () => {
+    const ride = { pricing_mode: 'per_seat', price_per_seat: '0.10', currency: 'USD' };
+
+    expect(quoteFare(ride, 3)).toEqual({
+      pricing_mode: 'per_seat', currency: 'USD', price_per_seat: 0.1, seats: 3, amount: 0.3
+    });
+  });
+
+  it("prices a part of the route by its share of the distance, rounding up to the cent", () => {
+    const ride = { pricing_mode: 'per_seat', price_per_seat: '100.00', currency: 'KES' };
+
+    expect(quoteFare(ride, 2, 0.25)).toEqual({
+      pricing_mode: 'per_seat', currency: 'KES', price_per_seat: 25, seats: 2, amount: 50, route_share: 0.25
+    });
+    expect(quoteFare(ride, 1, 1 / 3).price_per_seat).toBe(33.34);
+  });
+});
+
+describe('Route share', () => {
+  // Nairobi, Naivasha, Nakuru
+  const stops = [{ lat: -1.2921, lng: 36.8219 }, { lat: -0.7172, lng: 36.4310 }, { lat: -0.3031, lng: 36.0800 }];
+
+  it('is the whole trip from the origin to the destination', () => {
+    expect(segmentShare(stops, 0, 2)).toBe(1);
+  });
+
+  it('splits the route by the distance of each leg', () => {
+    const first = segmentShare(stops, 0, 1);
+    const second = segmentShare(stops, 1, 2);
+
+    expect(first).toBeGreaterThan(second);
+    expect(first + second).toBeCloseTo(1);
+  });
+
+  it('falls back to the whole trip when a stop has no coordinates', () => {
+    expect(segmentShare([stops[0], { lat: null, lng: null }, stops[2]], 0, 1)).toBe(1);
+  });
+});
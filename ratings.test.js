@@ -0,0 +1,112 @@
+const { ratingsTable, getRating, submitReview } = require('./utils/ratings');
+const { fakePool, changed } = require('./test/fakePool');
+
+/**
+ * Keeps rides, bookings and reviews in memory behind the statements of
+ * utils/ratings.js. Inserting a second review of the same person for the
+ * same ride fails like the uniq_review_per_ride key does.
+ */
+const reviewPool = ({ rides, bookings }) => {
+  const reviews = [];
+  return Object.assign(fakePool([
+    [/SELECT user_id, status FROM rides WHERE id = \?/, ([rideId]) => (rides[rideId] ? [rides[rideId]] : [])],
+    [/SELECT id FROM bookings WHERE ride_id = \? AND user_id = \? AND status = 'confirmed'/, ([rideId, userId]) =>
+      bookings.filter((b) => b.ride_id === rideId && b.user_id === userId && b.status === 'confirmed')],
+    [/INSERT INTO reviews/, ([userId, revieweeId, revieweeRole, rideId, rating, comment]) => {
+      if (reviews.some((v) => v.ride_id === rideId && v.user_id === userId && v.reviewee_id === revieweeId)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      reviews.push({ user_id: userId, reviewee_id: revieweeId, reviewee_role: revieweeRole, ride_id: rideId, rating, comment });
+      return changed();
+    }],
+    [/FROM reviews WHERE reviewee_id = \? AND reviewee_role = \?/, ([userId, role]) => {
+      const received = reviews.filter((v) => v.reviewee_id === userId && v.reviewee_role === role);
+      const average = received.length
+        ? Math.round(received.reduce((sum, v) => sum + v.rating, 0) / received.length * 100) / 100
+        : null;
+      return [{ average_rating: average, rating_count: received.length }];
+    }]
+  ]), { reviews });
+};
+
+// Dan drove r1 (completed) and r2 (still scheduled); Amina and Brian rode r1, Chloe's booking was cancelled
+const pool = () => reviewPool({
+  rides: {
+    r1: { user_id: 'dan', status: 'completed' },
+    r2: { user_id: 'dan', status: 'scheduled' }
+  },
+  bookings: [
+    { ride_id: 'r1', user_id: 'amina', status: 'confirmed' },
+    { ride_id: 'r1', user_id: 'brian', status: 'confirmed' },
+    { ride_id: 'r1', user_id: 'chloe', status: 'cancelled' },
+    { ride_id: 'r2', user_id: 'amina', status: 'confirmed' }
+  ]
+});
+
+describe('Review eligibility', () => {
+  it('lets a passenger rate the driver and the driver rate a passenger of a completed ride', async () => {
+    const reviews = pool();
+
+    await expect(submitReview(reviews, { rideId: 'r1', reviewerId: 'amina', rating: 5 }))
+      .resolves.toEqual({ revieweeId: 'dan', revieweeRole: 'driver' });
+    await expect(submitReview(reviews, { rideId: 'r1', reviewerId: 'dan', passengerId: 'amina', rating: 4, comment: 'On time' }))
+      .resolves.toEqual({ revieweeId: 'amina', revieweeRole: 'passenger' });
+
+    expect(reviews.reviews.map((v) => [v.user_id, v.reviewee_id, v.rating, v.comment])).toEqual([
+      ['amina', 'dan', 5, null],
+      ['dan', 'amina', 4, 'On time']
+    ]);
+  });
+
+  it('only takes reviews once the ride is completed', async () => {
+    await expect(submitReview(pool(), { rideId: 'r2', reviewerId: 'amina', rating: 5 })).rejects.toMatchObject({ status: 409 });
+    await expect(submitReview(pool(), { rideId: 'missing', reviewerId: 'amina', rating: 5 })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('only lets passengers with a confirmed booking rate the driver', async () => {
+    await expect(submitReview(pool(), { rideId: 'r1', reviewerId: 'chloe', rating: 1 })).rejects.toMatchObject({ status: 403 });
+    await expect(submitReview(pool(), { rideId: 'r1', reviewerId: 'stranger', rating: 1 })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it("only lets the ride's driver rate its passengers, and only those who rode", async () => {
+    await expect(submitReview(pool(), { rideId: 'r1', reviewerId: 'brian', passengerId: 'amina', rating: 1 }))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(submitReview(pool(), { rideId: 'r1', reviewerId: 'dan', passengerId: 'chloe', rating: 1 }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  it('takes one review per reviewer and person rated on a ride', async () => {
+    const reviews = pool();
+    await submitReview(reviews, { rideId: 'r1', reviewerId: 'amina', rating: 5 });
+    await submitReview(reviews, { rideId: 'r1', reviewerId: 'dan', passengerId: 'amina', rating: 5 });
+
+    await expect(submitReview(reviews, { rideId: 'r1', reviewerId: 'amina', rating: 1 })).rejects.toMatchObject({ status: 409 });
+    await expect(submitReview(reviews, { rideId: 'r1', reviewerId: 'dan', passengerId: 'amina', rating: 1 }))
+      .rejects.toMatchObject({ status: 409 });
+
+    // Rating another passenger of the same ride is a separate review
+    await expect(submitReview(reviews, { rideId: 'r1', reviewerId: 'dan', passengerId: 'brian', rating: 3 })).resolves.toBeDefined();
+    expect(reviews.reviews).toHaveLength(3);
+  });
+});
+
+describe('Rating aggregation', () => {
+  it('averages the reviews a user received in each role separately', async () => {
+    const reviews = pool();
+    await submitReview(reviews, { rideId: 'r1', reviewerId: 'amina', rating: 5 });
+    await submitReview(reviews, { rideId: 'r1', reviewerId: 'brian', rating: 4 });
+    await submitReview(reviews, { rideId: 'r1', reviewerId: 'dan', passengerId: 'amina', rating: 2 });
+
+    await expect(getRating(reviews, 'dan', 'driver')).resolves.toEqual({ average_rating: 4.5, rating_count: 2 });
+    await expect(getRating(reviews, 'amina', 'passenger')).resolves.toEqual({ average_rating: 2, rating_count: 1 });
+    await expect(getRating(reviews, 'amina', 'driver')).resolves.toEqual({ average_rating: null, rating_count: 0 });
+  });
+
+  it('builds the per-user rating table for listings from one role only', () => {
+    expect(ratingsTable('passenger')).toMatch(/WHERE reviewee_role = 'passenger'\s+GROUP BY reviewee_id/);
+    expect(ratingsTable('driver')).toMatch(/ROUND\(AVG\(rating\), 2\)/);
+
+    // Anything but 'passenger' reads driver ratings, so no input reaches the SQL
+    expect(ratingsTable("passenger' OR '1'='1")).toMatch(/reviewee_role = 'driver'/);
+  });
+});
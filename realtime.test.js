@@ -0,0 +1,168 @@
+const { createRealtime, rideTopic, userTopic } = require('./utils/realtime');
+const { fakePool } = require('./test/fakePool');
+
+// Keeps realtime_events in memory; `beforeReplay`, when set, runs before a
+// replay query to let a test publish while a subscriber is still catching up
+const eventPool = () => {
+  const events = [];
+  const pool = Object.assign(fakePool([
+    [/INSERT INTO realtime_events/, ([topic, type, data]) => {
+      events.push({ id: events.length + 1, topic, type, data });
+      return { insertId: events.length };
+    }],
+    [/FROM rides WHERE id = \?/, () => [{ id: 'r1', status: 'scheduled', seats_available: 2 }]],
+    [/FROM realtime_events/, async (params) => {
+      const topics = params.slice(0, -2);
+      const [after, limit] = params.slice(-2);
+      if (pool.beforeReplay) await pool.beforeReplay();
+      return events.filter((e) => topics.includes(e.topic) && e.id > after).slice(0, limit);
+    }]
+  ]), { events, beforeReplay: null });
+  return pool;
+};
+
+describe('Real-time events', () => {
+  it('delivers live events for the subscribed topics only', async () => {
+    const realtime = createRealtime(eventPool());
+    const received = [];
+    const unsubscribe = await realtime.subscribe([rideTopic('r1')], null, (event) => received.push(event));
+
+    await realtime.rideChanged('r1');
+    await realtime.publish(userTopic('amina'), 'booking.confirmed', { id: 'n1' });
+    unsubscribe();
+    await realtime.rideChanged('r1');
+
+    expect(received).toEqual([
+      { id: 1, topic: 'ride:r1', type: 'ride.updated', data: { id: 'r1', status: 'scheduled', seats_available: 2 } }
+    ]);
+  });
+
+  it('resumes after the last event seen, without gaps or repeats', async () => {
+    const pool = eventPool();
+    const realtime = createRealtime(pool);
+    const topics = [userTopic('amina')];
+    for (const n of [1, 2, 3]) await realtime.publish(topics, 'booking.created', { n });
+
+    // Published while the subscriber is replaying: stored, so also in the replay
+    pool.beforeReplay = () => realtime.publish(topics, 'booking.created', { n: 4 });
+
+    const received = [];
+    await realtime.subscribe(topics, '1', (event) => received.push(event.data.n));
+    pool.beforeReplay = null;
+    await realtime.publish(topics, 'booking.created', { n: 5 });
+
+    expect(received).toEqual([2, 3, 4, 5]);
+  });
+});
+
+describe('Event streams', () => {
+  const http = require('http');
+  const express = require('express');
+
+  // The signed-in user, their token expiry and what checking their token again answers, set by each test
+  const session = { user: 'amina', exp: null, rejection: null };
+  beforeEach(() => Object.assign(session, { user: 'amina', exp: null, rejection: null }));
+
+  // Dan drives r1, Amina has booked it; the topics of each subscription are recorded
+  const pool = fakePool([
+    [/FROM rides r WHERE r.id = \?/, ([userId, rideId]) =>
+      (rideId === 'r1' ? [{ driver_id: 'dan', booked: userId === 'amina' ? 1 : 0 }] : [])]
+  ]);
+  const subscribed = [];
+
+  let server;
+  beforeAll(async () => {
+    const app = express();
+    const authenticateToken = (req, res, next) => {
+      req.user = { id: session.user, role: session.user === 'admin' ? 'admin' : 'passenger', exp: session.exp };
+      next();
+    };
+    const policy = require('./middleware/policy')(pool, { warn: () => {} });
+    const realtime = { subscribe: async (topics) => { subscribed.push(topics); return () => {}; } };
+    const tokens = { getRejectionReason: async () => session.rejection };
+    app.use('/stream', require('./routes/streamRoutes')(pool, authenticateToken, policy, realtime, tokens));
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  /**
+   * Connect to a stream: `opened` resolves on its first chunk, `body` with
+   * everything sent once the server ends it. `received` holds the status and
+   * what was sent so far, and `close` hangs up.
+   */
+  const connect = (path = '/stream') => {
+    let opened;
+    let request;
+    const received = { status: null, sent: '' };
+    const body = new Promise((resolve, reject) => {
+      opened = new Promise((ready) => {
+        request = http.get(`http://localhost:${server.address().port}${path}`, (res) => {
+          received.status = res.statusCode;
+          res.on('data', (chunk) => { received.sent += chunk; ready(); });
+          res.on('end', () => resolve(received.sent));
+        }).on('error', reject);
+      });
+    });
+    // Hanging up rejects `body`, which only matters to tests awaiting it
+    body.catch(() => {});
+    return { opened, body, received, close: () => request.destroy() };
+  };
+
+  it('ends the stream when the access token expires', async () => {
+    Object.assign(session, { exp: Math.floor(Date.now() / 1000) + 1, rejection: null });
+
+    const body = await connect().body;
+
+    expect(body).toMatch(/event: error\ndata: {"error":"Token expired"}/);
+  });
+
+  it('ends the stream at the first heartbeat after the account is suspended', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    Object.assign(session, { exp: Math.floor(Date.now() / 1000) + 900, rejection: null });
+
+    const { opened, body } = connect();
+    await opened;
+    await jest.advanceTimersByTimeAsync(25000);
+    session.rejection = 'Account suspended';
+    await jest.advanceTimersByTimeAsync(25000);
+
+    const sent = await body;
+    jest.useRealTimers();
+
+    expect(sent.match(/: keep-alive/g)).toHaveLength(2);
+    expect(sent).toMatch(/event: error\ndata: {"error":"Account suspended"}/);
+  });
+
+  it('keeps the stream open for tokens that expire later than a timer can wait', async () => {
+    session.exp = Math.floor(Date.now() / 1000) + 30 * 86400;
+
+    const { opened, received, close } = connect();
+    await opened;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    close();
+
+    expect(received.sent).not.toMatch(/event: error/);
+  });
+
+  it("lets only a ride's driver, its passengers and admins follow it", async () => {
+    subscribed.length = 0;
+    for (const user of ['dan', 'amina', 'admin']) {
+      session.user = user;
+      const { opened, close } = connect('/stream/rides/r1');
+      await opened;
+      close();
+    }
+
+    session.user = 'brian';
+    const stranger = connect('/stream/rides/r1');
+    const missing = connect('/stream/rides/r2');
+
+    await expect(stranger.body).resolves.toBe(JSON.stringify({ error: 'Access denied' }));
+    expect(stranger.received.status).toBe(403);
+    await missing.body;
+    expect(missing.received.status).toBe(404);
+    expect(subscribed).toEqual([['ride:r1', 'user:dan'], ['ride:r1', 'user:amina'], ['ride:r1', 'user:admin']]);
+  });
+});
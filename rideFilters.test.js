@@ -0,0 +1,62 @@
+const { filterClauses, paginate } = require('./utils/rideFilters');
+
+describe('Ride listing filters', () => {
+  it('always hides rides that are not bookable or are your own', () => {
+    const { where, params } = filterClauses({}, 'me');
+
+    expect(where).toEqual([
+      `r.status = 'scheduled'`,
+      'r.user_id <> ?',
+      expect.stringMatching(/^TIMESTAMP\(r.date, r.time\) > /)
+    ]);
+    expect(params).toEqual(['me']);
+  });
+
+  it('widens the date by flex_days on both sides, across month ends', () => {
+    const { where, params } = filterClauses({ date: '2025-03-01', flex_days: 2, time_from: '07:00', max_price: 500 }, 'me');
+
+    expect(where.slice(3)).toEqual(['r.date BETWEEN ? AND ?', 'r.time >= ?', 'COALESCE(r.price_per_seat, 0) <= ?']);
+    expect(params).toEqual(['me', '2025-02-27', '2025-03-03', '07:00', 500]);
+  });
+});
+
+describe('Cursor pagination', () => {
+  const rides = [
+    { id: 'a', sort_key: '250.00' },
+    { id: 'b', sort_key: '90.00' },
+    { id: 'c', sort_key: '250.00' },
+    { id: 'd', sort_key: '1000.00' },
+    { id: 'e', sort_key: '0.00' }
+  ];
+
+  const walk = (options) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = paginate(rides, { ...options, cursor, limit: 2 });
+      pages.push(page.rides.map((ride) => ride.id));
+      cursor = page.next_cursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('pages through every ride once, numeric keys compared as numbers and ties broken by id', () => {
+    expect(walk({ sort: 'price', order: 'asc' })).toEqual([['e', 'b'], ['a', 'c'], ['d']]);
+    expect(walk({ sort: 'price', order: 'desc' })).toEqual([['d', 'c'], ['a', 'b'], ['e']]);
+  });
+
+  it('reports the total and drops the sort key', () => {
+    const page = paginate(rides, { sort: 'price', order: 'asc', limit: 10 });
+
+    expect(page.total).toBe(5);
+    expect(page.next_cursor).toBeNull();
+    expect(page.rides[0]).toEqual({ id: 'e' });
+  });
+
+  it('rejects a cursor from another sort order', () => {
+    const { next_cursor: cursor } = paginate(rides, { sort: 'price', order: 'asc', limit: 2 });
+
+    expect(() => paginate(rides, { sort: 'rating', order: 'desc', cursor, limit: 2 })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => paginate(rides, { sort: 'price', order: 'asc', cursor: 'garbage', limit: 2 })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,128 @@
+const { occurrenceDates, generateOccurrences, unsubscribe } = require('./utils/rideSeries');
+const { zonedDate } = require('./utils/rideState');
+const { fakePool, changed } = require('./test/fakePool');
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+// Pool answering the scheduler's queries from `series` and `searches`; records the rides inserted
+const seriesPool = (series, searches = []) => {
+  const created = [];
+  return Object.assign(fakePool([
+    [/FROM ride_series s/, () => series],
+    [/FROM saved_searches/, () => searches],
+    [/SELECT seats_available FROM rides/, () => [{ seats_available: 3 }]],
+    [/^\s*SELECT/, () => []],
+    [/INSERT INTO rides/, (params) => {
+      created.push({ seriesId: params[2], date: params[10] });
+      return changed();
+    }],
+    [/./, () => changed()]
+  ]), { created });
+};
+
+describe('Recurring ride schedule', () => {
+  const weekdays = { days_of_week: 'mon,tue,wed,thu,fri', start_date: '2025-03-03', end_date: null };
+
+  it('lists the scheduled weekdays in the window', () => {
+    // 2025-03-03 is a Monday
+    expect(occurrenceDates(weekdays, '2025-03-01', '2025-03-09')).toEqual([
+      '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07'
+    ]);
+  });
+
+  it('respects the start date, end date and exceptions', () => {
+    const series = { ...weekdays, days_of_week: ['mon', 'wed'], end_date: new Date(2025, 2, 12) };
+
+    expect(occurrenceDates(series, '2025-02-24', '2025-03-31', ['2025-03-05'])).toEqual([
+      '2025-03-03', '2025-03-10', '2025-03-12'
+    ]);
+  });
+
+  describe('scheduling', () => {
+    const today = zonedDate('Africa/Nairobi');
+    const series = (id, driver = {}) => ({
+      id, user_id: `driver-${id}`, days_of_week: 'sun,mon,tue,wed,thu,fri,sat', start_date: '2025-01-01', end_date: null,
+      time: '07:30', timezone: 'Africa/Nairobi', seats_available: 3,
+      origin: 'Thika', origin_lat: -1.0333, origin_lng: 37.0693, destination: 'Nairobi', destination_lat: -1.2864, destination_lng: 36.8172,
+      verification_status: 'approved', account_role: 'driver', account_status: 'active', license_expiry: '2099-12-31', ...driver
+    });
+
+    it('only schedules rides for approved, active drivers with a valid licence', async () => {
+      const pool = seriesPool([
+        series('ok'),
+        series('pending', { verification_status: 'pending' }),
+        series('rejected', { verification_status: 'rejected' }),
+        series('suspended', { account_status: 'suspended' }),
+        series('demoted', { account_role: 'passenger' }),
+        series('expired', { license_expiry: addDays(today, -1) }),
+        series('no-licence', { verification_status: null, license_expiry: null })
+      ]);
+
+      await expect(generateOccurrences(pool, { horizonDays: 2 })).resolves.toBe(3);
+      expect(pool.created).toEqual([0, 1, 2].map((days) => ({ seriesId: 'ok', date: addDays(today, days) })));
+    });
+
+    it('stops at the day the licence expires', async () => {
+      const pool = seriesPool([series('expiring', { license_expiry: addDays(today, 1) })]);
+
+      await expect(generateOccurrences(pool, { horizonDays: 7 })).resolves.toBe(2);
+      expect(pool.created.map((ride) => ride.date)).toEqual([today, addDays(today, 1)]);
+    });
+
+    it('books only subscribers whose account is active', async () => {
+      const pool = seriesPool([series('ok')]);
+
+      await generateOccurrences(pool, { horizonDays: 0 });
+
+      const subscribers = pool.statements.find(({ sql }) => /FROM series_bookings/.test(sql));
+      expect(subscribers.sql).toMatch(/JOIN users u ON u.id = sb.user_id/);
+      expect(subscribers.sql).toMatch(/u.status = 'active'/);
+    });
+
+    it('alerts saved searches of each new occurrence', async () => {
+      const search = { id: 's1', user_id: 'amina', pickup_lat: -1.03, pickup_lng: 37.07, dropoff_lat: -1.29, dropoff_lng: 36.82, radius_km: 5 };
+      const notified = [];
+      const notifier = { notify: async (userId, message) => notified.push({ userId, ...message }) };
+
+      await generateOccurrences(seriesPool([series('ok')], [search]), { horizonDays: 1, notifier });
+
+      expect(notified.map((n) => [n.userId, n.type, n.data.from_stop, n.data.to_stop])).toEqual([
+        ['amina', 'search.match', 0, 1],
+        ['amina', 'search.match', 0, 1]
+      ]);
+    });
+  });
+});
+
+describe('Series unsubscribe', () => {
+  const bookings = [
+    { id: 'b1', ride_id: 'r1', user_id: 'amina', seats: 1, driver_id: 'dan', origin: 'Thika', destination: 'Nairobi', date: '2099-03-10' },
+    { id: 'b2', ride_id: 'r2', user_id: 'amina', seats: 1, driver_id: 'dan', origin: 'Thika', destination: 'Nairobi', date: '2099-03-11' }
+  ];
+
+  const subscriptionPool = (subscriptions) => fakePool([
+    [/SELECT \* FROM ride_series WHERE id = \?/, () => [{ id: 's1', timezone: 'Africa/Nairobi' }]],
+    [/FROM series_bookings WHERE series_id = \? AND user_id = \?/, () => subscriptions],
+    [/WHERE b.series_booking_id = \?/, () => bookings],
+    [/^\s*SELECT/, () => []],
+    [/./, () => changed()]
+  ]);
+
+  it('cancels the upcoming bookings and returns them, with their driver and ride, to announce', async () => {
+    const pool = subscriptionPool([{ id: 'sb1' }]);
+
+    await expect(unsubscribe(pool, 's1', 'amina'))
+      .resolves.toEqual({ cancelled: 2, cancelledBookings: bookings.map((b) => ({ ...b, promoted: [] })) });
+
+    const events = pool.statements.filter(({ sql }) => /INSERT INTO booking_events/.test(sql));
+    expect(events.map(({ params }) => params.slice(0, 3))).toEqual([
+      ['cancelled', 'amina', 'Series booking cancelled'],
+      ['cancelled', 'amina', 'Series booking cancelled']
+    ]);
+    expect(pool.ended).toBe('commit');
+  });
+
+  it('answers 404 to passengers who have not booked the series', async () => {
+    await expect(unsubscribe(subscriptionPool([]), 's1', 'amina')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,125 @@
+const { canTransition, zonedInstant, zonedDate, expectedArrival, changeRideStatus } = require('./utils/rideState');
+const { closeAbandonedRides } = require('./jobs/rideStatus');
+const { fakePool, changed, writes } = require('./test/fakePool');
+
+// Pool answering every SELECT with `rows`
+const ridePool = (rows) => fakePool([
+  [/^\s*SELECT/, () => rows],
+  [/./, () => changed()]
+]);
+
+describe('Ride state machine', () => {
+  it('allows only the lifecycle moves', () => {
+    expect(canTransition('scheduled', 'boarding')).toBe(true);
+    expect(canTransition('scheduled', 'in_progress')).toBe(true);
+    expect(canTransition('boarding', 'canceled')).toBe(true);
+    expect(canTransition('in_progress', 'completed')).toBe(true);
+
+    expect(canTransition('scheduled', 'completed')).toBe(false);
+    expect(canTransition('in_progress', 'canceled')).toBe(false);
+    expect(canTransition('completed', 'in_progress')).toBe(false);
+    expect(canTransition('canceled', 'scheduled')).toBe(false);
+  });
+
+  it('reads departure in the ride timezone, not the server one', () => {
+    expect(zonedInstant('2025-03-10', '07:30', 'Africa/Nairobi').toISOString()).toBe('2025-03-10T04:30:00.000Z');
+    // New York is on EST before 9 March 2025 and EDT after
+    expect(zonedInstant('2025-03-08', '07:30', 'America/New_York').toISOString()).toBe('2025-03-08T12:30:00.000Z');
+    expect(zonedInstant('2025-03-10', '07:30:00', 'America/New_York').toISOString()).toBe('2025-03-10T11:30:00.000Z');
+  });
+
+  it('tells the date in a timezone, not the server one', () => {
+    const instant = new Date('2025-03-09T20:00:00Z');
+    expect(zonedDate('Africa/Nairobi', instant)).toBe('2025-03-09');
+    expect(zonedDate('Pacific/Auckland', instant)).toBe('2025-03-10');
+    expect(zonedDate('America/Los_Angeles', new Date('2025-03-10T03:00:00Z'))).toBe('2025-03-09');
+  });
+
+  it('estimates arrival from the distance, or a fallback without coordinates', () => {
+    const ride = { date: '2025-03-10', time: '07:00', timezone: 'UTC' };
+    // About 40 km apart, so about an hour at 40 km/h
+    const arrival = expectedArrival({ ...ride, origin_lat: -1.2841, origin_lng: 36.8233, destination_lat: -0.9, destination_lng: 36.6 });
+    expect(arrival.getTime() - Date.parse('2025-03-10T07:00:00Z')).toBeGreaterThan(50 * 60000);
+    expect(arrival.getTime() - Date.parse('2025-03-10T07:00:00Z')).toBeLessThan(80 * 60000);
+
+    expect(expectedArrival({ ...ride, origin_lat: null, destination_lat: null }).toISOString()).toBe('2025-03-10T09:00:00.000Z');
+  });
+
+  it('refuses to start a ride more than an hour before departure', async () => {
+    const ride = { id: 'r1', status: 'scheduled', date: '2025-03-10', time: '08:00', timezone: 'Africa/Nairobi' };
+
+    await expect(changeRideStatus(ridePool([ride]), 'r1', 'start', new Date('2025-03-10T03:30:00Z')))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(changeRideStatus(ridePool([ride]), 'r1', 'start', new Date('2025-03-10T04:30:00Z')))
+      .resolves.toEqual({ id: 'r1', status: 'in_progress' });
+  });
+
+  it('rejects invalid moves with a 409', async () => {
+    const ride = { id: 'r1', status: 'scheduled', date: '2025-03-10', time: '08:00', timezone: 'UTC' };
+
+    await expect(changeRideStatus(ridePool([ride]), 'r1', 'finish')).rejects.toMatchObject({ status: 409 });
+    await expect(changeRideStatus(ridePool([{ ...ride, status: 'completed' }]), 'r1', 'start')).rejects.toMatchObject({ status: 409 });
+    await expect(changeRideStatus(ridePool([]), 'r1', 'start')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('Abandoned ride cleanup', () => {
+  const now = new Date('2025-03-10T20:00:00Z');
+  const ride = (id, status, time) => ({ id, status, date: '2025-03-10', time, timezone: 'UTC', origin_lat: null, destination_lat: null });
+
+  it('completes forgotten trips and cancels rides that never started', async () => {
+    // Departed 08:00, expected at 10:00, abandoned after 16:00
+    const pool = ridePool([ride('gone', 'in_progress', '08:00'), ride('no-show', 'scheduled', '08:00'), ride('recent', 'in_progress', '14:00')]);
+
+    await expect(closeAbandonedRides(pool, now)).resolves.toEqual({ completed: 1, canceled: 1 });
+
+    const [completed, canceled] = writes(pool);
+    expect(completed.sql).toMatch(/status = 'completed'/);
+    expect(completed.params).toEqual(['gone']);
+    expect(canceled.sql).toMatch(/status = 'canceled'/);
+    expect(canceled.params).toEqual(['no-show']);
+  });
+
+  it('leaves rides near their departure alone', async () => {
+    const pool = ridePool([ride('late', 'scheduled', '19:00'), ride('boarding', 'boarding', '19:30')]);
+
+    await expect(closeAbandonedRides(pool, now)).resolves.toEqual({ completed: 0, canceled: 0 });
+    expect(writes(pool)).toHaveLength(0);
+  });
+});
+
+describe('Ride departure validation', () => {
+  const validate = require('./middleware/validate');
+  const schemas = require('./schemas');
+
+  const offer = { origin: 'Nairobi', destination: 'Nakuru', seats_available: 3, vehicle_id: 'v1' };
+
+  // 23:00 on 9 March in Los Angeles, already 09:00 on 10 March in Nairobi
+  beforeEach(() => jest.useFakeTimers({ now: new Date('2025-03-10T06:00:00Z') }));
+  afterEach(() => jest.useRealTimers());
+
+  // The validation errors for a ride offered with `ride`, or [] when it passes
+  const check = (ride) => {
+    let body = [];
+    const res = { status: () => res, json: (answer) => { body = answer.details; } };
+    validate({ body: schemas.OfferRide })({ body: { ...offer, ...ride } }, res, () => {});
+    return body;
+  };
+
+  it('refuses a departure earlier today in the ride timezone', () => {
+    expect(check({ date: '2025-03-10', time: '08:30', timezone: 'Africa/Nairobi' }))
+      .toEqual([{ field: 'body.time', message: "must be later than now in the ride's timezone" }]);
+    expect(check({ date: '2025-03-10', time: '09:30', timezone: 'Africa/Nairobi' })).toEqual([]);
+  });
+
+  it('takes a date that is still today in the ride timezone though the server has moved on', () => {
+    expect(check({ date: '2025-03-09', time: '23:30', timezone: 'America/Los_Angeles' })).toEqual([]);
+    expect(check({ date: '2025-03-09', time: '22:30', timezone: 'America/Los_Angeles' }))
+      .toEqual([expect.objectContaining({ field: 'body.time' })]);
+  });
+
+  it('leaves malformed dates and times to their formats', () => {
+    expect(check({ date: '2025-03-08', time: '09:30', timezone: 'Africa/Nairobi' }).map((d) => d.field)).toEqual(['body.date']);
+    expect(check({ date: '2025-03-10', time: '25:00', timezone: 'Africa/Nairobi' }).map((d) => d.field)).toEqual(['body.time']);
+  });
+});
@@ -0,0 +1,620 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const withTransaction = require('../utils/transaction');
+const { cancelRides } = require('../utils/bookings');
+const { UPCOMING } = require('../utils/rideState');
+const HttpError = require('../utils/httpError');
+const messages = require('../utils/messages');
+
+const STATUS_ACTIONS = {
+  suspend: 'suspended',
+  reactivate: 'active',
+  ban: 'banned'
+};
+
+module.exports = (pool, authenticateToken, policy, tokens, logger, mailer, cancellations) => {
+
+  // Every admin endpoint requires an authenticated admin
+  router.use(authenticateToken, policy.authorize(['admin']));
+
+  // Record who did what to whom, and why
+  const recordAction = async (req, targetUserId, action, reason, details = null) => {
+    await pool.execute(
+      `INSERT INTO admin_actions (id, admin_id, target_user_id, action, reason, details) VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), req.user.id, targetUserId, action, reason, details ? JSON.stringify(details) : null]
+    );
+    logger.info('Admin action', { adminId: req.user.id, targetUserId, action, reason, details });
+  };
+
+  // Load the target user, answering 404 when missing
+  const findUser = async (userId, res) => {
+    const [users] = await pool.execute('SELECT id, role, status FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      res.status(404).json({ error: 'User not found' });
+      return null;
+    }
+    return users[0];
+  };
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Admin
+   *   description: Admin user management
+   */
+
+  /**
+   * @swagger
+   * /admin/users:
+   *   get:
+   *     summary: List and search users (with pagination)
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         schema:
+   *           type: string
+   *         description: Matches name, email or phone
+   *       - in: query
+   *         name: role
+   *         schema:
+   *           type: string
+   *           enum: [passenger, driver, admin]
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, suspended, banned, deleted]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: string
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: string
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Users retrieved successfully
+   *       403:
+   *         description: Access denied
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/users', validate({ query: schemas.AdminUserSearchQuery }), async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const conditions = [];
+      const params = [];
+
+      if (req.query.q) {
+        conditions.push('(name LIKE ? OR email LIKE ? OR phone LIKE ?)');
+        const like = `%${req.query.q}%`;
+        params.push(like, like, like);
+      }
+      if (req.query.role) {
+        conditions.push('role = ?');
+        params.push(req.query.role);
+      }
+      if (req.query.status) {
+        conditions.push('status = ?');
+        params.push(req.query.status);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [users] = await pool.query(
+        `SELECT id, name, email, phone, role, status, created_at
+         FROM users ${where}
+         ORDER BY created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [totalCount] = await pool.query(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+
+      res.json({
+        page,
+        totalPages: Math.ceil(totalCount[0].total / limit),
+        totalUsers: totalCount[0].total,
+        users
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/users/{user}/{action}:
+   *   post:
+   *     summary: Suspend, reactivate or ban a user
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: user
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User UUID
+   *       - in: path
+   *         name: action
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [suspend, reactivate, ban]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AdminReason'
+   *     responses:
+   *       200:
+   *         description: Account status updated
+   *       400:
+   *         description: Reason missing or admin acting on their own account
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/users/:user/:action(suspend|reactivate|ban)', validate({ params: schemas.AdminUserAction, body: schemas.AdminReason }), async (req, res) => {
+    const { reason } = req.body;
+    const { user: userId, action } = req.params;
+
+    if (userId === req.user.id) return res.status(400).json({ error: 'You cannot change your own account status' });
+
+    try {
+      const user = await findUser(userId, res);
+      if (!user) return;
+
+      if (user.status === 'deleted') return res.status(400).json({ error: 'Account has been deleted' });
+
+      const status = STATUS_ACTIONS[action];
+      await pool.execute('UPDATE users SET status = ? WHERE id = ?', [status, userId]);
+
+      // Kick suspended or banned users out of every session
+      if (status !== 'active') await tokens.revokeAllSessions(userId);
+
+      await recordAction(req, userId, action, reason, { from: user.status, to: status });
+
+      res.json({ message: `User ${status === 'active' ? 'reactivated' : status}`, status });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/users/{user}/role:
+   *   put:
+   *     summary: Change a user's role
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: user
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User UUID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AdminChangeRole'
+   *     responses:
+   *       200:
+   *         description: Role updated
+   *       400:
+   *         description: Invalid role, missing reason, or user has no driver record
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/users/:user/role', validate({ params: schemas.UserParams, body: schemas.AdminChangeRole }), async (req, res) => {
+    const { role, reason } = req.body;
+    const userId = req.params.user;
+
+    if (userId === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+
+    try {
+      const user = await findUser(userId, res);
+      if (!user) return;
+
+      if (role === 'driver') {
+        const [driver] = await pool.execute('SELECT id FROM drivers WHERE user_id = ?', [userId]);
+        if (driver.length === 0) {
+          return res.status(400).json({ error: 'User has no driver record; they must apply through /users/become-driver' });
+        }
+      }
+
+      await pool.execute('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+
+      // Tokens carry the role, so make the user sign in again
+      await tokens.revokeAllSessions(userId);
+
+      await recordAction(req, userId, 'change_role', reason, { from: user.role, to: role });
+
+      res.json({ message: 'Role updated', role });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/users/{user}/cancel-rides:
+   *   post:
+   *     summary: Force-cancel every open ride offered by a user
+   *     description: The driver and every passenger with a booking are notified, with the reason.
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: user
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User UUID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AdminReason'
+   *     responses:
+   *       200:
+   *         description: Open rides canceled
+   *       400:
+   *         description: Reason missing
+   *       404:
+   *         description: User not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/users/:user/cancel-rides', validate({ params: schemas.UserParams, body: schemas.AdminReason }), async (req, res) => {
+    const { reason } = req.body;
+    const userId = req.params.user;
+
+    try {
+      const user = await findUser(userId, res);
+      if (!user) return;
+
+      const canceled = await withTransaction(pool, async (db) => {
+        const [rides] = await db.execute(
+          `SELECT id FROM rides WHERE user_id = ? AND status IN ${UPCOMING} FOR UPDATE`,
+          [userId]
+        );
+        const canceledRides = await cancelRides(db, rides.map((ride) => ride.id), { actorId: req.user.id, reason });
+
+        // Stop recurring rides too, or the scheduler would create new occurrences
+        await db.execute(
+          `UPDATE ride_series SET status = 'canceled' WHERE user_id = ? AND status = 'active'`,
+          [userId]
+        );
+        return canceledRides;
+      });
+
+      await recordAction(req, userId, 'cancel_rides', reason, { canceled: canceled.length });
+
+      res.json({ message: '🚫 Open rides canceled', canceled: canceled.length });
+      cancellations.ridesCanceled(canceled, { actorId: req.user.id, reason, by: 'An administrator' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/drivers:
+   *   get:
+   *     summary: List driver applications by verification status (with pagination)
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, approved, rejected, expired]
+   *           default: pending
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: string
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: string
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Driver applications retrieved successfully
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/drivers', validate({ query: schemas.AdminDriverQuery }), async (req, res) => {
+    try {
+      const { status, page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const [drivers] = await pool.query(
+        `SELECT u.id, u.name, u.email, u.phone,
+                d.license_number, d.license_expiry, d.verification_status,
+                d.verification_reason, d.reviewed_by, d.reviewed_at, d.created_at
+         FROM drivers d
+         JOIN users u ON u.id = d.user_id
+         WHERE d.verification_status = ?
+         ORDER BY d.created_at ASC
+         LIMIT ? OFFSET ?`,
+        [status, limit, offset]
+      );
+
+      const [totalCount] = await pool.query(
+        'SELECT COUNT(*) AS total FROM drivers WHERE verification_status = ?',
+        [status]
+      );
+
+      res.json({
+        page,
+        totalPages: Math.ceil(totalCount[0].total / limit),
+        totalDrivers: totalCount[0].total,
+        drivers
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/drivers/{user}/{decision}:
+   *   post:
+   *     summary: Approve or reject a pending driver application
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: user
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: User UUID of the applicant
+   *       - in: path
+   *         name: decision
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [approve, reject]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AdminReason'
+   *     responses:
+   *       200:
+   *         description: Application approved or rejected
+   *       400:
+   *         description: Reason missing, application not pending, or licence expired
+   *       404:
+   *         description: Driver application not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/drivers/:user/:decision(approve|reject)', validate({ params: schemas.AdminDriverDecision, body: schemas.AdminReason }), async (req, res) => {
+    const { reason } = req.body;
+    const { user: userId, decision } = req.params;
+
+    try {
+      const [drivers] = await pool.execute(
+        `SELECT d.verification_status, d.license_expiry < CURDATE() AS expired, u.name, u.email, u.role
+         FROM drivers d
+         JOIN users u ON u.id = d.user_id
+         WHERE d.user_id = ?`,
+        [userId]
+      );
+
+      if (drivers.length === 0) return res.status(404).json({ error: 'Driver application not found' });
+
+      const driver = drivers[0];
+      if (driver.verification_status !== 'pending') {
+        return res.status(400).json({ error: `Driver application is ${driver.verification_status}, not pending` });
+      }
+      if (decision === 'approve' && driver.expired) {
+        return res.status(400).json({ error: 'Cannot approve an expired licence' });
+      }
+
+      const status = decision === 'approve' ? 'approved' : 'rejected';
+      await pool.execute(
+        `UPDATE drivers SET verification_status = ?, verification_reason = ?, reviewed_by = ?, reviewed_at = NOW()
+         WHERE user_id = ?`,
+        [status, reason, req.user.id, userId]
+      );
+
+      // Only approved drivers hold the driver role; tokens carry the role, so sign them in again
+      if (driver.role !== 'admin') {
+        const role = status === 'approved' ? 'driver' : 'passenger';
+        if (role !== driver.role) {
+          await pool.execute('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+          await tokens.revokeAllSessions(userId);
+        }
+      }
+
+      await recordAction(req, userId, `driver_${decision}`, reason);
+
+      await mailer.send({
+        to: driver.email,
+        subject: status === 'approved' ? 'You are now a Ride Pool driver' : 'Your driver application was not approved',
+        text: `Hi ${driver.name},\n\nYour driver application has been ${status}.\nReason: ${reason}` +
+          (status === 'approved' ? '\n\nSign in again to start offering rides.' : '')
+      });
+
+      res.json({ message: `Driver application ${status}`, status });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/actions:
+   *   get:
+   *     summary: Audit log of admin actions (with pagination)
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: user
+   *         schema:
+   *           type: string
+   *         description: Only actions taken on this user
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: string
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: string
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Admin actions retrieved successfully
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/actions', validate({ query: schemas.AdminActionQuery }), async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const where = req.query.user ? 'WHERE target_user_id = ?' : '';
+      const params = req.query.user ? [req.query.user] : [];
+
+      const [actions] = await pool.query(
+        `SELECT id, admin_id, target_user_id, action, reason, details, created_at
+         FROM admin_actions ${where}
+         ORDER BY created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [totalCount] = await pool.query(`SELECT COUNT(*) AS total FROM admin_actions ${where}`, params);
+
+      res.json({
+        page,
+        totalPages: Math.ceil(totalCount[0].total / limit),
+        totalActions: totalCount[0].total,
+        actions
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/message-reports:
+   *   get:
+   *     summary: List ride messages reported by participants and not yet handled (with pagination)
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: string
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: string
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Open reports, oldest first, each with the reported message
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/message-reports', validate({ query: schemas.PaginationQuery }), async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const { total, reports } = await messages.listReports(pool, { page, limit });
+
+      res.json({ page, totalPages: Math.ceil(total / limit), totalReports: total, reports });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /admin/messages/{messageId}/hide:
+   *   post:
+   *     summary: Hide a ride message and close its reports
+   *     description: Participants still see that a message was there, without its text.
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: messageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/AdminReason'
+   *     responses:
+   *       200:
+   *         description: Message hidden
+   *       400:
+   *         description: Reason missing
+   *       404:
+   *         description: Message not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/messages/:messageId/hide', validate({ params: schemas.MessageParams, body: schemas.AdminReason }), async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+      const message = await messages.hideMessage(pool, req.params.messageId, reason);
+      await recordAction(req, message.sender_id, 'hide_message', reason, { messageId: message.id, rideId: message.ride_id });
+
+      res.json({ message: '🙈 Message hidden' });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const sendError = require('../utils/sendError');
+const messages = require('../utils/messages');
+const { userTopic } = require('../utils/realtime');
+
+module.exports = (pool, authenticateToken, policy, realtime, moderators, logger) => {
+
+  const participant = policy.rideParticipant((req) => req.params.rideId);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Messages
+   *   description: Message thread between a ride's driver and its booked passengers
+   */
+
+  /**
+   * @swagger
+   * /rides/{rideId}/messages:
+   *   get:
+   *     summary: Read a ride's message thread
+   *     description: >
+   *       Open to the driver and passengers with a pending or confirmed
+   *       booking (and admins). Newest first; pass next_before as before
+   *       for older messages. Each message lists the participants who have
+   *       read it; hidden messages come without their text.
+   *     tags: [Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: before
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 30
+   *     responses:
+   *       200:
+   *         description: "{ locked, unread, participants, messages, next_before }"
+   *       400:
+   *         description: Invalid query, or before is not a message of this ride
+   *       403:
+   *         description: Not the driver or a booked passenger
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:rideId/messages', authenticateToken, validate({ params: schemas.RideIdParams, query: schemas.MessagesQuery }), policy.rideParticipantOrAdmin((req) => req.params.rideId), async (req, res) => {
+    try {
+      const thread = await messages.openThread(pool, req.params.rideId, req.user);
+      res.json(await messages.listMessages(pool, thread, req.user, req.query));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/messages:
+   *   post:
+   *     summary: Post to a ride's message thread
+   *     description: >
+   *       The other participants get a message.created event on their live
+   *       feed (/stream). Messages are checked by the moderation hooks
+   *       first; one may be refused or stored hidden.
+   *     tags: [Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/PostMessage'
+   *     responses:
+   *       201:
+   *         description: Message posted
+   *       400:
+   *         description: Invalid request data, or refused by moderation
+   *       403:
+   *         description: Not the driver or a booked passenger
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: The ride is completed or canceled, so its thread is locked
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/messages', authenticateToken, validate({ params: schemas.RideIdParams, body: schemas.PostMessage }), participant, async (req, res) => {
+    try {
+      const thread = await messages.openThread(pool, req.params.rideId, req.user);
+      const message = await messages.postMessage(pool, thread, req.user.id, req.body.body, moderators);
+      res.status(201).json({ message: message.hidden ? 'Message held back by moderation' : '💬 Message posted', data: message });
+
+      if (message.hidden) return;
+      const others = thread.participants.filter((p) => p.user_id !== req.user.id).map((p) => userTopic(p.user_id));
+      realtime.publish(others, 'message.created', message)
+        .catch((err) => logger.error(`❌ Message event for ride ${thread.ride.id} failed: ${err.message}`));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/messages/read:
+   *   post:
+   *     summary: Mark a ride's thread read up to now
+   *     description: The other participants see you in read_by of every message sent until now.
+   *     tags: [Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Thread marked read
+   *       403:
+   *         description: Not the driver or a booked passenger
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/messages/read', authenticateToken, validate({ params: schemas.RideIdParams }), participant, async (req, res) => {
+    try {
+      const thread = await messages.openThread(pool, req.params.rideId, req.user);
+      await messages.markThreadRead(pool, thread, req.user.id);
+      res.json({ message: 'Messages marked read' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/messages/{messageId}/report:
+   *   post:
+   *     summary: Report a message in a ride's thread to the admins
+   *     tags: [Messages]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: messageId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ReportMessage'
+   *     responses:
+   *       201:
+   *         description: Message reported
+   *       400:
+   *         description: Invalid request data, or your own message
+   *       403:
+   *         description: Not the driver or a booked passenger
+   *       404:
+   *         description: Ride or message not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/messages/:messageId/report', authenticateToken, validate({ params: schemas.RideMessageParams, body: schemas.ReportMessage }), participant, async (req, res) => {
+    try {
+      const thread = await messages.openThread(pool, req.params.rideId, req.user);
+      await messages.reportMessage(pool, thread, req.user.id, req.params.messageId, req.body.reason);
+      res.status(201).json({ message: '🚩 Message reported to the admins' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const HttpError = require('../utils/httpError');
+const sendError = require('../utils/sendError');
+const notifications = require('../utils/notifications');
+
+module.exports = (pool, authenticateToken) => {
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Notifications
+   *   description: In-app notifications and how they are delivered
+   */
+
+  /**
+   * @swagger
+   * /notifications:
+   *   get:
+   *     summary: List your notifications
+   *     description: >
+   *       Bookings, ride cancellations, ride requests, saved search matches
+   *       and rides closed by the cleanup job all land here, whatever
+   *       channels are turned on.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: unread_only
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: "{ unread, total, page, notifications }, newest first; unread counts all your unread notifications"
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/', authenticateToken, validate({ query: schemas.NotificationsQuery }), async (req, res) => {
+    try {
+      const { page, limit, unread_only: unreadOnly } = req.query;
+      res.json(await notifications.listNotifications(pool, req.user.id, { page, limit, unreadOnly }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /notifications/read-all:
+   *   post:
+   *     summary: Mark all your notifications read
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Notifications marked read, with how many changed
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/read-all', authenticateToken, async (req, res) => {
+    try {
+      const marked = await notifications.markRead(pool, req.user.id);
+      res.json({ message: 'All notifications marked read', marked });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /notifications/preferences:
+   *   get:
+   *     summary: Get the channels your notifications are delivered on
+   *     description: Every notification is kept in the inbox; email is on by default, SMS and push are off.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: "{ email, sms, push, push_token }"
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/preferences', authenticateToken, async (req, res) => {
+    try {
+      res.json(await notifications.getPreferences(pool, req.user.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /notifications/preferences:
+   *   put:
+   *     summary: Turn delivery channels on or off
+   *     description: Channels left out keep their current setting. Push needs a push_token.
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/NotificationPreferences'
+   *     responses:
+   *       200:
+   *         description: Preferences updated
+   *       400:
+   *         description: Invalid request data, or push turned on without a push_token
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/preferences', authenticateToken, validate({ body: schemas.NotificationPreferences }), async (req, res) => {
+    try {
+      const preferences = await notifications.updatePreferences(pool, req.user.id, req.body);
+      res.json({ message: 'Notification preferences updated', preferences });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /notifications/{notificationId}/read:
+   *   post:
+   *     summary: Mark one of your notifications read
+   *     tags: [Notifications]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: notificationId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Notification marked read
+   *       404:
+   *         description: Notification not found, or already read
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:notificationId/read', authenticateToken, validate({ params: schemas.NotificationParams }), async (req, res) => {
+    try {
+      const marked = await notifications.markRead(pool, req.user.id, [req.params.notificationId]);
+      if (marked === 0) throw new HttpError(404, 'Notification not found or already read');
+      res.json({ message: 'Notification marked read' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+};
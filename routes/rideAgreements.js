@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
 const { v4: uuidv4 } = require('uuid'); 
 
-module.exports = (pool, authenticateToken) => {
+module.exports = (pool, authenticateToken, requireVerified, policy, notifier, webhooks) => {
     
     /**
      * @swagger
@@ -24,26 +26,25 @@ module.exports = (pool, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             properties:
-     *               agreement_id:
-     *                 type: string
+     *             $ref: '#/components/schemas/AcceptAgreement'
      *     responses:
      *       200:
      *         description: Agreement accepted
      *       400:
      *         description: Invalid request
+     *       403:
+     *         description: The user is not a party to the agreement
      *       500:
      *         description: Internal server error
      */
-    router.post('/agreements/accept/:user', authenticateToken, async (req, res) => {
+    router.post('/agreements/accept/:user', authenticateToken, validate({ params: schemas.UserParams, body: schemas.AcceptAgreement }), policy.selfOrAdmin(), async (req, res) => {
         const { agreement_id } = req.body;
-        const user_id = req.user.id;
+        const user_id = req.params.user;
         
         try {
             const [agreement] = await pool.execute('SELECT * FROM agreements WHERE id = ? AND (passenger_id = ? OR driver_id = ?)', [agreement_id, user_id, user_id]);
             if (agreement.length === 0) {
-                return res.status(403).json({ error: 'Unauthorized to accept this agreement' });
+                return policy.deny(req, res, `user ${user_id} is not a party to agreement ${agreement_id}`);
             }
 
             await pool.execute('UPDATE agreements SET status = "accepted" WHERE id = ?', [agreement_id]);
@@ -74,7 +75,7 @@ module.exports = (pool, authenticateToken) => {
      *       500:
      *         description: Internal server error
      */
-    router.get('/agreement/:user', authenticateToken, async (req, res) => {
+    router.get('/agreement/:user', authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
         try {
             const [agreements] = await pool.execute('SELECT * FROM agreements WHERE passenger_id = ? OR driver_id = ?', [req.params.user, req.params.user]);
             res.json(agreements);
@@ -90,7 +91,7 @@ module.exports = (pool, authenticateToken) => {
      *     summary: Fetch ride requests for a user
      *     tags: [Ride Requests]
      */
-    router.get('/ride-req/:user', authenticateToken, async (req, res) => {
+    router.get('/ride-req/:user', authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
         try {
             const [requests] = await pool.execute('SELECT * FROM ride_requests WHERE driver_id = ?', [req.params.user]);
             res.json(requests);
@@ -101,26 +102,64 @@ module.exports = (pool, authenticateToken) => {
 
     /**
      * @swagger
-     * /ride-req/{user}/{vehicle}:
+     * /ride-req/{vehicle}:
      *   post:
      *     summary: Send a ride request
+     *     description: The request goes to the driver who offered the ride; the vehicle must be one of theirs.
      *     tags: [Ride Requests]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: vehicle
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SendRideRequest'
+     *     responses:
+     *       201:
+     *         description: Ride request sent successfully
+     *       400:
+     *         description: Invalid request data, or the vehicle is not the ride driver's
+     *       404:
+     *         description: Ride not found
+     *       500:
+     *         description: Internal server error
      */
-    router.post('/ride-req/:vehicle', authenticateToken, async (req, res) => {
-        const { ride_id, driver_id } = req.body;
+    router.post('/ride-req/:vehicle', authenticateToken, validate({ params: schemas.VehicleParams, body: schemas.SendRideRequest }), requireVerified, async (req, res) => {
+        const { ride_id } = req.body;
         const passenger_id = req.user.id;
     
-        if (!ride_id || !driver_id) {
-            return res.status(400).json({ error: 'Ride ID and Driver ID are required' });
-        }
-    
         try {
+            // The driver comes from the ride, never from the caller
+            const [rides] = await pool.execute('SELECT user_id FROM rides WHERE id = ?', [ride_id]);
+            if (rides.length === 0) {
+                return res.status(404).json({ error: 'Ride not found' });
+            }
+            const driver_id = rides[0].user_id;
+
+            const [vehicles] = await pool.execute('SELECT id FROM vehicles WHERE id = ? AND user_id = ?', [req.params.vehicle, driver_id]);
+            if (vehicles.length === 0) {
+                return res.status(400).json({ error: "Vehicle is not registered to the ride's driver" });
+            }
+
             await pool.execute(
                 'INSERT INTO ride_requests (ride_id, passenger_id, driver_id, vehicle_id) VALUES (?, ?, ?, ?)',
                 [ride_id, passenger_id, driver_id, req.params.vehicle]
             );
     
             res.status(201).json({ message: 'Ride request sent successfully' });
+            notifier.notifyLater(driver_id, {
+                type: 'request.received',
+                title: 'New ride request',
+                body: 'A passenger asked to join your ride. Accept or reject the request.',
+                data: { rideId: ride_id }
+            });
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
@@ -139,34 +178,35 @@ module.exports = (pool, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             required:
-     *               - request_id
-     *             properties:
-     *               request_id:
-     *                 type: string
-     *                 format: uuid
-     *                 description: UUID of the ride request
+     *             $ref: '#/components/schemas/RideRequestDecision'
      *     responses:
      *       200:
      *         description: Ride request accepted
      *       403:
-     *         description: Unauthorized action
+     *         description: The request was sent to another driver
+     *       404:
+     *         description: Ride request not found
      *       500:
      *         description: Internal server error
      */
-    router.post('/accepted', authenticateToken, async (req, res) => {
+    router.post('/accepted', authenticateToken, validate({ body: schemas.RideRequestDecision }), policy.requestDriver((req) => req.body.request_id), async (req, res) => {
         const { request_id } = req.body;
         const driver_id = req.user.id;
 
         try {
-            const [existingRequest] = await pool.execute('SELECT id FROM ride_requests WHERE id = ? AND driver_id = ?', [request_id, driver_id]);
-            if (existingRequest.length === 0) {
-                return res.status(403).json({ error: 'Unauthorized action' });
-            }
+            const [existingRequest] = await pool.execute('SELECT id, ride_id, passenger_id FROM ride_requests WHERE id = ?', [request_id]);
 
             await pool.execute('UPDATE ride_requests SET status = "accepted" WHERE id = ?', [request_id]);
             res.json({ message: 'Ride request accepted' });
+            webhooks.emitLater('request.accepted', {
+                requestId: request_id, rideId: existingRequest[0].ride_id, passengerId: existingRequest[0].passenger_id, driverId: driver_id
+            });
+            notifier.notifyLater(existingRequest[0].passenger_id, {
+                type: 'request.accepted',
+                title: 'Ride request accepted',
+                body: 'The driver accepted your ride request.',
+                data: { rideId: existingRequest[0].ride_id, requestId: request_id }
+            });
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
@@ -185,34 +225,35 @@ module.exports = (pool, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             required:
-     *               - request_id
-     *             properties:
-     *               request_id:
-     *                 type: string
-     *                 format: uuid
-     *                 description: UUID of the ride request
+     *             $ref: '#/components/schemas/RideRequestDecision'
      *     responses:
      *       200:
      *         description: Ride request rejected
      *       403:
-     *         description: Unauthorized action
+     *         description: The request was sent to another driver
+     *       404:
+     *         description: Ride request not found
      *       500:
      *         description: Internal server error
      */
-    router.post('/rejected', authenticateToken, async (req, res) => {
+    router.post('/rejected', authenticateToken, validate({ body: schemas.RideRequestDecision }), policy.requestDriver((req) => req.body.request_id), async (req, res) => {
         const { request_id } = req.body;
         const driver_id = req.user.id;
 
         try {
-            const [existingRequest] = await pool.execute('SELECT id FROM ride_requests WHERE id = ? AND driver_id = ?', [request_id, driver_id]);
-            if (existingRequest.length === 0) {
-                return res.status(403).json({ error: 'Unauthorized action' });
-            }
+            const [existingRequest] = await pool.execute('SELECT id, ride_id, passenger_id FROM ride_requests WHERE id = ?', [request_id]);
 
             await pool.execute('UPDATE ride_requests SET status = "rejected" WHERE id = ?', [request_id]);
             res.json({ message: 'Ride request rejected' });
+            webhooks.emitLater('request.rejected', {
+                requestId: request_id, rideId: existingRequest[0].ride_id, passengerId: existingRequest[0].passenger_id, driverId: driver_id
+            });
+            notifier.notifyLater(existingRequest[0].passenger_id, {
+                type: 'request.rejected',
+                title: 'Ride request rejected',
+                body: 'The driver rejected your ride request.',
+                data: { rideId: existingRequest[0].ride_id, requestId: request_id }
+            });
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
@@ -1,8 +1,37 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid'); 
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const { ratingsTable } = require('../utils/ratings');
+const { boundingBox, rankByProximity } = require('../utils/geo');
+const { ridePricing } = require('../utils/pricing');
+const { findDriverVehicle, assertSeatsFit } = require('../utils/vehicles');
+const withTransaction = require('../utils/transaction');
+const { bookRide, segmentFare, changeBookingStatus, cancelRides, bookingEvents } = require('../utils/bookings');
+const { DEFAULT_TIMEZONE, assertTransition, changeRideStatus, statusLabel } = require('../utils/rideState');
+const { saveStops, listStops, segmentLoads, segmentLoadsByRide, freeSeats, stopRange } = require('../utils/rideStops');
+const { SORTS, UNLOCATED_DISTANCE, filterClauses, sqlOrder, toPage, paginate } = require('../utils/rideFilters');
+const waitlist = require('../utils/waitlist');
+const { alertSavedSearches } = require('../utils/savedSearches');
+const HttpError = require('../utils/httpError');
 
-module.exports = (pool, authenticateToken) => {
+// Ride columns plus the vehicle, the driver's rating aggregate and any extra
+// columns; expects rides aliased as r, more joins can follow
+const rideListing = (columns = []) => `SELECT r.*, v.make AS vehicle_make, v.model AS vehicle_model, v.plate AS vehicle_plate,
+         dr.average_rating AS driver_average_rating, COALESCE(dr.rating_count, 0) AS driver_rating_count${columns.map((column) => `, ${column}`).join('')}
+  FROM rides r
+  LEFT JOIN vehicles v ON v.id = r.vehicle_id
+  LEFT JOIN ${ratingsTable('driver')} dr ON dr.reviewee_id = r.user_id`;
+
+// What the other party of a booking is told after each transition
+const BOOKING_NOTICES = {
+  confirm: { type: 'booking.confirmed', title: 'Booking confirmed', body: 'The driver confirmed your booking.' },
+  reject: { type: 'booking.rejected', title: 'Booking rejected', body: 'The driver rejected your booking.' },
+  cancel: { type: 'booking.cancelled', title: 'Booking cancelled', body: 'A passenger cancelled their booking; the seats are free again.' }
+};
+
+module.exports = (pool, authenticateToken, requireVerified, policy, requireApprovedDriver, geocoder, notifier, realtime, webhooks, cancellations, logger) => {
   
   /**
    * @swagger
@@ -31,45 +60,61 @@ module.exports = (pool, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - origin
-   *               - destination
-   *               - date
-   *               - time
-   *               - seats_available
-   *             properties:
-   *               origin:
-   *                 type: string
-   *                 example: "New York"
-   *               destination:
-   *                 type: string
-   *                 example: "Boston"
-   *               date:
-   *                 type: string
-   *                 format: date
-   *                 example: "2025-03-10"
-   *               time:
-   *                 type: string
-   *                 example: "14:00"
-   *               seats_available:
-   *                 type: integer
-   *                 example: 3
+   *             $ref: '#/components/schemas/OfferRide'
    *     responses:
    *       200:
    *         description: Ride offered successfully
+   *       400:
+   *         description: Invalid request data, vehicle not yours or too small, or origin, destination or a stop could not be located
+   *       403:
+   *         description: Access denied, email or phone not verified, or driver not approved or licence expired
    *       500:
    *         description: Internal server error
    */
-  router.post('/offerride/:user', authenticateToken, async (req, res) => {
-    const { origin, destination, date, time, seats_available } = req.body;
+  router.post('/offerride/:user', authenticateToken, validate({ params: schemas.UserParams, body: schemas.OfferRide }), policy.selfOrAdmin(), requireVerified, requireApprovedDriver, async (req, res) => {
+    const { origin, destination, date, time, seats_available, vehicle_id, timezone = DEFAULT_TIMEZONE, stops = [] } = req.body;
     try {
-      await pool.execute(
-        'INSERT INTO rides (user_id, origin, destination, date, time, seats_available) VALUES (?, ?, ?, ?, ?, ?)',
-        [req.params.user, origin, destination, date, time, seats_available]
-      );
-      res.json({ message: 'Ride offered successfully' });
+      const vehicle = await findDriverVehicle(pool, req.params.user, vehicle_id);
+      assertSeatsFit(vehicle, seats_available);
+
+      const pickup = await geocoder.locate(req.body.pickup, origin);
+      if (!pickup) return res.status(400).json({ error: 'Could not locate origin; send pickup coordinates' });
+
+      const dropoff = await geocoder.locate(req.body.dropoff, destination);
+      if (!dropoff) return res.status(400).json({ error: 'Could not locate destination; send dropoff coordinates' });
+
+      const route = [{ place: origin, ...pickup, time }];
+      for (const stop of stops) {
+        const located = await geocoder.locate(stop.point, stop.place);
+        if (!located) return res.status(400).json({ error: `Could not locate stop "${stop.place}"; send its point coordinates` });
+        route.push({ place: stop.place, ...located, time: stop.time });
+      }
+      route.push({ place: destination, ...dropoff, time: req.body.arrival_time });
+
+      const price = ridePricing(req.body, seats_available);
+      const rideId = uuidv4();
+      await withTransaction(pool, async (db) => {
+        await db.execute(
+          `INSERT INTO rides (id, user_id, vehicle_id, origin, destination, origin_lat, origin_lng, destination_lat, destination_lng, date, time,
+                              timezone, seats_available, seats_total, pricing_mode, price_per_seat, total_cost, currency)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [rideId, req.params.user, vehicle_id, origin, destination, pickup.lat, pickup.lng, dropoff.lat, dropoff.lng, date, time,
+            timezone, seats_available, seats_available, price.pricing_mode, price.price_per_seat, price.total_cost, price.currency]
+        );
+        await saveStops(db, rideId, route);
+      });
+      res.json({ message: 'Ride offered successfully', rideId, ...price });
+
+      webhooks.emitLater('ride.offered', {
+        rideId, driverId: req.params.user, origin, destination, date, time, timezone, seats_available,
+        stops: route.map(({ place, time: at }) => ({ place, time: at || null }))
+      });
+
+      // The ride is offered either way; a failed alert is only logged
+      alertSavedSearches(pool, notifier, { id: rideId, user_id: req.params.user, date, time, seats_available, stops: route })
+        .catch((err) => logger.error(`❌ Saved search alerts for ride ${rideId} failed: ${err.message}`));
     } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
       res.status(500).json({ error: err.message });
     }
   });
@@ -78,7 +123,15 @@ module.exports = (pool, authenticateToken) => {
    * @swagger
    * /rides/search:
    *   post:
-   *     summary: Search for available rides
+   *     summary: Search for rides near a pickup and drop-off point
+   *     description: >
+   *       Each end is given as coordinates (pickup/dropoff) or as free text
+   *       (origin/destination) resolved by the geocoder. Returns rides with a
+   *       stop within radius_km of the pickup followed by one within radius_km
+   *       of the drop-off. Each ride appears once, with its best pair of stops
+   *       (pickup_stop/dropoff_stop, to book with) and the seats free between
+   *       them. Takes the same filters, sorting and cursor paging as
+   *       /rides/available, plus sorting by combined distance (the default).
    *     tags: [Rides]
    *     security:
    *       - bearerAuth: []
@@ -87,37 +140,78 @@ module.exports = (pool, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - origin
-   *               - destination
-   *               - date
-   *             properties:
-   *               origin:
-   *                 type: string
-   *                 example: "New York"
-   *               destination:
-   *                 type: string
-   *                 example: "Boston"
-   *               date:
-   *                 type: string
-   *                 format: date
-   *                 example: "2025-03-10"
+   *             $ref: '#/components/schemas/SearchRides'
    *     responses:
    *       200:
-   *         description: List of available rides
+   *         description: >
+   *           { total, rides, next_cursor }. Each ride has its matching stops,
+   *           pickup/drop-off distances, segment_seats_available and the
+   *           driver's average rating and rating count.
+   *       400:
+   *         description: Invalid request data or cursor, or a place could not be located
    *       500:
    *         description: Internal server error
    */
-  router.post('/search', authenticateToken, async (req, res) => {
-    const { origin, destination, date } = req.body;
+  router.post('/search', authenticateToken, validate({ body: schemas.SearchRides }), async (req, res) => {
+    const { origin, destination, radius_km, min_seats, sort, order = SORTS[sort].order, cursor, limit } = req.body;
     try {
-      const [results] = await pool.execute(
-        'SELECT * FROM rides WHERE origin = ? AND destination = ? AND date = ?',
-        [origin, destination, date]
+      const pickup = await geocoder.locate(req.body.pickup, origin);
+      if (!pickup) return res.status(400).json({ error: 'Could not locate origin; send pickup coordinates' });
+
+      const dropoff = await geocoder.locate(req.body.dropoff, destination);
+      if (!dropoff) return res.status(400).json({ error: 'Could not locate destination; send dropoff coordinates' });
+
+      // Bounding boxes narrow the rows; exact distances are checked when ranking
+      const from = boundingBox(pickup, radius_km);
+      const to = boundingBox(dropoff, radius_km);
+      const { where, params } = filterClauses(req.body, req.user.id);
+      const [pairs] = await pool.execute(
+        `${rideListing([
+          'p.position AS pickup_stop', 'p.place AS pickup_place', 'p.lat AS pickup_lat', 'p.lng AS pickup_lng', 'p.time AS pickup_time',
+          'd.position AS dropoff_stop', 'd.place AS dropoff_place', 'd.lat AS dropoff_lat', 'd.lng AS dropoff_lng',
+          ...(SORTS[sort].sql ? [`${SORTS[sort].sql} AS sort_key`] : [])
+        ])}
+         JOIN ride_stops p ON p.ride_id = r.id
+         JOIN ride_stops d ON d.ride_id = r.id AND d.position > p.position
+         WHERE ${where.join(' AND ')}
+           AND ((p.lat BETWEEN ? AND ? AND p.lng BETWEEN ? AND ?
+                 AND d.lat BETWEEN ? AND ? AND d.lng BETWEEN ? AND ?)
+             OR (p.lat IS NULL AND d.lat IS NULL AND p.place = ? AND d.place = ?))`,
+        [
+          ...params,
+          from.minLat, from.maxLat, from.minLng, from.maxLng,
+          to.minLat, to.maxLat, to.minLng, to.maxLng,
+          origin || null, destination || null
+        ]
       );
-      res.json(results);
+
+      // Ranked nearest first, so the first pair seen for a ride is its best
+      const stopEnds = (pair) => ({
+        from: { lat: pair.pickup_lat, lng: pair.pickup_lng },
+        to: { lat: pair.dropoff_lat, lng: pair.dropoff_lng }
+      });
+      const seen = new Set();
+      const results = rankByProximity(pairs, pickup, dropoff, radius_km, stopEnds).filter((ride) => {
+        if (seen.has(ride.id)) return false;
+        seen.add(ride.id);
+        return true;
+      });
+
+      const loads = await segmentLoadsByRide(pool, results.map((ride) => ride.id));
+      const rides = results
+        .map((ride) => ({
+          ...ride,
+          segment_seats_available: freeSeats(loads[ride.id], ride.seats_total, ride.pickup_stop, ride.dropoff_stop)
+        }))
+        .filter((ride) => ride.segment_seats_available >= (min_seats || 1))
+        .map((ride) => (sort !== 'distance' ? ride : {
+          ...ride,
+          sort_key: ride.pickup_distance_km === null ? UNLOCATED_DISTANCE : ride.pickup_distance_km + ride.dropoff_distance_km
+        }));
+
+      res.json(paginate(rides, { sort, order, cursor, limit }));
     } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
       res.status(500).json({ error: err.message });
     }
   });
@@ -126,21 +220,114 @@ module.exports = (pool, authenticateToken) => {
    * @swagger
    * /rides/available:
    *   get:
-   *     summary: Get all available rides
+   *     summary: List upcoming rides with free seats
+   *     description: >
+   *       Scheduled rides departing later than now (in the ride's timezone)
+   *       that you are not driving. Pages are cursor based: pass next_cursor
+   *       back, with the same sort, for the next page.
    *     tags: [Rides]
    *     security:
    *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: flex_days
+   *         schema:
+   *           type: integer
+   *           default: 0
+   *         description: Also match rides up to this many days either side of date
+   *       - in: query
+   *         name: time_from
+   *         schema:
+   *           type: string
+   *         description: Earliest departure time (HH:MM)
+   *       - in: query
+   *         name: time_to
+   *         schema:
+   *           type: string
+   *         description: Latest departure time (HH:MM)
+   *       - in: query
+   *         name: min_seats
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: min_price
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: max_price
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: min_rating
+   *         schema:
+   *           type: number
+   *         description: Driver's average rating; unrated drivers are left out
+   *       - in: query
+   *         name: min_capacity
+   *         schema:
+   *           type: integer
+   *         description: Vehicle capacity, driver included
+   *       - in: query
+   *         name: sort
+   *         schema:
+   *           type: string
+   *           enum: [departure, price, rating, seats]
+   *           default: departure
+   *       - in: query
+   *         name: order
+   *         schema:
+   *           type: string
+   *           enum: [asc, desc]
+   *         description: Defaults to desc for rating and seats, asc otherwise
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *       - in: query
+   *         name: cursor
+   *         schema:
+   *           type: string
+   *         description: next_cursor of the previous page
    *     responses:
    *       200:
-   *         description: List of available rides
+   *         description: "{ total, rides, next_cursor }; next_cursor is null on the last page"
+   *       400:
+   *         description: Invalid filters or cursor
    *       500:
    *         description: Internal server error
    */
-  router.get('/available', authenticateToken, async (req, res) => {
+  router.get('/available', authenticateToken, validate({ query: schemas.AvailableRidesQuery }), async (req, res) => {
+    const { min_seats, sort, order = SORTS[sort].order, cursor, limit } = req.query;
     try {
-      const [results] = await pool.execute('SELECT * FROM rides WHERE seats_available > 0');
-      res.json(results);
+      const { where, params } = filterClauses(req.query, req.user.id);
+      where.push('r.seats_available >= ?');
+      params.push(min_seats || 1);
+
+      const [[{ total }]] = await pool.execute(
+        `SELECT COUNT(*) AS total FROM (${rideListing()} WHERE ${where.join(' AND ')}) matching`,
+        params
+      );
+
+      const page = sqlOrder({ sort, order, cursor });
+      if (page.after) {
+        where.push(page.after.condition);
+        params.push(...page.after.params);
+      }
+      const [rides] = await pool.execute(
+        `${rideListing([page.column])} WHERE ${where.join(' AND ')} ${page.orderBy} LIMIT ?`,
+        [...params, limit + 1]
+      );
+
+      res.json(toPage(rides, { sort, limit, total: Number(total) }));
     } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
       res.status(500).json({ error: err.message });
     }
   });
@@ -162,21 +349,28 @@ module.exports = (pool, authenticateToken) => {
    *         description: ID of the user
    *     responses:
    *       200:
-   *         description: List of user's booking history
+   *         description: List of user's bookings, each with its status changes (events) oldest first
+   *       403:
+   *         description: Access denied
    *       500:
    *         description: Internal server error
    */
-  router.get('/bookings/history/:user', authenticateToken, async (req, res) => {
+  router.get('/bookings/history/:user', authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
     try {
       const [history] = await pool.execute(
-        `SELECT bookings.id, rides.origin, rides.destination, rides.date, bookings.status 
+        `SELECT bookings.id, bookings.ride_id, rides.origin, rides.destination, rides.date, bookings.status,
+                bookings.seats, bookings.from_stop, bookings.to_stop, bookings.amount, bookings.currency,
+                vehicles.make AS vehicle_make, vehicles.model AS vehicle_model, vehicles.plate AS vehicle_plate
          FROM bookings 
          JOIN rides ON bookings.ride_id = rides.id 
-         WHERE bookings.user_id = ?`, 
+         LEFT JOIN vehicles ON vehicles.id = rides.vehicle_id
+         WHERE bookings.user_id = ?
+         ORDER BY bookings.created_at DESC`, 
         [req.params.user]
       );
-  
-      res.json(history);
+
+      const events = await bookingEvents(pool, history.map((booking) => booking.id));
+      res.json(history.map((booking) => ({ ...booking, events: events[booking.id] })));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -204,21 +398,145 @@ module.exports = (pool, authenticateToken) => {
    *       500:
    *         description: Internal server error
    */
-  router.get("/my-pool/:user", authenticateToken, async (req, res) => {
+  router.get("/my-pool/:user", authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
     try {
       //const [rides] = await pool.execute("SELECT * FROM carpools WHERE user_id = ?", [req.params.user]);
-      const [rides] = await pool.execute("SELECT * FROM rides WHERE driver_id = 1 OR id IN (SELECT ride_id FROM bookings WHERE passenger_id = 1)", [req.params.user]);
+      const [rides] = await pool.execute(
+        "SELECT * FROM rides WHERE user_id = ? OR id IN (SELECT ride_id FROM bookings WHERE user_id = ?)",
+        [req.params.user, req.params.user]
+      );
       res.json(rides);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
+  /**
+   * @swagger
+   * /rides/{rideId}/quote:
+   *   get:
+   *     summary: Quote the fare for booking seats on a ride
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: seats
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: from_stop
+   *         description: Pick-up stop position; defaults to the origin (0)
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to_stop
+   *         description: Drop-off stop position; defaults to the destination
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: >
+   *           Fare at the ride's current price between the stops, with
+   *           route_share when they cover only part of the route, and the
+   *           seats still available
+   *       400:
+   *         description: Stops outside the route or out of order
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:rideId/quote', authenticateToken, validate({ params: schemas.RideIdParams, query: schemas.FareQuoteQuery }), async (req, res) => {
+    try {
+      const [rides] = await pool.execute(
+        'SELECT id, seats_available, status, pricing_mode, price_per_seat, total_cost, currency FROM rides WHERE id = ?',
+        [req.params.rideId]
+      );
+      if (rides.length === 0) return res.status(404).json({ error: 'Ride not found' });
+
+      const ride = rides[0];
+      const { seats, from_stop, to_stop } = req.query;
+      const range = stopRange(await segmentLoads(pool, ride.id), from_stop, to_stop);
+      const fare = await segmentFare(pool, ride.id, ride, seats, range);
+      res.json({ rideId: ride.id, seats_available: ride.seats_available, status: ride.status, ...fare });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/pricing:
+   *   put:
+   *     summary: Change a ride's price
+   *     description: >
+   *       Applies to future bookings only; existing bookings keep the fare
+   *       they were charged. A total cost is split between the driver and
+   *       every seat on the ride, booked or not.
+   *     tags: [Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/RidePricing'
+   *     responses:
+   *       200:
+   *         description: Price updated
+   *       403:
+   *         description: Not the driver of this ride
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: Ride already left, completed or canceled
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/:rideId/pricing', authenticateToken, validate({ params: schemas.RideIdParams, body: schemas.RidePricing }), policy.rideDriver((req) => req.params.rideId), async (req, res) => {
+    try {
+      const [rides] = await pool.execute('SELECT status, seats_total FROM rides WHERE id = ?', [req.params.rideId]);
+      if (rides[0].status !== 'scheduled') {
+        return res.status(409).json({ error: `This ride is ${statusLabel(rides[0].status)}.` });
+      }
+
+      const price = ridePricing(req.body, rides[0].seats_total);
+      await pool.execute(
+        'UPDATE rides SET pricing_mode = ?, price_per_seat = ?, total_cost = ?, currency = ? WHERE id = ?',
+        [price.pricing_mode, price.price_per_seat, price.total_cost, price.currency, req.params.rideId]
+      );
+
+      res.json({ message: 'Price updated successfully', ...price });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   /**
    * @swagger
    * /rides/book-ride:
    *   post:
    *     summary: Book a ride
+   *     description: >
+   *       Runs in one transaction with the ride row locked, so concurrent
+   *       bookings can never take more seats than the ride has. Books the
+   *       whole trip unless from_stop/to_stop pick a part of it; seats are
+   *       only held between those stops.
    *     tags: [Booking]
    *     security:
    *       - bearerAuth: []
@@ -227,96 +545,41 @@ module.exports = (pool, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - rideId
-   *               - seats
-   *             properties:
-   *               rideId:
-   *                 type: string
-   *                 example: "69d206c2-1"
-   *               seats:
-   *                 type: integer
-   *                 example: 2
+   *             $ref: '#/components/schemas/BookRide'
    *     responses:
    *       201:
    *         description: Ride booked successfully
    *       400:
-   *         description: Missing required fields or insufficient seats
+   *         description: Invalid request data, or stops outside the route or out of order
+   *       403:
+   *         description: Email or phone not verified, or booking your own ride
    *       404:
    *         description: Ride not found
+   *       409:
+   *         description: Not enough seats left (join the waitlist instead), ride no longer scheduled, or already booked
    *       500:
    *         description: Internal server error
    */
-  router.post('/book-ride', authenticateToken, async (req, res) => {
+  router.post('/book-ride', authenticateToken, validate({ body: schemas.BookRide }), requireVerified, async (req, res) => {
     try {
-        const { rideId, seats } = req.body; // Ride ID and number of seats to book
-        const userId = req.user.id; // Authenticated user's ID
-
-        if (!rideId || !seats) {
-            return res.status(400).json({ error: 'Ride ID and number of seats are required.' });
-        }
-
-        // Fetch ride details
-        const [ride] = await pool.execute(
-            `SELECT seats_available, status FROM rides WHERE id = ?`,
-            [rideId]
-        );
-
-        if (ride.length === 0) {
-            return res.status(404).json({ error: 'Ride not found.' });
-        }
-
-        const rideDetails = ride[0];
-
-        // Check if ride is completed or canceled
-        if (['completed', 'canceled'].includes(rideDetails.status)) {
-            return res.status(400).json({ error: `This ride has been ${rideDetails.status}.` });
-        }
-
-        // Check if ride has enough available seats
-        if (rideDetails.seats_available < seats) {
-            return res.status(400).json({ error: 'Not enough seats available.' });
-        }
+        const { rideId, seats, from_stop, to_stop } = req.body; // Ride ID, number of seats and where to get on and off
 
-        // Check if the user already has a confirmed booking for this ride
-        const [existingBooking] = await pool.execute(
-            `SELECT * FROM bookings WHERE user_id = ? AND ride_id = ? AND status = 'confirmed'`,
-            [userId, rideId]
-        );
-
-        if (existingBooking.length > 0) {
-            return res.status(400).json({ error: 'You already have a confirmed booking for this ride.' });
-        }
-
-        // Insert booking
-        await pool.execute(
-            `INSERT INTO bookings (id, user_id, ride_id, seats, status) VALUES (?, ?, ?, ?, 'pending')`,
-            [uuidv4(), userId, rideId, seats]
-        );
+        const { bookingId, fare, driverId } = await bookRide(pool, { rideId, userId: req.user.id, seats, fromStop: from_stop, toStop: to_stop });
 
-        // Update available seats
-        await pool.execute(
-            `UPDATE rides SET seats_available = seats_available - ? WHERE id = ?`,
-            [seats, rideId]
-        );
-
-        // Check if ride is now full, update status if necessary
-        const [updatedRide] = await pool.execute(
-            `SELECT seats_available FROM rides WHERE id = ?`,
-            [rideId]
-        );
-
-        if (updatedRide[0].seats_available === 0) {
-            await pool.execute(
-                `UPDATE rides SET status = 'full' WHERE id = ?`,
-                [rideId]
-            );
-        }
-
-        res.status(201).json({ message: '✅ Ride booked successfully. Waiting for confirmation.' });
+        res.status(201).json({ message: '✅ Ride booked successfully. Waiting for confirmation.', bookingId, fare });
+        realtime.rideChangedLater(rideId);
+        webhooks.emitLater('booking.created', {
+          bookingId, rideId, passengerId: req.user.id, driverId, seats, from_stop: from_stop ?? null, to_stop: to_stop ?? null, fare
+        });
+        notifier.notifyLater(driverId, {
+          type: 'booking.created',
+          title: 'New booking request',
+          body: `A passenger booked ${seats} seat(s) on your ride. Confirm or reject the booking.`,
+          data: { rideId, bookingId }
+        });
     } catch (error) {
-        console.error('❌ Booking error:', error.message);
+        if (error instanceof HttpError) return res.status(error.status).json({ error: error.message });
+        logger.error(`❌ Booking error: ${error.message}`);
         res.status(500).json({ error: 'Internal Server Error' });
     }
   });
@@ -326,6 +589,7 @@ module.exports = (pool, authenticateToken) => {
      * /rides/cancel-ride:
      *   post:
      *     summary: Cancel a ride
+     *     description: Every pending or confirmed booking on the ride is cancelled too, with the reason recorded in its history.
      *     tags: [Rides]
      *     security:
      *       - bearerAuth: []
@@ -334,48 +598,521 @@ module.exports = (pool, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             required:
-     *               - rideId
-     *             properties:
-     *               rideId:
-     *                 type: string
-     *                 example: "69d206c2-1"
+     *             $ref: '#/components/schemas/CancelRide'
      *     responses:
      *       200:
      *         description: Ride canceled successfully
      *       403:
-     *         description: Ride not found or not authorized to cancel
+     *         description: Not authorized to cancel this ride
+     *       404:
+     *         description: Ride not found
+     *       409:
+     *         description: Ride already left, completed or canceled
      *       500:
      *         description: Internal server error
     */
-  router.post('/cancel-ride', authenticateToken, async (req, res) => {
+  router.post('/cancel-ride', authenticateToken, validate({ body: schemas.CancelRide }), policy.rideDriver((req) => req.body.rideId), async (req, res) => {
     try {
-        const { rideId } = req.body;
-        const userId = req.user.id;
-
-        // Check if the ride exists and belongs to the driver
-        const [ride] = await pool.execute(
-            `SELECT * FROM rides WHERE id = ? AND user_id = ?`,
-            [rideId, userId]
-        );
-
-        if (ride.length === 0) {
-            return res.status(403).json({ error: 'Ride not found or not yours to cancel' });
-        }
+        const { rideId, reason } = req.body;
 
-        // Update status to canceled
-        await pool.execute(
-            `UPDATE rides SET status = 'canceled' WHERE id = ?`,
-            [rideId]
-        );
+        // Cancel the ride and every booking on it
+        const canceled = await withTransaction(pool, async (db) => {
+          const [rides] = await db.execute('SELECT status FROM rides WHERE id = ? FOR UPDATE', [rideId]);
+          assertTransition(rides[0].status, 'canceled');
+          return cancelRides(db, [rideId], { actorId: req.user.id, reason });
+        });
 
         res.status(200).json({ message: '🚫 Ride canceled successfully' });
+        cancellations.ridesCanceled(canceled, { actorId: req.user.id, reason });
     } catch (error) {
+        if (error instanceof HttpError) return res.status(error.status).json({ error: error.message });
         res.status(500).json({ error: error.message });
     }
   });
 
+  // Driver moves the ride along its lifecycle
+  const rideAction = (action, message) => async (req, res) => {
+    try {
+      const ride = await changeRideStatus(pool, req.params.rideId, action);
+      res.json({ message, ride });
+      realtime.rideChangedLater(ride.id);
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  const driverOfRide = [authenticateToken, validate({ params: schemas.RideIdParams }), policy.rideDriver((req) => req.params.rideId)];
+
+  /**
+   * @swagger
+   * /rides/{rideId}/board:
+   *   post:
+   *     summary: Open boarding for a scheduled ride
+   *     description: Allowed from an hour before departure, in the ride's timezone. New bookings close.
+   *     tags: [Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Ride is boarding
+   *       403:
+   *         description: Not the driver of this ride
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: Ride is not scheduled, or departure is more than an hour away
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/board', ...driverOfRide, rideAction('board', '🚏 Boarding started'));
+
+  /**
+   * @swagger
+   * /rides/{rideId}/start:
+   *   post:
+   *     summary: Start a scheduled or boarding ride
+   *     description: Allowed from an hour before departure, in the ride's timezone. Bookings can no longer change.
+   *     tags: [Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Ride in progress
+   *       403:
+   *         description: Not the driver of this ride
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: Ride already started, completed or canceled, or departure is more than an hour away
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/start', ...driverOfRide, rideAction('start', '🚗 Ride started'));
+
+  /**
+   * @swagger
+   * /rides/{rideId}/finish:
+   *   post:
+   *     summary: Finish a ride in progress
+   *     description: Completed rides can be rated by their driver and passengers.
+   *     tags: [Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Ride completed
+   *       403:
+   *         description: Not the driver of this ride
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: Ride is not in progress
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/finish', ...driverOfRide, rideAction('finish', '🏁 Ride completed'));
+
+  /**
+   * @swagger
+   * /rides/{rideId}/bookings:
+   *   get:
+   *     summary: List the bookings on your ride
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Bookings with the passenger's name and each booking's status changes
+   *       403:
+   *         description: Not the driver of this ride
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:rideId/bookings', authenticateToken, validate({ params: schemas.RideIdParams }), policy.rideDriver((req) => req.params.rideId), async (req, res) => {
+    try {
+      const [bookings] = await pool.execute(
+        `SELECT b.id, b.user_id, u.name AS passenger_name, b.seats, b.amount, b.currency, b.status, b.created_at
+         FROM bookings b JOIN users u ON u.id = b.user_id
+         WHERE b.ride_id = ?
+         ORDER BY b.created_at`,
+        [req.params.rideId]
+      );
+
+      const events = await bookingEvents(pool, bookings.map((booking) => booking.id));
+      res.json(bookings.map((booking) => ({ ...booking, events: events[booking.id] })));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/stops:
+   *   get:
+   *     summary: List a ride's stops and the seats free between them
+   *     description: >
+   *       Stops in route order; position 0 is the origin and the last one the
+   *       destination. Each stop but the last carries seats_to_next, the seats
+   *       free on the segment to the following stop. Book with the positions
+   *       as from_stop and to_stop.
+   *     tags: [Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The ride's seats_total and its stops
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:rideId/stops', authenticateToken, validate({ params: schemas.RideIdParams }), async (req, res) => {
+    try {
+      const [rides] = await pool.execute('SELECT id, seats_total FROM rides WHERE id = ?', [req.params.rideId]);
+      if (rides.length === 0) return res.status(404).json({ error: 'Ride not found' });
+
+      const stops = (await listStops(pool, [rides[0].id]))[rides[0].id];
+      const loads = await segmentLoads(pool, rides[0].id);
+      res.json({
+        rideId: rides[0].id,
+        seats_total: rides[0].seats_total,
+        stops: stops.map((stop, position) => ({
+          ...stop,
+          seats_to_next: position < stops.length - 1 ? freeSeats(loads, rides[0].seats_total, position, position + 1) : null
+        }))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/waitlist:
+   *   get:
+   *     summary: See a ride's waitlist
+   *     description: >
+   *       The driver sees every active entry in queue order; anyone else sees
+   *       only their own entry. Waiting entries carry their position;
+   *       offered entries carry accept_by, the deadline to accept.
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Waitlist entries (driver) or your entry (passenger)
+   *       404:
+   *         description: Ride not found, or you are not on its waitlist
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:rideId/waitlist', authenticateToken, validate({ params: schemas.RideIdParams }), async (req, res) => {
+    try {
+      const [rides] = await pool.execute('SELECT user_id FROM rides WHERE id = ?', [req.params.rideId]);
+      if (rides.length === 0) return res.status(404).json({ error: 'Ride not found' });
+
+      const entries = await waitlist.listWaitlist(pool, req.params.rideId);
+      if (rides[0].user_id === req.user.id) return res.json(entries);
+
+      const own = entries.find((entry) => entry.user_id === req.user.id);
+      if (!own) return res.status(404).json({ error: 'You are not on the waitlist for this ride' });
+      res.json(own);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/waitlist:
+   *   post:
+   *     summary: Join the waitlist of a ride without enough free seats
+   *     description: >
+   *       When seats come back, the first passengers in line who fit are
+   *       given a pending booking holding them, to accept within
+   *       WAITLIST_OFFER_MINUTES.
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/JoinWaitlist'
+   *     responses:
+   *       201:
+   *         description: On the waitlist, with your position
+   *       400:
+   *         description: Stops outside the route or out of order
+   *       403:
+   *         description: Your own ride, or email or phone not verified
+   *       404:
+   *         description: Ride not found
+   *       409:
+   *         description: Ride not scheduled, seats still available between your stops, already booked or already waiting
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/waitlist', authenticateToken, validate({ params: schemas.RideIdParams, body: schemas.JoinWaitlist }), requireVerified, async (req, res) => {
+    try {
+      const { seats, from_stop, to_stop } = req.body;
+      const entry = await waitlist.joinWaitlist(pool, {
+        rideId: req.params.rideId, userId: req.user.id, seats, fromStop: from_stop, toStop: to_stop
+      });
+      res.status(201).json({ message: '⏳ Added to the waitlist', ...entry });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/waitlist/accept:
+   *   post:
+   *     summary: Accept the seats offered to you from the waitlist
+   *     description: The booking stays pending until the driver confirms it.
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Offer accepted
+   *       404:
+   *         description: Ride not found, or you are not on its waitlist
+   *       409:
+   *         description: Nothing offered yet, or the offer expired
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:rideId/waitlist/accept', authenticateToken, validate({ params: schemas.RideIdParams }), async (req, res) => {
+    try {
+      const { bookingId } = await waitlist.acceptOffer(pool, { rideId: req.params.rideId, userId: req.user.id });
+      res.json({ message: '✅ Offer accepted. Waiting for confirmation.', bookingId });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /rides/{rideId}/waitlist:
+   *   delete:
+   *     summary: Leave a ride's waitlist, or decline the seats offered to you
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Left the waitlist (declined offers pass the seats to the next in line)
+   *       404:
+   *         description: Ride not found, or you are not on its waitlist
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:rideId/waitlist', authenticateToken, validate({ params: schemas.RideIdParams }), async (req, res) => {
+    try {
+      const { promoted, ...result } = await waitlist.leaveWaitlist(pool, { rideId: req.params.rideId, userId: req.user.id });
+      res.json({ message: '🚪 Left the waitlist', ...result });
+      if (result.status === 'declined') realtime.rideChangedLater(req.params.rideId);
+      cancellations.offersMade(promoted);
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Driver confirms or rejects a booking; passenger cancels it
+  const transition = (action, message) => async (req, res) => {
+    try {
+      const { promoted, ...booking } = await changeBookingStatus(pool, {
+        bookingId: req.params.bookingId,
+        action,
+        actorId: req.user.id,
+        reason: req.body.reason
+      });
+      res.json({ message, booking });
+      if (booking.status !== 'confirmed') realtime.rideChangedLater(booking.ride_id);
+      webhooks.emitLater(`booking.${booking.status}`, {
+        bookingId: booking.id, rideId: booking.ride_id, passengerId: booking.user_id, driverId: booking.driver_id,
+        seats: booking.seats, reason: req.body.reason || null
+      });
+
+      const notice = BOOKING_NOTICES[action];
+      notifier.notifyLater(action === 'cancel' ? booking.driver_id : booking.user_id, {
+        ...notice,
+        body: req.body.reason ? `${notice.body} Reason: ${req.body.reason}` : notice.body,
+        data: { rideId: booking.ride_id, bookingId: booking.id }
+      });
+      cancellations.offersMade(promoted);
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  const transitionValidation = validate({ params: schemas.BookingParams, body: schemas.BookingTransition });
+  const bookingDriver = policy.bookingDriver((req) => req.params.bookingId);
+
+  /**
+   * @swagger
+   * /rides/bookings/{bookingId}/confirm:
+   *   post:
+   *     summary: Confirm a pending booking on your ride
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: bookingId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BookingTransition'
+   *     responses:
+   *       200:
+   *         description: Booking confirmed
+   *       403:
+   *         description: Not the driver of the booked ride
+   *       404:
+   *         description: Booking not found
+   *       409:
+   *         description: Booking is not pending, the passenger has not accepted a waitlist offer yet, or the ride has left
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/bookings/:bookingId/confirm', authenticateToken, transitionValidation, bookingDriver, transition('confirm', '✅ Booking confirmed'));
+
+  /**
+   * @swagger
+   * /rides/bookings/{bookingId}/reject:
+   *   post:
+   *     summary: Reject a pending booking on your ride
+   *     description: The booked seats go back to the ride, reopening it if it was full.
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: bookingId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BookingTransition'
+   *     responses:
+   *       200:
+   *         description: Booking rejected
+   *       403:
+   *         description: Not the driver of the booked ride
+   *       404:
+   *         description: Booking not found
+   *       409:
+   *         description: Booking is not pending, or the ride has left
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/bookings/:bookingId/reject', authenticateToken, transitionValidation, bookingDriver, transition('reject', '🚫 Booking rejected'));
+
+  /**
+   * @swagger
+   * /rides/bookings/{bookingId}/cancel:
+   *   post:
+   *     summary: Cancel your pending or confirmed booking
+   *     description: The booked seats go back to the ride, reopening it if it was full.
+   *     tags: [Booking]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: bookingId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BookingTransition'
+   *     responses:
+   *       200:
+   *         description: Booking cancelled
+   *       403:
+   *         description: Not your booking
+   *       404:
+   *         description: Booking not found
+   *       409:
+   *         description: Booking already rejected or cancelled, or the ride has left
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/bookings/:bookingId/cancel', authenticateToken, transitionValidation, policy.bookingPassenger((req) => req.params.bookingId), transition('cancel', '🚫 Booking cancelled'));
 
   return router;
 };
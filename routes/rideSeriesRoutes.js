@@ -0,0 +1,422 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const sendError = require('../utils/sendError');
+const rideSeries = require('../utils/rideSeries');
+const { ridePricing } = require('../utils/pricing');
+const { findDriverVehicle, assertSeatsFit } = require('../utils/vehicles');
+const { DEFAULT_TIMEZONE } = require('../utils/rideState');
+const { describeRide } = require('../utils/notifications');
+
+module.exports = (pool, authenticateToken, requireVerified, policy, requireApprovedDriver, geocoder, notifier, cancellations, logger) => {
+
+  const seriesDriver = policy.seriesDriver((req) => req.params.seriesId);
+
+  // Passengers hear when the departure of a ride they booked moves
+  const announceMoves = (rides, time) => {
+    for (const ride of rides) {
+      notifier.notifyLater(ride.passengers, {
+        type: 'ride.rescheduled',
+        title: 'Departure time changed',
+        body: `The driver moved the departure of the ride ${describeRide(ride)} to ${time}.`,
+        data: { rideId: ride.id }
+      });
+    }
+  };
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Recurring Rides
+   *   description: Commute rides that repeat on a weekly schedule
+   */
+
+  /**
+   * @swagger
+   * /ride-series/{user}:
+   *   post:
+   *     summary: Offer a recurring ride
+   *     description: >
+   *       Creates the series and schedules its first occurrences right away.
+   *       Later occurrences are created daily, SERIES_HORIZON_DAYS ahead.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: user
+   *         schema:
+   *           type: string
+   *         required: true
+   *         description: ID of the driver offering the series
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/OfferRideSeries'
+   *     responses:
+   *       201:
+   *         description: Series created
+   *       400:
+   *         description: Invalid request data, end date before start date, vehicle not yours or too small, or a place could not be located
+   *       403:
+   *         description: Access denied, email or phone not verified, or driver not approved or licence expired
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:user', authenticateToken, validate({ params: schemas.UserParams, body: schemas.OfferRideSeries }), policy.selfOrAdmin(), requireVerified, requireApprovedDriver, async (req, res) => {
+    const {
+      origin, destination, time, timezone = DEFAULT_TIMEZONE, seats_available, vehicle_id, days_of_week, start_date, end_date, exceptions = []
+    } = req.body;
+
+    if (end_date && end_date < start_date) {
+      return res.status(400).json({ error: 'end_date must not be before start_date' });
+    }
+
+    try {
+      const vehicle = await findDriverVehicle(pool, req.params.user, vehicle_id);
+      assertSeatsFit(vehicle, seats_available);
+
+      const pickup = await geocoder.locate(req.body.pickup, origin);
+      if (!pickup) return res.status(400).json({ error: 'Could not locate origin; send pickup coordinates' });
+
+      const dropoff = await geocoder.locate(req.body.dropoff, destination);
+      if (!dropoff) return res.status(400).json({ error: 'Could not locate destination; send dropoff coordinates' });
+
+      const seriesId = uuidv4();
+      const price = ridePricing(req.body, seats_available);
+      await pool.execute(
+        `INSERT INTO ride_series (id, user_id, vehicle_id, origin, destination, origin_lat, origin_lng, destination_lat, destination_lng,
+                                  time, timezone, seats_available, pricing_mode, price_per_seat, total_cost, currency,
+                                  days_of_week, start_date, end_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [seriesId, req.params.user, vehicle_id, origin, destination, pickup.lat, pickup.lng, dropoff.lat, dropoff.lng,
+          time, timezone, seats_available, price.pricing_mode, price.price_per_seat, price.total_cost, price.currency,
+          days_of_week.join(','), start_date, end_date || null]
+      );
+
+      for (const date of exceptions) {
+        await pool.execute('INSERT IGNORE INTO ride_series_exceptions (series_id, date) VALUES (?, ?)', [seriesId, date]);
+      }
+
+      const scheduled = await rideSeries.generateOccurrences(pool, { seriesId, notifier, logger });
+      res.status(201).json({ message: 'Recurring ride offered successfully', seriesId, scheduled, ...price });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}:
+   *   get:
+   *     summary: Get a recurring ride with its skipped dates and upcoming occurrences
+   *     description: Each occurrence is a ride; book a single date with /rides/book-ride and its ride id.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Series details
+   *       404:
+   *         description: Series not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:seriesId', authenticateToken, validate({ params: schemas.SeriesParams }), async (req, res) => {
+    try {
+      const [series] = await pool.execute(
+        `SELECT s.*, v.make AS vehicle_make, v.model AS vehicle_model, v.plate AS vehicle_plate
+         FROM ride_series s LEFT JOIN vehicles v ON v.id = s.vehicle_id
+         WHERE s.id = ?`,
+        [req.params.seriesId]
+      );
+      if (series.length === 0) return res.status(404).json({ error: 'Series not found' });
+
+      const [exceptions] = await pool.execute(
+        'SELECT date FROM ride_series_exceptions WHERE series_id = ? ORDER BY date',
+        [req.params.seriesId]
+      );
+      const [occurrences] = await pool.execute(
+        `SELECT id, date, time, seats_available, status FROM rides
+         WHERE series_id = ? AND date >= CURDATE() ORDER BY date`,
+        [req.params.seriesId]
+      );
+
+      res.json({
+        ...series[0],
+        days_of_week: series[0].days_of_week.split(','),
+        exceptions: exceptions.map((e) => rideSeries.toDateString(e.date)),
+        occurrences
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}:
+   *   put:
+   *     summary: Edit every upcoming occurrence of a recurring ride
+   *     description: >
+   *       A new time applies to every upcoming occurrence, overriding
+   *       single-date edits. A new seat count applies to occurrences nobody
+   *       has booked yet. Moving end_date earlier cancels later occurrences
+   *       and their bookings. Booked passengers are notified of new times
+   *       and cancellations.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/UpdateRideSeries'
+   *     responses:
+   *       200:
+   *         description: Series updated
+   *       403:
+   *         description: Not the driver of this series
+   *       404:
+   *         description: Series not found
+   *       409:
+   *         description: Series has been canceled
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/:seriesId', authenticateToken, validate({ params: schemas.SeriesParams, body: schemas.UpdateRideSeries }), seriesDriver, async (req, res) => {
+    try {
+      const { canceledRides, movedRides, promoted, ...result } = await rideSeries.updateSeries(pool, req.params.seriesId, req.body);
+      res.json({ message: 'Series updated successfully', ...result });
+      cancellations.ridesCanceled(canceledRides, { actorId: req.user.id, reason: rideSeries.CANCEL_REASONS.ended });
+      announceMoves(movedRides, req.body.time);
+      cancellations.offersMade(promoted);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}:
+   *   delete:
+   *     summary: Cancel a whole recurring ride
+   *     description: Cancels every upcoming occurrence, its bookings and all series bookings. Booked passengers are notified.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Series canceled
+   *       403:
+   *         description: Not the driver of this series
+   *       404:
+   *         description: Series not found
+   *       409:
+   *         description: Series already canceled
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:seriesId', authenticateToken, validate({ params: schemas.SeriesParams }), seriesDriver, async (req, res) => {
+    try {
+      const { canceledRides, ...result } = await rideSeries.cancelSeries(pool, req.params.seriesId);
+      res.json({ message: '🚫 Series canceled successfully', ...result });
+      cancellations.ridesCanceled(canceledRides, { actorId: req.user.id, reason: rideSeries.CANCEL_REASONS.canceled });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}/occurrences/{date}:
+   *   put:
+   *     summary: Edit a single occurrence of a recurring ride
+   *     description: Booked passengers are notified of a new time.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *       - in: path
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *         required: true
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/UpdateOccurrence'
+   *     responses:
+   *       200:
+   *         description: Occurrence updated
+   *       403:
+   *         description: Not the driver of this series
+   *       404:
+   *         description: Series not found, or no ride scheduled on that date yet
+   *       409:
+   *         description: Occurrence already completed or canceled, or seats changed after booking
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/:seriesId/occurrences/:date', authenticateToken, validate({ params: schemas.OccurrenceParams, body: schemas.UpdateOccurrence }), seriesDriver, async (req, res) => {
+    try {
+      const { movedRides, promoted, ...result } = await rideSeries.updateOccurrence(pool, req.params.seriesId, req.params.date, req.body);
+      res.json({ message: 'Occurrence updated successfully', ...result });
+      announceMoves(movedRides, req.body.time);
+      cancellations.offersMade(promoted);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}/occurrences/{date}:
+   *   delete:
+   *     summary: Skip a single date of a recurring ride
+   *     description: Records the date as an exception and cancels the occurrence and its bookings if already scheduled. Booked passengers are notified.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *       - in: path
+   *         name: date
+   *         schema:
+   *           type: string
+   *           format: date
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Occurrence canceled
+   *       403:
+   *         description: Not the driver of this series
+   *       404:
+   *         description: Series not found, or it does not run on that date
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:seriesId/occurrences/:date', authenticateToken, validate({ params: schemas.OccurrenceParams }), seriesDriver, async (req, res) => {
+    try {
+      const { canceledRides, ...result } = await rideSeries.cancelOccurrence(pool, req.params.seriesId, req.params.date);
+      res.json({ message: '🚫 Occurrence canceled successfully', ...result });
+      cancellations.ridesCanceled(canceledRides, { actorId: req.user.id, reason: rideSeries.CANCEL_REASONS.skipped });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}/book:
+   *   post:
+   *     summary: Book every occurrence of a recurring ride
+   *     description: >
+   *       Books the seats on each upcoming occurrence that has room, and on
+   *       occurrences scheduled later. Dates that are full are skipped.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BookRideSeries'
+   *     responses:
+   *       201:
+   *         description: Series booked, with the dates booked and skipped
+   *       403:
+   *         description: Email or phone not verified, or booking your own series
+   *       404:
+   *         description: Series not found
+   *       409:
+   *         description: Series canceled or already booked
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/:seriesId/book', authenticateToken, validate({ params: schemas.SeriesParams, body: schemas.BookRideSeries }), requireVerified, async (req, res) => {
+    try {
+      const result = await rideSeries.subscribe(pool, req.params.seriesId, req.user.id, req.body.seats);
+      res.status(201).json({ message: '✅ Series booked successfully. Waiting for confirmation.', ...result });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /ride-series/{seriesId}/book:
+   *   delete:
+   *     summary: Cancel your booking of a recurring ride
+   *     description: Cancels your bookings on every upcoming occurrence and returns the seats; each driver is notified.
+   *     tags: [Recurring Rides]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: seriesId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Series booking cancelled
+   *       404:
+   *         description: You have not booked this series
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:seriesId/book', authenticateToken, validate({ params: schemas.SeriesParams }), async (req, res) => {
+    try {
+      const { cancelled, cancelledBookings } = await rideSeries.unsubscribe(pool, req.params.seriesId, req.user.id);
+      cancellations.bookingsCanceled(cancelledBookings, { reason: rideSeries.CANCEL_REASONS.unsubscribed });
+      res.json({ message: 'Series booking cancelled', cancelled });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+};
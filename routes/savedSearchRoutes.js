@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const sendError = require('../utils/sendError');
+const savedSearches = require('../utils/savedSearches');
+
+module.exports = (pool, authenticateToken, policy, geocoder) => {
+
+  const searchOwner = policy.searchOwner((req) => req.params.searchId);
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Saved Searches
+   *   description: Searches passengers keep to be alerted of new matching rides
+   */
+
+  /**
+   * @swagger
+   * /saved-searches:
+   *   post:
+   *     summary: Save a search and get alerted when a matching ride is offered
+   *     description: >
+   *       A ride matches when it has a stop within radius_km of the pickup
+   *       followed by one within radius_km of the drop-off, departs between
+   *       date_from and date_to (inside the time window, if given) and has
+   *       the seats. You are notified of each matching ride once. The search lapses
+   *       after date_to.
+   *     tags: [Saved Searches]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/SaveSearch'
+   *     responses:
+   *       201:
+   *         description: Search saved
+   *       400:
+   *         description: Invalid request data, dates or times out of order, or a place could not be located
+   *       409:
+   *         description: Too many saved searches (MAX_SAVED_SEARCHES)
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/', authenticateToken, validate({ body: schemas.SaveSearch }), async (req, res) => {
+    try {
+      const pickup = await geocoder.locate(req.body.pickup, req.body.origin);
+      if (!pickup) return res.status(400).json({ error: 'Could not locate origin; send pickup coordinates' });
+
+      const dropoff = await geocoder.locate(req.body.dropoff, req.body.destination);
+      if (!dropoff) return res.status(400).json({ error: 'Could not locate destination; send dropoff coordinates' });
+
+      const searchId = await savedSearches.saveSearch(pool, req.user.id, { ...req.body, pickup, dropoff });
+      res.status(201).json({ message: '🔔 Search saved; we will tell you about new matching rides', searchId });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /saved-searches:
+   *   get:
+   *     summary: List your saved searches
+   *     description: Searches whose date range has ended are left out.
+   *     tags: [Saved Searches]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Your saved searches, newest first, each with alert_count
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      res.json(await savedSearches.listSavedSearches(pool, req.user.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /saved-searches/{searchId}/alerts:
+   *   get:
+   *     summary: List the rides a saved search has matched
+   *     tags: [Saved Searches]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: searchId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Matched rides, newest first, with the stops to book between
+   *       403:
+   *         description: Not your saved search
+   *       404:
+   *         description: Saved search not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:searchId/alerts', authenticateToken, validate({ params: schemas.SavedSearchParams }), searchOwner, async (req, res) => {
+    try {
+      res.json(await savedSearches.listAlerts(pool, req.params.searchId));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /saved-searches/{searchId}:
+   *   delete:
+   *     summary: Delete a saved search and stop its alerts
+   *     tags: [Saved Searches]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: searchId
+   *         schema:
+   *           type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Search deleted
+   *       403:
+   *         description: Not your saved search
+   *       404:
+   *         description: Saved search not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:searchId', authenticateToken, validate({ params: schemas.SavedSearchParams }), searchOwner, async (req, res) => {
+    try {
+      await savedSearches.deleteSearch(pool, req.params.searchId);
+      res.json({ message: 'Saved search deleted' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const { rideTopic, userTopic } = require('../utils/realtime');
+
+// How often an idle stream is sent a comment, so proxies keep it open
+const HEARTBEAT_MS = 25000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+// Longest delay setTimeout takes; longer ones overflow and fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+module.exports = (pool, authenticateToken, policy, realtime, tokens) => {
+
+  // EventSource can't send headers, so browsers pass the access token as ?access_token=
+  const tokenFromQuery = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.access_token) {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  };
+
+  /**
+   * Send the events of `topics` as Server-Sent Events until the client goes
+   * away. authenticateToken only checks the token once, so the stream ends
+   * with an error event when the access token expires, and each heartbeat
+   * checks it again: logging out, a password change or a suspension closes
+   * it within HEARTBEAT_MS. Clients reconnect with a fresh token.
+   */
+  const stream = async (req, res, topics) => {
+    const header = req.header('Last-Event-ID');
+    const lastEventId = /^\d+$/.test(header || '') ? header : req.query.last_event_id;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let expiry = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    };
+    req.on('close', close);
+
+    // Tell the client why the stream stops, then end it
+    const fail = (error) => {
+      if (closed) return;
+      res.write(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+      res.end();
+      close();
+    };
+
+    heartbeat = setInterval(async () => {
+      res.write(': keep-alive\n\n');
+      try {
+        const reason = await tokens.getRejectionReason(req.user);
+        if (reason) fail(reason);
+      } catch (err) {
+        // Checked again on the next heartbeat
+      }
+    }, HEARTBEAT_MS);
+    if (req.user.exp) {
+      expiry = setTimeout(() => fail('Token expired'), Math.min(req.user.exp * 1000 - Date.now(), MAX_TIMEOUT_MS));
+    }
+
+    try {
+      const stop = await realtime.subscribe(topics, lastEventId, send);
+      if (closed) return stop();
+      unsubscribe = stop;
+    } catch (err) {
+      fail(err.message);
+    }
+  };
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Real-time
+   *   description: Live ride and account updates as Server-Sent Events
+   */
+
+  /**
+   * @swagger
+   * /stream:
+   *   get:
+   *     summary: Follow your own feed live
+   *     description: >
+   *       A text/event-stream of everything you are notified of (bookings on
+   *       your rides, booking and request decisions, cancellations, saved
+   *       search matches), each event named after its notification type
+   *       with the notification as data. Reconnect with the Last-Event-ID
+   *       header (browsers do this themselves) or last_event_id to get what
+   *       you missed; events are kept REALTIME_RETENTION_HOURS. The stream
+   *       ends with an error event once the access token expires, is
+   *       revoked or the account is suspended; reconnect with a new token.
+   *     tags: [Real-time]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: last_event_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: access_token
+   *         schema:
+   *           type: string
+   *         description: The access token, for clients that cannot send an Authorization header
+   *     responses:
+   *       200:
+   *         description: Event stream
+   *         content:
+   *           text/event-stream: {}
+   *       403:
+   *         description: Access denied or invalid token
+   */
+  router.get('/', validate({ query: schemas.StreamQuery }), tokenFromQuery, authenticateToken, (req, res) =>
+    stream(req, res, [userTopic(req.user.id)]));
+
+  /**
+   * @swagger
+   * /stream/rides/{rideId}:
+   *   get:
+   *     summary: Follow a ride live
+   *     description: >
+   *       A text/event-stream with a ride.updated event ({ id, status,
+   *       seats_available }) whenever the ride's seats or status change,
+   *       plus your own feed as on /stream. Resumes like /stream. Only the
+   *       ride's driver, its passengers with a pending or confirmed booking and admins
+   *       can follow it.
+   *     tags: [Real-time]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: rideId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: last_event_id
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: access_token
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Event stream
+   *         content:
+   *           text/event-stream: {}
+   *       403:
+   *         description: Not a participant of the ride, or invalid token
+   *       404:
+   *         description: Ride not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/rides/:rideId', validate({ params: schemas.RideIdParams, query: schemas.StreamQuery }), tokenFromQuery, authenticateToken,
+    policy.rideParticipantOrAdmin((req) => req.params.rideId), (req, res) =>
+      stream(req, res, [rideTopic(req.params.rideId), userTopic(req.user.id)]));
+
+  return router;
+};
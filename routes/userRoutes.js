@@ -1,18 +1,15 @@
 const express = require('express'); 
+const crypto = require('crypto');
 const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const { CANCEL_REASONS, exportUserData, anonymizeUser } = require('../utils/accountData');
+const ratings = require('../utils/ratings');
+const HttpError = require('../utils/httpError');
 
-module.exports = (pool, bcrypt, jwt, authenticateToken) => {
-  
-  // Middleware for Role-Based Access
-  const authorize = (roles) => {
-    return (req, res, next) => {
-        console.log('User role:', req.user.role); // Debug log
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-        next();
-    };
-  };
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
+module.exports = (pool, bcrypt, jwt, authenticateToken, tokens, mailer, verification, policy, cancellations) => {
   
   /**
    * @swagger
@@ -32,49 +29,120 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - name
-   *               - email
-   *               - phone
-   *               - password
-   *             properties:
-   *               name:
-   *                 type: string
-   *                 example: John Doe
-   *               email:
-   *                 type: string
-   *                 example: john@example.com
-   *               phone:
-   *                 type: string
-   *                 example: "+123456789"
-   *               password:
-   *                 type: string
-   *                 example: mysecurepassword
+   *             $ref: '#/components/schemas/Register'
    *     responses:
    *       201:
-   *         description: User created successfully
+   *         description: User created unverified; verification codes sent by email and SMS
    *       400:
    *         description: Missing required fields
+   *       403:
+   *         description: Cannot self-register as admin or driver
    *       500:
    *         description: Internal server error
    */
-  router.post('/register', async (req, res) => {
+  router.post('/register', validate({ body: schemas.Register }), async (req, res) => {
     try {
         const { name, email, phone, password, role } = req.body;
+
+        // Drivers go through /become-driver; admins are appointed, never self-registered
+        if (role && role !== 'passenger') {
+            return res.status(403).json({ error: 'Cannot self-register as admin or driver' });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        const [result] = await pool.execute(
-            `INSERT INTO users (id, name, email, phone, password, role) VALUES (UUID(), ?, ?, ?, ?, ?)`,
-            [name, email, phone, hashedPassword, role || 'passenger']
+        await pool.execute(
+            `INSERT INTO users (id, name, email, phone, password, role) VALUES (UUID(), ?, ?, ?, ?, 'passenger')`,
+            [name, email, phone, hashedPassword]
         );
 
-        res.status(201).json({ message: "User registered successfully!" });
+        const [users] = await pool.execute('SELECT id, email, phone FROM users WHERE email = ?', [email]);
+        for (const channel of verification.CHANNELS) {
+            await verification.sendCode(users[0], channel);
+        }
+
+        res.status(201).json({ message: "User registered successfully! Check your email and phone for verification codes." });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
   });
 
+  /**
+   * @swagger
+   * /users/verify:
+   *   post:
+   *     summary: Confirm an email or phone verification code
+   *     tags: [User]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Verify'
+   *     responses:
+   *       200:
+   *         description: Channel verified
+   *       400:
+   *         description: Invalid, expired or missing code
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/verify', validate({ body: schemas.Verify }), async (req, res) => {
+    const { email, channel, code } = req.body;
+
+    try {
+      const [users] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
+      if (users.length === 0 || !(await verification.confirmCode(users[0].id, channel, code))) {
+        return res.status(400).json({ error: 'Invalid or expired verification code' });
+      }
+
+      res.json({ message: `${channel === 'email' ? 'Email' : 'Phone'} verified successfully` });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /users/verify/resend:
+   *   post:
+   *     summary: Send a new email or phone verification code
+   *     tags: [User]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ResendVerification'
+   *     responses:
+   *       200:
+   *         description: If the account exists and is unverified, a new code has been sent
+   *       400:
+   *         description: Email and channel required
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/verify/resend', validate({ body: schemas.ResendVerification }), async (req, res) => {
+    const { email, channel } = req.body;
+    const message = 'If that account needs verification, a new code has been sent.';
+
+    try {
+      const [users] = await pool.execute(
+        'SELECT id, email, phone, email_verified_at, phone_verified_at FROM users WHERE email = ?',
+        [email]
+      );
+      const user = users[0];
+      if (!user || user[`${channel}_verified_at`]) return res.json({ message });
+
+      await verification.sendCode(user, channel);
+      res.json({ message });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   /**
    * @swagger
    * /users/login:
@@ -86,30 +154,21 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - email
-   *               - password
-   *             properties:
-   *               email:
-   *                 type: string
-   *                 example: john@example.com
-   *               password:
-   *                 type: string
-   *                 example: mysecurepassword
+   *             $ref: '#/components/schemas/Login'
    *     responses:
    *       200:
-   *         description: Login successful
+   *         description: Login successful, returns an access token and a refresh token
    *       400:
    *         description: Email and password required
    *       401:
    *         description: Invalid credentials
+   *       403:
+   *         description: Account suspended or banned
    *       500:
    *         description: Internal server error
    */
-  router.post('/login', async (req, res) => {
+  router.post('/login', validate({ body: schemas.Login }), async (req, res) => {
     const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
 
     try {
       const [users] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
@@ -118,21 +177,241 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
       const isMatch = await bcrypt.compare(password, users[0].password);
       if (!isMatch) return res.status(401).json({ error: 'Invalid credentials' });
 
-      const token = jwt.sign({ id: users[0].id, email: users[0].email, role: users[0].role }, process.env.JWT_SECRET, { expiresIn: '1h' });
-      
-      // const token = jwt.sign(
-      //   { id: user.id, email: user.email, role: user.role }, // Add role here
-      //   process.env.JWT_SECRET,
-      //   { expiresIn: '1h' }
-      // );
+      if (users[0].status !== 'active') return res.status(403).json({ error: `Account ${users[0].status}` });
+
+      const { token, refreshToken, expiresIn } = await tokens.issueTokens(users[0]);
 
-      res.json({ token });
+      res.json({ token, refreshToken, expiresIn });
 
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
+  /**
+   * @swagger
+   * /users/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new access and refresh token
+   *     tags: [User]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/RefreshToken'
+   *     responses:
+   *       200:
+   *         description: New token pair issued; the old refresh token is no longer valid
+   *       400:
+   *         description: Refresh token required
+   *       401:
+   *         description: Refresh token invalid, expired or already used
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/refresh', validate({ body: schemas.RefreshToken }), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const issued = await tokens.rotateRefreshToken(refreshToken);
+      if (!issued) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+
+      res.json(issued);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /users/logout:
+   *   post:
+   *     summary: Log out the current session, or every session with `all`
+   *     tags: [User]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Logout'
+   *     responses:
+   *       200:
+   *         description: Logged out successfully
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/logout', authenticateToken, validate({ body: schemas.Logout }), async (req, res) => {
+    const { refreshToken, all } = req.body;
+
+    try {
+      if (all) {
+        await tokens.revokeAllSessions(req.user.id);
+      } else {
+        await tokens.revokeAccessToken(req.user);
+        if (refreshToken) await tokens.revokeRefreshToken(req.user.id, refreshToken);
+      }
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /users/change-password:
+   *   post:
+   *     summary: Change password and end every existing session
+   *     tags: [User]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ChangePassword'
+   *     responses:
+   *       200:
+   *         description: Password changed, all sessions revoked
+   *       400:
+   *         description: Current and new password required
+   *       401:
+   *         description: Current password is incorrect
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/change-password', authenticateToken, validate({ body: schemas.ChangePassword }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const [users] = await pool.execute('SELECT password FROM users WHERE id = ?', [req.user.id]);
+      if (users.length === 0) return res.status(404).json({ error: 'User not found' });
+
+      const isMatch = await bcrypt.compare(currentPassword, users[0].password);
+      if (!isMatch) return res.status(401).json({ error: 'Current password is incorrect' });
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await pool.execute('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, req.user.id]);
+      await tokens.revokeAllSessions(req.user.id);
+
+      res.json({ message: 'Password changed successfully. Please log in again.' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /users/forgot-password:
+   *   post:
+   *     summary: Request a password reset token by email
+   *     tags: [User]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ForgotPassword'
+   *     responses:
+   *       200:
+   *         description: If the account exists, a reset token has been sent
+   *       400:
+   *         description: Email required
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/forgot-password', validate({ body: schemas.ForgotPassword }), async (req, res) => {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists
+    const message = 'If that account exists, a password reset email has been sent.';
+
+    try {
+      const [users] = await pool.execute('SELECT id, name, email FROM users WHERE email = ?', [email]);
+      if (users.length === 0) return res.json({ message });
+
+      const user = users[0];
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      // Only the newest reset token is usable
+      await pool.execute(
+        `UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL`,
+        [user.id]
+      );
+      await pool.execute(
+        `INSERT INTO password_resets (id, user_id, token_hash, expires_at)
+         VALUES (UUID(), ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [user.id, tokens.hashToken(resetToken), RESET_TOKEN_TTL_MINUTES]
+      );
+
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your Ride Pool password',
+        text: `Hi ${user.name},\n\nUse this token to reset your password: ${resetToken}\n` +
+          `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `If you did not request a reset, you can ignore this email.`
+      });
+
+      res.json({ message });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * @swagger
+   * /users/reset-password:
+   *   post:
+   *     summary: Set a new password using a reset token
+   *     tags: [User]
+   *     security: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ResetPassword'
+   *     responses:
+   *       200:
+   *         description: Password reset, all sessions revoked
+   *       400:
+   *         description: Token invalid, expired or already used
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/reset-password', validate({ body: schemas.ResetPassword }), async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    try {
+      const [resets] = await pool.execute(
+        `SELECT id, user_id FROM password_resets
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [tokens.hashToken(token)]
+      );
+      if (resets.length === 0) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+      // Claim the token so a concurrent request cannot use it too
+      const [claimed] = await pool.execute(
+        `UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL`,
+        [resets[0].id]
+      );
+      if (claimed.affectedRows === 0) return res.status(400).json({ error: 'Invalid or expired reset token' });
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await pool.execute('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, resets[0].user_id]);
+      await tokens.revokeAllSessions(resets[0].user_id);
+
+      res.json({ message: 'Password reset successfully. Please log in again.' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   /**
    * @swagger
    * /users/profile/{user}:
@@ -151,6 +430,8 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
    *     responses:
    *       200:
    *         description: User profile data retrieved successfully
+   *       403:
+   *         description: Access denied
    *       404:
    *         description: User not found
    *       500:
@@ -158,7 +439,7 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
    */
   const { v4: uuidv4 } = require('uuid'); // Ensure UUID support
 
-  router.get('/profile/:user', authenticateToken, async (req, res) => {
+  router.get('/profile/:user', authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
       try {
           const userId = req.params.user.trim(); // UUID-based user ID
 
@@ -166,7 +447,8 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
           const [users] = await pool.execute(`
               SELECT 
                   u.id, u.name, u.email, u.phone, 
-                  d.license_number, d.license_expiry
+                  u.email_verified_at, u.phone_verified_at,
+                  d.license_number, d.license_expiry, d.verification_status
               FROM users u
               LEFT JOIN drivers d ON u.id = d.user_id
               WHERE u.id = ?`, 
@@ -191,15 +473,25 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
               vehicles = vehicleRecords;
           }
 
-          // 3️⃣ Build Final Response
+          // 3️⃣ Ratings received as a driver and as a passenger
+          const [asDriver, asPassenger] = await Promise.all([
+              ratings.getRating(pool, userId, 'driver'),
+              ratings.getRating(pool, userId, 'passenger')
+          ]);
+
+          // 4️⃣ Build Final Response
           const responseData = {
               id: user.id,
               name: user.name,
               email: user.email,
               phone: user.phone,
+              email_verified: Boolean(user.email_verified_at),
+              phone_verified: Boolean(user.phone_verified_at),
               is_driver: user.license_number ? true : false,
               driver_license: user.license_number || null,
-              license_verified: user.license_expiry || false,
+              driver_status: user.verification_status || null,
+              license_verified: user.verification_status === 'approved',
+              ratings: { as_driver: asDriver, as_passenger: asPassenger },
               vehicles: vehicles
           };
 
@@ -229,30 +521,26 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             properties:
-     *               name:
-     *                 type: string
-     *               phone:
-     *                 type: string
+     *             $ref: '#/components/schemas/UpdateProfile'
      *     responses:
      *       200:
      *         description: User profile updated successfully
      *       400:
      *         description: Invalid request data
+     *       403:
+     *         description: Access denied
      *       500:
      *         description: Internal server error
      */
-    router.put('/profile/:user', authenticateToken, async (req, res) => {
+    router.put('/profile/:user', authenticateToken, validate({ params: schemas.UserParams, body: schemas.UpdateProfile }), policy.selfOrAdmin(), async (req, res) => {
         const { name, phone } = req.body;
         const userId = req.params.user; // UUID-based user ID
     
-        if (!name || !phone) return res.status(400).json({ error: 'Name and phone are required' });
-    
         try {
+            // A new phone number has to be verified again
             await pool.execute(
-                'UPDATE users SET name = ?, phone = ? WHERE id = ?', 
-                [name, phone, userId]
+                'UPDATE users SET phone_verified_at = IF(phone <=> ?, phone_verified_at, NULL), name = ?, phone = ? WHERE id = ?', 
+                [phone, name, phone, userId]
             );
     
             res.json({ message: 'User profile updated successfully' });
@@ -261,11 +549,103 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
         }
     });
     
+    /**
+     * @swagger
+     * /users/profile/{user}/export:
+     *   get:
+     *     summary: Download a copy of all personal data held for a user
+     *     tags: [User]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: user
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: User UUID
+     *     responses:
+     *       200:
+     *         description: Profile, vehicles, rides, bookings, requests, agreements and reviews as JSON
+     *       403:
+     *         description: Access denied
+     *       404:
+     *         description: User not found
+     *       500:
+     *         description: Internal server error
+     */
+    router.get('/profile/:user/export', authenticateToken, validate({ params: schemas.UserParams }), policy.selfOrAdmin(), async (req, res) => {
+        try {
+            const data = await exportUserData(pool, req.params.user);
+            if (!data) return res.status(404).json({ error: 'User not found' });
+
+            res.attachment(`ride-pool-export-${req.params.user}.json`);
+            res.json(data);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    /**
+     * @swagger
+     * /users/profile/{user}:
+     *   delete:
+     *     summary: Delete your account
+     *     description: Anonymizes personal data and closes the account. Rides, bookings and messages shared with other users are kept; upcoming rides and bookings are canceled and the other party is notified.
+     *     tags: [User]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: user
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: User UUID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/DeleteAccount'
+     *     responses:
+     *       200:
+     *         description: Account deleted
+     *       400:
+     *         description: Password required
+     *       401:
+     *         description: Password is incorrect
+     *       403:
+     *         description: Access denied
+     *       500:
+     *         description: Internal server error
+     */
+    router.delete('/profile/:user', authenticateToken, validate({ params: schemas.UserParams, body: schemas.DeleteAccount }), policy.self(), async (req, res) => {
+        const { password } = req.body;
+
+        try {
+            const [users] = await pool.execute('SELECT password FROM users WHERE id = ?', [req.user.id]);
+            if (users.length === 0) return res.status(404).json({ error: 'User not found' });
+
+            const isMatch = await bcrypt.compare(password, users[0].password);
+            if (!isMatch) return res.status(401).json({ error: 'Password is incorrect' });
+
+            const { canceledRides, cancelledBookings } = await anonymizeUser(pool, req.user.id);
+
+            res.json({ message: 'Your account has been deleted' });
+            cancellations.ridesCanceled(canceledRides, { actorId: req.user.id, reason: CANCEL_REASONS.ride });
+            cancellations.bookingsCanceled(cancelledBookings, { reason: CANCEL_REASONS.booking });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
     /**
      * @swagger
      * /users/become-driver:
      *   post:
-     *     summary: Register as a driver
+     *     summary: Apply to become a driver (or resubmit a renewed licence)
+     *     description: Applications start as pending and an admin approves or rejects them. Rejected or expired drivers can resubmit.
      *     tags: [Drivers]
      *     security:
      *       - bearerAuth: []
@@ -274,56 +654,59 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
      *       content:
      *         application/json:
      *           schema:
-     *             type: object
-     *             properties:
-     *               license_number:
-     *                 type: string
-     *                 description: Driver's license number
-     *               license_expiry:
-     *                 type: string
-     *                 format: date
-     *                 description: License expiration date (YYYY-MM-DD)
+     *             $ref: '#/components/schemas/BecomeDriver'
      *     responses:
      *       201:
-     *         description: Successfully registered as a driver
+     *         description: Driver application submitted for verification
      *       400:
-     *         description: User is already a driver
+     *         description: Missing fields, licence already expired, or application already pending or approved
+     *       409:
+     *         description: Licence number already registered
      *       500:
      *         description: Internal server error
      */
-    router.post('/become-driver', authenticateToken, async (req, res) => {
+    router.post('/become-driver', authenticateToken, validate({ body: schemas.BecomeDriver }), async (req, res) => {
       try {
           const userId = req.user.id; // UUID-based user ID
           const { license_number, license_expiry } = req.body;
   
-          if (!license_number || !license_expiry) {
-              return res.status(400).json({ error: 'License number and expiry date are required.' });
-          }
-  
-          // Check if user is already a driver
+          // Check if user already has a driver record
           const [existingDriver] = await pool.query(
-              `SELECT * FROM drivers WHERE user_id = ?`, 
+              `SELECT verification_status FROM drivers WHERE user_id = ?`, 
               [userId]
           );
   
           if (existingDriver.length > 0) {
-              return res.status(400).json({ error: 'User is already a driver.' });
+              const status = existingDriver[0].verification_status;
+
+              if (status === 'approved') {
+                  return res.status(400).json({ error: 'User is already a driver.' });
+              }
+              if (status === 'pending') {
+                  return res.status(400).json({ error: 'Driver application is already pending review.' });
+              }
+
+              // Rejected or expired drivers resubmit their licence for review
+              await pool.query(
+                  `UPDATE drivers
+                   SET license_number = ?, license_expiry = ?, verification_status = 'pending',
+                       verification_reason = NULL, reviewed_by = NULL, reviewed_at = NULL, expiry_warning_sent_at = NULL
+                   WHERE user_id = ?`,
+                  [license_number, license_expiry, userId]
+              );
+          } else {
+              // Register as driver, pending admin verification
+              await pool.query(
+                  `INSERT INTO drivers (id, user_id, license_number, license_expiry) VALUES (?, ?, ?, ?)`, 
+                  [uuidv4(), userId, license_number, license_expiry]
+              );
           }
   
-          // Register as driver
-          await pool.query(
-              `INSERT INTO drivers (id, user_id, license_number, license_expiry) VALUES (?, ?, ?, ?)`, 
-              [uuidv4(), userId, license_number, license_expiry]
-          );
-
-          // Update user role to 'driver'
-          await pool.query(
-            `UPDATE users SET role = 'driver' WHERE id = ?`,
-            [userId]
-          );
-  
-          res.status(201).json({ message: 'User is now a driver!' });
+          res.status(201).json({ message: 'Driver application submitted. An admin will verify your licence.', status: 'pending' });
       } catch (error) {
+          if (error.code === 'ER_DUP_ENTRY') {
+              return res.status(409).json({ error: 'This license number is already registered.' });
+          }
           res.status(500).json({ error: error.message });
       }
     });
@@ -334,6 +717,10 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
      * /users/drivers/{user}:
      *   get:
      *     summary: Get driver details
+     *     description: >
+     *       Email, phone and licence number are only returned to the driver
+     *       and admins; everyone else gets the name, verification status and
+     *       rating. Riders reach their driver through the ride's messages.
      *     tags: [Drivers]
      *     parameters:
      *       - in: path
@@ -350,20 +737,28 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
      *       500:
      *         description: Internal server error
      */
-    router.get('/drivers/:user', authenticateToken, async (req, res) => {
+    router.get('/drivers/:user', authenticateToken, validate({ params: schemas.UserParams }), async (req, res) => {
         try {
             const userId = req.params.user; // UUID-based user ID
     
             const [driver] = await pool.execute(
                 `SELECT u.id, u.name, u.email, u.phone, 
-                        d.license_number, d.license_expiry
+                        d.license_number, d.license_expiry, d.verification_status,
+                        dr.average_rating, COALESCE(dr.rating_count, 0) AS rating_count
                  FROM users u
                  JOIN drivers d ON u.id = d.user_id
+                 LEFT JOIN ${ratings.ratingsTable('driver')} dr ON dr.reviewee_id = u.id
                  WHERE u.id = ?`, 
                 [userId]
             );
     
             if (driver.length === 0) return res.status(404).json({ error: 'Driver not found' });
+
+            // Contact details stay private; riders use the ride's message thread
+            if (userId !== req.user.id && req.user.role !== 'admin') {
+                const { email, phone, license_number, license_expiry, ...publicDetails } = driver[0];
+                return res.json(publicDetails);
+            }
     
             res.json(driver[0]);
         } catch (err) {
@@ -383,11 +778,11 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
      *       500:
      *         description: Internal server error
      */
-    router.get('/drivers', authenticateToken, authorize(['admin']), async (req, res) => {
+    router.get('/drivers', authenticateToken, policy.authorize(['admin']), async (req, res) => {
         try {
             const [drivers] = await pool.execute(
                 `SELECT u.id, u.name, u.email, u.phone, 
-                        d.license_number, d.license_expiry
+                        d.license_number, d.license_expiry, d.verification_status
                  FROM users u
                  JOIN drivers d ON u.id = d.user_id`
             );
@@ -433,11 +828,10 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
    *       500:
    *         description: Internal server error
    */
-  router.get('/drivers/:user/rides', authenticateToken, async (req, res) => {
+  router.get('/drivers/:user/rides', authenticateToken, validate({ params: schemas.UserParams, query: schemas.PaginationQuery }), policy.selfOrAdmin(), async (req, res) => {
     try {
         const userId = req.params.user;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
+        const { page, limit } = req.query;
         const offset = (page - 1) * limit;
 
         const [rides] = await pool.execute(
@@ -465,11 +859,30 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
     }
   });
 
+  // Answer a rating attempt, mapping eligibility failures to their status
+  const rate = (getPassengerId) => async (req, res) => {
+    try {
+        await ratings.submitReview(pool, {
+            rideId: req.params.rideId,
+            reviewerId: req.user.id,
+            passengerId: getPassengerId(req),
+            rating: req.body.rating,
+            comment: req.body.review
+        });
+
+        res.status(201).json({ message: `${getPassengerId(req) ? 'Passenger' : 'Driver'} rated successfully!` });
+    } catch (err) {
+        if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+  };
+
   /**
   * @swagger
   * /users/rides/{rideId}/rate:
   *   post:
-  *     summary: Rate a driver after a ride
+  *     summary: Rate the driver of a completed ride
+  *     description: Only passengers with a confirmed booking on the ride can rate, once per ride.
   *     tags: [Rides]
   *     security:
   *       - bearerAuth: []
@@ -485,52 +898,108 @@ module.exports = (pool, bcrypt, jwt, authenticateToken) => {
   *       content:
   *         application/json:
   *           schema:
-  *             type: object
-  *             properties:
-  *               rating:
-  *                 type: integer
-  *                 minimum: 1
-  *                 maximum: 5
-  *               review:
-  *                 type: string
+  *             $ref: '#/components/schemas/RateDriver'
   *     responses:
   *       201:
   *         description: Driver rated successfully
   *       400:
   *         description: Invalid request data
+  *       403:
+  *         description: Caller has no confirmed booking on this ride
   *       404:
   *         description: Ride not found
+  *       409:
+  *         description: Ride not completed yet, or already rated
   *       500:
   *         description: Internal server error
   */
-  router.post('/rides/:rideId/rate', authenticateToken, async (req, res) => {
-    try {
-        const rideId = req.params.rideId;
-        const { rating, review } = req.body;
-        const passengerId = req.user.id; // Get passenger ID from JWT
-
-        if (!rating || rating < 1 || rating > 5) {
-            return res.status(400).json({ error: "Rating must be between 1 and 5." });
-        }
-
-        // Check if the ride exists and the user was a passenger in it
-        const [ride] = await pool.execute(
-            `SELECT driver_id FROM rides WHERE id = ? AND passenger_id = ?`,
-            [rideId, passengerId]
-        );
-
-        if (ride.length === 0) return res.status(404).json({ error: "Ride not found or user not a passenger." });
-
-        const driverId = ride[0].driver_id;
+  router.post('/rides/:rideId/rate', authenticateToken, validate({ params: schemas.RideIdParams, body: schemas.RateDriver }), rate(() => null));
 
-        // Insert rating into the database
-        await pool.execute(
-            `INSERT INTO driver_ratings (id, driver_id, passenger_id, ride_id, rating, review) 
-            VALUES (UUID(), ?, ?, ?, ?, ?)`,
-            [driverId, passengerId, rideId, rating, review]
-        );
+  /**
+  * @swagger
+  * /users/rides/{rideId}/passengers/{passenger}/rate:
+  *   post:
+  *     summary: Rate a passenger of a completed ride
+  *     description: Only the ride's driver can rate, once per passenger, and only passengers whose booking was confirmed.
+  *     tags: [Rides]
+  *     security:
+  *       - bearerAuth: []
+  *     parameters:
+  *       - in: path
+  *         name: rideId
+  *         required: true
+  *         schema:
+  *           type: string
+  *         description: Ride UUID
+  *       - in: path
+  *         name: passenger
+  *         required: true
+  *         schema:
+  *           type: string
+  *         description: Passenger UUID
+  *     requestBody:
+  *       required: true
+  *       content:
+  *         application/json:
+  *           schema:
+  *             $ref: '#/components/schemas/RatePassenger'
+  *     responses:
+  *       201:
+  *         description: Passenger rated successfully
+  *       400:
+  *         description: Invalid request data
+  *       403:
+  *         description: Caller is not the ride's driver
+  *       404:
+  *         description: Ride not found, or passenger has no confirmed booking on it
+  *       409:
+  *         description: Ride not completed yet, or passenger already rated
+  *       500:
+  *         description: Internal server error
+  */
+  router.post('/rides/:rideId/passengers/:passenger/rate', authenticateToken, validate({ params: schemas.RidePassengerParams, body: schemas.RatePassenger }), rate((req) => req.params.passenger));
 
-        res.status(201).json({ message: "Driver rated successfully!" });
+  /**
+  * @swagger
+  * /users/reviews/{user}:
+  *   get:
+  *     summary: List reviews a user has received (with pagination)
+  *     tags: [User]
+  *     security:
+  *       - bearerAuth: []
+  *     parameters:
+  *       - in: path
+  *         name: user
+  *         required: true
+  *         schema:
+  *           type: string
+  *         description: User UUID
+  *       - in: query
+  *         name: role
+  *         schema:
+  *           type: string
+  *           enum: [driver, passenger]
+  *         description: Only reviews received in this role
+  *       - in: query
+  *         name: page
+  *         schema:
+  *           type: integer
+  *           default: 1
+  *       - in: query
+  *         name: limit
+  *         schema:
+  *           type: integer
+  *           default: 10
+  *     responses:
+  *       200:
+  *         description: Page of reviews, newest first
+  *       500:
+  *         description: Internal server error
+  */
+  router.get('/reviews/:user', authenticateToken, validate({ params: schemas.UserParams, query: schemas.ReviewsQuery }), async (req, res) => {
+    try {
+        const { role, page, limit } = req.query;
+        res.json(await ratings.listReviews(pool, req.params.user, { role, page, limit }));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
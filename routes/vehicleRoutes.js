@@ -1,19 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const HttpError = require('../utils/httpError');
+const vehicles = require('../utils/vehicles');
 
-module.exports = (pool, authenticateToken) => {
-
-  // Middleware for Role-Based Access
-  const authorize = (roles) => {
-    return (req, res, next) => {
-        console.log('User role:', req.user.role); // Debug log
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-        next();
-    };
-  };
-
+module.exports = (pool, authenticateToken, policy, cancellations) => {
 
   /**
    * @swagger
@@ -28,25 +20,7 @@ module.exports = (pool, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             required:
-   *               - make
-   *               - model
-   *               - plate
-   *               - capacity
-   *             properties:
-   *               make:
-   *                 type: string
-   *                 example: "Toyota"
-   *               model:
-   *                 type: string
-   *                 example: "Prius"
-   *               plate:
-   *                 type: string
-   *                 example: "ABC-1234"
-   *               capacity:
-   *                 type: integer
-   *                 example: 4
+   *             $ref: '#/components/schemas/AddVehicle'
    *     responses:
    *       201:
    *         description: ✅ Vehicle added successfully
@@ -55,11 +29,8 @@ module.exports = (pool, authenticateToken) => {
    *       500:
    *         description: Internal server error
    */
-  router.post('/add-vehicle', authenticateToken, authorize(['driver', 'admin']), async (req, res) => {
+  router.post('/add-vehicle', authenticateToken, validate({ body: schemas.AddVehicle }), policy.authorize(['driver', 'admin']), async (req, res) => {
     const { make, model, plate, capacity } = req.body;
-    if (!make || !model || !plate || !capacity) {
-        return res.status(400).json({ error: 'All fields are required' });
-    }
     try {
         await pool.execute(
             'INSERT INTO vehicles (user_id, make, model, plate, capacity) VALUES (?, ?, ?, ?, ?)',
@@ -85,7 +56,7 @@ module.exports = (pool, authenticateToken) => {
    *       500:
    *         description: Internal server error
    */
-  router.get('/manage-vehicle', authenticateToken, authorize(['driver', 'admin']), async (req, res) => {
+  router.get('/manage-vehicle', authenticateToken, policy.authorize(['driver', 'admin']), async (req, res) => {
     try {
       const [results] = await pool.execute(
         'SELECT * FROM vehicles WHERE user_id = ?',
@@ -111,7 +82,7 @@ module.exports = (pool, authenticateToken) => {
    *       500:
    *         description: Internal server error
    */
-  router.get('/all-vehicles', authenticateToken, authorize(['admin']), async (req, res) => {
+  router.get('/all-vehicles', authenticateToken, policy.authorize(['admin']), async (req, res) => {
     try {
       const [results] = await pool.execute('SELECT * FROM vehicles');
       res.json(results);
@@ -140,26 +111,21 @@ module.exports = (pool, authenticateToken) => {
    *         description: ✅ Vehicle deleted successfully
    *       403:
    *         description: Unauthorized
+   *       404:
+   *         description: Vehicle not found
+   *       409:
+   *         description: Upcoming rides or recurring rides still use this vehicle
    *       500:
    *         description: Internal server error
    */
-  router.delete('/delete-vehicle/:vehicle_id', authenticateToken, authorize(['driver', 'admin']), async (req, res) => {
+  router.delete('/delete-vehicle/:vehicle_id', authenticateToken, validate({ params: schemas.VehicleIdParams }), policy.authorize(['driver', 'admin']), policy.vehicleOwner((req) => req.params.vehicle_id), async (req, res) => {
     const { vehicle_id } = req.params;
     
     try {
-      // Verify the user owns the vehicle (or is admin)
-      const [vehicle] = await pool.execute(
-        'SELECT id FROM vehicles WHERE id = ? AND (user_id = ? OR ? = "admin")',
-        [vehicle_id, req.user.id, req.user.role]
-      );
-
-      if (vehicle.length === 0) {
-        return res.status(403).json({ error: 'Unauthorized to delete this vehicle' });
-      }
-
-      await pool.execute('DELETE FROM vehicles WHERE id = ?', [vehicle_id]);
+      await vehicles.deleteVehicle(pool, vehicle_id);
       res.json({ message: '✅ Vehicle deleted successfully' });
     } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
       res.status(500).json({ error: err.message });
     }
   });
@@ -169,6 +135,12 @@ module.exports = (pool, authenticateToken) => {
    * /vehicles/update-vehicle/{vehicle_id}:
    *   put:
    *     summary: Update vehicle details
+   *     description: >
+   *       Lowering the capacity cuts the seats offered on upcoming rides in
+   *       this vehicle to fit. It is refused while passengers have booked more
+   *       seats than the new capacity allows. Raising it adds the new seats to
+   *       upcoming rides that offered every seat, and offers them to their
+   *       waitlists.
    *     tags: [Vehicles]
    *     security:
    *       - bearerAuth: []
@@ -184,53 +156,29 @@ module.exports = (pool, authenticateToken) => {
    *       content:
    *         application/json:
    *           schema:
-   *             type: object
-   *             properties:
-   *               make:
-   *                 type: string
-   *                 example: "Toyota"
-   *               model:
-   *                 type: string
-   *                 example: "Prius"
-   *               plate:
-   *                 type: string
-   *                 example: "ABC-1234"
-   *               capacity:
-   *                 type: integer
-   *                 example: 4
+   *             $ref: '#/components/schemas/UpdateVehicle'
    *     responses:
    *       200:
-   *         description: Vehicle updated successfully
+   *         description: Vehicle updated successfully, with the number of rides whose seats changed
    *       403:
    *         description: Unauthorized
+   *       404:
+   *         description: Vehicle not found
+   *       409:
+   *         description: Upcoming rides have more seats booked than the new capacity allows
    *       500:
    *         description: Internal server error
    */
-  router.put('/update-vehicle/:vehicle_id', authenticateToken, authorize(['driver', 'admin']), async (req, res) => {
+  router.put('/update-vehicle/:vehicle_id', authenticateToken, validate({ params: schemas.VehicleIdParams, body: schemas.UpdateVehicle }), policy.authorize(['driver', 'admin']), policy.vehicleOwner((req) => req.params.vehicle_id), async (req, res) => {
     const { vehicle_id } = req.params;
     const { model, plate, capacity } = req.body;
 
-    if (!model || !plate || !capacity) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-
     try {
-      // Verify user owns the vehicle (or is admin)
-      const [vehicle] = await pool.execute(
-        'SELECT id FROM vehicles WHERE id = ? AND (user_id = ? OR ? = "admin")',
-        [vehicle_id, req.user.id, req.user.role]
-      );
-
-      if (vehicle.length === 0) {
-        return res.status(403).json({ error: 'Unauthorized to update this vehicle' });
-      }
-
-      await pool.execute(
-        'UPDATE vehicles SET model = ?, plate = ?, capacity = ? WHERE id = ?',
-        [model, plate, capacity, vehicle_id]
-      );
-      res.json({ message: '✅ Vehicle updated successfully' });
+      const { adjusted, promoted } = await vehicles.updateVehicle(pool, vehicle_id, { model, plate, capacity });
+      res.json({ message: '✅ Vehicle updated successfully', rides_adjusted: adjusted });
+      cancellations.offersMade(promoted);
     } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
       res.status(500).json({ error: err.message });
     }
   });
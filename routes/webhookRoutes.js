@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+const schemas = require('../schemas');
+const sendError = require('../utils/sendError');
+const webhooks = require('../utils/webhooks');
+
+module.exports = (pool, authenticateToken, policy, dispatcher) => {
+
+  // Integrations are set up by admins on behalf of partners
+  router.use(authenticateToken, policy.authorize(['admin']));
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Webhooks
+   *   description: Outbound event deliveries to partner systems (admins only)
+   */
+
+  /**
+   * @swagger
+   * /webhooks:
+   *   post:
+   *     summary: Register a webhook endpoint
+   *     description: >
+   *       Each subscribed event is POSTed as JSON { id, type, created_at,
+   *       data } with an X-RidePool-Signature header "t=<unix seconds>,v1=<hex
+   *       HMAC-SHA256 of '<t>.<body>'>" computed with the returned secret,
+   *       which is shown only once. Non-2xx answers are retried with
+   *       exponential backoff up to WEBHOOK_MAX_ATTEMPTS times.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/RegisterWebhook'
+   *     responses:
+   *       201:
+   *         description: Endpoint registered, with its id and signing secret
+   *       400:
+   *         $ref: '#/components/responses/ValidationError'
+   *       403:
+   *         description: Admins only
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/', validate({ body: schemas.RegisterWebhook }), async (req, res) => {
+    try {
+      const { id, secret } = await webhooks.registerEndpoint(pool, req.body, req.user.id);
+      res.status(201).json({ message: '🔗 Webhook endpoint registered; store the secret, it is not shown again', endpointId: id, secret });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhooks:
+   *   get:
+   *     summary: List webhook endpoints
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Endpoints, newest first, without secrets, each with its pending and failed delivery counts
+   *       403:
+   *         description: Admins only
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await webhooks.listEndpoints(pool));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhooks/{endpointId}:
+   *   put:
+   *     summary: Pause or resume a webhook endpoint
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: endpointId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/UpdateWebhook'
+   *     responses:
+   *       200:
+   *         description: Endpoint updated
+   *       403:
+   *         description: Admins only
+   *       404:
+   *         description: Endpoint not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.put('/:endpointId', validate({ params: schemas.WebhookParams, body: schemas.UpdateWebhook }), async (req, res) => {
+    try {
+      await webhooks.setEndpointActive(pool, req.params.endpointId, req.body.active);
+      res.json({ message: req.body.active ? 'Webhook endpoint resumed' : 'Webhook endpoint paused' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhooks/{endpointId}:
+   *   delete:
+   *     summary: Delete a webhook endpoint and its delivery log
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: endpointId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Endpoint deleted
+   *       403:
+   *         description: Admins only
+   *       404:
+   *         description: Endpoint not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.delete('/:endpointId', validate({ params: schemas.WebhookParams }), async (req, res) => {
+    try {
+      await webhooks.deleteEndpoint(pool, req.params.endpointId);
+      res.json({ message: 'Webhook endpoint deleted' });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhooks/{endpointId}/deliveries:
+   *   get:
+   *     summary: An endpoint's delivery log (with pagination)
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: endpointId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, succeeded, failed]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Deliveries, newest first, with attempts, last response status and error
+   *       403:
+   *         description: Admins only
+   *       500:
+   *         description: Internal server error
+   */
+  router.get('/:endpointId/deliveries', validate({ params: schemas.WebhookParams, query: schemas.WebhookDeliveriesQuery }), async (req, res) => {
+    try {
+      const { status, page, limit } = req.query;
+      const { total, deliveries } = await webhooks.listDeliveries(pool, req.params.endpointId, { status, page, limit });
+      res.json({ page, totalPages: Math.ceil(total / limit), totalDeliveries: total, deliveries });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhooks/deliveries/{deliveryId}/replay:
+   *   post:
+   *     summary: Send a failed (or already delivered) event again
+   *     description: The delivery starts over with a fresh set of retries; the event id stays the same.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deliveryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Delivery replayed, with its status after this attempt
+   *       403:
+   *         description: Admins only
+   *       404:
+   *         description: Delivery not found
+   *       409:
+   *         description: The delivery is still being retried
+   *       500:
+   *         description: Internal server error
+   */
+  router.post('/deliveries/:deliveryId/replay', validate({ params: schemas.WebhookDeliveryParams }), async (req, res) => {
+    try {
+      const status = await dispatcher.replay(req.params.deliveryId);
+      res.json({ message: status === 'succeeded' ? '✅ Delivery replayed' : 'Delivery replay failed; it will be retried', status });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+};
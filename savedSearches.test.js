@@ -0,0 +1,59 @@
+const { matchStops, alertSavedSearches } = require('./utils/savedSearches');
+const { fakePool, changed } = require('./test/fakePool');
+
+const RONGAI = { lat: -1.3963, lng: 36.7597 };
+const LANGATA = { lat: -1.3624, lng: 36.7569 };
+const CBD = { lat: -1.2841, lng: 36.8233 };
+const WESTLANDS = { lat: -1.2676, lng: 36.8108 };
+
+const search = (pickup, dropoff, extra = {}) => ({
+  id: 's1', user_id: 'amina', radius_km: '3.00',
+  pickup_lat: String(pickup.lat), pickup_lng: String(pickup.lng),
+  dropoff_lat: String(dropoff.lat), dropoff_lng: String(dropoff.lng),
+  ...extra
+});
+
+const stops = [
+  { place: 'Rongai', ...RONGAI, time: '07:00' },
+  { place: 'Langata', ...LANGATA, time: '07:20' },
+  { place: 'Nairobi CBD', ...CBD, time: null }
+];
+
+describe('Saved search matching', () => {
+  it('matches the nearest pair of stops in route order', () => {
+    expect(matchStops(stops, search(LANGATA, CBD))).toEqual({ pickupStop: 1, dropoffStop: 2 });
+    expect(matchStops(stops, search(RONGAI, CBD))).toEqual({ pickupStop: 0, dropoffStop: 2 });
+  });
+
+  it('ignores rides going the other way or missing an end', () => {
+    expect(matchStops(stops, search(CBD, RONGAI))).toBeNull();
+    expect(matchStops(stops, search(RONGAI, WESTLANDS, { radius_km: '1' }))).toBeNull();
+  });
+
+  it('records each match once and notifies the passenger', async () => {
+    const sent = [];
+    const alerts = new Set();
+    const pool = fakePool([
+      [/FROM saved_searches/, () => [search(LANGATA, CBD)]],
+      [/INSERT IGNORE INTO saved_search_alerts/, ([, searchId, rideId]) => {
+        const key = `${searchId}:${rideId}`;
+        const fresh = !alerts.has(key);
+        alerts.add(key);
+        return changed(fresh ? 1 : 0);
+      }]
+    ]);
+    const notifier = { notify: async (userId, message) => sent.push({ userId, ...message }) };
+    const ride = { id: 'r1', user_id: 'driver', date: '2025-03-10', time: '07:00', seats_available: 3, stops };
+
+    await expect(alertSavedSearches(pool, notifier, ride)).resolves.toBe(1);
+    await expect(alertSavedSearches(pool, notifier, ride)).resolves.toBe(0);
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({
+      userId: 'amina',
+      type: 'search.match',
+      title: 'New ride: Langata to Nairobi CBD on 2025-03-10',
+      data: { rideId: 'r1', from_stop: 1, to_stop: 2 }
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { id, text, pagination } = require('./common');
+
+module.exports = {
+  AdminUserAction: {
+    type: 'object',
+    required: ['user', 'action'],
+    properties: {
+      user: id,
+      action: { type: 'string', enum: ['suspend', 'reactivate', 'ban'] }
+    }
+  },
+
+  AdminDriverDecision: {
+    type: 'object',
+    required: ['user', 'decision'],
+    properties: {
+      user: id,
+      decision: { type: 'string', enum: ['approve', 'reject'] }
+    }
+  },
+
+  AdminUserSearchQuery: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', maxLength: 100, description: 'Matches name, email or phone' },
+      role: { type: 'string', enum: ['passenger', 'driver', 'admin'] },
+      status: { type: 'string', enum: ['active', 'suspended', 'banned', 'deleted'] },
+      ...pagination(20)
+    }
+  },
+
+  AdminDriverQuery: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'], default: 'pending' },
+      ...pagination(20)
+    }
+  },
+
+  AdminActionQuery: {
+    type: 'object',
+    properties: {
+      user: { ...id, description: 'Only actions taken on this user' },
+      ...pagination(20)
+    }
+  },
+
+  AdminReason: {
+    type: 'object',
+    required: ['reason'],
+    properties: {
+      reason: text(1000)
+    }
+  },
+
+  AdminChangeRole: {
+    type: 'object',
+    required: ['role', 'reason'],
+    properties: {
+      role: { type: 'string', enum: ['passenger', 'driver', 'admin'] },
+      reason: text(1000)
+    }
+  }
+};
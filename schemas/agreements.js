@@ -0,0 +1,29 @@
+const { id, params } = require('./common');
+
+module.exports = {
+  VehicleParams: params('vehicle'),
+
+  AcceptAgreement: {
+    type: 'object',
+    required: ['agreement_id'],
+    properties: {
+      agreement_id: id
+    }
+  },
+
+  SendRideRequest: {
+    type: 'object',
+    required: ['ride_id'],
+    properties: {
+      ride_id: id
+    }
+  },
+
+  RideRequestDecision: {
+    type: 'object',
+    required: ['request_id'],
+    properties: {
+      request_id: { ...id, description: 'UUID of the ride request' }
+    }
+  }
+};
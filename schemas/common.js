@@ -0,0 +1,46 @@
+// Building blocks shared by the route schemas
+
+const id = { type: 'string', minLength: 1, maxLength: 36 };
+
+const text = (maxLength = 255) => ({ type: 'string', minLength: 1, maxLength });
+
+const email = { type: 'string', format: 'email', maxLength: 100, example: 'john@example.com' };
+
+const phone = { type: 'string', pattern: '^\\+?[0-9 ()-]{7,20}$', example: '+123456789' };
+
+const password = { type: 'string', minLength: 8, maxLength: 128, example: 'mysecurepassword' };
+
+// { lat, lng } in degrees
+const point = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90, example: -1.2841 },
+    lng: { type: 'number', minimum: -180, maximum: 180, example: 36.8233 }
+  }
+};
+
+// Ride price: a per-seat price or a total trip cost to split, in one currency
+const pricing = {
+  price_per_seat: { type: 'number', minimum: 0, maximum: 100000, example: 250, description: 'Omit both prices for a free ride' },
+  total_cost: { type: 'number', exclusiveMinimum: 0, maximum: 1000000, description: 'Trip cost split evenly between the driver and every seat offered' },
+  currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'KES', description: 'ISO 4217 code; defaults to DEFAULT_CURRENCY' }
+};
+
+// IANA timezone a ride's date and time are in
+const timezone = { type: 'string', format: 'timezone', maxLength: 64, example: 'Africa/Nairobi', description: 'Defaults to DEFAULT_TIMEZONE' };
+
+// Path parameter objects
+const params = (...names) => ({
+  type: 'object',
+  required: names,
+  properties: Object.fromEntries(names.map((name) => [name, id]))
+});
+
+// ?page=&limit= query, with defaults filled in
+const pagination = (defaultLimit = 10) => ({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: defaultLimit }
+});
+
+module.exports = { id, text, email, phone, password, point, pricing, timezone, params, pagination };
@@ -0,0 +1,15 @@
+// Every named request schema, validated by middleware/validate.js and
+// published to Swagger under components.schemas
+module.exports = {
+  ...require('./users'),
+  ...require('./rides'),
+  ...require('./series'),
+  ...require('./searches'),
+  ...require('./vehicles'),
+  ...require('./agreements'),
+  ...require('./notifications'),
+  ...require('./messages'),
+  ...require('./stream'),
+  ...require('./webhooks'),
+  ...require('./admin')
+};
@@ -0,0 +1,31 @@
+const { id, text, params, pagination } = require('./common');
+
+module.exports = {
+  RideMessageParams: params('rideId', 'messageId'),
+
+  MessageParams: params('messageId'),
+
+  MessagesQuery: {
+    type: 'object',
+    properties: {
+      before: { ...id, description: 'Message ID from next_before; returns the messages sent before it' },
+      limit: pagination(30).limit
+    }
+  },
+
+  PostMessage: {
+    type: 'object',
+    required: ['body'],
+    properties: {
+      body: { ...text(2000), example: 'I will wait at the Shell station gate' }
+    }
+  },
+
+  ReportMessage: {
+    type: 'object',
+    required: ['reason'],
+    properties: {
+      reason: { ...text(1000), example: 'Abusive language' }
+    }
+  }
+};
@@ -0,0 +1,24 @@
+const { text, params, pagination } = require('./common');
+
+module.exports = {
+  NotificationParams: params('notificationId'),
+
+  NotificationsQuery: {
+    type: 'object',
+    properties: {
+      unread_only: { type: 'boolean', default: false, description: 'Leave out notifications already read' },
+      ...pagination(20)
+    }
+  },
+
+  NotificationPreferences: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      email: { type: 'boolean', description: 'Also send notifications by email (on by default)' },
+      sms: { type: 'boolean', description: 'Also send notifications by SMS' },
+      push: { type: 'boolean', description: 'Also send notifications to push_token' },
+      push_token: { ...text(), nullable: true, description: 'Device token push notifications go to; null to forget it' }
+    }
+  }
+};
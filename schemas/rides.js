@@ -0,0 +1,137 @@
+const { id, text, point, pricing, timezone, params } = require('./common');
+
+// Stops along the way, between the origin and the destination
+const MAX_STOPS = 8;
+
+// Positions in a ride's stop list: 0 is the origin, the last one the destination
+const stopRange = {
+  from_stop: { type: 'integer', minimum: 0, maximum: MAX_STOPS + 1, description: 'Pick-up stop position; defaults to the origin (0)' },
+  to_stop: { type: 'integer', minimum: 1, maximum: MAX_STOPS + 1, description: 'Drop-off stop position; defaults to the destination' }
+};
+
+// Filters, sorting and cursor paging shared by /rides/available and /rides/search
+const listing = (sorts, defaultSort) => ({
+  date: { type: 'string', format: 'date', example: '2025-03-10' },
+  flex_days: { type: 'integer', minimum: 0, maximum: 7, default: 0, description: 'Also match rides up to this many days either side of date' },
+  time_from: { type: 'string', format: 'time-hm', example: '07:00', description: 'Earliest departure time' },
+  time_to: { type: 'string', format: 'time-hm', example: '09:30', description: 'Latest departure time' },
+  min_seats: { type: 'integer', minimum: 1, maximum: 60, description: 'Seats free (between the matched stops, for search)' },
+  min_price: { type: 'number', minimum: 0, description: 'Per-seat price; free rides count as 0' },
+  max_price: { type: 'number', minimum: 0 },
+  min_rating: { type: 'number', minimum: 1, maximum: 5, description: "Driver's average rating; unrated drivers are left out" },
+  min_capacity: { type: 'integer', minimum: 2, maximum: 61, description: 'Vehicle capacity, driver included' },
+  sort: { type: 'string', enum: sorts, default: defaultSort },
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Defaults to desc for rating and seats, asc otherwise' },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+  cursor: { type: 'string', maxLength: 512, description: 'next_cursor of the previous page, with the same sort' }
+});
+
+module.exports = {
+  OfferRide: {
+    type: 'object',
+    required: ['origin', 'destination', 'date', 'time', 'seats_available', 'vehicle_id'],
+    not: { required: ['price_per_seat', 'total_cost'] },
+    'x-future-departure': true,
+    properties: {
+      vehicle_id: { ...id, description: 'One of your registered vehicles; seats_available must leave room for the driver' },
+      ...pricing,
+      origin: { ...text(), example: 'New York' },
+      destination: { ...text(), example: 'Boston' },
+      date: { type: 'string', format: 'future-date', example: '2025-03-10' },
+      time: { type: 'string', format: 'time-hm', example: '14:00' },
+      timezone,
+      seats_available: { type: 'integer', minimum: 1, maximum: 60, example: 3 },
+      pickup: { ...point, description: 'Pickup coordinates; geocoded from origin when omitted' },
+      dropoff: { ...point, description: 'Drop-off coordinates; geocoded from destination when omitted' },
+      arrival_time: { type: 'string', format: 'time-hm', example: '17:30', description: 'Expected arrival at the destination' },
+      stops: {
+        type: 'array',
+        maxItems: MAX_STOPS,
+        description: 'Stops between origin and destination, in route order; passengers can book between any two',
+        items: {
+          type: 'object',
+          required: ['place', 'time'],
+          properties: {
+            place: { ...text(), example: 'Providence' },
+            time: { type: 'string', format: 'time-hm', example: '15:30' },
+            point: { ...point, description: 'Stop coordinates; geocoded from place when omitted' }
+          }
+        }
+      }
+    }
+  },
+
+  SearchRides: {
+    type: 'object',
+    required: ['date'],
+    allOf: [
+      { anyOf: [{ required: ['origin'] }, { required: ['pickup'] }] },
+      { anyOf: [{ required: ['destination'] }, { required: ['dropoff'] }] }
+    ],
+    properties: {
+      origin: { ...text(), example: 'CBD, Nairobi', description: 'Free-text place, geocoded when pickup is omitted' },
+      destination: { ...text(), example: 'Westlands', description: 'Free-text place, geocoded when dropoff is omitted' },
+      pickup: point,
+      dropoff: point,
+      radius_km: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: 5, description: 'Maximum distance from each point' },
+      ...listing(['distance', 'departure', 'price', 'rating', 'seats'], 'distance')
+    }
+  },
+
+  AvailableRidesQuery: {
+    type: 'object',
+    properties: listing(['departure', 'price', 'rating', 'seats'], 'departure')
+  },
+
+  RidePricing: {
+    type: 'object',
+    anyOf: [{ required: ['price_per_seat'] }, { required: ['total_cost'] }],
+    not: { required: ['price_per_seat', 'total_cost'] },
+    properties: pricing
+  },
+
+  FareQuoteQuery: {
+    type: 'object',
+    properties: {
+      seats: { type: 'integer', minimum: 1, maximum: 60, default: 1 },
+      ...stopRange
+    }
+  },
+
+  BookRide: {
+    type: 'object',
+    required: ['rideId', 'seats'],
+    properties: {
+      rideId: { ...id, example: '69d206c2-1' },
+      seats: { type: 'integer', minimum: 1, maximum: 60, example: 2 },
+      ...stopRange
+    }
+  },
+
+  CancelRide: {
+    type: 'object',
+    required: ['rideId'],
+    properties: {
+      rideId: { ...id, example: '69d206c2-1' },
+      reason: { ...text(), description: 'Shown to passengers in their booking history' }
+    }
+  },
+
+  JoinWaitlist: {
+    type: 'object',
+    required: ['seats'],
+    properties: {
+      seats: { type: 'integer', minimum: 1, maximum: 60, example: 1 },
+      ...stopRange
+    }
+  },
+
+  BookingParams: params('bookingId'),
+
+  BookingTransition: {
+    type: 'object',
+    properties: {
+      reason: { ...text(), example: 'Plans changed' }
+    }
+  }
+};
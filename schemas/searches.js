@@ -0,0 +1,29 @@
+const { text, point, params } = require('./common');
+
+const date = { type: 'string', format: 'date', example: '2025-03-10' };
+const time = { type: 'string', format: 'time-hm', example: '07:30' };
+
+module.exports = {
+  SavedSearchParams: params('searchId'),
+
+  SaveSearch: {
+    type: 'object',
+    required: ['date_from', 'date_to'],
+    allOf: [
+      { anyOf: [{ required: ['origin'] }, { required: ['pickup'] }] },
+      { anyOf: [{ required: ['destination'] }, { required: ['dropoff'] }] }
+    ],
+    properties: {
+      origin: { ...text(), example: 'Rongai', description: 'Free-text place, geocoded when pickup is omitted' },
+      destination: { ...text(), example: 'Nairobi CBD', description: 'Free-text place, geocoded when dropoff is omitted' },
+      pickup: point,
+      dropoff: point,
+      radius_km: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: 5, description: 'Maximum distance from each point' },
+      date_from: { ...date, format: 'future-date' },
+      date_to: { ...date, format: 'future-date', example: '2025-03-31', description: 'The search lapses after this day' },
+      time_from: { ...time, description: 'Earliest departure time' },
+      time_to: { ...time, example: '09:00', description: 'Latest departure time' },
+      seats: { type: 'integer', minimum: 1, maximum: 60, default: 1 }
+    }
+  }
+};
@@ -0,0 +1,71 @@
+const { id, text, point, pricing, timezone } = require('./common');
+
+const date = { type: 'string', format: 'date', example: '2025-03-10' };
+const time = { type: 'string', format: 'time-hm', example: '07:30' };
+const seats = { type: 'integer', minimum: 1, maximum: 60, example: 3 };
+
+module.exports = {
+  SeriesParams: {
+    type: 'object',
+    required: ['seriesId'],
+    properties: { seriesId: id }
+  },
+
+  OccurrenceParams: {
+    type: 'object',
+    required: ['seriesId', 'date'],
+    properties: { seriesId: id, date }
+  },
+
+  OfferRideSeries: {
+    type: 'object',
+    required: ['origin', 'destination', 'time', 'seats_available', 'days_of_week', 'start_date', 'vehicle_id'],
+    not: { required: ['price_per_seat', 'total_cost'] },
+    properties: {
+      vehicle_id: { ...id, description: 'One of your registered vehicles; seats_available must leave room for the driver' },
+      ...pricing,
+      origin: { ...text(), example: 'Rongai' },
+      destination: { ...text(), example: 'Nairobi CBD' },
+      pickup: { ...point, description: 'Pickup coordinates; geocoded from origin when omitted' },
+      dropoff: { ...point, description: 'Drop-off coordinates; geocoded from destination when omitted' },
+      time,
+      timezone,
+      seats_available: seats,
+      days_of_week: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] },
+        example: ['mon', 'tue', 'wed', 'thu', 'fri']
+      },
+      start_date: { type: 'string', format: 'future-date', example: '2025-03-10' },
+      end_date: { ...date, description: 'Last day of the series; runs indefinitely when omitted' },
+      exceptions: { type: 'array', items: date, description: 'Dates to skip' }
+    }
+  },
+
+  UpdateRideSeries: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      time,
+      seats_available: { ...seats, description: 'Applies to occurrences nobody has booked yet' },
+      end_date: { ...date, description: 'Occurrences after this date are canceled' }
+    }
+  },
+
+  UpdateOccurrence: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      time,
+      seats_available: { ...seats, description: 'Only while nobody has booked this occurrence' }
+    }
+  },
+
+  BookRideSeries: {
+    type: 'object',
+    required: ['seats'],
+    properties: { seats: { ...seats, example: 1 } }
+  }
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  StreamQuery: {
+    type: 'object',
+    properties: {
+      last_event_id: { type: 'integer', minimum: 0, description: 'Resume after this event; the Last-Event-ID header wins when both are sent' },
+      access_token: { type: 'string', minLength: 1, description: 'For clients that cannot send an Authorization header, like EventSource' }
+    }
+  }
+};
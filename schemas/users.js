@@ -0,0 +1,140 @@
+const { text, email, phone, password, params, pagination } = require('./common');
+
+const channel = { type: 'string', enum: ['email', 'phone'] };
+
+const review = {
+  type: 'object',
+  required: ['rating'],
+  properties: {
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    review: { type: 'string', maxLength: 1000 }
+  }
+};
+
+module.exports = {
+  UserParams: params('user'),
+
+  RideIdParams: params('rideId'),
+
+  RidePassengerParams: params('rideId', 'passenger'),
+
+  PaginationQuery: {
+    type: 'object',
+    properties: pagination(10)
+  },
+
+  Register: {
+    type: 'object',
+    required: ['name', 'email', 'phone', 'password'],
+    properties: {
+      name: { ...text(100), example: 'John Doe' },
+      email,
+      phone,
+      password,
+      role: { type: 'string', description: 'Only "passenger" is accepted' }
+    }
+  },
+
+  Verify: {
+    type: 'object',
+    required: ['email', 'channel', 'code'],
+    properties: {
+      email,
+      channel,
+      code: { type: 'string', pattern: '^\\d{6}$', example: '042137' }
+    }
+  },
+
+  ResendVerification: {
+    type: 'object',
+    required: ['email', 'channel'],
+    properties: { email, channel }
+  },
+
+  Login: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email,
+      password: { ...text(128), example: 'mysecurepassword' }
+    }
+  },
+
+  RefreshToken: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: text(512)
+    }
+  },
+
+  Logout: {
+    type: 'object',
+    properties: {
+      refreshToken: { ...text(512), description: 'Refresh token of the session to end' },
+      all: { type: 'boolean', description: 'Revoke every session for this user' }
+    }
+  },
+
+  ChangePassword: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: {
+      currentPassword: text(128),
+      newPassword: password
+    }
+  },
+
+  ForgotPassword: {
+    type: 'object',
+    required: ['email'],
+    properties: { email }
+  },
+
+  ResetPassword: {
+    type: 'object',
+    required: ['token', 'newPassword'],
+    properties: {
+      token: text(128),
+      newPassword: password
+    }
+  },
+
+  UpdateProfile: {
+    type: 'object',
+    required: ['name', 'phone'],
+    properties: {
+      name: text(100),
+      phone
+    }
+  },
+
+  DeleteAccount: {
+    type: 'object',
+    required: ['password'],
+    properties: {
+      password: { ...text(128), description: 'Current password, to confirm the deletion' }
+    }
+  },
+
+  BecomeDriver: {
+    type: 'object',
+    required: ['license_number', 'license_expiry'],
+    properties: {
+      license_number: { ...text(50), description: "Driver's license number" },
+      license_expiry: { type: 'string', format: 'future-date', description: 'License expiration date (YYYY-MM-DD), in the future' }
+    }
+  },
+
+  RateDriver: review,
+
+  RatePassenger: review,
+
+  ReviewsQuery: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['driver', 'passenger'], description: 'Only reviews received in this role' },
+      ...pagination(10)
+    }
+  }
+};
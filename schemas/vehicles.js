@@ -0,0 +1,28 @@
+const { text, params } = require('./common');
+
+const capacity = { type: 'integer', minimum: 1, maximum: 60, example: 4 };
+
+module.exports = {
+  VehicleIdParams: params('vehicle_id'),
+
+  AddVehicle: {
+    type: 'object',
+    required: ['make', 'model', 'plate', 'capacity'],
+    properties: {
+      make: { ...text(100), example: 'Toyota' },
+      model: { ...text(100), example: 'Prius' },
+      plate: { ...text(50), example: 'ABC-1234' },
+      capacity
+    }
+  },
+
+  UpdateVehicle: {
+    type: 'object',
+    required: ['model', 'plate', 'capacity'],
+    properties: {
+      model: { ...text(100), example: 'Prius' },
+      plate: { ...text(50), example: 'ABC-1234' },
+      capacity
+    }
+  }
+};
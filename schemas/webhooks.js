@@ -0,0 +1,40 @@
+const { text, params, pagination } = require('./common');
+
+// Event types route handlers emit (see utils/webhooks.js)
+const EVENTS = [
+  'ride.offered', 'ride.canceled',
+  'booking.created', 'booking.confirmed', 'booking.rejected', 'booking.cancelled',
+  'request.accepted', 'request.rejected'
+];
+
+module.exports = {
+  WebhookParams: params('endpointId'),
+
+  WebhookDeliveryParams: params('deliveryId'),
+
+  RegisterWebhook: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2048, example: 'https://hr.example.com/ride-pool/events' },
+      events: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: EVENTS }, example: ['booking.created', 'booking.cancelled'] },
+      description: { ...text(), example: 'Acme HR shuttle sync' }
+    }
+  },
+
+  UpdateWebhook: {
+    type: 'object',
+    required: ['active'],
+    properties: {
+      active: { type: 'boolean', description: 'Deliveries to an inactive endpoint wait until it is active again' }
+    }
+  },
+
+  WebhookDeliveriesQuery: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      ...pagination(20)
+    }
+  }
+};
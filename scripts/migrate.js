@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI.
+ *
+ *   node scripts/migrate.js up            apply all pending migrations
+ *   node scripts/migrate.js down [steps]  roll back the last N (default 1)
+ *   node scripts/migrate.js status        list migrations and whether they ran
+ *
+ * Connection settings come from the same .env variables as the API. The
+ * database is created if it does not exist yet.
+ */
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const createMigrator = require('../utils/migrator');
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 3306
+  });
+
+  try {
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${process.env.DB_NAME}\``);
+    await connection.changeUser({ database: process.env.DB_NAME });
+
+    const migrator = createMigrator(connection);
+
+    if (command === 'up') {
+      const ran = await migrator.migrate();
+      console.log(ran.length ? ran.map((name) => `Applied ${name}`).join('\n') : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(arg, 10) || 1;
+      const ran = await migrator.rollback(steps);
+      console.log(ran.length ? ran.map((name) => `Reverted ${name}`).join('\n') : 'Nothing to roll back');
+    } else if (command === 'status') {
+      for (const { name, applied } of await migrator.status()) {
+        console.log(`${applied ? '[x]' : '[ ]'} ${name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await connection.end();
+  }
+};
+
+main().catch((err) => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+});
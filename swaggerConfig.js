@@ -1,5 +1,6 @@
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const schemas = require('./schemas');
 
 const options = {
   definition: {
@@ -24,6 +25,35 @@ const options = {
           bearerFormat: "JWT", // 👈 Important for Swagger to recognize JWT
         },
       },
+      schemas: {
+        ...schemas, // 👈 Same schemas the validation middleware enforces
+        ValidationError: {
+          type: "object",
+          properties: {
+            error: { type: "string", example: "Validation failed" },
+            details: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", example: "body.seats_available" },
+                  message: { type: "string", example: "must be >= 1" },
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        ValidationError: {
+          description: "Request failed validation",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ValidationError" },
+            },
+          },
+        },
+      },
     },
     security: [
       {
@@ -0,0 +1,39 @@
+/**
+ * In-memory stand-in for the mysql2 pool in unit tests. Each statement is
+ * answered by the first handler whose pattern matches its SQL: the handler
+ * gets the params (and the SQL) and returns the rows of a SELECT or the
+ * result of a write. A statement nothing matches throws, so tests notice
+ * queries they did not expect. Every statement is recorded in order.
+ *
+ * getConnection() hands out the pool itself, recording how the
+ * transaction ended and whether it was released, for code running in
+ * withTransaction.
+ */
+const fakePool = (handlers) => {
+  const pool = {
+    statements: [],
+    ended: null,
+    released: false,
+    execute: async (sql, params = []) => {
+      pool.statements.push({ sql, params });
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      if (!handler) throw new Error(`Unexpected statement: ${sql}`);
+      return [await handler[1](params, sql)];
+    },
+    beginTransaction: async () => {},
+    commit: async () => { pool.ended = 'commit'; },
+    rollback: async () => { pool.ended = 'rollback'; },
+    release: () => { pool.released = true; },
+    getConnection: async () => pool
+  };
+  pool.query = pool.execute;
+  return pool;
+};
+
+// What mysql2 returns for an INSERT, UPDATE or DELETE touching `affectedRows` rows
+const changed = (affectedRows = 1) => ({ affectedRows });
+
+// The statements other than SELECTs a pool received, in order
+const writes = (pool) => pool.statements.filter(({ sql }) => !/^\s*SELECT/.test(sql));
+
+module.exports = { fakePool, changed, writes };
@@ -0,0 +1,219 @@
+const jwt = require('jsonwebtoken');
+const createTokens = require('./utils/tokens');
+const { fakePool, changed } = require('./test/fakePool');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const user = { id: 'amina', email: 'amina@example.com', role: 'passenger', token_version: 0, status: 'active' };
+
+/**
+ * Refresh tokens, password resets and users (token_version, password,
+ * status) kept in memory behind the statements utils/tokens.js and the
+ * password reset routes run; `users` maps ids to account rows.
+ */
+const tokenPool = (users = { amina: { ...user } }) => {
+  const refreshTokens = [];
+  const resets = [];
+  const pool = fakePool([
+    [/SELECT id, name, email FROM users WHERE email = \?/, ([email]) => Object.values(users).filter((account) => account.email === email)],
+    [/INSERT INTO password_resets/, ([userId, tokenHash, minutes]) => {
+      resets.push({ id: `reset-${resets.length + 1}`, user_id: userId, token_hash: tokenHash, used_at: null, expires_at: Date.now() + minutes * 60000 });
+      return changed();
+    }],
+    [/SELECT id, user_id FROM password_resets/, ([tokenHash]) =>
+      resets.filter((reset) => reset.token_hash === tokenHash && !reset.used_at && reset.expires_at > Date.now())],
+    [/UPDATE password_resets SET used_at = NOW\(\) WHERE (id|user_id) = \? AND used_at IS NULL/, ([id], sql) => {
+      const key = /WHERE id/.test(sql) ? 'id' : 'user_id';
+      const open = resets.filter((reset) => reset[key] === id && !reset.used_at);
+      open.forEach((reset) => { reset.used_at = new Date(); });
+      return changed(open.length);
+    }],
+    [/UPDATE users SET password = \? WHERE id = \?/, ([password, userId]) => {
+      users[userId].password = password;
+      return changed();
+    }],
+    [/INSERT INTO refresh_tokens/, ([id, userId, tokenHash]) => {
+      refreshTokens.push({ id, user_id: userId, token_hash: tokenHash, revoked_at: null, expired: 0, replaced_by: null });
+      return changed();
+    }],
+    [/FROM refresh_tokens rt\s+JOIN users u/, ([tokenHash]) => {
+      const stored = refreshTokens.find((token) => token.token_hash === tokenHash);
+      if (!stored) return [];
+      const account = users[stored.user_id];
+      return [{ ...stored, uid: account.id, email: account.email, role: account.role, token_version: account.token_version, status: account.status }];
+    }],
+    [/UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE id = \?/, ([id]) => {
+      const token = refreshTokens.find((t) => t.id === id && !t.revoked_at);
+      if (token) token.revoked_at = new Date();
+      return changed(token ? 1 : 0);
+    }],
+    [/UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE user_id = \?/, ([userId]) => {
+      const open = refreshTokens.filter((t) => t.user_id === userId && !t.revoked_at);
+      open.forEach((t) => { t.revoked_at = new Date(); });
+      return changed(open.length);
+    }],
+    [/UPDATE refresh_tokens SET replaced_by = \?/, ([next, id]) => {
+      refreshTokens.find((t) => t.id === id).replaced_by = next;
+      return changed();
+    }],
+    [/UPDATE users SET token_version = token_version \+ 1/, ([userId]) => {
+      users[userId].token_version++;
+      return changed();
+    }]
+  ]);
+  return Object.assign(pool, { refreshTokens, resets, users });
+};
+
+const live = (pool) => pool.refreshTokens.filter((token) => !token.revoked_at);
+
+describe('Refresh token rotation', () => {
+  it('swaps a refresh token for a new pair and retires the old one', async () => {
+    const pool = tokenPool();
+    const tokens = createTokens(pool, jwt);
+    const { refreshToken } = await tokens.issueTokens(user);
+
+    const issued = await tokens.rotateRefreshToken(refreshToken);
+
+    expect(jwt.verify(issued.token, process.env.JWT_SECRET)).toMatchObject({ id: 'amina', ver: 0 });
+    expect(issued.refreshToken).not.toBe(refreshToken);
+    expect(pool.refreshTokens[0].replaced_by).toBe(pool.refreshTokens[1].id);
+    expect(live(pool)).toEqual([pool.refreshTokens[1]]);
+  });
+
+  it('stores only the hash of a refresh token', async () => {
+    const pool = tokenPool();
+    const { refreshToken } = await createTokens(pool, jwt).issueTokens(user);
+
+    expect(pool.refreshTokens[0].token_hash).not.toBe(refreshToken);
+    expect(pool.refreshTokens[0].token_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('ends every session when a used refresh token comes back', async () => {
+    const pool = tokenPool();
+    const tokens = createTokens(pool, jwt);
+    const { refreshToken } = await tokens.issueTokens(user);
+    await tokens.rotateRefreshToken(refreshToken);
+
+    await expect(tokens.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+
+    expect(live(pool)).toEqual([]);
+    expect(pool.users.amina.token_version).toBe(1);
+  });
+
+  it('refuses to refresh a suspended account and revokes all of its refresh tokens', async () => {
+    const pool = tokenPool();
+    const tokens = createTokens(pool, jwt);
+    const { refreshToken } = await tokens.issueTokens(user);
+    await tokens.issueTokens(user);
+    pool.users.amina.status = 'suspended';
+
+    await expect(tokens.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+
+    expect(live(pool)).toEqual([]);
+
+    // Reactivation doesn't bring the old sessions back
+    pool.users.amina.status = 'active';
+    await expect(tokens.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+  });
+
+  it('refuses unknown and expired refresh tokens', async () => {
+    const pool = tokenPool();
+    const tokens = createTokens(pool, jwt);
+    const { refreshToken } = await tokens.issueTokens(user);
+    pool.refreshTokens[0].expired = 1;
+
+    await expect(tokens.rotateRefreshToken('not-a-token')).resolves.toBeNull();
+    await expect(tokens.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+    expect(pool.users.amina.token_version).toBe(0);
+  });
+});
+
+describe('Password reset', () => {
+  const express = require('express');
+  const request = require('supertest');
+  const { createMailer } = require('./utils/mailer');
+
+  const bcrypt = { hash: async (password) => `hashed:${password}` };
+  const sent = [];
+  const mailer = createMailer({ send: async (message) => { sent.push(message); } });
+
+  // Only the unauthenticated reset routes are exercised
+  const pass = (req, res, next) => next();
+  const policy = new Proxy({}, { get: () => () => pass });
+
+  // Routers are module singletons, so the routes are mounted once on a pool each test swaps in
+  let pool;
+  const proxy = { execute: (...args) => pool.execute(...args) };
+  const app = express();
+  app.use(express.json());
+  app.use('/users', require('./routes/userRoutes')(proxy, bcrypt, jwt, pass, createTokens(proxy, jwt), mailer, null, policy));
+
+  beforeEach(() => {
+    pool = tokenPool();
+    sent.length = 0;
+  });
+
+  // Ask for a reset and return the token from the email
+  const requestReset = async () => {
+    await request(app).post('/users/forgot-password').send({ email: user.email }).expect(200);
+    return sent[sent.length - 1].text.match(/reset your password: ([0-9a-f]+)/)[1];
+  };
+
+  const reset = (token) => request(app).post('/users/reset-password').send({ token, newPassword: 'n3w-passw0rd' });
+
+  it('stores only the hash of the emailed token', async () => {
+    const token = await requestReset();
+
+    expect(pool.resets).toHaveLength(1);
+    expect(pool.resets[0].token_hash).toBe(createTokens(pool, jwt).hashToken(token));
+    expect(pool.resets[0].token_hash).not.toBe(token);
+  });
+
+  it('answers the same for unknown emails, without sending anything', async () => {
+    const res = await request(app).post('/users/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(sent).toHaveLength(0);
+    expect(pool.resets).toHaveLength(0);
+  });
+
+  it('sets the new password and revokes every session', async () => {
+    const tokens = createTokens(pool, jwt);
+    const { refreshToken } = await tokens.issueTokens(user);
+    const token = await requestReset();
+
+    const res = await reset(token);
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.users.amina.password).toBe('hashed:n3w-passw0rd');
+    expect(pool.users.amina.token_version).toBe(1);
+    expect(live(pool)).toEqual([]);
+    await expect(tokens.rotateRefreshToken(refreshToken)).resolves.toBeNull();
+  });
+
+  it('accepts a reset token only once', async () => {
+    const token = await requestReset();
+
+    expect((await reset(token)).statusCode).toBe(200);
+    const again = await reset(token);
+
+    expect(again.statusCode).toBe(400);
+    expect(again.body.error).toBe('Invalid or expired reset token');
+  });
+
+  it('refuses an expired reset token', async () => {
+    const token = await requestReset();
+    pool.resets[0].expires_at = Date.now() - 1000;
+
+    expect((await reset(token)).statusCode).toBe(400);
+    expect(pool.users.amina.password).toBeUndefined();
+  });
+
+  it('retires earlier reset tokens when a new one is requested', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+
+    expect((await reset(first)).statusCode).toBe(400);
+    expect((await reset(second)).statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,46 @@
+const { createMailer } = require('./utils/mailer');
+const { createSmsSender } = require('./utils/sms');
+
+describe('Console transports', () => {
+  const env = process.env.NODE_ENV;
+  let printed;
+
+  beforeEach(() => {
+    printed = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => printed.push(line));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    process.env.NODE_ENV = env;
+  });
+
+  const token = 'a'.repeat(64);
+
+  it('hides verification codes and reset tokens outside development', async () => {
+    process.env.NODE_ENV = 'production';
+
+    await createSmsSender('console').send({ to: '+254712345678', text: 'Your Ride Pool verification code is 042917. It expires in 15 minutes.' });
+    await createMailer('console').send({
+      to: 'amina@example.com', subject: 'Reset your password', text: `Use this token to reset your password: ${token}`
+    });
+
+    expect(printed).toEqual([
+      '📱 SMS to +254712345678: Your Ride Pool verification code is [redacted]. It expires in 15 minutes.',
+      '📧 Mail to amina@example.com: Reset your password\nUse this token to reset your password: [redacted]'
+    ]);
+  });
+
+  it('prints them in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    await createSmsSender('console').send({ to: '+254712345678', text: 'Your Ride Pool verification code is 042917.' });
+
+    expect(printed).toEqual(['📱 SMS to +254712345678: Your Ride Pool verification code is 042917.']);
+  });
+
+  it('refuses unknown transports', () => {
+    expect(() => createMailer('pigeon')).toThrow('Unknown mail transport: pigeon');
+    expect(() => createSmsSender({})).toThrow('Unknown SMS transport');
+  });
+});
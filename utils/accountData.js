@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { ACTIVE, cancelBookings, cancelRides } = require('./bookings');
+const { UPCOMING } = require('./rideState');
+const withTransaction = require('./transaction');
+
+/**
+ * Personal data export and account anonymization. Users are never hard
+ * deleted: their rides, bookings and reviews are shared with other people,
+ * and removing the row would cascade through those records.
+ */
+
+// Collect everything we hold about a user as plain JSON
+const exportUserData = async (pool, userId) => {
+  const [users] = await pool.execute(
+    `SELECT id, name, email, phone, role, status, email_verified_at, phone_verified_at, created_at
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (users.length === 0) return null;
+
+  const [driver] = await pool.execute(
+    'SELECT license_number, license_expiry, created_at FROM drivers WHERE user_id = ?',
+    [userId]
+  );
+  const [vehicles] = await pool.execute('SELECT * FROM vehicles WHERE user_id = ?', [userId]);
+  const [rides] = await pool.execute('SELECT * FROM rides WHERE user_id = ?', [userId]);
+  const [rideSeries] = await pool.execute('SELECT * FROM ride_series WHERE user_id = ?', [userId]);
+  const [seriesBookings] = await pool.execute('SELECT * FROM series_bookings WHERE user_id = ?', [userId]);
+  const [bookings] = await pool.execute(
+    `SELECT b.*, r.origin, r.destination, r.date, r.time
+     FROM bookings b JOIN rides r ON r.id = b.ride_id
+     WHERE b.user_id = ?`,
+    [userId]
+  );
+  const [waitlist] = await pool.execute('SELECT * FROM ride_waitlist WHERE user_id = ?', [userId]);
+  const [savedSearches] = await pool.execute('SELECT * FROM saved_searches WHERE user_id = ?', [userId]);
+  const [notifications] = await pool.execute('SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at', [userId]);
+  const [messages] = await pool.execute(
+    'SELECT id, ride_id, body, hidden_at, created_at FROM ride_messages WHERE sender_id = ? ORDER BY created_at',
+    [userId]
+  );
+  const [preferences] = await pool.execute('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+  const [requests] = await pool.execute(
+    'SELECT * FROM ride_requests WHERE passenger_id = ? OR driver_id = ?',
+    [userId, userId]
+  );
+  const [agreements] = await pool.execute(
+    'SELECT * FROM agreements WHERE passenger_id = ? OR driver_id = ?',
+    [userId, userId]
+  );
+  const [reviews] = await pool.execute(
+    'SELECT * FROM reviews WHERE user_id = ? OR reviewee_id = ?',
+    [userId, userId]
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    profile: { ...users[0], driver: driver[0] || null },
+    vehicles,
+    rides,
+    ride_series: rideSeries,
+    bookings,
+    series_bookings: seriesBookings,
+    waitlist,
+    saved_searches: savedSearches,
+    notifications,
+    messages,
+    notification_preferences: preferences[0] || null,
+    requests,
+    agreements,
+    reviews
+  };
+};
+
+// Why the deleted user's bookings and rides were cancelled, recorded on the bookings and shown to the other party
+const CANCEL_REASONS = {
+  booking: 'Account deleted',
+  ride: 'Driver account deleted'
+};
+
+/**
+ * Strip a user's PII and close the account inside one transaction. Rides
+ * they offered (with their passengers' bookings) and bookings they hold are
+ * canceled, returning seats to other drivers' rides; the records themselves
+ * stay for history, and so do their messages, so the threads they took part
+ * in stay whole with the sender showing as the deleted user. Returns the
+ * rides (from cancelRides) and bookings (from cancelBookings) canceled, for
+ * the caller to announce through utils/cancellations.js once committed.
+ */
+const anonymizeUser = (pool, userId) => withTransaction(pool, async (db) => {
+  // Cancel the user's still-active bookings, returning their seats
+  const [bookings] = await db.execute(
+    `SELECT b.id, b.ride_id, b.user_id, b.seats, r.user_id AS driver_id, r.origin, r.destination, r.date
+     FROM bookings b JOIN rides r ON r.id = b.ride_id
+     WHERE b.user_id = ? AND b.status IN ${ACTIVE}`,
+    [userId]
+  );
+  const cancelledBookings = await cancelBookings(db, bookings, { actorId: userId, reason: CANCEL_REASONS.booking });
+  await db.execute(
+    `UPDATE ride_waitlist SET status = 'left' WHERE user_id = ? AND status = 'waiting'`,
+    [userId]
+  );
+
+  // Cancel upcoming rides the user was driving, and their passengers' bookings
+  const [rides] = await db.execute(
+    `SELECT id FROM rides WHERE user_id = ? AND status IN ${UPCOMING}`,
+    [userId]
+  );
+  const canceledRides = await cancelRides(db, rides.map((ride) => ride.id), { actorId: userId, reason: CANCEL_REASONS.ride });
+
+  await db.execute(
+    `UPDATE ride_series SET status = 'canceled' WHERE user_id = ? AND status = 'active'`,
+    [userId]
+  );
+  await db.execute(
+    `UPDATE series_bookings SET status = 'cancelled' WHERE user_id = ? AND status = 'active'`,
+    [userId]
+  );
+
+  // Closed for good, so neither the licence expiry job nor driver review picks the record up again
+  await db.execute(
+    `UPDATE drivers
+     SET license_number = CONCAT('deleted-', id), verification_status = 'rejected', verification_reason = 'Account deleted'
+     WHERE user_id = ?`,
+    [userId]
+  );
+  // Vehicles stay, so the rides driven in them keep their vehicle; only the plate identifies the owner
+  await db.execute(`UPDATE vehicles SET plate = CONCAT('deleted-', id) WHERE user_id = ?`, [userId]);
+  await db.execute('DELETE FROM saved_searches WHERE user_id = ?', [userId]);
+  await db.execute('DELETE FROM notifications WHERE user_id = ?', [userId]);
+  await db.execute('DELETE FROM notification_preferences WHERE user_id = ?', [userId]);
+  await db.execute('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+  await db.execute('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+  await db.execute('DELETE FROM verification_codes WHERE user_id = ?', [userId]);
+
+  // Unusable password, placeholder identity, every token invalidated
+  await db.execute(
+    `UPDATE users
+     SET name = 'Deleted user',
+         email = CONCAT('deleted-', id, '@deleted.invalid'),
+         phone = NULL,
+         password = ?,
+         email_verified_at = NULL,
+         phone_verified_at = NULL,
+         status = 'deleted',
+         deleted_at = NOW(),
+         token_version = token_version + 1
+     WHERE id = ?`,
+    [crypto.randomBytes(32).toString('hex'), userId]
+  );
+
+  return { canceledRides, cancelledBookings };
+});
+
+module.exports = { CANCEL_REASONS, exportUserData, anonymizeUser };
@@ -0,0 +1,330 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const withTransaction = require('./transaction');
+const { segmentShare, quoteFare } = require('./pricing');
+const { UPCOMING, statusLabel } = require('./rideState');
+const { listStops, segmentLoads, freeSeats, stopRange, syncSeats } = require('./rideStops');
+
+/**
+ * Seat bookkeeping shared by the routes and jobs. Every function takes a
+ * connection (or the pool) so callers can run it inside their transaction.
+ */
+
+// Active bookings hold seats; cancelled ones don't
+const ACTIVE = `('pending', 'confirmed')`;
+
+// Waitlist entries still in the queue or holding an offer
+const WAITING = `('waiting', 'offered')`;
+
+// How long a promoted passenger has to accept the seats held for them
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+// Fare for `seats` on a ride (its pricing columns) between the stops of `range`
+const segmentFare = async (db, rideId, ride, seats, range) => {
+  const stops = (await listStops(db, [rideId]))[rideId];
+  return quoteFare(ride, seats, segmentShare(stops, range.fromStop, range.toStop));
+};
+
+/**
+ * Take seats between two stops of a scheduled ride (the whole trip by
+ * default) and record the booking at the ride's current fare for that part
+ * of the route. The ride row
+ * is locked while the segments are checked, so the seats can't be sold
+ * twice. Returns the booking id, or null when the ride is no longer
+ * scheduled or lacks seats on any segment of the range.
+ */
+const reserveSeats = async (db, { rideId, userId, seats, fromStop = null, toStop = null, seriesBookingId = null, reason = null }) => {
+  const [rides] = await db.execute(
+    `SELECT seats_total, pricing_mode, price_per_seat, total_cost, currency FROM rides WHERE id = ? AND status = 'scheduled' FOR UPDATE`,
+    [rideId]
+  );
+  if (rides.length === 0) return null;
+
+  const loads = await segmentLoads(db, rideId);
+  const range = stopRange(loads, fromStop, toStop);
+  if (freeSeats(loads, rides[0].seats_total, range.fromStop, range.toStop) < seats) return null;
+
+  const fare = await segmentFare(db, rideId, rides[0], seats, range);
+  const id = uuidv4();
+  await db.execute(
+    `INSERT INTO bookings (id, user_id, ride_id, from_stop, to_stop, seats, amount, currency, status, series_booking_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+    [id, userId, rideId, range.fromStop, range.toStop, seats, fare.amount, fare.currency, seriesBookingId]
+  );
+  await db.execute(
+    `INSERT INTO booking_events (id, booking_id, from_status, to_status, actor_id, reason) VALUES (?, ?, NULL, 'pending', ?, ?)`,
+    [uuidv4(), id, userId, reason]
+  );
+  await syncSeats(db, rideId);
+  return id;
+};
+
+/**
+ * Log the move to `to` for every booking matching `where`. Run it before the
+ * status UPDATE so from_status still holds the old value.
+ */
+const logTransitions = (db, { where, params, to, actorId = null, reason = null }) => db.execute(
+  `INSERT INTO booking_events (id, booking_id, from_status, to_status, actor_id, reason)
+   SELECT UUID(), id, status, ?, ?, ? FROM bookings WHERE ${where}`,
+  [to, actorId, reason, ...params]
+);
+
+/**
+ * Offer a scheduled ride's free seats to its waitlist, first come first
+ * served. Passengers whose stops lack the seats they need are skipped, not
+ * blocking the ones behind them. Each promoted passenger gets a pending
+ * booking holding the seats until accept_by. Returns the promoted entries
+ * (with ride_id, booking_id and accept_by) for offersMade in
+ * utils/cancellations.js to announce once committed.
+ */
+const promoteWaitlist = async (db, rideId) => {
+  const [queue] = await db.execute(
+    `SELECT id, user_id, seats, from_stop, to_stop FROM ride_waitlist
+     WHERE ride_id = ? AND status = 'waiting'
+     ORDER BY created_at, id FOR UPDATE`,
+    [rideId]
+  );
+
+  const promoted = [];
+  for (const entry of queue) {
+    const bookingId = await reserveSeats(db, {
+      rideId,
+      userId: entry.user_id,
+      seats: entry.seats,
+      fromStop: entry.from_stop,
+      toStop: entry.to_stop,
+      reason: 'Promoted from waitlist'
+    });
+    if (!bookingId) continue;
+
+    await db.execute('UPDATE bookings SET accept_by = NOW() + INTERVAL ? MINUTE WHERE id = ?', [OFFER_MINUTES, bookingId]);
+    const [offers] = await db.execute('SELECT accept_by FROM bookings WHERE id = ?', [bookingId]);
+    await db.execute(
+      `UPDATE ride_waitlist SET status = 'offered', booking_id = ?, offered_at = NOW() WHERE id = ?`,
+      [bookingId, entry.id]
+    );
+    promoted.push({ ...entry, ride_id: rideId, booking_id: bookingId, accept_by: offers[0].accept_by });
+  }
+  return promoted;
+};
+
+// Hand a cancelled booking's seats back to a ride that hasn't left yet and offer them to its waitlist. Returns the promoted entries.
+const releaseSeats = async (db, rideId) => {
+  const [rides] = await db.execute(`SELECT id FROM rides WHERE id = ? AND status IN ${UPCOMING} FOR UPDATE`, [rideId]);
+  if (rides.length === 0) return [];
+
+  await syncSeats(db, rideId);
+  return promoteWaitlist(db, rideId);
+};
+
+// A waitlist offer whose booking ends before it was accepted is declined
+const declineOffer = (db, bookingId) => db.execute(
+  `UPDATE ride_waitlist SET status = 'declined' WHERE booking_id = ? AND status = 'offered'`,
+  [bookingId]
+);
+
+// Whether the user already holds an active booking on the ride
+const hasActiveBooking = async (db, rideId, userId) => {
+  const [rows] = await db.execute(
+    `SELECT id FROM bookings WHERE ride_id = ? AND user_id = ? AND status IN ${ACTIVE}`,
+    [rideId, userId]
+  );
+  return rows.length > 0;
+};
+
+// MySQL gave up waiting for the ride's row lock
+const LOCK_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+
+/**
+ * Book seats between two stops of a ride (the whole trip by default) in one
+ * transaction. The ride row is locked with SELECT ... FOR UPDATE, so
+ * concurrent bookings of the same ride run one after another and each sees
+ * the seats the previous one left. Every conflict (ride closed, seats gone,
+ * already booked, lock contention) is a 409. Returns { bookingId, fare, driverId }.
+ */
+const bookRide = async (pool, { rideId, userId, seats, fromStop = null, toStop = null }) => {
+  try {
+    return await withTransaction(pool, async (db) => {
+      const [rides] = await db.execute(
+        `SELECT user_id, seats_total, status, pricing_mode, price_per_seat, total_cost, currency
+         FROM rides WHERE id = ? FOR UPDATE`,
+        [rideId]
+      );
+      if (rides.length === 0) throw new HttpError(404, 'Ride not found.');
+
+      const ride = rides[0];
+      if (ride.user_id === userId) throw new HttpError(403, 'Drivers cannot book their own rides.');
+      if (ride.status !== 'scheduled') throw new HttpError(409, `This ride is ${statusLabel(ride.status)} and can no longer be booked.`);
+
+      const loads = await segmentLoads(db, rideId);
+      const range = stopRange(loads, fromStop, toStop);
+      const free = freeSeats(loads, ride.seats_total, range.fromStop, range.toStop);
+      if (free < seats) {
+        throw new HttpError(409, `Not enough seats available between these stops (${free} left); join the waitlist instead.`);
+      }
+      if (await hasActiveBooking(db, rideId, userId)) throw new HttpError(409, 'You already have a booking for this ride.');
+
+      const bookingId = await reserveSeats(db, { rideId, userId, seats, ...range });
+      if (!bookingId) throw new HttpError(409, 'Not enough seats available.');
+
+      // Booked directly, so no longer waiting for a seat
+      await db.execute(
+        `UPDATE ride_waitlist SET status = 'left' WHERE ride_id = ? AND user_id = ? AND status = 'waiting'`,
+        [rideId, userId]
+      );
+
+      return { bookingId, fare: await segmentFare(db, rideId, ride, seats, range), driverId: ride.user_id };
+    });
+  } catch (err) {
+    if (LOCK_ERRORS.includes(err.code)) throw new HttpError(409, 'This ride is being booked by someone else, please try again.');
+    throw err;
+  }
+};
+
+// What each party may do to a booking, and from which statuses
+const TRANSITIONS = {
+  confirm: { by: 'driver', from: ['pending'], to: 'confirmed' },
+  reject: { by: 'driver', from: ['pending'], to: 'rejected' },
+  cancel: { by: 'passenger', from: ['pending', 'confirmed'], to: 'cancelled' }
+};
+
+/**
+ * Apply a lifecycle action (confirm, reject or cancel) to one booking. The
+ * booking and its ride are locked together, so a driver confirming and a
+ * passenger cancelling can't both win. Bookings only change until the ride
+ * leaves; rejected and cancelled ones give their seats back. A booking
+ * offered from the waitlist can't be confirmed until the passenger accepts.
+ * Returns the booking with its new status, passenger (user_id) and driver,
+ * and the waitlist entries any seats it gave back were offered to.
+ */
+const changeBookingStatus = (pool, { bookingId, action, actorId, reason = null }) => withTransaction(pool, async (db) => {
+  const transition = TRANSITIONS[action];
+
+  const [rows] = await db.execute(
+    `SELECT b.id, b.ride_id, b.user_id, b.seats, b.status, b.accept_by, r.user_id AS driver_id, r.status AS ride_status
+     FROM bookings b JOIN rides r ON r.id = b.ride_id
+     WHERE b.id = ? FOR UPDATE`,
+    [bookingId]
+  );
+  if (rows.length === 0) throw new HttpError(404, 'Booking not found.');
+
+  const booking = rows[0];
+  const allowed = transition.by === 'driver' ? booking.driver_id : booking.user_id;
+  if (allowed !== actorId) throw new HttpError(403, `Only the ${transition.by} can ${action} this booking.`);
+  if (!['scheduled', 'boarding'].includes(booking.ride_status)) {
+    throw new HttpError(409, `This ride is ${statusLabel(booking.ride_status)}; its bookings can no longer change.`);
+  }
+  if (!transition.from.includes(booking.status)) throw new HttpError(409, `This booking is already ${booking.status}.`);
+  if (action === 'confirm' && booking.accept_by) {
+    throw new HttpError(409, 'The passenger has not accepted this waitlist offer yet.');
+  }
+
+  await logTransitions(db, { where: 'id = ?', params: [booking.id], to: transition.to, actorId, reason });
+  await db.execute('UPDATE bookings SET status = ? WHERE id = ?', [transition.to, booking.id]);
+  let promoted = [];
+  if (transition.to !== 'confirmed') {
+    await declineOffer(db, booking.id);
+    promoted = await releaseSeats(db, booking.ride_id);
+  }
+
+  return {
+    id: booking.id, ride_id: booking.ride_id, user_id: booking.user_id, driver_id: booking.driver_id,
+    seats: booking.seats, status: transition.to, promoted
+  };
+});
+
+/**
+ * Cancel bookings ({ id, ride_id, seats }) and hand their seats back to
+ * rides still running. Returns the bookings that were still active, each
+ * with the waitlist entries its seats were offered to (`promoted`), for
+ * utils/cancellations.js to announce once committed.
+ */
+const cancelBookings = async (db, bookings, { actorId = null, reason = null } = {}) => {
+  const cancelled = [];
+  for (const booking of bookings) {
+    const [logged] = await logTransitions(db, {
+      where: `id = ? AND status IN ${ACTIVE}`, params: [booking.id], to: 'cancelled', actorId, reason
+    });
+    if (logged.affectedRows === 0) continue;
+
+    await db.execute(`UPDATE bookings SET status = 'cancelled' WHERE id = ?`, [booking.id]);
+    await declineOffer(db, booking.id);
+    const promoted = await releaseSeats(db, booking.ride_id);
+    cancelled.push({ ...booking, promoted });
+  }
+  return cancelled;
+};
+
+/**
+ * Cancel rides and every active booking on them. Returns the rides that
+ * were still upcoming ({ id, user_id, origin, destination, date }), each
+ * with the passengers whose bookings went with it, for
+ * utils/cancellations.js to announce once committed.
+ */
+const cancelRides = async (db, rideIds, { actorId = null, reason = 'Ride canceled' } = {}) => {
+  if (rideIds.length === 0) return [];
+
+  const placeholders = rideIds.map(() => '?').join(', ');
+  const [rides] = await db.execute(
+    `SELECT id, user_id, origin, destination, date FROM rides WHERE id IN (${placeholders}) AND status IN ${UPCOMING} FOR UPDATE`,
+    rideIds
+  );
+  if (rides.length === 0) return [];
+  const [booked] = await db.execute(
+    `SELECT ride_id, user_id FROM bookings WHERE status IN ${ACTIVE} AND ride_id IN (${placeholders})`,
+    rideIds
+  );
+
+  await db.execute(
+    `UPDATE rides SET status = 'canceled' WHERE id IN (${placeholders}) AND status IN ${UPCOMING}`,
+    rideIds
+  );
+
+  // Bookings on rides that had already finished keep their status
+  const where = `status IN ${ACTIVE} AND ride_id IN (SELECT id FROM rides WHERE id IN (${placeholders}) AND status = 'canceled')`;
+  await logTransitions(db, { where, params: rideIds, to: 'cancelled', actorId, reason });
+  await db.execute(`UPDATE bookings SET status = 'cancelled' WHERE ${where}`, rideIds);
+
+  await db.execute(
+    `UPDATE ride_waitlist SET status = 'cancelled'
+     WHERE status IN ${WAITING} AND ride_id IN (SELECT id FROM rides WHERE id IN (${placeholders}) AND status = 'canceled')`,
+    rideIds
+  );
+
+  return rides.map((ride) => ({
+    ...ride,
+    passengers: booked.filter((booking) => booking.ride_id === ride.id).map((booking) => booking.user_id)
+  }));
+};
+
+// Every status change of the given bookings, oldest first, grouped by booking id.
+// Backfilled events share their creation time, so the creation event sorts first.
+const bookingEvents = async (db, bookingIds) => {
+  const grouped = Object.fromEntries(bookingIds.map((id) => [id, []]));
+  if (bookingIds.length === 0) return grouped;
+
+  const [events] = await db.execute(
+    `SELECT booking_id, from_status, to_status, actor_id, reason, created_at
+     FROM booking_events WHERE booking_id IN (${bookingIds.map(() => '?').join(', ')})
+     ORDER BY created_at, from_status IS NOT NULL`,
+    bookingIds
+  );
+  for (const { booking_id: bookingId, ...event } of events) grouped[bookingId].push(event);
+  return grouped;
+};
+
+module.exports = {
+  ACTIVE,
+  WAITING,
+  OFFER_MINUTES,
+  TRANSITIONS,
+  bookRide,
+  segmentFare,
+  reserveSeats,
+  hasActiveBooking,
+  promoteWaitlist,
+  changeBookingStatus,
+  cancelBookings,
+  cancelRides,
+  bookingEvents
+};
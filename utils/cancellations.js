@@ -0,0 +1,86 @@
+const { describeRide } = require('./notifications');
+
+/**
+ * Tell everyone affected once rides or bookings canceled with cancelRides
+ * or cancelBookings (utils/bookings.js) have been committed, whoever
+ * canceled them: the driver, an admin, account deletion, a recurring ride
+ * changing or the cleanup job. Passengers (and the driver, when someone
+ * else canceled the ride) are notified, ride subscribers get the new
+ * status and seats, and webhook endpoints get ride.canceled or
+ * booking.cancelled. Seats handed back are offered down the ride's
+ * waitlist, and the passengers promoted hear of their offer. Nothing is
+ * awaited; each channel logs its own failures.
+ */
+const createCancellations = (notifier, realtime, webhooks) => {
+  /**
+   * Announce waitlist entries promoted by promoteWaitlist (utils/bookings.js),
+   * however the seats came free: each passenger hears the seats are held
+   * for them until accept_by.
+   */
+  const offersMade = (promoted = []) => {
+    for (const entry of promoted) {
+      const acceptBy = entry.accept_by instanceof Date ? entry.accept_by.toISOString() : entry.accept_by;
+      notifier.notifyLater(entry.user_id, {
+        type: 'waitlist.offered',
+        title: 'Seats offered',
+        body: `${entry.seats} seat(s) opened up on a ride you are waitlisted for. They are held for you until ${acceptBy}; accept them before then.`,
+        data: { rideId: entry.ride_id, bookingId: entry.booking_id, acceptBy }
+      });
+    }
+  };
+
+  /**
+   * Announce rides returned by cancelRides. `by` names who canceled them
+   * in the notification text; `reason` is appended when given.
+   */
+  const ridesCanceled = (rides, { actorId = null, reason = null, by = 'The driver' } = {}) => {
+    const because = reason ? ` (${reason})` : '';
+    for (const ride of rides) {
+      const data = { rideId: ride.id };
+      realtime.rideChangedLater(ride.id);
+      webhooks.emitLater('ride.canceled', { rideId: ride.id, driverId: ride.user_id, reason, passengerIds: ride.passengers });
+      notifier.notifyLater(ride.passengers, {
+        type: 'ride.canceled',
+        title: 'Ride canceled',
+        body: `${by} canceled the ride ${describeRide(ride)}${because}. Your booking was cancelled.`,
+        data
+      });
+      if (ride.user_id !== actorId) {
+        notifier.notifyLater(ride.user_id, {
+          type: 'ride.canceled',
+          title: 'Ride canceled',
+          body: `${by} canceled your ride ${describeRide(ride)}${because}.`,
+          data
+        });
+      }
+    }
+  };
+
+  /**
+   * Announce bookings returned by cancelBookings, each carrying its
+   * passenger (user_id), driver (driver_id), seats and ride (origin,
+   * destination, date): the driver hears the seats are free again, and
+   * the waitlist passengers they were offered to hear of their offer.
+   */
+  const bookingsCanceled = (bookings, { reason = null } = {}) => {
+    const because = reason ? ` (${reason})` : '';
+    for (const booking of bookings) {
+      realtime.rideChangedLater(booking.ride_id);
+      webhooks.emitLater('booking.cancelled', {
+        bookingId: booking.id, rideId: booking.ride_id, passengerId: booking.user_id, driverId: booking.driver_id,
+        seats: booking.seats, reason
+      });
+      notifier.notifyLater(booking.driver_id, {
+        type: 'booking.cancelled',
+        title: 'Booking cancelled',
+        body: `A passenger's booking on your ride ${describeRide(booking)} was cancelled${because}; the seats are free again.`,
+        data: { rideId: booking.ride_id, bookingId: booking.id }
+      });
+      offersMade(booking.promoted);
+    }
+  };
+
+  return { ridesCanceled, bookingsCanceled, offersMade };
+};
+
+module.exports = { createCancellations };
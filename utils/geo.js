@@ -0,0 +1,68 @@
+// Distance helpers for { lat, lng } points (degrees)
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance in kilometres
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Lat/lng box containing every point within radiusKm, for a cheap indexed prefilter
+const boundingBox = (point, radiusKm) => {
+  const dLat = radiusKm / 111.32;
+  const dLng = radiusKm / (111.32 * Math.max(Math.cos(toRadians(point.lat)), 0.01));
+
+  return {
+    minLat: point.lat - dLat,
+    maxLat: point.lat + dLat,
+    minLng: point.lng - dLng,
+    maxLng: point.lng + dLng
+  };
+};
+
+// The ride's own origin and destination, the default ends for ranking
+const rideEnds = (ride) => ({
+  from: { lat: ride.origin_lat, lng: ride.origin_lng },
+  to: { lat: ride.destination_lat, lng: ride.destination_lng }
+});
+
+/**
+ * Keep rides whose pickup and drop-off both lie within radiusKm of the
+ * requested points, nearest first by combined distance. Rides without
+ * coordinates (matched on text instead) come last with null distances.
+ * `ends` picks the two points of each row to compare, e.g. a pair of stops.
+ */
+const rankByProximity = (rides, pickup, dropoff, radiusKm, ends = rideEnds) => {
+  const located = [];
+  const unlocated = [];
+
+  for (const ride of rides) {
+    const { from, to } = ends(ride);
+    if (from.lat === null || to.lat === null) {
+      unlocated.push({ ...ride, pickup_distance_km: null, dropoff_distance_km: null });
+      continue;
+    }
+
+    const pickupKm = distanceKm(pickup, { lat: Number(from.lat), lng: Number(from.lng) });
+    const dropoffKm = distanceKm(dropoff, { lat: Number(to.lat), lng: Number(to.lng) });
+    if (pickupKm > radiusKm || dropoffKm > radiusKm) continue;
+
+    located.push({
+      ...ride,
+      pickup_distance_km: Math.round(pickupKm * 100) / 100,
+      dropoff_distance_km: Math.round(dropoffKm * 100) / 100
+    });
+  }
+
+  const total = (ride) => ride.pickup_distance_km + ride.dropoff_distance_km;
+  return [...located.sort((a, b) => total(a) - total(b)), ...unlocated];
+};
+
+module.exports = { distanceKm, boundingBox, rankByProximity };
@@ -0,0 +1,65 @@
+/**
+ * Geocoders turn a free-text place into { name, lat, lng }. Each one
+ * exposes `geocode(text)` returning a promise that resolves to the place or
+ * null. The default offline gazetteer covers the places in data/places.json;
+ * plug in a provider-backed geocoder by passing any object with the same
+ * shape to createGeocoder.
+ */
+
+// Lower-case word set, so "CBD, Nairobi" and "Nairobi CBD" compare equal
+const tokenize = (text) => [...new Set(String(text).toLowerCase().match(/[a-z0-9]+/g) || [])];
+
+const keyOf = (tokens) => [...tokens].sort().join(' ');
+
+const providers = {
+  // Offline lookup against a fixed list of places and their aliases
+  gazetteer: (places = require('../data/places.json')) => {
+    const entries = places.flatMap((place) => [place.name, ...(place.aliases || [])].map((label) => {
+      const tokens = tokenize(label);
+      return { place, tokens, key: keyOf(tokens) };
+    }));
+
+    return {
+      geocode: async (text) => {
+        const tokens = tokenize(text);
+        if (tokens.length === 0) return null;
+
+        const key = keyOf(tokens);
+        const exact = entries.find((entry) => entry.key === key);
+        if (exact) return { name: exact.place.name, lat: exact.place.lat, lng: exact.place.lng };
+
+        // Otherwise the label with the most words in common, where one contains the other;
+        // ties go to the earlier (more specific) place in the list
+        let best = null;
+        for (const entry of entries) {
+          const shared = entry.tokens.filter((token) => tokens.includes(token)).length;
+          const contained = shared === entry.tokens.length || shared === tokens.length;
+          if (contained && shared > 0 && (!best || shared > best.shared)) best = { entry, shared };
+        }
+
+        return best && { name: best.entry.place.name, lat: best.entry.place.lat, lng: best.entry.place.lng };
+      }
+    };
+  }
+};
+
+// Build a geocoder from a provider name or a custom provider object
+const createGeocoder = (provider = process.env.GEOCODER || 'gazetteer') => {
+  const impl = typeof provider === 'string' ? providers[provider] && providers[provider]() : provider;
+  if (!impl || typeof impl.geocode !== 'function') {
+    throw new Error(`Unknown geocoder: ${provider}`);
+  }
+
+  const geocode = (text) => impl.geocode(text);
+
+  // Coordinates as given, otherwise the geocoded place text; null when neither resolves
+  const locate = async (point, text) => {
+    if (point) return point;
+    const place = text ? await geocode(text) : null;
+    return place ? { lat: place.lat, lng: place.lng } : null;
+  };
+
+  return { geocode, locate };
+};
+
+module.exports = { createGeocoder, providers };
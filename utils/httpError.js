@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status a route should answer with. Shared helpers
+ * throw it for expected failures (not found, conflict, forbidden); routes
+ * turn it into { error: message } and treat anything else as a 500.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
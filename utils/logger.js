@@ -0,0 +1,21 @@
+const winston = require('winston');
+
+// Logger setup (Winston)
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'server.log', fsync: true }) // 🔥 Forces immediate file write
+  ]
+});
+
+// Ensure logs are flushed when the process exits
+process.on('exit', () => {
+  logger.end();
+});
+
+module.exports = logger;
@@ -0,0 +1,22 @@
+const { consoleTransport, fileTransport, resolveTransport } = require('./transports');
+
+/**
+ * Mail transports. Each one exposes `send({ to, subject, text })` and
+ * returns a promise. Swap in an SMTP or provider-backed transport in
+ * production by passing any object with the same shape to createMailer.
+ */
+const transports = {
+  console: consoleTransport((message) => `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`),
+  file: fileTransport(() => process.env.MAIL_FILE || 'logs/mail.log')
+};
+
+// Build a mailer from a transport name or a custom transport object
+const createMailer = (transport = process.env.MAIL_TRANSPORT || 'console') => {
+  const impl = resolveTransport(transports, transport, 'mail');
+
+  return {
+    send: ({ to, subject, text }) => impl.send({ from: process.env.MAIL_FROM || 'no-reply@smartryuga.com', to, subject, text })
+  };
+};
+
+module.exports = { createMailer, transports };
@@ -0,0 +1,197 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const { ACTIVE } = require('./bookings');
+const { statusLabel } = require('./rideState');
+
+/**
+ * Ride message threads. Each ride has one thread for its driver and the
+ * passengers holding a pending or confirmed booking, so they can agree on
+ * a pickup spot without trading phone numbers. Nobody else can read it,
+ * except admins moderating; the routes guard it with the rideParticipant
+ * policies (middleware/policy.js). The thread turns read-only once the
+ * ride is completed or canceled.
+ *
+ * Every message passes the moderation hooks before it is stored. A hook
+ * gets { rideId, senderId, body } and returns nothing to let it through,
+ * { action: 'hide', reason } to store it hidden, or { action: 'reject',
+ * reason } to refuse it. Participants can report a message; admins hide
+ * it, and hidden messages are shown to participants without their text.
+ */
+
+// Rides in these statuses take no more messages
+const LOCKED = ['completed', 'canceled'];
+
+const moderators = {
+  // Refuse messages containing any of the comma-separated words, ignoring case
+  blocklist: (words = process.env.MESSAGE_BLOCKLIST || '') => {
+    const blocked = words.split(',').map((word) => word.trim().toLowerCase()).filter(Boolean);
+    return ({ body }) => {
+      const text = body.toLowerCase();
+      if (blocked.some((word) => text.includes(word))) return { action: 'reject', reason: 'Your message contains blocked words.' };
+    };
+  }
+};
+
+/**
+ * Load a ride's thread for `user` ({ id, role }): the ride, its
+ * participants ({ user_id, name, role, read_at }), whether the user is one
+ * of them (`member`) and whether it is locked. 404 when the ride doesn't
+ * exist.
+ */
+const openThread = async (db, rideId, user) => {
+  const [rides] = await db.execute('SELECT id, user_id, status FROM rides WHERE id = ?', [rideId]);
+  if (rides.length === 0) throw new HttpError(404, 'Ride not found.');
+
+  const [participants] = await db.execute(
+    `SELECT p.user_id, u.name, p.role, mr.read_at
+     FROM (SELECT user_id, 'driver' AS role FROM rides WHERE id = ?
+           UNION
+           SELECT user_id, 'passenger' FROM bookings WHERE ride_id = ? AND status IN ${ACTIVE}) p
+     JOIN users u ON u.id = p.user_id
+     LEFT JOIN ride_message_reads mr ON mr.ride_id = ? AND mr.user_id = p.user_id`,
+    [rideId, rideId, rideId]
+  );
+
+  const member = participants.some((p) => p.user_id === user.id);
+  return { ride: rides[0], participants, member, locked: LOCKED.includes(rides[0].status) };
+};
+
+// A stored message as a participant sees it: hidden ones lose their text, and each lists who has read it
+const present = (message, thread, admin) => {
+  const readBy = thread.participants
+    .filter((p) => p.user_id !== message.sender_id && p.read_at && new Date(p.read_at) >= new Date(message.created_at))
+    .map((p) => p.user_id);
+  const hidden = Boolean(message.hidden_at);
+  return {
+    id: message.id,
+    sender_id: message.sender_id,
+    body: hidden && !admin ? null : message.body,
+    hidden,
+    ...(admin && hidden ? { hidden_reason: message.hidden_reason } : {}),
+    created_at: message.created_at,
+    read_by: readBy
+  };
+};
+
+/**
+ * A page of a thread, newest first, starting before the message `before`
+ * when given: { locked, unread, participants, messages, next_before }.
+ */
+const listMessages = async (db, thread, user, { before = null, limit = 30 } = {}) => {
+  const rideId = thread.ride.id;
+  let cursor = '';
+  const params = [rideId];
+  if (before) {
+    const [anchor] = await db.execute('SELECT id FROM ride_messages WHERE id = ? AND ride_id = ?', [before, rideId]);
+    if (anchor.length === 0) throw new HttpError(400, 'before must be a message of this ride.');
+    cursor = ' AND (m.created_at, m.id) < (SELECT created_at, id FROM ride_messages WHERE id = ?)';
+    params.push(before);
+  }
+
+  const [messages] = await db.query(
+    `SELECT m.id, m.sender_id, m.body, m.hidden_at, m.hidden_reason, m.created_at
+     FROM ride_messages m
+     WHERE m.ride_id = ?${cursor}
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+
+  const self = thread.participants.find((p) => p.user_id === user.id);
+  const [[{ unread }]] = await db.execute(
+    `SELECT COUNT(*) AS unread FROM ride_messages
+     WHERE ride_id = ? AND sender_id <> ? AND hidden_at IS NULL AND created_at > COALESCE(?, '1970-01-01')`,
+    [rideId, user.id, self ? self.read_at : null]
+  );
+
+  const admin = user.role === 'admin';
+  return {
+    locked: thread.locked,
+    unread: self ? Number(unread) : 0,
+    participants: thread.participants,
+    messages: messages.map((message) => present(message, thread, admin)),
+    next_before: messages.length === limit ? messages[messages.length - 1].id : null
+  };
+};
+
+/**
+ * Post a message to a thread as one of its participants, after the
+ * moderation hooks. Returns the message, with `hidden` set when a hook
+ * held it back.
+ */
+const postMessage = async (db, thread, senderId, body, hooks = []) => {
+  if (thread.locked) throw new HttpError(409, `This ride is ${statusLabel(thread.ride.status)}; its messages are closed.`);
+
+  let hidden = null;
+  for (const hook of hooks) {
+    const verdict = await hook({ rideId: thread.ride.id, senderId, body });
+    if (!verdict) continue;
+    if (verdict.action === 'reject') throw new HttpError(400, verdict.reason);
+    if (verdict.action === 'hide') hidden = verdict.reason;
+  }
+
+  const id = uuidv4();
+  await db.execute(
+    `INSERT INTO ride_messages (id, ride_id, sender_id, body, hidden_at, hidden_reason)
+     VALUES (?, ?, ?, ?, ${hidden ? 'NOW()' : 'NULL'}, ?)`,
+    [id, thread.ride.id, senderId, body, hidden]
+  );
+  return { id, ride_id: thread.ride.id, sender_id: senderId, body, hidden: Boolean(hidden), created_at: new Date().toISOString() };
+};
+
+// Record that a participant has read the thread up to now
+const markThreadRead = async (db, thread, userId) => {
+  await db.execute(
+    `INSERT INTO ride_message_reads (ride_id, user_id, read_at) VALUES (?, ?, NOW(6))
+     ON DUPLICATE KEY UPDATE read_at = VALUES(read_at)`,
+    [thread.ride.id, userId]
+  );
+};
+
+// Report someone else's message in the thread to the admins; reporting it again only keeps the first report
+const reportMessage = async (db, thread, reporterId, messageId, reason) => {
+  const [messages] = await db.execute('SELECT sender_id FROM ride_messages WHERE id = ? AND ride_id = ?', [messageId, thread.ride.id]);
+  if (messages.length === 0) throw new HttpError(404, 'Message not found.');
+  if (messages[0].sender_id === reporterId) throw new HttpError(400, 'You cannot report your own message.');
+
+  await db.execute(
+    'INSERT IGNORE INTO ride_message_reports (id, message_id, reporter_id, reason) VALUES (?, ?, ?, ?)',
+    [uuidv4(), messageId, reporterId, reason]
+  );
+};
+
+// Unresolved reports, oldest first, with the reported message: { total, reports }
+const listReports = async (db, { page = 1, limit = 20 } = {}) => {
+  const [reports] = await db.query(
+    `SELECT r.id, r.message_id, r.reporter_id, r.reason, r.created_at,
+            m.ride_id, m.sender_id, m.body, m.hidden_at, m.created_at AS sent_at
+     FROM ride_message_reports r JOIN ride_messages m ON m.id = r.message_id
+     WHERE r.resolved_at IS NULL
+     ORDER BY r.created_at ASC
+     LIMIT ? OFFSET ?`,
+    [limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM ride_message_reports WHERE resolved_at IS NULL');
+  return { total: Number(total), reports };
+};
+
+// Hide a message and resolve its reports. Returns the message's ride and sender.
+const hideMessage = async (db, messageId, reason) => {
+  const [messages] = await db.execute('SELECT id, ride_id, sender_id FROM ride_messages WHERE id = ?', [messageId]);
+  if (messages.length === 0) throw new HttpError(404, 'Message not found.');
+
+  await db.execute('UPDATE ride_messages SET hidden_at = COALESCE(hidden_at, NOW()), hidden_reason = ? WHERE id = ?', [reason, messageId]);
+  await db.execute('UPDATE ride_message_reports SET resolved_at = NOW() WHERE message_id = ? AND resolved_at IS NULL', [messageId]);
+  return messages[0];
+};
+
+module.exports = {
+  moderators,
+  openThread,
+  listMessages,
+  postMessage,
+  markThreadRead,
+  reportMessage,
+  listReports,
+  hideMessage
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'ride_pool_migrations';
+
+// Migration files are named NNN_description.js and run in version order
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter((file) => /^\d+_.+\.js$/.test(file))
+  .map((file) => ({
+    version: parseInt(file, 10),
+    name: file.replace(/\.js$/, ''),
+    ...require(path.join(dir, file))
+  }))
+  .sort((a, b) => a.version - b.version);
+
+// A step is either a list of SQL statements or an async function given the connection
+const runStep = async (db, step) => {
+  if (typeof step === 'function') return step(db);
+  for (const sql of step) await db.query(sql);
+};
+
+/**
+ * Versioned schema migrations. Applied versions are recorded in
+ * schema_migrations; a named MySQL lock keeps two deploys from migrating the
+ * same database at once. `db` is a single mysql2 connection (not a pool) so
+ * session settings such as FOREIGN_KEY_CHECKS apply to every statement.
+ */
+module.exports = (db, { migrations = loadMigrations() } = {}) => {
+
+  const ensureTable = () => db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  const appliedVersions = async () => {
+    const [rows] = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map((row) => row.version);
+  };
+
+  const withLock = async (fn) => {
+    const [[{ acquired }]] = await db.query('SELECT GET_LOCK(?, 30) AS acquired', [LOCK_NAME]);
+    if (acquired !== 1) throw new Error('Another migration is already running');
+
+    try {
+      await ensureTable();
+      return await fn();
+    } finally {
+      await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  };
+
+  // Apply every pending migration in order; returns the names applied
+  const migrate = () => withLock(async () => {
+    const applied = new Set(await appliedVersions());
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await runStep(db, migration.up);
+      await db.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      ran.push(migration.name);
+    }
+
+    return ran;
+  });
+
+  // Revert the most recently applied migrations; returns the names reverted
+  const rollback = (steps = 1) => withLock(async () => {
+    const applied = (await appliedVersions()).reverse().slice(0, steps);
+    const ran = [];
+
+    for (const version of applied) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+
+      await runStep(db, migration.down);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      ran.push(migration.name);
+    }
+
+    return ran;
+  });
+
+  // Every known migration with whether it has been applied
+  const status = () => withLock(async () => {
+    const applied = new Set(await appliedVersions());
+    return migrations.map(({ version, name }) => ({ version, name, applied: applied.has(version) }));
+  });
+
+  return { migrate, rollback, status };
+};
+
+module.exports.loadMigrations = loadMigrations;
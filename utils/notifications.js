@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const { userTopic } = require('./realtime');
+
+/**
+ * Notification center. Every notification is stored for the in-app inbox
+ * and then delivered on the channels the user has turned on (see
+ * notification_preferences; email only by default). Channels are adapters
+ * exposing `send({ user, notification })`, where `user` carries the
+ * contact details (email, phone, push_token). Pass any object with that
+ * shape to createNotifier to plug in a real provider.
+ */
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Preferences of users who never changed them
+const DEFAULT_PREFERENCES = { email: true, sms: false, push: false, push_token: null };
+
+const adapters = {
+  // Email through a mailer from utils/mailer.js
+  email: (mailer) => ({
+    send: async ({ user, notification }) => {
+      if (!user.email) return;
+      await mailer.send({ to: user.email, subject: notification.title, text: `Hi ${user.name},\n\n${notification.body}` });
+    }
+  }),
+
+  // SMS through a sender from utils/sms.js
+  sms: (sms) => ({
+    send: async ({ user, notification }) => {
+      if (!user.phone) return;
+      await sms.send({ to: user.phone, text: `${notification.title}: ${notification.body}` });
+    }
+  }),
+
+  // Push to the device token the user registered; written to a file until a push provider is plugged in
+  push: (filename = process.env.PUSH_FILE || 'logs/push.log') => ({
+    send: async ({ user, notification }) => {
+      if (!user.push_token) return;
+      await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+      await fs.promises.appendFile(
+        filename,
+        JSON.stringify({ token: user.push_token, ...notification, sentAt: new Date().toISOString() }) + '\n'
+      );
+    }
+  }),
+
+  // Keep deliveries in memory, for tests
+  memory: () => {
+    const sent = [];
+    return { sent, send: async (delivery) => { sent.push(delivery); } };
+  }
+};
+
+// "Origin to Destination on YYYY-MM-DD", for notification text
+const describeRide = (ride) => {
+  const date = ride.date instanceof Date ? ride.date.toISOString().slice(0, 10) : ride.date;
+  return `${ride.origin} to ${ride.destination} on ${date}`;
+};
+
+// A user's channel preferences, with defaults filled in
+const getPreferences = async (db, userId) => {
+  const [rows] = await db.execute('SELECT email, sms, push, push_token FROM notification_preferences WHERE user_id = ?', [userId]);
+  if (rows.length === 0) return { ...DEFAULT_PREFERENCES };
+  return { email: !!rows[0].email, sms: !!rows[0].sms, push: !!rows[0].push, push_token: rows[0].push_token };
+};
+
+// Change some of a user's preferences; the rest keep their current value
+const updatePreferences = async (db, userId, changes) => {
+  const preferences = { ...(await getPreferences(db, userId)), ...changes };
+  if (preferences.push && !preferences.push_token) throw new HttpError(400, 'Register a push_token before turning push on');
+  await db.execute(
+    `INSERT INTO notification_preferences (user_id, email, sms, push, push_token) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE email = VALUES(email), sms = VALUES(sms), push = VALUES(push), push_token = VALUES(push_token)`,
+    [userId, preferences.email, preferences.sms, preferences.push, preferences.push_token]
+  );
+  return preferences;
+};
+
+/**
+ * A page of a user's inbox, newest first, with how many are unread in
+ * total: { unread, total, page, notifications }.
+ */
+const listNotifications = async (db, userId, { page = 1, limit = 20, unreadOnly = false } = {}) => {
+  const [notifications] = await db.query(
+    `SELECT id, type, title, body, data, read_at, created_at FROM notifications
+     WHERE user_id = ?${unreadOnly ? ' AND read_at IS NULL' : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, limit, (page - 1) * limit]
+  );
+  const [[counts]] = await db.execute(
+    'SELECT COUNT(*) AS total, COALESCE(SUM(read_at IS NULL), 0) AS unread FROM notifications WHERE user_id = ?',
+    [userId]
+  );
+  const unread = Number(counts.unread);
+  return { unread, total: unreadOnly ? unread : Number(counts.total), page, notifications };
+};
+
+// Mark the given notifications of a user read (all of them when ids is omitted). Returns how many changed.
+const markRead = async (db, userId, ids = null) => {
+  if (ids && ids.length === 0) return 0;
+  const [result] = await db.execute(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = ? AND read_at IS NULL${ids ? ` AND id IN (${ids.map(() => '?').join(', ')})` : ''}`,
+    [userId, ...(ids || [])]
+  );
+  return result.affectedRows;
+};
+
+/**
+ * Build the notifier. `channels` maps channel names to adapters; channels
+ * left out are skipped. A failed delivery on one channel is logged and
+ * doesn't stop the others. With `realtime` (utils/realtime.js), each
+ * notification is also pushed to its user's live feed, typed by its type.
+ */
+const createNotifier = (pool, channels = {}, logger = console, realtime = null) => {
+  /**
+   * Notify each of `userIds` (duplicates and nulls are dropped) with
+   * { type, title, body, data }. Returns the notifications stored.
+   */
+  const notify = async (userIds, { type, title, body, data = {} }) => {
+    const recipients = [...new Set([].concat(userIds).filter(Boolean))];
+    if (recipients.length === 0) return [];
+
+    const notifications = recipients.map((userId) => ({ id: uuidv4(), user_id: userId, type, title, body, data }));
+    await pool.execute(
+      `INSERT INTO notifications (id, user_id, type, title, body, data)
+       VALUES ${notifications.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+      notifications.flatMap((n) => [n.id, n.user_id, type, title, body, JSON.stringify(data)])
+    );
+
+    if (realtime) {
+      for (const notification of notifications) {
+        await realtime.publish(userTopic(notification.user_id), type, notification);
+      }
+    }
+
+    const [users] = await pool.execute(
+      `SELECT u.id, u.name, u.email, u.phone,
+              COALESCE(p.email, TRUE) AS email_on, COALESCE(p.sms, FALSE) AS sms_on, COALESCE(p.push, FALSE) AS push_on, p.push_token
+       FROM users u LEFT JOIN notification_preferences p ON p.user_id = u.id
+       WHERE u.id IN (${recipients.map(() => '?').join(', ')}) AND u.status = 'active'`,
+      recipients
+    );
+
+    for (const user of users) {
+      const notification = notifications.find((n) => n.user_id === user.id);
+      for (const channel of CHANNELS.filter((name) => channels[name] && user[`${name}_on`])) {
+        try {
+          await channels[channel].send({ user, notification });
+        } catch (err) {
+          logger.error(`❌ ${channel} notification to ${user.id} failed: ${err.message}`);
+        }
+      }
+    }
+
+    return notifications;
+  };
+
+  // notify without waiting, for route handlers that have already answered
+  const notifyLater = (userIds, message) => {
+    notify(userIds, message).catch((err) => logger.error(`❌ ${message.type} notification failed: ${err.message}`));
+  };
+
+  return { notify, notifyLater };
+};
+
+module.exports = {
+  CHANNELS,
+  adapters,
+  createNotifier,
+  describeRide,
+  getPreferences,
+  updatePreferences,
+  listNotifications,
+  markRead
+};
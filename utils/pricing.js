@@ -0,0 +1,78 @@
+const { distanceKm } = require('./geo');
+
+/**
+ * Seat pricing. Drivers either set a price per seat, or a total trip cost
+ * that is split evenly between the driver and every seat offered (rounded
+ * up to the cent) when the ride is offered. The split is by seats offered,
+ * not seats sold: the first passenger pays the same as the last, and the
+ * driver carries the share of any seat left empty.
+ *
+ * The price per seat is for the whole trip. A booking between two stops
+ * pays its share of the route's distance (see segmentShare), rounded up to
+ * the cent. Bookings store the fare charged at booking time, so later
+ * price edits never change them. Amounts are worked out in cents to avoid
+ * floating point drift.
+ */
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'KES';
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+const fromCents = (cents) => cents / 100;
+
+// Columns a ride (or series) stores for the pricing fields of a request
+const ridePricing = ({ price_per_seat, total_cost, currency }, seats) => {
+  if (total_cost !== undefined && total_cost !== null) {
+    const total = toCents(total_cost);
+    return {
+      pricing_mode: 'split',
+      price_per_seat: fromCents(Math.ceil(total / (seats + 1))),
+      total_cost: fromCents(total),
+      currency: currency || DEFAULT_CURRENCY
+    };
+  }
+
+  return {
+    pricing_mode: 'per_seat',
+    price_per_seat: fromCents(toCents(price_per_seat)),
+    total_cost: null,
+    currency: currency || DEFAULT_CURRENCY
+  };
+};
+
+/**
+ * Part of a ride's route between two stop positions, by straight-line
+ * distance between consecutive stops ({ lat, lng }, in route order). The
+ * whole trip, or a route with a stop lacking coordinates, counts as 1.
+ */
+const segmentShare = (stops, fromStop, toStop) => {
+  if (fromStop === 0 && toStop >= stops.length - 1) return 1;
+  if (stops.some((stop) => stop.lat === null || stop.lat === undefined || stop.lng === null || stop.lng === undefined)) return 1;
+
+  const legs = stops.slice(1).map((stop, i) => distanceKm(
+    { lat: Number(stops[i].lat), lng: Number(stops[i].lng) },
+    { lat: Number(stop.lat), lng: Number(stop.lng) }
+  ));
+  const total = legs.reduce((sum, km) => sum + km, 0);
+  if (total === 0) return 1;
+
+  return legs.slice(fromStop, toStop).reduce((sum, km) => sum + km, 0) / total;
+};
+
+// Fare for `seats` on a ride at its current price, over `share` of the route (see segmentShare)
+const quoteFare = (ride, seats, share = 1) => {
+  const perSeat = share < 1 ? Math.ceil(toCents(ride.price_per_seat) * share) : toCents(ride.price_per_seat);
+  const fare = {
+    pricing_mode: ride.pricing_mode,
+    currency: ride.currency,
+    price_per_seat: fromCents(perSeat),
+    seats,
+    amount: fromCents(perSeat * seats)
+  };
+
+  if (ride.pricing_mode === 'split') fare.total_cost = Number(ride.total_cost);
+  if (share < 1) fare.route_share = Math.round(share * 1000) / 1000;
+  return fare;
+};
+
+module.exports = { DEFAULT_CURRENCY, ridePricing, segmentShare, quoteFare };
@@ -0,0 +1,100 @@
+/**
+ * Ratings between riders. A passenger with a confirmed booking on a
+ * completed ride may rate its driver once; the driver may rate each such
+ * passenger once. Reviews live in `reviews` (user_id is the reviewer).
+ */
+
+const HttpError = require('./httpError');
+
+// Per-user average and count for one role, as a derived table to LEFT JOIN on reviewee_id
+const ratingsTable = (role) => `(
+  SELECT reviewee_id, CAST(ROUND(AVG(rating), 2) AS DOUBLE) AS average_rating, COUNT(*) AS rating_count
+  FROM reviews WHERE reviewee_role = '${role === 'passenger' ? 'passenger' : 'driver'}'
+  GROUP BY reviewee_id
+)`;
+
+// { average_rating, rating_count } for one user in one role
+const getRating = async (pool, userId, role) => {
+  const [rows] = await pool.execute(
+    `SELECT CAST(ROUND(AVG(rating), 2) AS DOUBLE) AS average_rating, COUNT(*) AS rating_count
+     FROM reviews WHERE reviewee_id = ? AND reviewee_role = ?`,
+    [userId, role]
+  );
+  return rows[0];
+};
+
+const hasConfirmedBooking = async (pool, rideId, userId) => {
+  const [rows] = await pool.execute(
+    `SELECT id FROM bookings WHERE ride_id = ? AND user_id = ? AND status = 'confirmed' LIMIT 1`,
+    [rideId, userId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Record a review after checking the reviewer may leave it. `passengerId`
+ * is only given when the driver rates a passenger. Throws HttpError.
+ */
+const submitReview = async (pool, { rideId, reviewerId, passengerId, rating, comment }) => {
+  const [rides] = await pool.execute('SELECT user_id, status FROM rides WHERE id = ?', [rideId]);
+  if (rides.length === 0) throw new HttpError(404, 'Ride not found');
+
+  const ride = rides[0];
+  if (ride.status !== 'completed') throw new HttpError(409, 'Rides can only be rated once completed');
+
+  let revieweeId;
+  let revieweeRole;
+
+  if (passengerId) {
+    if (ride.user_id !== reviewerId) throw new HttpError(403, 'Only the driver can rate passengers of this ride');
+    if (!(await hasConfirmedBooking(pool, rideId, passengerId))) {
+      throw new HttpError(404, 'Passenger has no confirmed booking on this ride');
+    }
+    revieweeId = passengerId;
+    revieweeRole = 'passenger';
+  } else {
+    if (!(await hasConfirmedBooking(pool, rideId, reviewerId))) {
+      throw new HttpError(403, 'Only passengers with a confirmed booking can rate this driver');
+    }
+    revieweeId = ride.user_id;
+    revieweeRole = 'driver';
+  }
+
+  try {
+    await pool.execute(
+      `INSERT INTO reviews (user_id, reviewee_id, reviewee_role, ride_id, rating, comment)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [reviewerId, revieweeId, revieweeRole, rideId, rating, comment || null]
+    );
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') throw new HttpError(409, 'You have already rated this ride');
+    throw err;
+  }
+
+  return { revieweeId, revieweeRole };
+};
+
+// One page of reviews a user received, newest first, with reviewer names
+const listReviews = async (pool, userId, { role, page, limit }) => {
+  const filter = role ? ' AND v.reviewee_role = ?' : '';
+  const args = role ? [userId, role] : [userId];
+
+  const [reviews] = await pool.query(
+    `SELECT v.id, v.ride_id, v.reviewee_role, v.rating, v.comment, v.created_at,
+            v.user_id AS reviewer_id, u.name AS reviewer_name
+     FROM reviews v
+     JOIN users u ON u.id = v.user_id
+     WHERE v.reviewee_id = ?${filter}
+     ORDER BY v.created_at DESC
+     LIMIT ? OFFSET ?`,
+    [...args, limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM reviews v WHERE v.reviewee_id = ?${filter}`,
+    args
+  );
+
+  return { page, totalPages: Math.ceil(total / limit), total, reviews };
+};
+
+module.exports = { ratingsTable, getRating, submitReview, listReviews };
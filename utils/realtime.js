@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Real-time event feed. Events are stored in realtime_events with an
+ * increasing id and then handed to the subscribers of their topic in this
+ * process. A subscriber that passes the last id it saw first gets what it
+ * missed from the table, then live events, without gaps or repeats.
+ *
+ * Topics are a ride ("ride:<id>": seats and status) or a user's own feed
+ * ("user:<id>": everything they are notified of). Live delivery only
+ * reaches subscribers connected to the process that published; run one
+ * API process, or have clients reconnect to resume.
+ */
+
+// Events kept for resuming; older ones are purged by the daily cleanup job
+const RETENTION_HOURS = parseInt(process.env.REALTIME_RETENTION_HOURS) || 24;
+
+// Most events replayed on one reconnect
+const REPLAY_LIMIT = 1000;
+
+const rideTopic = (rideId) => `ride:${rideId}`;
+const userTopic = (userId) => `user:${userId}`;
+
+const createRealtime = (pool, logger = console) => {
+  const hub = new EventEmitter();
+  hub.setMaxListeners(0);
+
+  // Store an event for each topic and hand it to live subscribers. Returns the stored events.
+  const publish = async (topics, type, data) => {
+    const events = [];
+    for (const topic of [].concat(topics)) {
+      const [result] = await pool.execute(
+        'INSERT INTO realtime_events (topic, type, data) VALUES (?, ?, ?)',
+        [topic, type, JSON.stringify(data)]
+      );
+      events.push({ id: result.insertId, topic, type, data });
+    }
+    events.forEach((event) => hub.emit(event.topic, event));
+    return events;
+  };
+
+  // Publish a ride's current status and free seats to its subscribers
+  const rideChanged = async (rideId) => {
+    const [rides] = await pool.execute('SELECT id, status, seats_available FROM rides WHERE id = ?', [rideId]);
+    if (rides.length === 0) return [];
+    return publish(rideTopic(rideId), 'ride.updated', rides[0]);
+  };
+
+  // rideChanged without waiting, for route handlers that have already answered
+  const rideChangedLater = (rideId) => {
+    rideChanged(rideId).catch((err) => logger.error(`❌ Real-time update of ride ${rideId} failed: ${err.message}`));
+  };
+
+  /**
+   * Call `listener(event)` for each event on `topics`: first the ones
+   * after `lastEventId` (when given), oldest first, then live ones.
+   * Returns a function that unsubscribes.
+   */
+  const subscribe = async (topics, lastEventId, listener) => {
+    let lastSent = lastEventId ? Number(lastEventId) : 0;
+    let buffered = [];
+    const deliver = (event) => {
+      if (buffered) return buffered.push(event);
+      if (event.id <= lastSent) return;
+      lastSent = event.id;
+      listener(event);
+    };
+
+    // Listen before replaying, so events published meanwhile are buffered, not lost
+    topics.forEach((topic) => hub.on(topic, deliver));
+    const unsubscribe = () => topics.forEach((topic) => hub.off(topic, deliver));
+
+    try {
+      if (lastEventId) {
+        const [missed] = await pool.query(
+          `SELECT id, topic, type, data FROM realtime_events
+           WHERE topic IN (${topics.map(() => '?').join(', ')}) AND id > ?
+           ORDER BY id
+           LIMIT ?`,
+          [...topics, lastSent, REPLAY_LIMIT]
+        );
+        missed.forEach((event) => {
+          lastSent = Number(event.id);
+          listener({ ...event, id: lastSent, data: typeof event.data === 'string' ? JSON.parse(event.data) : event.data });
+        });
+      }
+    } catch (err) {
+      unsubscribe();
+      throw err;
+    }
+
+    const pending = buffered;
+    buffered = null;
+    pending.forEach(deliver);
+    return unsubscribe;
+  };
+
+  return { publish, rideChanged, rideChangedLater, subscribe };
+};
+
+// Drop events too old to resume from
+const purgeEvents = (pool) =>
+  pool.execute('DELETE FROM realtime_events WHERE created_at < NOW() - INTERVAL ? HOUR', [RETENTION_HOURS]);
+
+module.exports = { rideTopic, userTopic, createRealtime, purgeEvents };
@@ -0,0 +1,132 @@
+const HttpError = require('./httpError');
+
+/**
+ * Filters, sort orders and cursor pagination shared by the ride listings
+ * (/rides/available and /rides/search). Queries are expected to use the
+ * aliases of rideListing in routes/rideRoutes.js: r (rides), v (vehicles)
+ * and dr (driver ratings).
+ *
+ * Pages are keyset based: the cursor holds the sort value and id of the
+ * last ride returned, so rides offered meanwhile don't shift later pages.
+ */
+
+// Sortable columns. `sql` is selected as sort_key; numeric keys come back as strings for DECIMALs.
+const SORTS = {
+  departure: { sql: `DATE_FORMAT(TIMESTAMP(r.date, r.time), '%Y-%m-%d %H:%i:%s')`, order: 'asc' },
+  price: { sql: 'COALESCE(r.price_per_seat, 0)', numeric: true, order: 'asc' },
+  rating: { sql: 'COALESCE(dr.average_rating, 0)', numeric: true, order: 'desc' },
+  seats: { sql: 'r.seats_available', numeric: true, order: 'desc' },
+  // Computed after ranking, search only
+  distance: { numeric: true, order: 'asc' }
+};
+
+// Rides without coordinates sort after every located one
+const UNLOCATED_DISTANCE = 1e9;
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * WHERE conditions and their params for the listing filters. Only rides
+ * still scheduled, departing later than now in their own timezone and not
+ * offered by `userId` are listed. Seat filters are left to the caller:
+ * search counts seats between the matched stops.
+ *
+ * CONVERT_TZ needs the MySQL timezone tables; without them the server
+ * clock is used instead.
+ */
+const filterClauses = (filters, userId) => {
+  const where = [
+    `r.status = 'scheduled'`,
+    'r.user_id <> ?',
+    `TIMESTAMP(r.date, r.time) > COALESCE(CONVERT_TZ(UTC_TIMESTAMP(), '+00:00', r.timezone), NOW())`
+  ];
+  const params = [userId];
+  const add = (condition, ...values) => {
+    where.push(condition);
+    params.push(...values);
+  };
+
+  if (filters.date) {
+    const days = filters.flex_days || 0;
+    add('r.date BETWEEN ? AND ?', addDays(filters.date, -days), addDays(filters.date, days));
+  }
+  if (filters.time_from) add('r.time >= ?', filters.time_from);
+  if (filters.time_to) add('r.time <= ?', filters.time_to);
+  if (filters.min_price !== undefined) add('COALESCE(r.price_per_seat, 0) >= ?', filters.min_price);
+  if (filters.max_price !== undefined) add('COALESCE(r.price_per_seat, 0) <= ?', filters.max_price);
+  if (filters.min_rating !== undefined) add('dr.average_rating >= ?', filters.min_rating);
+  if (filters.min_capacity !== undefined) add('v.capacity >= ?', filters.min_capacity);
+
+  return { where, params };
+};
+
+const encodeCursor = (sort, ride) => Buffer.from(JSON.stringify([sort, ride.sort_key, ride.id])).toString('base64url');
+
+// { key, id } of the last ride of the previous page; a cursor from another sort order is a 400
+const decodeCursor = (sort, cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || decoded[0] !== sort) {
+    throw new HttpError(400, 'Invalid cursor; request the first page again.');
+  }
+  return { key: decoded[1], id: decoded[2] };
+};
+
+// The sort order as a WHERE condition, ORDER BY and direction for a SQL query
+const sqlOrder = ({ sort, order, cursor }) => {
+  const { sql } = SORTS[sort];
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const after = cursor ? decodeCursor(sort, cursor) : null;
+
+  return {
+    column: `${sql} AS sort_key`,
+    orderBy: `ORDER BY sort_key ${direction}, r.id ${direction}`,
+    after: after && {
+      condition: `(${sql} ${direction === 'DESC' ? '<' : '>'} ? OR (${sql} = ? AND r.id ${direction === 'DESC' ? '<' : '>'} ?))`,
+      params: [after.key, after.key, after.id]
+    }
+  };
+};
+
+/**
+ * One page of rides fetched with limit + 1 rows, as { total, rides,
+ * next_cursor }. sort_key is dropped from the rides returned.
+ */
+const toPage = (rows, { sort, limit, total }) => {
+  const rides = rows.slice(0, limit);
+  return {
+    total,
+    rides: rides.map(({ sort_key: _key, ...ride }) => ride),
+    next_cursor: rows.length > limit ? encodeCursor(sort, rides[rides.length - 1]) : null
+  };
+};
+
+/**
+ * Sort and page rides already in memory (search, ranked by distance) the
+ * same way the SQL listings are. Each ride needs sort_key set.
+ */
+const paginate = (rides, { sort, order, cursor, limit }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  const normalize = (key) => (SORTS[sort].numeric ? Number(key) : String(key));
+  const compare = (a, b) => {
+    const [x, y] = [normalize(a.sort_key), normalize(b.sort_key)];
+    if (x !== y) return (x < y ? -1 : 1) * direction;
+    return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+  };
+
+  const after = cursor ? decodeCursor(sort, cursor) : null;
+  const sorted = [...rides].sort(compare);
+  const remaining = after ? sorted.filter((ride) => compare(ride, { sort_key: after.key, id: after.id }) > 0) : sorted;
+
+  return toPage(remaining.slice(0, limit + 1), { sort, limit, total: rides.length });
+};
+
+module.exports = { SORTS, UNLOCATED_DISTANCE, filterClauses, sqlOrder, toPage, paginate };
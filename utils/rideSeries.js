@@ -0,0 +1,380 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const withTransaction = require('./transaction');
+const { reserveSeats, hasActiveBooking, promoteWaitlist, cancelBookings, cancelRides, ACTIVE } = require('./bookings');
+const { ridePricing } = require('./pricing');
+const { assertSeatsFitVehicle } = require('./vehicles');
+const { statusLabel, zonedDate } = require('./rideState');
+const { saveStops } = require('./rideStops');
+const { alertSavedSearches } = require('./savedSearches');
+
+/**
+ * Recurring rides. A series holds the schedule; concrete rides are created
+ * ahead of time (see jobs/rideSeries.js) with `series_id` set, one per
+ * date. Passengers either book one occurrence through /rides/book-ride or
+ * subscribe to the series, which books them onto every occurrence that
+ * has room, including ones created later.
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const HORIZON_DAYS = parseInt(process.env.SERIES_HORIZON_DAYS) || 14;
+
+// Why occurrences were canceled, recorded on their bookings and shown to passengers
+const CANCEL_REASONS = {
+  ended: 'The recurring ride now ends earlier',
+  canceled: 'The recurring ride was canceled',
+  skipped: 'The driver is not running the recurring ride that day',
+  unsubscribed: 'Series booking cancelled'
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// DATE columns arrive as local-midnight Date objects; dates are compared as YYYY-MM-DD strings
+const toDateString = (value) => (typeof value === 'string'
+  ? value.slice(0, 10)
+  : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`);
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+// Today's date where the series runs
+const today = (series) => zonedDate(series.timezone);
+
+// Dates between from and until (inclusive) on which the series runs
+const occurrenceDates = (series, from, until, exceptions = []) => {
+  const days = Array.isArray(series.days_of_week) ? series.days_of_week : series.days_of_week.split(',');
+  const start = [toDateString(series.start_date), from].sort()[1];
+  const end = series.end_date ? [toDateString(series.end_date), until].sort()[0] : until;
+  const skip = new Set(exceptions.map(toDateString));
+
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const weekday = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    if (days.includes(weekday) && !skip.has(date)) dates.push(date);
+  }
+  return dates;
+};
+
+// Book a subscriber onto one occurrence unless they already hold a seat there
+const bookSubscriber = async (db, rideId, subscription) => {
+  if (await hasActiveBooking(db, rideId, subscription.user_id)) return false;
+  const bookingId = await reserveSeats(db, {
+    rideId,
+    userId: subscription.user_id,
+    seats: subscription.seats,
+    seriesBookingId: subscription.id
+  });
+  return bookingId !== null;
+};
+
+// The gate requireApprovedDriver applies to rides offered by hand: an approved, active driver with a valid licence
+const canDrive = (series, date) => series.verification_status === 'approved' && series.account_role === 'driver' &&
+  series.account_status === 'active' && series.license_expiry !== null && series.license_expiry >= date;
+
+/**
+ * Create the missing occurrences of active series up to `horizonDays`
+ * ahead (from today in each series' timezone) and book each series
+ * subscriber onto them. Series whose driver could not offer a ride by hand
+ * (see canDrive) are skipped until they can again, and no occurrence is
+ * created past the driver's licence expiry. With a notifier, saved
+ * searches are alerted of each new ride like of one offered by hand; a
+ * failed alert is only logged. Safe to run repeatedly: (series_id, date)
+ * is unique. Returns the number of rides created.
+ */
+const generateOccurrences = async (pool, { seriesId = null, horizonDays = HORIZON_DAYS, notifier = null, logger = console } = {}) => {
+  // A day of slack covers every timezone; each series' own today is applied below
+  const [seriesList] = await pool.execute(
+    `SELECT s.*, d.verification_status, DATE_FORMAT(d.license_expiry, '%Y-%m-%d') AS license_expiry, u.status AS account_status, u.role AS account_role
+     FROM ride_series s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN drivers d ON d.user_id = s.user_id
+     WHERE s.status = 'active' AND (s.end_date IS NULL OR s.end_date >= CURDATE() - INTERVAL 1 DAY)${seriesId ? ' AND s.id = ?' : ''}`,
+    seriesId ? [seriesId] : []
+  );
+
+  let created = 0;
+  for (const series of seriesList) {
+    const from = today(series);
+    if (!canDrive(series, from)) continue;
+
+    const until = [addDays(from, horizonDays), series.license_expiry].sort()[0];
+    const [exceptions] = await pool.execute('SELECT date FROM ride_series_exceptions WHERE series_id = ?', [series.id]);
+    const dates = occurrenceDates(series, from, until, exceptions.map((e) => e.date));
+
+    for (const date of dates) {
+      const ride = await withTransaction(pool, async (connection) => {
+        const rideId = uuidv4();
+        const [result] = await connection.execute(
+          `INSERT INTO rides (id, user_id, series_id, vehicle_id, origin, destination, origin_lat, origin_lng,
+                              destination_lat, destination_lng, date, time, timezone, seats_available, seats_total,
+                              pricing_mode, price_per_seat, total_cost, currency)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE id = id`,
+          [rideId, series.user_id, series.id, series.vehicle_id, series.origin, series.destination, series.origin_lat,
+            series.origin_lng, series.destination_lat, series.destination_lng, date, series.time, series.timezone,
+            series.seats_available, series.seats_available, series.pricing_mode, series.price_per_seat, series.total_cost,
+            series.currency]
+        );
+        if (result.affectedRows !== 1) return null;
+
+        const stops = [
+          { place: series.origin, lat: series.origin_lat, lng: series.origin_lng, time: series.time },
+          { place: series.destination, lat: series.destination_lat, lng: series.destination_lng }
+        ];
+        await saveStops(connection, rideId, stops);
+
+        // Suspended, banned and deleted passengers keep their subscription but get no seats
+        const [subscriptions] = await connection.execute(
+          `SELECT sb.id, sb.user_id, sb.seats FROM series_bookings sb
+           JOIN users u ON u.id = sb.user_id
+           WHERE sb.series_id = ? AND sb.status = 'active' AND u.status = 'active' ORDER BY sb.created_at`,
+          [series.id]
+        );
+        for (const subscription of subscriptions) await bookSubscriber(connection, rideId, subscription);
+
+        // Seats left once the series' own passengers are on board
+        const [rides] = await connection.execute('SELECT seats_available FROM rides WHERE id = ?', [rideId]);
+        return { id: rideId, user_id: series.user_id, date, time: series.time, seats_available: rides[0].seats_available, stops };
+      });
+      if (!ride) continue;
+
+      created++;
+      if (notifier) {
+        await alertSavedSearches(pool, notifier, ride)
+          .catch((err) => logger.error(`❌ Saved search alerts for ride ${ride.id} failed: ${err.message}`));
+      }
+    }
+  }
+
+  return created;
+};
+
+const getSeries = async (db, seriesId) => {
+  const [rows] = await db.execute('SELECT * FROM ride_series WHERE id = ?', [seriesId]);
+  if (rows.length === 0) throw new HttpError(404, 'Series not found');
+  return rows[0];
+};
+
+// Upcoming occurrences that are still scheduled, locked for update
+const upcomingRides = async (db, series) => {
+  const [rides] = await db.execute(
+    `SELECT id, origin, destination, date, status FROM rides
+     WHERE series_id = ? AND date >= ? AND status = 'scheduled'
+     ORDER BY date FOR UPDATE`,
+    [series.id, today(series)]
+  );
+  return rides;
+};
+
+// The given rides, each with the passengers holding an active booking on it
+const withPassengers = async (db, rides) => {
+  if (rides.length === 0) return [];
+  const [booked] = await db.execute(
+    `SELECT ride_id, user_id FROM bookings WHERE status IN ${ACTIVE} AND ride_id IN (${rides.map(() => '?').join(', ')})`,
+    rides.map((ride) => ride.id)
+  );
+  return rides.map((ride) => ({
+    ...ride,
+    passengers: booked.filter((booking) => booking.ride_id === ride.id).map((booking) => booking.user_id)
+  }));
+};
+
+// Departure time lives on the ride and on its first stop
+const moveDeparture = async (db, rideId, time) => {
+  await db.execute('UPDATE rides SET time = ? WHERE id = ?', [time, rideId]);
+  await db.execute('UPDATE ride_stops SET time = ? WHERE ride_id = ? AND position = 0', [time, rideId]);
+};
+
+const hasBookings = async (db, rideId) => {
+  const [rows] = await db.execute(`SELECT id FROM bookings WHERE ride_id = ? AND status IN ${ACTIVE} LIMIT 1`, [rideId]);
+  return rows.length > 0;
+};
+
+/**
+ * Edit the whole series. Time changes apply to every upcoming occurrence;
+ * a new seat count only to occurrences nobody has booked yet. Moving the
+ * end date earlier cancels the occurrences after it. Besides the counts,
+ * returns the rides canceled (from cancelRides), the booked rides whose
+ * departure moved and the waitlist entries offered the new seats, for the
+ * caller to announce once committed.
+ */
+const updateSeries = (pool, seriesId, { time, seats_available, end_date }) => withTransaction(pool, async (db) => {
+  const series = await getSeries(db, seriesId);
+  if (series.status !== 'active') throw new HttpError(409, 'Series has been canceled');
+  if (seats_available) await assertSeatsFitVehicle(db, series.vehicle_id, seats_available);
+
+  // A split total is shared by a different number of seats
+  const perSeat = seats_available && series.pricing_mode === 'split'
+    ? ridePricing({ total_cost: series.total_cost }, seats_available).price_per_seat
+    : series.price_per_seat;
+
+  await db.execute(
+    `UPDATE ride_series
+     SET time = COALESCE(?, time), seats_available = COALESCE(?, seats_available), end_date = COALESCE(?, end_date),
+         price_per_seat = ?
+     WHERE id = ?`,
+    [time || null, seats_available || null, end_date || null, perSeat, seriesId]
+  );
+
+  const rides = await upcomingRides(db, series);
+  const dropped = end_date ? rides.filter((ride) => toDateString(ride.date) > end_date) : [];
+  const canceledRides = await cancelRides(db, dropped.map((ride) => ride.id), { reason: CANCEL_REASONS.ended });
+  const kept = rides.filter((r) => !dropped.includes(r));
+
+  const promoted = [];
+  for (const ride of kept) {
+    if (time) await moveDeparture(db, ride.id, time);
+    if (seats_available && !(await hasBookings(db, ride.id))) {
+      await db.execute(
+        'UPDATE rides SET seats_available = ?, seats_total = ?, price_per_seat = ? WHERE id = ?',
+        [seats_available, seats_available, perSeat, ride.id]
+      );
+      promoted.push(...(await promoteWaitlist(db, ride.id)));
+    }
+  }
+
+  const movedRides = time ? (await withPassengers(db, kept)).filter((ride) => ride.passengers.length > 0) : [];
+  return { updated: kept.length, canceled: dropped.length, canceledRides, movedRides, promoted };
+});
+
+// Cancel the series, its upcoming occurrences and every subscription to it. Returns the rides canceled too.
+const cancelSeries = (pool, seriesId) => withTransaction(pool, async (db) => {
+  const series = await getSeries(db, seriesId);
+  if (series.status !== 'active') throw new HttpError(409, 'Series has already been canceled');
+
+  const rides = await upcomingRides(db, series);
+  const canceledRides = await cancelRides(db, rides.map((ride) => ride.id), { reason: CANCEL_REASONS.canceled });
+  await db.execute(`UPDATE ride_series SET status = 'canceled' WHERE id = ?`, [seriesId]);
+  await db.execute(`UPDATE series_bookings SET status = 'cancelled' WHERE series_id = ? AND status = 'active'`, [seriesId]);
+
+  return { canceled: rides.length, canceledRides };
+});
+
+const findOccurrence = async (db, seriesId, date) => {
+  const [rides] = await db.execute(
+    'SELECT id, status, vehicle_id, origin, destination, date FROM rides WHERE series_id = ? AND date = ? FOR UPDATE',
+    [seriesId, date]
+  );
+  return rides[0] || null;
+};
+
+/**
+ * Change the time or seat count of one occurrence. Returns the ride, it with
+ * its passengers when booked and moved, and the waitlist entries offered
+ * the new seats.
+ */
+const updateOccurrence = (pool, seriesId, date, { time, seats_available }) => withTransaction(pool, async (db) => {
+  await getSeries(db, seriesId);
+
+  const ride = await findOccurrence(db, seriesId, date);
+  if (!ride) throw new HttpError(404, 'No ride scheduled on that date yet');
+  if (ride.status !== 'scheduled') throw new HttpError(409, `This ride is ${statusLabel(ride.status)}`);
+
+  if (seats_available && (await hasBookings(db, ride.id))) {
+    throw new HttpError(409, 'Seats cannot be changed once passengers have booked');
+  }
+  if (seats_available) await assertSeatsFitVehicle(db, ride.vehicle_id, seats_available);
+
+  if (time) await moveDeparture(db, ride.id, time);
+  let promoted = [];
+  if (seats_available) {
+    await db.execute(
+      'UPDATE rides SET seats_available = ?, seats_total = ? WHERE id = ?',
+      [seats_available, seats_available, ride.id]
+    );
+    promoted = await promoteWaitlist(db, ride.id);
+  }
+
+  const movedRides = time ? (await withPassengers(db, [ride])).filter((r) => r.passengers.length > 0) : [];
+  return { rideId: ride.id, movedRides, promoted };
+});
+
+// Skip one date: record the exception and cancel the occurrence if it already exists (returned as canceledRides)
+const cancelOccurrence = (pool, seriesId, date) => withTransaction(pool, async (db) => {
+  const series = await getSeries(db, seriesId);
+  if (occurrenceDates(series, date, date).length === 0) throw new HttpError(404, 'The series does not run on that date');
+
+  await db.execute('INSERT IGNORE INTO ride_series_exceptions (series_id, date) VALUES (?, ?)', [seriesId, date]);
+
+  const ride = await findOccurrence(db, seriesId, date);
+  const canceledRides = ride ? await cancelRides(db, [ride.id], { reason: CANCEL_REASONS.skipped }) : [];
+
+  return { rideId: ride ? ride.id : null, canceledRides };
+});
+
+/**
+ * Subscribe a passenger to the whole series and book them onto every
+ * upcoming occurrence with enough seats. Returns the dates booked and the
+ * dates skipped (full, or already booked individually).
+ */
+const subscribe = (pool, seriesId, userId, seats) => withTransaction(pool, async (db) => {
+  const series = await getSeries(db, seriesId);
+  if (series.status !== 'active') throw new HttpError(409, 'Series has been canceled');
+  if (series.user_id === userId) throw new HttpError(403, 'Drivers cannot book their own rides');
+
+  const [existing] = await db.execute(
+    `SELECT id FROM series_bookings WHERE series_id = ? AND user_id = ? AND status = 'active'`,
+    [seriesId, userId]
+  );
+  if (existing.length > 0) throw new HttpError(409, 'You have already booked this series');
+
+  const subscription = { id: uuidv4(), user_id: userId, seats };
+  await db.execute(
+    'INSERT INTO series_bookings (id, series_id, user_id, seats) VALUES (?, ?, ?, ?)',
+    [subscription.id, seriesId, userId, seats]
+  );
+
+  const booked = [];
+  const skipped = [];
+  for (const ride of await upcomingRides(db, series)) {
+    const date = toDateString(ride.date);
+    (await bookSubscriber(db, ride.id, subscription) ? booked : skipped).push(date);
+  }
+
+  return { seriesBookingId: subscription.id, booked, skipped };
+});
+
+/**
+ * End a series subscription and release its seats on upcoming occurrences.
+ * Returns the bookings cancelled, with their driver and ride, for
+ * utils/cancellations.js to announce once committed.
+ */
+const unsubscribe = (pool, seriesId, userId) => withTransaction(pool, async (db) => {
+  const series = await getSeries(db, seriesId);
+  const [subscriptions] = await db.execute(
+    `SELECT id FROM series_bookings WHERE series_id = ? AND user_id = ? AND status = 'active'`,
+    [seriesId, userId]
+  );
+  if (subscriptions.length === 0) throw new HttpError(404, 'You have not booked this series');
+
+  const [bookings] = await db.execute(
+    `SELECT b.id, b.ride_id, b.user_id, b.seats, r.user_id AS driver_id, r.origin, r.destination, r.date
+     FROM bookings b
+     JOIN rides r ON r.id = b.ride_id
+     WHERE b.series_booking_id = ? AND b.status IN ${ACTIVE} AND r.date >= ?
+     FOR UPDATE`,
+    [subscriptions[0].id, today(series)]
+  );
+  const cancelledBookings = await cancelBookings(db, bookings, { actorId: userId, reason: CANCEL_REASONS.unsubscribed });
+  await db.execute(`UPDATE series_bookings SET status = 'cancelled' WHERE id = ?`, [subscriptions[0].id]);
+
+  return { cancelled: cancelledBookings.length, cancelledBookings };
+});
+
+module.exports = {
+  DAYS,
+  CANCEL_REASONS,
+  toDateString,
+  occurrenceDates,
+  generateOccurrences,
+  updateSeries,
+  cancelSeries,
+  updateOccurrence,
+  cancelOccurrence,
+  subscribe,
+  unsubscribe
+};
@@ -0,0 +1,144 @@
+const HttpError = require('./httpError');
+const withTransaction = require('./transaction');
+const { distanceKm } = require('./geo');
+
+/**
+ * Ride lifecycle. A ride is scheduled when offered; the driver opens
+ * boarding, starts the trip and finishes it. It can be canceled until it
+ * leaves. Any other move is a 409.
+ *
+ *   scheduled ──▶ boarding ──▶ in_progress ──▶ completed
+ *       │             │
+ *       └─────────────┴──▶ canceled
+ *
+ * A driver may also start straight from scheduled, skipping boarding.
+ * Departure is the ride's date and time in its own timezone, never the
+ * server's.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Nairobi';
+
+const TRANSITIONS = {
+  scheduled: ['boarding', 'in_progress', 'canceled'],
+  boarding: ['in_progress', 'canceled'],
+  in_progress: ['completed'],
+  completed: [],
+  canceled: []
+};
+
+// Rides that haven't left yet: seats can still be booked, released or changed
+const UPCOMING = `('scheduled', 'boarding')`;
+
+// Rides that haven't reached a final status
+const LIVE = `('scheduled', 'boarding', 'in_progress')`;
+
+// Boarding and starting are allowed from this long before departure
+const EARLY_START_MINUTES = 60;
+
+// Used to estimate arrival; rides without coordinates are assumed to take the fallback
+const AVERAGE_SPEED_KMH = 40;
+const FALLBACK_DURATION_MINUTES = 120;
+
+// "in_progress" -> "in progress", for messages
+const statusLabel = (status) => status.replace('_', ' ');
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) throw new HttpError(409, `A ride that is ${statusLabel(from)} cannot become ${statusLabel(to)}.`);
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const zoneOffset = (timeZone, instant) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(instant).map((part) => [part.type, Number(part.value)]));
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+};
+
+// The instant a wall-clock date ("YYYY-MM-DD") and time ("HH:MM[:SS]") happen in a timezone
+const zonedInstant = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Correct twice so instants next to a DST change land on the right offset
+  const guess = wall - zoneOffset(timeZone, wall);
+  return new Date(wall - zoneOffset(timeZone, guess));
+};
+
+// The wall-clock date ("YYYY-MM-DD") in a timezone at the given instant
+const zonedDate = (timeZone = DEFAULT_TIMEZONE, instant = new Date()) =>
+  new Date(instant.getTime() + zoneOffset(timeZone, instant.getTime())).toISOString().slice(0, 10);
+
+// Departure of a ride with a string date and time, in its timezone
+const departureOf = (ride) => zonedInstant(ride.date, ride.time, ride.timezone);
+
+// When the ride should have arrived: departure plus the drive at an average speed
+const expectedArrival = (ride) => {
+  const hasCoordinates = ride.origin_lat != null && ride.destination_lat != null;
+  const minutes = hasCoordinates
+    ? distanceKm(
+      { lat: Number(ride.origin_lat), lng: Number(ride.origin_lng) },
+      { lat: Number(ride.destination_lat), lng: Number(ride.destination_lng) }
+    ) / AVERAGE_SPEED_KMH * 60
+    : FALLBACK_DURATION_MINUTES;
+
+  return new Date(departureOf(ride).getTime() + minutes * 60000);
+};
+
+// What each driver action does
+const ACTIONS = {
+  board: { to: 'boarding' },
+  start: { to: 'in_progress', stamp: 'started_at' },
+  finish: { to: 'completed', stamp: 'finished_at' }
+};
+
+/**
+ * Apply a driver action (board, start or finish) to a ride. Boarding and
+ * starting are refused more than EARLY_START_MINUTES before departure.
+ * Returns { id, status }.
+ */
+const changeRideStatus = (pool, rideId, action, now = new Date()) => withTransaction(pool, async (db) => {
+  const { to, stamp } = ACTIONS[action];
+
+  const [rides] = await db.execute(
+    `SELECT id, status, DATE_FORMAT(date, '%Y-%m-%d') AS date, time, timezone FROM rides WHERE id = ? FOR UPDATE`,
+    [rideId]
+  );
+  if (rides.length === 0) throw new HttpError(404, 'Ride not found.');
+
+  const ride = rides[0];
+  assertTransition(ride.status, to);
+  if (action !== 'finish' && departureOf(ride).getTime() - now.getTime() > EARLY_START_MINUTES * 60000) {
+    throw new HttpError(409, `Rides can only be ${action === 'board' ? 'boarded' : 'started'} from ${EARLY_START_MINUTES} minutes before departure.`);
+  }
+
+  await db.execute(
+    `UPDATE rides SET status = ?${stamp ? `, ${stamp} = NOW()` : ''} WHERE id = ?`,
+    [to, ride.id]
+  );
+
+  // Nobody new gets on once the ride is boarding
+  if (action !== 'finish') {
+    await db.execute(`UPDATE ride_waitlist SET status = 'expired' WHERE ride_id = ? AND status = 'waiting'`, [ride.id]);
+  }
+  return { id: ride.id, status: to };
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TRANSITIONS,
+  UPCOMING,
+  LIVE,
+  statusLabel,
+  canTransition,
+  assertTransition,
+  zonedInstant,
+  zonedDate,
+  departureOf,
+  expectedArrival,
+  changeRideStatus
+};
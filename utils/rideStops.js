@@ -0,0 +1,106 @@
+const HttpError = require('./httpError');
+
+/**
+ * Stops and per-segment seats. Every ride has an ordered list of stops in
+ * ride_stops: position 0 is the origin, the last one the destination.
+ * Segment i runs from stop i to stop i + 1. A booking from stop a to stop b
+ * holds its seats on segments a to b - 1 only, so a seat freed at stop 2 can
+ * be sold again for the rest of the trip.
+ *
+ * Seats taken are worked out from active bookings rather than counted down,
+ * so callers must hold the ride row lock (SELECT ... FOR UPDATE) while they
+ * check and book. rides.seats_available is kept as the seats free for the
+ * whole trip, for listings.
+ */
+
+// Store a ride's stops ({ place, lat, lng, time }) in route order
+const saveStops = async (db, rideId, stops) => {
+  for (const [position, stop] of stops.entries()) {
+    await db.execute(
+      'INSERT INTO ride_stops (ride_id, position, place, lat, lng, time) VALUES (?, ?, ?, ?, ?, ?)',
+      [rideId, position, stop.place, stop.lat ?? null, stop.lng ?? null, stop.time || null]
+    );
+  }
+};
+
+// Stops of each given ride in route order, grouped by ride id
+const listStops = async (db, rideIds) => {
+  const grouped = Object.fromEntries(rideIds.map((id) => [id, []]));
+  if (rideIds.length === 0) return grouped;
+
+  const [stops] = await db.execute(
+    `SELECT ride_id, position, place, lat, lng, time FROM ride_stops
+     WHERE ride_id IN (${rideIds.map(() => '?').join(', ')})
+     ORDER BY ride_id, position`,
+    rideIds
+  );
+  for (const { ride_id: rideId, ...stop } of stops) grouped[rideId].push(stop);
+  return grouped;
+};
+
+// Seats held on each segment of a ride with `stops` stops by the given bookings
+const countLoads = (stops, bookings) => {
+  const loads = new Array(Math.max(Number(stops) - 1, 1)).fill(0);
+  for (const booking of bookings) {
+    for (let segment = booking.from_stop; segment < booking.to_stop; segment++) loads[segment] += booking.seats;
+  }
+  return loads;
+};
+
+// Seats held on each segment of the ride by its active bookings
+const segmentLoads = async (db, rideId) => {
+  const [[{ stops }]] = await db.execute('SELECT COUNT(*) AS stops FROM ride_stops WHERE ride_id = ?', [rideId]);
+  const [bookings] = await db.execute(
+    `SELECT from_stop, to_stop, seats FROM bookings WHERE ride_id = ? AND status IN ('pending', 'confirmed')`,
+    [rideId]
+  );
+  return countLoads(stops, bookings);
+};
+
+// segmentLoads for several rides at once, keyed by ride id; for listings, no locks taken
+const segmentLoadsByRide = async (db, rideIds) => {
+  if (rideIds.length === 0) return {};
+  const placeholders = rideIds.map(() => '?').join(', ');
+
+  const [counts] = await db.execute(
+    `SELECT ride_id, COUNT(*) AS stops FROM ride_stops WHERE ride_id IN (${placeholders}) GROUP BY ride_id`,
+    rideIds
+  );
+  const [bookings] = await db.execute(
+    `SELECT ride_id, from_stop, to_stop, seats FROM bookings
+     WHERE ride_id IN (${placeholders}) AND status IN ('pending', 'confirmed')`,
+    rideIds
+  );
+
+  return Object.fromEntries(counts.map(({ ride_id: rideId, stops }) =>
+    [rideId, countLoads(stops, bookings.filter((booking) => booking.ride_id === rideId))]
+  ));
+};
+
+// Seats free on every segment between two stops
+const freeSeats = (loads, seatsTotal, fromStop = 0, toStop = loads.length) =>
+  seatsTotal - Math.max(...loads.slice(fromStop, toStop));
+
+/**
+ * Fill in and check a requested stop range. Omitted ends default to the
+ * origin and the destination. Throws a 400 for stops outside the route or
+ * out of order.
+ */
+const stopRange = (loads, fromStop, toStop) => {
+  const range = { fromStop: fromStop ?? 0, toStop: toStop ?? loads.length };
+  if (range.fromStop < 0 || range.toStop > loads.length || range.fromStop >= range.toStop) {
+    throw new HttpError(400, `Choose a pick-up stop before the drop-off stop, between 0 and ${loads.length}.`);
+  }
+  return range;
+};
+
+// Recompute the seats free for the whole trip after bookings change
+const syncSeats = async (db, rideId) => {
+  const loads = await segmentLoads(db, rideId);
+  await db.execute(
+    'UPDATE rides SET seats_available = GREATEST(seats_total - ?, 0) WHERE id = ?',
+    [Math.max(...loads), rideId]
+  );
+};
+
+module.exports = { saveStops, listStops, segmentLoads, segmentLoadsByRide, freeSeats, stopRange, syncSeats };
@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const { distanceKm } = require('./geo');
+
+/**
+ * Saved searches. A passenger stores a route, a date range, an optional
+ * departure window and the seats they need; every ride offered afterwards
+ * is checked against the searches whose range covers its date, and each
+ * match is recorded as an alert and the passenger notified once. Searches
+ * lapse after date_to and are purged by the daily cleanup job.
+ */
+
+const MAX_PER_USER = parseInt(process.env.MAX_SAVED_SEARCHES) || 20;
+
+// Searches still running, i.e. whose date range hasn't ended
+const CURRENT = 'date_to >= CURDATE()';
+
+/**
+ * Save a search for a passenger. `pickup` and `dropoff` are already
+ * located; `origin` and `destination` are kept for display. Returns the id.
+ */
+const saveSearch = async (pool, userId, { origin, destination, pickup, dropoff, radius_km, date_from, date_to, time_from, time_to, seats }) => {
+  if (date_to < date_from) throw new HttpError(400, 'date_to must not be before date_from');
+  if (time_from && time_to && time_to < time_from) throw new HttpError(400, 'time_to must not be before time_from');
+
+  const [[{ saved }]] = await pool.execute(
+    `SELECT COUNT(*) AS saved FROM saved_searches WHERE user_id = ? AND ${CURRENT}`,
+    [userId]
+  );
+  if (saved >= MAX_PER_USER) throw new HttpError(409, `You can keep at most ${MAX_PER_USER} saved searches; delete one first`);
+
+  const id = uuidv4();
+  await pool.execute(
+    `INSERT INTO saved_searches (id, user_id, origin, destination, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng,
+                                 radius_km, date_from, date_to, time_from, time_to, seats)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, userId, origin || null, destination || null, pickup.lat, pickup.lng, dropoff.lat, dropoff.lng,
+      radius_km, date_from, date_to, time_from || null, time_to || null, seats]
+  );
+  return id;
+};
+
+// A user's current searches, newest first, each with the number of rides it has matched
+const listSavedSearches = async (pool, userId) => {
+  const [searches] = await pool.execute(
+    `SELECT s.*, COUNT(a.id) AS alert_count
+     FROM saved_searches s
+     LEFT JOIN saved_search_alerts a ON a.search_id = s.id
+     WHERE s.user_id = ? AND s.${CURRENT}
+     GROUP BY s.id
+     ORDER BY s.created_at DESC`,
+    [userId]
+  );
+  return searches;
+};
+
+// Rides a search has matched, newest first, with the stops that matched
+const listAlerts = async (pool, searchId) => {
+  const [alerts] = await pool.execute(
+    `SELECT a.id, a.ride_id, a.pickup_stop, a.dropoff_stop, a.created_at,
+            r.origin, r.destination, r.date, r.time, r.timezone, r.status, r.seats_available, r.price_per_seat, r.currency
+     FROM saved_search_alerts a
+     JOIN rides r ON r.id = a.ride_id
+     WHERE a.search_id = ?
+     ORDER BY a.created_at DESC`,
+    [searchId]
+  );
+  return alerts;
+};
+
+const deleteSearch = (pool, searchId) => pool.execute('DELETE FROM saved_searches WHERE id = ?', [searchId]);
+
+/**
+ * The pair of stops ({ lat, lng } in route order) nearest the search's
+ * pickup and drop-off, both within its radius and the pickup first; null
+ * when there is none.
+ */
+const matchStops = (stops, search) => {
+  const pickup = { lat: Number(search.pickup_lat), lng: Number(search.pickup_lng) };
+  const dropoff = { lat: Number(search.dropoff_lat), lng: Number(search.dropoff_lng) };
+  const radius = Number(search.radius_km);
+  const located = (stop) => stop.lat !== null && stop.lat !== undefined;
+
+  let best = null;
+  stops.forEach((from, i) => {
+    if (!located(from)) return;
+    const pickupKm = distanceKm(pickup, { lat: Number(from.lat), lng: Number(from.lng) });
+    if (pickupKm > radius) return;
+
+    stops.slice(i + 1).forEach((to, offset) => {
+      if (!located(to)) return;
+      const dropoffKm = distanceKm(dropoff, { lat: Number(to.lat), lng: Number(to.lng) });
+      if (dropoffKm > radius || (best && best.km <= pickupKm + dropoffKm)) return;
+      best = { pickupStop: i, dropoffStop: i + 1 + offset, km: pickupKm + dropoffKm };
+    });
+  });
+
+  return best && { pickupStop: best.pickupStop, dropoffStop: best.dropoffStop };
+};
+
+/**
+ * Check a newly offered ride ({ id, user_id, date, time, seats_available,
+ * stops }) against current saved searches. Each match is recorded and the
+ * passenger notified. Returns the number of alerts sent.
+ */
+const alertSavedSearches = async (pool, notifier, ride) => {
+  const [searches] = await pool.execute(
+    `SELECT s.*
+     FROM saved_searches s JOIN users u ON u.id = s.user_id
+     WHERE ? BETWEEN s.date_from AND s.date_to
+       AND (s.time_from IS NULL OR s.time_from <= ?)
+       AND (s.time_to IS NULL OR s.time_to >= ?)
+       AND s.seats <= ?
+       AND s.user_id <> ?
+       AND u.status = 'active'`,
+    [ride.date, ride.time, ride.time, ride.seats_available, ride.user_id]
+  );
+
+  let sent = 0;
+  for (const search of searches) {
+    const match = matchStops(ride.stops, search);
+    if (!match) continue;
+
+    const [stored] = await pool.execute(
+      `INSERT IGNORE INTO saved_search_alerts (id, search_id, ride_id, pickup_stop, dropoff_stop) VALUES (?, ?, ?, ?, ?)`,
+      [uuidv4(), search.id, ride.id, match.pickupStop, match.dropoffStop]
+    );
+    if (stored.affectedRows === 0) continue;
+
+    const from = ride.stops[match.pickupStop];
+    const to = ride.stops[match.dropoffStop];
+    await notifier.notify(search.user_id, {
+      type: 'search.match',
+      title: `New ride: ${from.place} to ${to.place} on ${ride.date}`,
+      body: `A ride matching your saved search was just offered: ${from.place} (${from.time || ride.time}) ` +
+        `to ${to.place} on ${ride.date}. Book it with from_stop ${match.pickupStop} and to_stop ${match.dropoffStop} ` +
+        'before the seats go.',
+      data: { rideId: ride.id, searchId: search.id, from_stop: match.pickupStop, to_stop: match.dropoffStop }
+    });
+    sent++;
+  }
+  return sent;
+};
+
+// Drop searches whose date range has ended, with their alerts
+const purgeExpiredSearches = (pool) => pool.execute(`DELETE FROM saved_searches WHERE NOT (${CURRENT})`);
+
+module.exports = {
+  saveSearch,
+  listSavedSearches,
+  listAlerts,
+  deleteSearch,
+  matchStops,
+  alertSavedSearches,
+  purgeExpiredSearches
+};
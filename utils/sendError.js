@@ -0,0 +1,9 @@
+const HttpError = require('./httpError');
+
+// Answer a failed request: expected failures carry their status, anything else is a 500
+const sendError = (res, err) => {
+  if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+  res.status(500).json({ error: err.message });
+};
+
+module.exports = sendError;
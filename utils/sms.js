@@ -0,0 +1,22 @@
+const { consoleTransport, fileTransport, resolveTransport } = require('./transports');
+
+/**
+ * SMS transports. Each one exposes `send({ to, text })` and returns a
+ * promise. Plug in a real gateway by passing any object with the same
+ * shape to createSmsSender.
+ */
+const transports = {
+  console: consoleTransport((message) => `📱 SMS to ${message.to}: ${message.text}`),
+  file: fileTransport(() => process.env.SMS_FILE || 'logs/sms.log')
+};
+
+// Build an SMS sender from a transport name or a custom transport object
+const createSmsSender = (transport = process.env.SMS_TRANSPORT || 'console') => {
+  const impl = resolveTransport(transports, transport, 'SMS');
+
+  return {
+    send: ({ to, text }) => impl.send({ to, text })
+  };
+};
+
+module.exports = { createSmsSender, transports };
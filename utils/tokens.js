@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh and reset tokens are opaque random strings; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = (pool, jwt) => {
+
+  // Sign a short-lived access token carrying the user's current token version
+  const signAccessToken = (user) => jwt.sign(
+    { id: user.id, email: user.email, role: user.role, ver: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+  );
+
+  // Create and store a new refresh token for the user
+  const createRefreshToken = async (userId) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const id = uuidv4();
+
+    await pool.execute(
+      `INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+      [id, userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return { id, refreshToken };
+  };
+
+  // Issue an access/refresh token pair for a freshly authenticated user
+  const issueTokens = async (user) => {
+    const { refreshToken } = await createRefreshToken(user.id);
+    return { token: signAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+  };
+
+  // Revoke every session for a user (logout everywhere, password change/reset)
+  const revokeAllSessions = async (userId) => {
+    await pool.execute(
+      `UPDATE users SET token_version = token_version + 1 WHERE id = ?`,
+      [userId]
+    );
+    await pool.execute(
+      `UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL`,
+      [userId]
+    );
+  };
+
+  /**
+   * Exchange a refresh token for a new token pair. The presented token is
+   * revoked on use; presenting an already revoked token is treated as theft
+   * and ends every session for that user, as does refreshing while the
+   * account is suspended, banned or deleted. Returns null when the token is
+   * unknown, expired or reused, or the account is not active.
+   */
+  const rotateRefreshToken = async (refreshToken) => {
+    const [rows] = await pool.execute(
+      `SELECT rt.id, rt.user_id, rt.revoked_at, rt.expires_at < NOW() AS expired,
+              u.id AS uid, u.email, u.role, u.token_version, u.status
+       FROM refresh_tokens rt
+       JOIN users u ON u.id = rt.user_id
+       WHERE rt.token_hash = ?`,
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) return null;
+
+    const stored = rows[0];
+
+    if (stored.revoked_at) {
+      await revokeAllSessions(stored.user_id);
+      return null;
+    }
+
+    // Sessions left over from before a suspension must not outlive it
+    if (stored.status !== 'active') {
+      await revokeAllSessions(stored.user_id);
+      return null;
+    }
+
+    if (stored.expired) return null;
+
+    // Guard against two concurrent refreshes with the same token
+    const [result] = await pool.execute(
+      `UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL`,
+      [stored.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await revokeAllSessions(stored.user_id);
+      return null;
+    }
+
+    const next = await createRefreshToken(stored.user_id);
+    await pool.execute(
+      `UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?`,
+      [next.id, stored.id]
+    );
+
+    const user = { id: stored.uid, email: stored.email, role: stored.role, token_version: stored.token_version };
+    return { token: signAccessToken(user), refreshToken: next.refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+  };
+
+  // Revoke a single refresh token owned by the user
+  const revokeRefreshToken = async (userId, refreshToken) => {
+    await pool.execute(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE user_id = ? AND token_hash = ? AND revoked_at IS NULL`,
+      [userId, hashToken(refreshToken)]
+    );
+  };
+
+  // Deny-list an access token until it would have expired anyway
+  const revokeAccessToken = async (payload) => {
+    if (!payload.jti) return;
+
+    await pool.execute(
+      `INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))`,
+      [payload.jti, payload.id, payload.exp]
+    );
+  };
+
+  /**
+   * Checked by authenticateToken on every request. Returns why the token
+   * must be rejected (revoked, or the account is suspended or banned), or
+   * null when it is still good.
+   */
+  const getRejectionReason = async (payload) => {
+    const [rows] = await pool.execute(
+      `SELECT u.token_version, u.status,
+              EXISTS(SELECT 1 FROM revoked_tokens WHERE jti = ?) AS revoked
+       FROM users u
+       WHERE u.id = ?`,
+      [payload.jti || '', payload.id]
+    );
+
+    if (rows.length === 0) return 'Token has been revoked';
+    if (rows[0].status !== 'active') return `Account ${rows[0].status}`;
+    if (rows[0].revoked || rows[0].token_version !== (payload.ver || 0)) return 'Token has been revoked';
+
+    return null;
+  };
+
+  // Drop expired refresh tokens and deny-list entries
+  const purgeExpired = async () => {
+    await pool.execute(`DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+    await pool.execute(`DELETE FROM refresh_tokens WHERE expires_at < NOW()`);
+  };
+
+  return {
+    hashToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions,
+    getRejectionReason,
+    purgeExpired
+  };
+};
@@ -0,0 +1,19 @@
+/**
+ * Run `fn(connection)` inside a transaction on a pooled connection.
+ * Commits and returns fn's result, or rolls back and rethrows.
+ */
+module.exports = async (pool, fn) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Transports shared by the outgoing message channels (utils/mailer.js and
+ * utils/sms.js). A transport exposes `send(message)` and returns a promise;
+ * each channel names its own built-in ones and accepts any object with the
+ * same shape instead.
+ */
+
+// Verification codes and reset tokens: runs of 6+ digits or 32+ hex characters
+const SECRETS = /\b(?:\d{6,}|[0-9a-f]{32,})\b/gi;
+
+const redact = (text) => text.replace(SECRETS, '[redacted]');
+
+/**
+ * Print messages to stdout, formatted by the channel (default for local
+ * development). Codes and tokens in the text only show with
+ * NODE_ENV=development, so they never land in a server's logs.
+ */
+const consoleTransport = (format) => () => ({
+  send: async (message) => {
+    const shown = process.env.NODE_ENV === 'development' ? message : { ...message, text: redact(message.text) };
+    console.log(format(shown));
+  }
+});
+
+// Append messages as JSON lines to a file (handy for tests and staging)
+const fileTransport = (defaultFile) => (filename = defaultFile()) => ({
+  send: async (message) => {
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+    await fs.promises.appendFile(
+      filename,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  }
+});
+
+// Resolve a transport name from `transports`, or check a custom transport object
+const resolveTransport = (transports, transport, kind) => {
+  const impl = typeof transport === 'string' ? transports[transport] && transports[transport]() : transport;
+  if (!impl || typeof impl.send !== 'function') {
+    throw new Error(`Unknown ${kind} transport: ${transport}`);
+  }
+  return impl;
+};
+
+module.exports = { redact, consoleTransport, fileTransport, resolveTransport };
@@ -0,0 +1,115 @@
+const HttpError = require('./httpError');
+const withTransaction = require('./transaction');
+const { UPCOMING } = require('./rideState');
+const { promoteWaitlist } = require('./bookings');
+
+/**
+ * Vehicle capacity rules. A vehicle's capacity counts the driver, so a
+ * ride can offer at most capacity - 1 seats. Vehicles that upcoming rides
+ * depend on cannot be deleted, and can only shrink as far as the seats
+ * already booked on them. Rides offering every seat a vehicle had grow
+ * with it.
+ */
+
+const maxSeats = (capacity) => capacity - 1;
+
+// The driver's own vehicle, or a 400 when they don't have it
+const findDriverVehicle = async (db, driverId, vehicleId) => {
+  const [vehicles] = await db.execute(
+    'SELECT id, make, model, plate, capacity FROM vehicles WHERE id = ? AND user_id = ?',
+    [vehicleId, driverId]
+  );
+  if (vehicles.length === 0) throw new HttpError(400, 'Vehicle not found among your registered vehicles');
+  return vehicles[0];
+};
+
+// Reject a seat count the vehicle cannot carry
+const assertSeatsFit = (vehicle, seats) => {
+  if (seats > maxSeats(vehicle.capacity)) {
+    throw new HttpError(400, `${vehicle.make} ${vehicle.model} (${vehicle.plate}) can take at most ${maxSeats(vehicle.capacity)} passengers`);
+  }
+};
+
+// Same check by vehicle id; rides without a vehicle are not limited
+const assertSeatsFitVehicle = async (db, vehicleId, seats) => {
+  if (!vehicleId) return;
+  const [vehicles] = await db.execute('SELECT make, model, plate, capacity FROM vehicles WHERE id = ?', [vehicleId]);
+  if (vehicles.length > 0) assertSeatsFit(vehicles[0], seats);
+};
+
+// Upcoming rides in the vehicle with the seats booked on their busiest segment, locked for update
+const upcomingRides = async (db, vehicleId) => {
+  const [rides] = await db.execute(
+    `SELECT id, seats_total, seats_total - seats_available AS booked
+     FROM rides
+     WHERE vehicle_id = ? AND status IN ${UPCOMING} AND date >= CURDATE()
+     FOR UPDATE`,
+    [vehicleId]
+  );
+  return rides.map((ride) => ({ ...ride, booked: Number(ride.booked) }));
+};
+
+const activeSeries = async (db, vehicleId) => {
+  const [series] = await db.execute(
+    `SELECT id, seats_available FROM ride_series WHERE vehicle_id = ? AND status = 'active' FOR UPDATE`,
+    [vehicleId]
+  );
+  return series;
+};
+
+// Delete a vehicle unless upcoming rides or recurring rides still use it
+const deleteVehicle = (pool, vehicleId) => withTransaction(pool, async (db) => {
+  const rides = await upcomingRides(db, vehicleId);
+  const series = await activeSeries(db, vehicleId);
+  if (rides.length > 0 || series.length > 0) {
+    throw new HttpError(409, `Vehicle is used by ${rides.length} upcoming ride(s) and ${series.length} recurring ride(s); ` +
+      'cancel them or move them to another vehicle first');
+  }
+
+  await db.execute('DELETE FROM vehicles WHERE id = ?', [vehicleId]);
+});
+
+/**
+ * Update a vehicle. When capacity shrinks, upcoming rides and recurring
+ * rides offering more seats than it now holds are cut down to fit; if
+ * passengers have already booked more seats than that, nothing changes and
+ * a 409 lists the rides in the way. When it grows, those that offered every
+ * seat the vehicle had are raised to the new limit and the extra seats go
+ * to their waitlists. Returns the number of rides adjusted and the
+ * waitlist entries promoted, for the caller to announce once committed.
+ */
+const updateVehicle = (pool, vehicleId, { model, plate, capacity }) => withTransaction(pool, async (db) => {
+  const limit = maxSeats(capacity);
+  const [vehicles] = await db.execute('SELECT capacity FROM vehicles WHERE id = ? FOR UPDATE', [vehicleId]);
+  const previous = maxSeats(vehicles[0].capacity);
+  const rides = await upcomingRides(db, vehicleId);
+
+  // Rides cut down to fit the vehicle, or filling it before it grew
+  const resized = (seats) => seats > limit || (limit > previous && seats === previous);
+
+  const overbooked = rides.filter((ride) => ride.booked > limit);
+  if (overbooked.length > 0) {
+    throw new HttpError(409, `Passengers have booked more than ${limit} seats on upcoming rides: ` +
+      `${overbooked.map((ride) => ride.id).join(', ')}`);
+  }
+
+  await db.execute('UPDATE vehicles SET model = ?, plate = ?, capacity = ? WHERE id = ?', [model, plate, capacity, vehicleId]);
+
+  let adjusted = 0;
+  const promoted = [];
+  for (const ride of rides.filter((r) => resized(r.seats_total))) {
+    const seatsLeft = limit - ride.booked;
+    await db.execute('UPDATE rides SET seats_total = ?, seats_available = ? WHERE id = ?', [limit, seatsLeft, ride.id]);
+    if (limit > ride.seats_total) promoted.push(...(await promoteWaitlist(db, ride.id)));
+    adjusted++;
+  }
+
+  for (const series of (await activeSeries(db, vehicleId)).filter((s) => resized(s.seats_available))) {
+    await db.execute('UPDATE ride_series SET seats_available = ? WHERE id = ?', [limit, series.id]);
+    adjusted++;
+  }
+
+  return { adjusted, promoted };
+});
+
+module.exports = { maxSeats, findDriverVehicle, assertSeatsFit, assertSeatsFitVehicle, deleteVehicle, updateVehicle };
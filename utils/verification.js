@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const CODE_TTL_MINUTES = parseInt(process.env.VERIFICATION_CODE_TTL_MINUTES) || 15;
+const MAX_ATTEMPTS = 5;
+const CHANNELS = ['email', 'phone'];
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Email and phone verification codes. `senders` maps each channel to a
+ * delivery object with `send({ to, subject, text })`, e.g. the mailer for
+ * email and the SMS sender for phone.
+ */
+module.exports = (pool, senders) => {
+
+  // Issue a fresh 6-digit code for one channel, replacing any earlier one
+  const sendCode = async (user, channel) => {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await pool.execute(
+      `UPDATE verification_codes SET used_at = NOW() WHERE user_id = ? AND channel = ? AND used_at IS NULL`,
+      [user.id, channel]
+    );
+    await pool.execute(
+      `INSERT INTO verification_codes (id, user_id, channel, code_hash, expires_at)
+       VALUES (UUID(), ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [user.id, channel, hashCode(code), CODE_TTL_MINUTES]
+    );
+
+    await senders[channel].send({
+      to: channel === 'email' ? user.email : user.phone,
+      subject: 'Verify your Ride Pool account',
+      text: `Your Ride Pool verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+    });
+  };
+
+  // Check a code and mark the channel verified; returns false on any mismatch
+  const confirmCode = async (userId, channel, code) => {
+    const [codes] = await pool.execute(
+      `SELECT id, code_hash, attempts FROM verification_codes
+       WHERE user_id = ? AND channel = ? AND used_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId, channel]
+    );
+
+    if (codes.length === 0 || codes[0].attempts >= MAX_ATTEMPTS) return false;
+
+    if (codes[0].code_hash !== hashCode(String(code))) {
+      await pool.execute(`UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ?`, [codes[0].id]);
+      return false;
+    }
+
+    await pool.execute(`UPDATE verification_codes SET used_at = NOW() WHERE id = ?`, [codes[0].id]);
+    await pool.execute(
+      `UPDATE users SET ${channel === 'email' ? 'email_verified_at' : 'phone_verified_at'} = NOW() WHERE id = ?`,
+      [userId]
+    );
+
+    return true;
+  };
+
+  return { CHANNELS, sendCode, confirmCode };
+};
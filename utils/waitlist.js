@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+const withTransaction = require('./transaction');
+const { WAITING, hasActiveBooking, cancelBookings } = require('./bookings');
+const { segmentLoads, freeSeats, stopRange } = require('./rideStops');
+
+/**
+ * Ride waitlists. Passengers queue for a ride that lacks the seats they
+ * need between their stops; whenever seats come back (see promoteWaitlist
+ * in bookings.js) the first passengers who fit get a pending booking
+ * holding the seats, which they must accept before it expires. An accepted
+ * offer is an ordinary pending booking the driver confirms or rejects.
+ *
+ * Entry statuses: waiting -> offered -> accepted | declined | expired, or
+ * left (passenger gave up) and cancelled (ride canceled).
+ */
+
+const lockRide = async (db, rideId) => {
+  const [rides] = await db.execute('SELECT id, user_id, status, seats_total FROM rides WHERE id = ? FOR UPDATE', [rideId]);
+  if (rides.length === 0) throw new HttpError(404, 'Ride not found.');
+  return rides[0];
+};
+
+const findEntry = async (db, rideId, userId) => {
+  const [entries] = await db.execute(
+    `SELECT w.id, w.status, w.booking_id, b.seats, b.ride_id, b.accept_by
+     FROM ride_waitlist w LEFT JOIN bookings b ON b.id = w.booking_id
+     WHERE w.ride_id = ? AND w.user_id = ? AND w.status IN ${WAITING}
+     FOR UPDATE`,
+    [rideId, userId]
+  );
+  if (entries.length === 0) throw new HttpError(404, 'You are not on the waitlist for this ride.');
+  return entries[0];
+};
+
+/**
+ * Active entries of a ride in queue order. Waiting entries carry their
+ * 1-based position; offered ones are out of the queue and have none.
+ */
+const listWaitlist = async (db, rideId) => {
+  const [entries] = await db.execute(
+    `SELECT w.id, w.user_id, u.name AS passenger_name, w.seats, w.from_stop, w.to_stop, w.status, w.booking_id, b.accept_by,
+            w.created_at
+     FROM ride_waitlist w
+     JOIN users u ON u.id = w.user_id
+     LEFT JOIN bookings b ON b.id = w.booking_id
+     WHERE w.ride_id = ? AND w.status IN ${WAITING}
+     ORDER BY w.created_at, w.id`,
+    [rideId]
+  );
+
+  let position = 0;
+  return entries.map((entry) => ({ ...entry, position: entry.status === 'waiting' ? ++position : null }));
+};
+
+/**
+ * Queue for seats between two stops (the whole trip by default) of a
+ * scheduled ride that doesn't have enough free there. Returns
+ * { entryId, position }.
+ */
+const joinWaitlist = (pool, { rideId, userId, seats, fromStop = null, toStop = null }) => withTransaction(pool, async (db) => {
+  const ride = await lockRide(db, rideId);
+  if (ride.user_id === userId) throw new HttpError(403, 'Drivers cannot join the waitlist for their own rides.');
+  if (ride.status !== 'scheduled') throw new HttpError(409, 'Only scheduled rides have a waitlist.');
+
+  const loads = await segmentLoads(db, rideId);
+  const range = stopRange(loads, fromStop, toStop);
+  if (freeSeats(loads, ride.seats_total, range.fromStop, range.toStop) >= seats) {
+    throw new HttpError(409, 'Seats are available; book the ride instead.');
+  }
+  if (await hasActiveBooking(db, rideId, userId)) throw new HttpError(409, 'You already have a booking for this ride.');
+
+  const [existing] = await db.execute(
+    `SELECT id FROM ride_waitlist WHERE ride_id = ? AND user_id = ? AND status IN ${WAITING}`,
+    [rideId, userId]
+  );
+  if (existing.length > 0) throw new HttpError(409, 'You are already on the waitlist for this ride.');
+
+  const entryId = uuidv4();
+  await db.execute(
+    'INSERT INTO ride_waitlist (id, ride_id, user_id, seats, from_stop, to_stop) VALUES (?, ?, ?, ?, ?, ?)',
+    [entryId, rideId, userId, seats, range.fromStop, range.toStop]
+  );
+
+  const entries = await listWaitlist(db, rideId);
+  return { entryId, position: entries.find((entry) => entry.id === entryId).position };
+});
+
+// Accept the seats offered from the waitlist; the booking then waits for the driver
+const acceptOffer = (pool, { rideId, userId }) => withTransaction(pool, async (db) => {
+  await lockRide(db, rideId);
+  const entry = await findEntry(db, rideId, userId);
+  if (entry.status !== 'offered') throw new HttpError(409, 'No seats have been offered to you yet.');
+
+  const [accepted] = await db.execute(
+    `UPDATE bookings SET accept_by = NULL WHERE id = ? AND status = 'pending' AND accept_by > NOW()`,
+    [entry.booking_id]
+  );
+  if (accepted.affectedRows === 0) throw new HttpError(409, 'This offer has expired.');
+
+  await db.execute(`UPDATE ride_waitlist SET status = 'accepted' WHERE id = ?`, [entry.id]);
+  return { bookingId: entry.booking_id };
+});
+
+/**
+ * Leave the queue, or decline an offer and hand its seats to the next in
+ * line. Returns the new status and the entries the seats were offered to.
+ */
+const leaveWaitlist = (pool, { rideId, userId }) => withTransaction(pool, async (db) => {
+  await lockRide(db, rideId);
+  const entry = await findEntry(db, rideId, userId);
+
+  if (entry.status === 'offered') {
+    const [declined] = await cancelBookings(db, [{ id: entry.booking_id, ride_id: entry.ride_id, seats: entry.seats }], {
+      actorId: userId, reason: 'Waitlist offer declined'
+    });
+    return { status: 'declined', promoted: declined ? declined.promoted : [] };
+  }
+
+  await db.execute(`UPDATE ride_waitlist SET status = 'left' WHERE id = ?`, [entry.id]);
+  return { status: 'left', promoted: [] };
+});
+
+/**
+ * Release the seats of offers nobody accepted in time and pass them down
+ * the queue. Each ride is handled in its own transaction. Returns the
+ * number of offers expired and the entries their seats were offered to.
+ */
+const expireOffers = async (pool) => {
+  const [offers] = await pool.execute(
+    `SELECT w.id, w.ride_id, w.booking_id, b.seats
+     FROM ride_waitlist w JOIN bookings b ON b.id = w.booking_id
+     WHERE w.status = 'offered' AND b.status = 'pending' AND b.accept_by <= NOW()`
+  );
+
+  const promoted = [];
+  for (const offer of offers) {
+    await withTransaction(pool, async (db) => {
+      await lockRide(db, offer.ride_id);
+      const [expired] = await db.execute(
+        `UPDATE ride_waitlist SET status = 'expired' WHERE id = ? AND status = 'offered'`,
+        [offer.id]
+      );
+      if (expired.affectedRows === 0) return;
+
+      const cancelled = await cancelBookings(db, [{ id: offer.booking_id, ride_id: offer.ride_id, seats: offer.seats }], {
+        reason: 'Waitlist offer expired'
+      });
+      cancelled.forEach((booking) => promoted.push(...booking.promoted));
+    });
+  }
+  return { expired: offers.length, promoted };
+};
+
+module.exports = { listWaitlist, joinWaitlist, acceptOffer, leaveWaitlist, expireOffers };
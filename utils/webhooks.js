@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const HttpError = require('./httpError');
+
+/**
+ * Outbound webhooks. Route handlers emit events (ride.offered,
+ * ride.canceled, booking.created/confirmed/rejected/cancelled,
+ * request.accepted/rejected); every active endpoint subscribed to the event
+ * gets a delivery, POSTed right away. Failed deliveries are retried by the
+ * webhook job with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS, after
+ * which they are marked failed and can be replayed. Every attempt is
+ * recorded on the delivery row.
+ *
+ * The body is { id, type, created_at, data } and is signed with the
+ * endpoint's secret:
+ *
+ *   X-RidePool-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Receivers recompute the HMAC, compare, and drop stale timestamps. `id`
+ * identifies the event, so retries and replays can be deduplicated.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Wait before the first retry, doubled after every failed attempt up to the cap
+const BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 6 * 3600;
+
+const TIMEOUT_MS = 10000;
+
+// Deliveries the retry job handles per run
+const RETRY_BATCH = 100;
+
+// Delivery logs kept before the daily cleanup job drops them
+const LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS) || 30;
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Seconds to wait after the given number of failed attempts
+const backoff = (attempts) => Math.min(BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+
+const transports = {
+  // POST with Node's http(s) client; resolves { status }, rejects on network errors and timeouts
+  http: () => ({
+    post: (url, headers, body) => new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode }));
+      });
+      req.on('timeout', () => req.destroy(new Error(`No response within ${TIMEOUT_MS} ms`)));
+      req.on('error', reject);
+      req.end(body);
+    })
+  }),
+
+  // Keep requests in memory and answer with `status(url)`, for tests
+  memory: (status = () => 200) => {
+    const sent = [];
+    return {
+      sent,
+      post: async (url, headers, body) => {
+        sent.push({ url, headers, body });
+        return { status: status(url) };
+      }
+    };
+  }
+};
+
+// Register an endpoint for some events. Returns its id and the signing secret, shown only this once.
+const registerEndpoint = async (db, { url, events, description }, createdBy) => {
+  const id = uuidv4();
+  const secret = crypto.randomBytes(32).toString('hex');
+  await db.execute(
+    'INSERT INTO webhook_endpoints (id, url, events, secret, description, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, url, JSON.stringify(events), secret, description || null, createdBy]
+  );
+  return { id, secret };
+};
+
+// Every endpoint, without secrets, each with its deliveries still pending or failed
+const listEndpoints = async (db) => {
+  const [endpoints] = await db.execute(
+    `SELECT e.id, e.url, e.events, e.description, e.active, e.created_by, e.created_at,
+            COUNT(CASE WHEN d.status = 'pending' THEN 1 END) AS pending,
+            COUNT(CASE WHEN d.status = 'failed' THEN 1 END) AS failed
+     FROM webhook_endpoints e
+     LEFT JOIN webhook_deliveries d ON d.endpoint_id = e.id
+     GROUP BY e.id
+     ORDER BY e.created_at DESC`
+  );
+  return endpoints;
+};
+
+// Turn an endpoint on or off; deliveries to an inactive endpoint wait until it is back on
+const setEndpointActive = async (db, endpointId, active) => {
+  const [result] = await db.execute('UPDATE webhook_endpoints SET active = ? WHERE id = ?', [active, endpointId]);
+  if (result.affectedRows === 0) throw new HttpError(404, 'Webhook endpoint not found.');
+};
+
+const deleteEndpoint = async (db, endpointId) => {
+  const [result] = await db.execute('DELETE FROM webhook_endpoints WHERE id = ?', [endpointId]);
+  if (result.affectedRows === 0) throw new HttpError(404, 'Webhook endpoint not found.');
+};
+
+// A page of an endpoint's delivery log, newest first: { total, deliveries }
+const listDeliveries = async (db, endpointId, { status = null, page = 1, limit = 20 } = {}) => {
+  const filter = status ? ' AND status = ?' : '';
+  const params = status ? [endpointId, status] : [endpointId];
+  const [deliveries] = await db.query(
+    `SELECT id, event, payload, status, attempts, next_attempt_at, response_status, last_error, delivered_at, created_at
+     FROM webhook_deliveries
+     WHERE endpoint_id = ?${filter}
+     ORDER BY created_at DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE endpoint_id = ?${filter}`, params);
+  return { total: Number(total), deliveries };
+};
+
+const createWebhooks = (pool, transport = transports.http(), logger = console) => {
+  /**
+   * POST one delivery ({ id, event, payload, attempts, url, secret }) and
+   * record the outcome: succeeded on a 2xx, otherwise retried after the
+   * backoff or, out of attempts, failed. Returns the new status.
+   */
+  const attempt = async (delivery) => {
+    const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      ({ status: responseStatus } = await transport.post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RidePool-Webhooks/1.0',
+        'X-RidePool-Event': delivery.event,
+        'X-RidePool-Delivery': delivery.id,
+        'X-RidePool-Signature': `t=${timestamp},v1=${sign(delivery.secret, timestamp, body)}`
+      }, body));
+      if (responseStatus < 200 || responseStatus >= 300) error = `Endpoint answered ${responseStatus}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      await pool.execute(
+        `UPDATE webhook_deliveries
+         SET status = 'succeeded', attempts = ?, response_status = ?, last_error = NULL, next_attempt_at = NULL, delivered_at = NOW()
+         WHERE id = ?`,
+        [attempts, responseStatus, delivery.id]
+      );
+      return 'succeeded';
+    }
+
+    const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await pool.execute(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, response_status = ?, last_error = ?,
+           next_attempt_at = ${status === 'pending' ? 'NOW() + INTERVAL ? SECOND' : 'NULL'}
+       WHERE id = ?`,
+      [status, attempts, responseStatus, error.slice(0, 1000), ...(status === 'pending' ? [backoff(attempts)] : []), delivery.id]
+    );
+    logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${error}`);
+    return status;
+  };
+
+  /**
+   * Queue `event` with `data` for every active endpoint subscribed to it
+   * and try each delivery once. Returns the deliveries queued.
+   */
+  const emit = async (event, data) => {
+    const [endpoints] = await pool.execute('SELECT id, url, events, secret FROM webhook_endpoints WHERE active = TRUE');
+    const subscribed = endpoints.filter((endpoint) => {
+      const events = typeof endpoint.events === 'string' ? JSON.parse(endpoint.events) : endpoint.events;
+      return events.includes(event);
+    });
+    if (subscribed.length === 0) return [];
+
+    const payload = JSON.stringify({ id: uuidv4(), type: event, created_at: new Date().toISOString(), data });
+    const deliveries = [];
+    for (const endpoint of subscribed) {
+      // Not due before the first backoff, so the retry job leaves it to this attempt
+      const delivery = { id: uuidv4(), event, payload, attempts: 0, url: endpoint.url, secret: endpoint.secret };
+      await pool.execute(
+        `INSERT INTO webhook_deliveries (id, endpoint_id, event, payload, next_attempt_at)
+         VALUES (?, ?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+        [delivery.id, endpoint.id, event, payload, BACKOFF_SECONDS]
+      );
+      deliveries.push(delivery);
+    }
+
+    for (const delivery of deliveries) await attempt(delivery);
+    return deliveries;
+  };
+
+  // emit without waiting, for route handlers that have already answered
+  const emitLater = (event, data) => {
+    emit(event, data).catch((err) => logger.error(`❌ Webhook ${event} failed: ${err.message}`));
+  };
+
+  // Retry the deliveries whose backoff is over. Returns how many were attempted.
+  const retryDue = async () => {
+    const [due] = await pool.query(
+      `SELECT d.id, d.event, d.payload, d.attempts, e.url, e.secret
+       FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND e.active = TRUE
+       ORDER BY d.next_attempt_at
+       LIMIT ?`,
+      [RETRY_BATCH]
+    );
+
+    let attempted = 0;
+    for (const delivery of due) {
+      // Claim it first, so another process running the job skips it
+      const [claimed] = await pool.execute(
+        `UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL ? SECOND
+         WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+        [BACKOFF_SECONDS, delivery.id]
+      );
+      if (claimed.affectedRows === 0) continue;
+      await attempt(delivery);
+      attempted++;
+    }
+    return attempted;
+  };
+
+  /**
+   * Send a finished delivery (failed, or succeeded and wanted again) with
+   * a fresh set of attempts. Returns its new status; 409 while it is still
+   * being retried.
+   */
+  const replay = async (deliveryId) => {
+    const [deliveries] = await pool.execute(
+      `SELECT d.id, d.event, d.payload, d.status, e.url, e.secret
+       FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+       WHERE d.id = ?`,
+      [deliveryId]
+    );
+    if (deliveries.length === 0) throw new HttpError(404, 'Webhook delivery not found.');
+    if (deliveries[0].status === 'pending') throw new HttpError(409, 'This delivery is still being retried.');
+
+    await pool.execute(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW() + INTERVAL ? SECOND WHERE id = ?`,
+      [BACKOFF_SECONDS, deliveryId]
+    );
+    return attempt({ ...deliveries[0], attempts: 0 });
+  };
+
+  return { emit, emitLater, retryDue, replay };
+};
+
+// Drop delivery logs older than WEBHOOK_LOG_DAYS, unless still being retried
+const purgeDeliveries = (pool) =>
+  pool.execute(
+    `DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - INTERVAL ? DAY`,
+    [LOG_DAYS]
+  );
+
+module.exports = {
+  MAX_ATTEMPTS,
+  sign,
+  backoff,
+  transports,
+  registerEndpoint,
+  listEndpoints,
+  setEndpointActive,
+  deleteEndpoint,
+  listDeliveries,
+  createWebhooks,
+  purgeDeliveries
+};
@@ -0,0 +1,114 @@
+const { assertSeatsFit, deleteVehicle, updateVehicle } = require('./utils/vehicles');
+const { fakePool, changed, writes } = require('./test/fakePool');
+
+/**
+ * Keeps vehicles, rides and recurring rides in memory behind the statements
+ * of deleteVehicle and updateVehicle. Rides are listed as the upcoming ones
+ * in the vehicle (the status and date filters are the query's job), and
+ * their waitlists are empty.
+ */
+const vehiclePool = ({ rides = [], series = [] } = {}) => {
+  const vehicles = { v1: { id: 'v1', model: 'Probox', plate: 'KDA 123A', capacity: 5 } };
+  return Object.assign(fakePool([
+    [/SELECT capacity FROM vehicles WHERE id = \?/, ([id]) => [vehicles[id]]],
+    [/FROM ride_waitlist/, () => []],
+    [/FROM rides\s+WHERE vehicle_id = \?/, () =>
+      rides.map((ride) => ({ id: ride.id, seats_total: ride.seats_total, booked: String(ride.seats_total - ride.seats_available) }))],
+    [/FROM ride_series WHERE vehicle_id = \?/, () => series.filter((s) => s.status === 'active')],
+    [/^DELETE FROM vehicles/, ([id]) => {
+      delete vehicles[id];
+      return changed();
+    }],
+    [/^UPDATE vehicles/, ([model, plate, capacity, id]) => {
+      Object.assign(vehicles[id], { model, plate, capacity });
+      return changed();
+    }],
+    [/^UPDATE rides/, ([seatsTotal, seatsAvailable, id]) => {
+      Object.assign(rides.find((r) => r.id === id), { seats_total: seatsTotal, seats_available: seatsAvailable });
+      return changed();
+    }],
+    [/^UPDATE ride_series/, ([seatsAvailable, id]) => {
+      series.find((s) => s.id === id).seats_available = seatsAvailable;
+      return changed();
+    }]
+  ]), { vehicles, rides, series });
+};
+
+const ride = (id, seatsTotal, seatsBooked) => ({ id, seats_total: seatsTotal, seats_available: seatsTotal - seatsBooked });
+
+describe('Vehicle capacity', () => {
+  it('counts the driver among the vehicle capacity', () => {
+    const vehicle = { make: 'Toyota', model: 'Probox', plate: 'KDA 123A', capacity: 5 };
+
+    expect(() => assertSeatsFit(vehicle, 4)).not.toThrow();
+    expect(() => assertSeatsFit(vehicle, 5)).toThrow('Toyota Probox (KDA 123A) can take at most 4 passengers');
+  });
+
+  it('refuses to shrink a vehicle below the seats booked on its upcoming rides', async () => {
+    const pool = vehiclePool({ rides: [ride('r1', 4, 3), ride('r2', 4, 1)] });
+
+    const update = updateVehicle(pool, 'v1', { model: 'Probox', plate: 'KDA 123A', capacity: 3 });
+
+    await expect(update).rejects.toMatchObject({ status: 409, message: expect.stringContaining('r1') });
+    await expect(update).rejects.toThrow(/more than 2 seats/);
+    expect(writes(pool)).toEqual([]);
+    expect(pool.vehicles.v1.capacity).toBe(5);
+    expect(pool.ended).toBe('rollback');
+  });
+
+  it('cuts upcoming and recurring rides down to a smaller vehicle when the bookings fit', async () => {
+    const pool = vehiclePool({
+      rides: [ride('r1', 4, 2), ride('r2', 2, 0)],
+      series: [{ id: 's1', seats_available: 4, status: 'active' }, { id: 's2', seats_available: 4, status: 'ended' }]
+    });
+
+    await expect(updateVehicle(pool, 'v1', { model: 'Probox', plate: 'KDA 123A', capacity: 3 })).resolves.toEqual({ adjusted: 2, promoted: [] });
+
+    const { vehicles, rides, series, ended } = pool;
+    expect(vehicles.v1.capacity).toBe(3);
+    expect(rides).toEqual([ride('r1', 2, 2), ride('r2', 2, 0)]);
+    expect(series.map((s) => s.seats_available)).toEqual([2, 4]);
+    expect(ended).toBe('commit');
+  });
+
+  it('grows the rides that offered every seat with a larger vehicle and offers the new seats to their waitlists', async () => {
+    const pool = vehiclePool({
+      rides: [ride('r1', 4, 1), ride('r2', 2, 0)],
+      series: [{ id: 's1', seats_available: 4, status: 'active' }, { id: 's2', seats_available: 2, status: 'active' }]
+    });
+
+    await expect(updateVehicle(pool, 'v1', { model: 'Noah', plate: 'KDA 123A', capacity: 7 })).resolves.toEqual({ adjusted: 2, promoted: [] });
+
+    const { rides, series, ended, statements } = pool;
+    expect(rides).toEqual([ride('r1', 6, 1), ride('r2', 2, 0)]);
+    expect(series.map((s) => s.seats_available)).toEqual([6, 2]);
+    expect(statements.filter(({ sql }) => /FROM ride_waitlist/.test(sql)).map(({ params }) => params)).toEqual([['r1']]);
+    expect(ended).toBe('commit');
+  });
+});
+
+describe('Vehicle deletion', () => {
+  it('refuses to delete a vehicle with upcoming rides', async () => {
+    const pool = vehiclePool({ rides: [ride('r1', 4, 0)] });
+
+    await expect(deleteVehicle(pool, 'v1')).rejects.toMatchObject({ status: 409, message: expect.stringContaining('1 upcoming ride(s)') });
+    expect(pool.vehicles).toHaveProperty('v1');
+    expect(pool.ended).toBe('rollback');
+  });
+
+  it('refuses to delete a vehicle an active recurring ride uses', async () => {
+    const pool = vehiclePool({ series: [{ id: 's1', seats_available: 3, status: 'active' }] });
+
+    await expect(deleteVehicle(pool, 'v1')).rejects.toMatchObject({ status: 409, message: expect.stringContaining('1 recurring ride(s)') });
+    expect(pool.vehicles).toHaveProperty('v1');
+  });
+
+  it('deletes a vehicle nothing upcoming depends on', async () => {
+    const pool = vehiclePool({ series: [{ id: 's1', seats_available: 3, status: 'ended' }] });
+
+    await deleteVehicle(pool, 'v1');
+
+    expect(pool.vehicles).toEqual({});
+    expect(pool.ended).toBe('commit');
+  });
+});
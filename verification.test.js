@@ -0,0 +1,129 @@
+const createVerification = require('./utils/verification');
+const requireVerified = require('./middleware/requireVerified');
+const { fakePool, changed } = require('./test/fakePool');
+
+const user = { id: 'amina', email: 'amina@example.com', phone: '+254712345678' };
+
+/**
+ * Verification codes and the users' verified timestamps kept in memory
+ * behind the statements of utils/verification.js and requireVerified.
+ */
+const verificationPool = () => {
+  const codes = [];
+  const users = { amina: { email_verified_at: null, phone_verified_at: null } };
+  const open = (code) => !code.used_at && code.expires_at > Date.now();
+  return Object.assign(fakePool([
+    [/UPDATE verification_codes SET used_at = NOW\(\) WHERE user_id = \? AND channel = \?/, ([userId, channel]) => {
+      const earlier = codes.filter((code) => code.user_id === userId && code.channel === channel && !code.used_at);
+      earlier.forEach((code) => { code.used_at = new Date(); });
+      return changed(earlier.length);
+    }],
+    [/INSERT INTO verification_codes/, ([userId, channel, codeHash, minutes]) => {
+      codes.push({
+        id: `code-${codes.length + 1}`, user_id: userId, channel, code_hash: codeHash, attempts: 0, used_at: null,
+        expires_at: Date.now() + minutes * 60000
+      });
+      return changed();
+    }],
+    [/SELECT id, code_hash, attempts FROM verification_codes/, ([userId, channel]) =>
+      codes.filter((code) => code.user_id === userId && code.channel === channel && open(code)).reverse().slice(0, 1)],
+    [/UPDATE verification_codes SET attempts = attempts \+ 1 WHERE id = \?/, ([id]) => {
+      codes.find((code) => code.id === id).attempts++;
+      return changed();
+    }],
+    [/UPDATE verification_codes SET used_at = NOW\(\) WHERE id = \?/, ([id]) => {
+      codes.find((code) => code.id === id).used_at = new Date();
+      return changed();
+    }],
+    [/UPDATE users SET (email|phone)_verified_at = NOW\(\) WHERE id = \?/, ([userId], sql) => {
+      users[userId][sql.match(/(email|phone)_verified_at/)[0]] = new Date();
+      return changed();
+    }],
+    [/SELECT email_verified_at, phone_verified_at FROM users WHERE id = \?/, ([userId]) => (users[userId] ? [users[userId]] : [])]
+  ]), { codes, users });
+};
+
+// A verification service whose senders record every message, with a helper returning the last code sent
+const setup = () => {
+  const pool = verificationPool();
+  const sent = [];
+  const sender = { send: async (message) => { sent.push(message); } };
+  const verification = createVerification(pool, { email: sender, phone: sender });
+  const lastCode = () => sent[sent.length - 1].text.match(/code is (\d{6})/)[1];
+  return { pool, sent, verification, lastCode };
+};
+
+describe('Verification codes', () => {
+  it('verifies a channel with the code sent to it, once', async () => {
+    const { pool, sent, verification, lastCode } = setup();
+    await verification.sendCode(user, 'phone');
+    const code = lastCode();
+
+    expect(sent[0].to).toBe(user.phone);
+    expect(pool.codes[0].code_hash).not.toBe(code);
+    await expect(verification.confirmCode('amina', 'phone', code)).resolves.toBe(true);
+    expect(pool.users.amina.phone_verified_at).toBeInstanceOf(Date);
+    expect(pool.users.amina.email_verified_at).toBeNull();
+
+    await expect(verification.confirmCode('amina', 'phone', code)).resolves.toBe(false);
+  });
+
+  it('refuses an expired code', async () => {
+    const { pool, verification, lastCode } = setup();
+    await verification.sendCode(user, 'email');
+    pool.codes[0].expires_at = Date.now() - 1000;
+
+    await expect(verification.confirmCode('amina', 'email', lastCode())).resolves.toBe(false);
+    expect(pool.users.amina.email_verified_at).toBeNull();
+  });
+
+  it('locks a code after five wrong guesses, even if the right one follows', async () => {
+    const { pool, verification, lastCode } = setup();
+    await verification.sendCode(user, 'email');
+    const code = lastCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) await expect(verification.confirmCode('amina', 'email', wrong)).resolves.toBe(false);
+
+    expect(pool.codes[0].attempts).toBe(5);
+    await expect(verification.confirmCode('amina', 'email', code)).resolves.toBe(false);
+    expect(pool.users.amina.email_verified_at).toBeNull();
+  });
+
+  it('replaces the earlier code when one is sent again', async () => {
+    const { pool, verification, lastCode } = setup();
+    await verification.sendCode(user, 'email');
+    await verification.sendCode(user, 'email');
+
+    expect(pool.codes.map((code) => Boolean(code.used_at))).toEqual([true, false]);
+    await expect(verification.confirmCode('amina', 'email', lastCode())).resolves.toBe(true);
+  });
+});
+
+describe('Verified account gate', () => {
+  // Run the gate for amina and report whether it let the request through, or what it answered
+  const check = async (pool) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    await requireVerified(pool)({ user: { id: 'amina' } }, res, () => { passed = true; });
+    return { passed, status: res.statusCode, error: res.body && res.body.error };
+  };
+
+  it('holds users back until both their email and phone are verified', async () => {
+    const { pool, verification, lastCode } = setup();
+    const blocked = { passed: false, status: 403, error: 'Verify your email and phone number first' };
+
+    await expect(check(pool)).resolves.toEqual(blocked);
+
+    await verification.sendCode(user, 'email');
+    await verification.confirmCode('amina', 'email', lastCode());
+    await expect(check(pool)).resolves.toEqual(blocked);
+
+    await verification.sendCode(user, 'phone');
+    await verification.confirmCode('amina', 'phone', lastCode());
+    await expect(check(pool)).resolves.toEqual({ passed: true, status: undefined, error: undefined });
+  });
+});
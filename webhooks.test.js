@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { MAX_ATTEMPTS, backoff, transports, createWebhooks } = require('./utils/webhooks');
+const { fakePool, changed } = require('./test/fakePool');
+
+const endpoints = [
+  { id: 'hr', url: 'https://hr.example.com/hook', events: ['booking.created', 'booking.cancelled'], secret: 's3cret' },
+  { id: 'shuttle', url: 'https://shuttle.example.com/hook', events: ['ride.offered'], secret: 'other' }
+];
+
+// Deliveries looked up by id come from `stored`, due ones from `pool.due`; records the deliveries inserted
+const deliveryPool = (stored = []) => {
+  const inserted = [];
+  const pool = Object.assign(fakePool([
+    [/FROM webhook_endpoints WHERE active/, () => endpoints],
+    [/INSERT INTO webhook_deliveries/, (params) => {
+      inserted.push(params);
+      return changed();
+    }],
+    [/WHERE d.id = \?/, ([id]) => stored.filter((d) => d.id === id)],
+    [/WHERE d.status = 'pending' AND d.next_attempt_at <= NOW\(\)/, () => pool.due],
+    [/^\s*UPDATE webhook_deliveries/, () => changed()]
+  ]), { inserted, due: [] });
+  return pool;
+};
+
+// The delivery updates a pool received, in order
+const updates = (pool) => pool.statements.filter(({ sql }) => /^\s*UPDATE/.test(sql));
+
+const quietLogger = { warn: () => {}, error: () => {} };
+
+describe('Webhook deliveries', () => {
+  it('sends each event to subscribed endpoints only, signed with their secret', async () => {
+    const transport = transports.memory();
+    const webhooks = createWebhooks(deliveryPool(), transport, quietLogger);
+
+    await webhooks.emit('booking.created', { bookingId: 'b1', rideId: 'r1' });
+
+    expect(transport.sent).toHaveLength(1);
+    const [{ url, headers, body }] = transport.sent;
+    expect(url).toBe('https://hr.example.com/hook');
+    expect(headers['X-RidePool-Event']).toBe('booking.created');
+    expect(JSON.parse(body)).toMatchObject({ type: 'booking.created', data: { bookingId: 'b1', rideId: 'r1' } });
+
+    const [, timestamp, signature] = headers['X-RidePool-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+  });
+
+  it('retries failures with growing backoff and gives up after the last attempt', async () => {
+    const pool = deliveryPool();
+    const webhooks = createWebhooks(pool, transports.memory(() => 503), quietLogger);
+
+    await webhooks.emit('booking.cancelled', { bookingId: 'b1' });
+
+    expect(updates(pool)[0].params).toEqual(['pending', 1, 503, 'Endpoint answered 503', backoff(1), pool.inserted[0][0]]);
+    expect(backoff(2)).toBe(2 * backoff(1));
+    expect(backoff(30)).toBe(6 * 3600);
+
+    // The retry job picks up a delivery on its last attempt
+    pool.statements.length = 0;
+    pool.due = [{ id: 'd1', event: 'booking.cancelled', payload: '{}', attempts: MAX_ATTEMPTS - 1, url: 'https://hr.example.com/hook', secret: 's3cret' }];
+    const unreachable = createWebhooks(pool, { post: async () => { throw new Error('connect ECONNREFUSED'); } }, quietLogger);
+
+    await expect(unreachable.retryDue()).resolves.toBe(1);
+    const [claim, outcome] = updates(pool);
+    expect(claim.sql).toMatch(/next_attempt_at <= NOW\(\)/);
+    expect(outcome.params).toEqual(['failed', MAX_ATTEMPTS, null, 'connect ECONNREFUSED', 'd1']);
+  });
+
+  it('replays finished deliveries only', async () => {
+    const stored = [
+      { id: 'd1', event: 'booking.created', payload: '{}', status: 'failed', url: 'https://hr.example.com/hook', secret: 's3cret' },
+      { id: 'd2', event: 'booking.created', payload: '{}', status: 'pending', url: 'https://hr.example.com/hook', secret: 's3cret' }
+    ];
+    const transport = transports.memory();
+    const webhooks = createWebhooks(deliveryPool(stored), transport, quietLogger);
+
+    await expect(webhooks.replay('d1')).resolves.toBe('succeeded');
+    await expect(webhooks.replay('d2')).rejects.toMatchObject({ status: 409 });
+    await expect(webhooks.replay('missing')).rejects.toMatchObject({ status: 404 });
+    expect(transport.sent.map((request) => request.headers['X-RidePool-Delivery'])).toEqual(['d1']);
+  });
+});